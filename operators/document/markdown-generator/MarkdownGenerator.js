@@ -3,18 +3,20 @@
  * 
  * 核心功能：
  * 1. Markdown 文本处理和文件生成
- * 2. 模板数据填充（Mustache 语法）
+ * 2. 模板数据填充（Mustache / Handlebars 语法）
  * 3. 多平台换行符支持
- * 4. 平台存储上传（通过 GeniSpace SDK）
+ * 4. 文件存储上传（平台存储 / 本地 / S3，见 src/services/storage）
  * 5. 临时文件管理
  */
 
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const Mustache = require('mustache');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../../../src/utils/logger');
+const { resolveStorage, deliverFile } = require('../../../src/services/storage');
+const { fetchText, readLocalFile } = require('../../../src/utils/fetch-policy');
+const { renderTemplate } = require('../../../src/utils/template-engine');
 const config = require('../../../src/config/env');
 
 class MarkdownGenerator {
@@ -58,59 +60,33 @@ class MarkdownGenerator {
     });
   }
   
-  /**
-   * 检查认证（必须提供 GeniSpace API Key）
-   * @param {Object} req - Express 请求对象
-   * @throws {Error} 如果缺少认证信息
-   */
-  checkAuth(req) {
-    // 开发环境下提供测试模式
-    if (process.env.NODE_ENV === 'development' && process.env.SKIP_AUTH === 'true') {
-      logger.info('开发模式：跳过认证检查');
-      // 创建一个模拟的 genispace 对象用于测试
-      req.genispace = {
-        client: {
-          storage: {
-            uploadFile: async (file, options) => {
-              // 模拟上传返回结果
-              return {
-                id: `test-${Date.now()}`,
-                publicUrl: `https://storage.example.com/test/${file.originalname}`,
-                url: `https://storage.example.com/test/${file.originalname}`
-              };
-            }
-          }
-        }
-      };
-      return;
-    }
-    
-    if (!req || !req.genispace || !req.genispace.client) {
-      throw new Error('缺少认证信息，请在请求头中提供 GeniSpace API Key');
-    }
-  }
-  
   /**
    * 生成 Markdown 文件
    * @param {Object} options - 生成选项
    * @param {string} options.markdownContent - Markdown 内容
    * @param {Object} options.templateData - 填充模板的 JSON 数据（可选）
+   * @param {string} options.templateEngine - 模板引擎：mustache（默认）/ handlebars（见 src/utils/template-engine）
    * @param {string} options.fileName - 输出文件名（可选）
    * @param {string} options.lineEnding - 换行符类型（可选）
-   * @param {Object} options.req - Express 请求对象（用于认证和 SDK 上传）
+   * @param {string} options.delivery - 交付方式：upload（默认）/ inline / base64
+   * @param {string} options.storage - 存储驱动（可选，默认 STORAGE_DRIVER，仅 upload 时使用）
+   * @param {Object} options.req - Express 请求对象（用于认证和文件上传）
    * @returns {Promise<Object>} - 生成结果
    */
   async generateMarkdown(options) {
     const {
       markdownContent,
       templateData,
+      templateEngine,
       fileName,
       lineEnding = '\n',
+      delivery = 'upload',
+      storage: storageName,
       req
     } = options;
     
-    // 检查认证
-    this.checkAuth(req);
+    // 确定存储驱动（平台存储需要认证），直接返回文件内容时无需存储
+    const storage = delivery === 'upload' ? resolveStorage(req, storageName) : null;
     
     logger.info('开始生成 Markdown 文件', {
       hasContent: !!markdownContent,
@@ -140,7 +116,7 @@ class MarkdownGenerator {
       
       // 填充模板数据
       const filledMarkdown = templateData ? 
-        Mustache.render(templateContent, templateData) : 
+        renderTemplate(templateContent, templateData, templateEngine) : 
         templateContent;
       
       // 处理换行符和格式
@@ -153,23 +129,34 @@ class MarkdownGenerator {
       const fileStats = fs.statSync(mdPath);
       const lineCount = this.getLineCount(processedMarkdown);
       
-      // 上传到平台存储
-      const mdURL = await this.uploadToPlatformStorage(mdPath, finalFileName, req);
+      // 上传到存储，或读取文件内容直接返回
+      const output = await deliverFile(mdPath, {
+        delivery,
+        storage,
+        fileName: `${finalFileName}.md`,
+        mimeType: 'text/markdown',
+        folder: 'markdown-documents',
+        req
+      });
       
       // 清理临时文件
       this.cleanupFiles(mdPath);
       
       const result = {
         success: true,
-        mdURL,
+        ...(output.url && { mdURL: output.url, storageProvider: output.provider }),
         lineCount,
         fileSize: fileStats.size,
         fileName: `${finalFileName}.md`,
-        storageProvider: 'platform',
+        ...(output.content && {
+          mimeType: 'text/markdown',
+          content: delivery === 'base64' ? output.content.toString('base64') : output.content
+        }),
         generatedAt: new Date().toISOString()
       };
       
-      logger.info('Markdown 文件生成成功', result);
+      const { content, ...summary } = result;
+      logger.info('Markdown 文件生成成功', summary);
       return result;
       
     } catch (error) {
@@ -180,19 +167,15 @@ class MarkdownGenerator {
   
   /**
    * 获取模板内容
-   * @param {string} template - 模板内容或 URL
+   * URL 和本地文件按外部资源访问策略（config.fetchPolicy）读取
+   * @param {string} template - 模板内容、URL 或模板目录内的文件路径
    * @returns {Promise<string>} - 模板内容
    */
   async getTemplateContent(template) {
     // 如果是 URL，下载内容
     if (template.startsWith('http://') || template.startsWith('https://')) {
-      const axios = require('axios');
       try {
-        const response = await axios.get(template, { 
-          responseType: 'text',
-          timeout: 10000 
-        });
-        return response.data;
+        return await fetchText(template);
       } catch (error) {
         throw new Error(`无法下载模板文件: ${error.message}`);
       }
@@ -200,15 +183,15 @@ class MarkdownGenerator {
     
     // 如果是本地文件路径（不包含换行符和 Markdown 语法），读取文件
     if (!template.includes('\n') && !template.includes('#') && (template.includes('/') || template.includes('\\'))) {
-      try {
-        return fs.readFileSync(template, 'utf8');
-      } catch (error) {
-        // 如果文件不存在，当作模板内容处理
-        logger.warn('文件不存在，将作为模板内容处理', { 
-          template: template.substring(0, 50) + '...' 
-        });
-        return template;
+      const content = readLocalFile(template);
+      if (content !== null) {
+        return content;
       }
+      // 文件不存在或不在模板目录内，当作模板内容处理
+      logger.warn('文件不存在，将作为模板内容处理', { 
+        template: template.substring(0, 50) + '...' 
+      });
+      return template;
     }
     
     // 直接返回模板内容
@@ -302,55 +285,6 @@ class MarkdownGenerator {
     return content.split('\n').length;
   }
   
-  /**
-   * 上传文件到平台存储（通过 GeniSpace SDK）
-   * @param {string} filePath - 文件路径
-   * @param {string} fileName - 文件名（不含扩展名）
-   * @param {Object} req - Express 请求对象（包含认证信息）
-   * @returns {Promise<string>} - 文件 URL
-   */
-  async uploadToPlatformStorage(filePath, fileName, req) {
-    if (!req || !req.genispace || !req.genispace.client) {
-      throw new Error('缺少认证信息，无法上传文件到平台存储');
-    }
-    
-    try {
-      const client = req.genispace.client;
-      const folderPath = `/tmp/operators/markdown-documents/${new Date().getFullYear()}/${new Date().getMonth() + 1}`;
-      
-      logger.info('上传文件到平台存储', {
-        fileName,
-        folderPath,
-        filePath
-      });
-      
-      // 使用 SDK 上传文件
-      const file = {
-        path: filePath,
-        mimetype: 'text/markdown',
-        originalname: `${fileName}.md`
-      };
-      
-      const uploadedFile = await client.storage.uploadFile(file, {
-        folderPath,
-        fileName: `${fileName}.md`
-      });
-      
-      // 返回文件的 publicUrl 或 url
-      const fileUrl = uploadedFile.publicUrl || uploadedFile.url;
-      
-      logger.info('文件上传到平台存储成功', { 
-        fileId: uploadedFile.id,
-        url: fileUrl 
-      });
-      
-      return fileUrl;
-    } catch (error) {
-      logger.error('平台存储上传失败', { error: error.stack });
-      throw new Error(`平台存储上传失败: ${error.message}`);
-    }
-  }
-  
   /**
    * 清理临时文件
    * @param {...string} filePaths - 文件路径
@@ -34,15 +34,19 @@ module.exports = {
               'application/json': {
                 schema: {
                   type: 'object',
-                  required: ['markdownContent'],
                   properties: {
                     markdownContent: {
                       type: 'string',
-                      description: 'Markdown内容，支持Mustache模板语法',
+                      minLength: 1,
+                      maxLength: 10485760, // 10MB
+                      description: 'Markdown内容，支持Mustache模板语法（与 templateId 二选一）',
                       example: '# {{title}}\n\n**作者**: {{author}}\n\n{{content}}'
                     },
+                    templateId: { $ref: '#/components/schemas/TemplateId' },
+                    templateEngine: { $ref: '#/components/schemas/TemplateEngine' },
                     templateData: {
                       type: 'object',
+                      nullable: true,
                       description: '填充模板的JSON数据（可选）',
                       example: {
                         title: '项目文档',
@@ -55,8 +59,15 @@ module.exports = {
                       description: '输出文件名（不含扩展名）',
                       example: 'project-doc'
                     },
+                    delivery: {
+                      $ref: '#/components/schemas/DeliveryMode'
+                    },
+                    storage: {
+                      $ref: '#/components/schemas/StorageDriver'
+                    },
                     lineEnding: {
                       type: 'string',
+                      nullable: true,
                       enum: ['\n', '\r\n', '\r'],
                       default: '\n',
                       description: '换行符类型：Unix(LF)、Windows(CRLF)或Mac(CR)'
@@ -103,9 +114,19 @@ module.exports = {
                           },
                           storageProvider: {
                             type: 'string',
-                            description: '存储提供商',
+                            description: '存储提供商（platform / local / s3）',
                             example: 'platform'
                           },
+                          mimeType: {
+                            type: 'string',
+                            description: '文件类型（delivery=base64 时返回）',
+                            example: 'text/markdown'
+                          },
+                          content: {
+                            type: 'string',
+                            format: 'byte',
+                            description: 'Base64 编码的文件内容（delivery=base64 时返回）'
+                          },
                           generatedAt: {
                             type: 'string',
                             format: 'date-time',
@@ -120,6 +141,13 @@ module.exports = {
                       }
                     }
                   }
+                },
+                'text/markdown': {
+                  schema: {
+                    type: 'string',
+                    format: 'binary',
+                    description: 'Markdown文件内容（delivery=inline 时返回）'
+                  }
                 }
               }
             },
@@ -6,68 +6,39 @@
  */
 
 const express = require('express');
-const path = require('path');
+const fs = require('fs');
 const os = require('os');
 const MarkdownGenerator = require('./MarkdownGenerator');
-const { sendSuccessResponse, sendErrorResponse, asyncHandler } = require('../../../src/utils/response');
+const { sendSuccessResponse, sendErrorResponse, sendFileResponse, asyncHandler } = require('../../../src/utils/response');
+const { useTemplate } = require('../../../src/middleware/template');
+const { renderTemplate } = require('../../../src/utils/template-engine');
+const { getStorage } = require('../../../src/services/storage');
 
 const router = express.Router();
 
 // 初始化 Markdown 生成器（使用默认临时目录，无需配置）
 const markdownGenerator = new MarkdownGenerator();
 
-/**
- * 验证请求参数
- */
-function validateGenerateMarkdown(req, res, next) {
-  const { markdownContent, templateData, lineEnding } = req.body;
-  
-  if (!markdownContent || typeof markdownContent !== 'string') {
-    return sendErrorResponse(res, '缺少必需的markdownContent参数', 'MISSING_MARKDOWN_CONTENT', null, 400);
-  }
-  
-  if (markdownContent.length > 10 * 1024 * 1024) { // 10MB限制
-    return sendErrorResponse(res, 'Markdown内容过大，最大支持10MB', 'MARKDOWN_TOO_LARGE', null, 400);
-  }
-  
-  // templateData是可选的，但如果提供了必须是对象
-  if (templateData !== undefined && templateData !== null && 
-      (typeof templateData !== 'object' || Array.isArray(templateData))) {
-    return sendErrorResponse(res, 'templateData必须是对象格式', 'INVALID_TEMPLATE_DATA', null, 400);
-  }
-  
-  // 验证换行符类型
-  if (lineEnding !== undefined && lineEnding !== null) {
-    const validLineEndings = ['\n', '\r\n', '\r'];
-    if (!validLineEndings.includes(lineEnding)) {
-      return sendErrorResponse(res, 'lineEnding必须是 \\n、\\r\\n 或 \\r 中的一个', 'INVALID_LINE_ENDING', null, 400);
-    }
-  }
-  
-  next();
-}
-
 /**
  * 生成Markdown文件
  */
-router.post('/generate', validateGenerateMarkdown, asyncHandler(async (req, res) => {
+router.post('/generate', useTemplate({ format: 'markdown', contentField: 'markdownContent' }), asyncHandler(async (req, res) => {
   const startTime = Date.now();
   const { 
     markdownContent, 
     templateData = {}, 
+    templateEngine,
     fileName, 
-    lineEnding = '\n' 
+    lineEnding = '\n',
+    delivery = 'upload',
+    storage
   } = req.body;
   
   try {
-    // 检查认证
-    markdownGenerator.checkAuth(req);
-    
-    // 如果提供了templateData，使用Mustache进行模板替换
+    // 如果提供了templateData，使用模板引擎进行模板替换
     let processedContent = markdownContent;
     if (templateData && Object.keys(templateData).length > 0) {
-      const Mustache = require('mustache');
-      processedContent = Mustache.render(markdownContent, templateData);
+      processedContent = renderTemplate(markdownContent, templateData, templateEngine);
     }
     
     // 生成Markdown文件
@@ -76,7 +47,9 @@ router.post('/generate', validateGenerateMarkdown, asyncHandler(async (req, res)
       templateData: null, // 已经在上面处理过了
       fileName: fileName || `markdown_${Date.now()}`,
       lineEnding,
-      req // 传递请求对象用于认证和SDK上传
+      delivery,
+      storage,
+      req // 传递请求对象用于认证和文件上传
     });
     
     const processingTime = Date.now() - startTime;
@@ -84,6 +57,11 @@ router.post('/generate', validateGenerateMarkdown, asyncHandler(async (req, res)
     // 添加处理时间到响应数据
     result.processingTimeMs = processingTime;
     
+    // delivery=inline：直接返回文件
+    if (delivery === 'inline') {
+      return sendFileResponse(res, result.content, result.fileName, result.mimeType);
+    }
+    
     sendSuccessResponse(res, result, 'Markdown文件生成成功');
     
   } catch (error) {
@@ -107,14 +85,9 @@ router.get('/download/:fileName', (req, res) => {
       return sendErrorResponse(res, '无效的文件名格式', 'INVALID_FILENAME', null, 400);
     }
     
-    // 构建文件路径 - 使用项目outputs目录
-    const projectRoot = path.resolve(__dirname, '../../..');
-    const outputDir = path.join(projectRoot, 'outputs');
-    const filePath = path.join(outputDir, fileName);
-    
-    // 检查文件是否存在
-    const fs = require('fs');
-    if (!fs.existsSync(filePath)) {
+    // 本地存储驱动保存的文件
+    const filePath = getStorage('local').getFilePath(fileName);
+    if (!filePath) {
       return sendErrorResponse(res, '文件不存在', 'FILE_NOT_FOUND', null, 404);
     }
     
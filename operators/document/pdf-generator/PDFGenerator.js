@@ -4,22 +4,137 @@
  * 核心功能：
  * 1. Markdown 模板解析和 JSON 数据填充
  * 2. 高质量 PDF 生成
- * 3. 平台存储上传（通过 GeniSpace SDK）
+ * 3. 文件存储上传（平台存储 / 本地 / S3，见 src/services/storage）
  * 4. 临时文件管理
  */
 
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const axios = require('axios');
-const puppeteer = require('puppeteer');
-const marked = require('marked');
 const Mustache = require('mustache');
+const { PDFDocument, PDFName, PDFDict, PDFArray, PDFRef } = require('pdf-lib');
 const { v4: uuidv4 } = require('uuid');
-const GeniSpace = require('genispace');
 const logger = require('../../../src/utils/logger');
+const { resolveStorage, deliverFile } = require('../../../src/services/storage');
+const { getBrowserPool } = require('../../../src/services/browser-pool');
+const { fetchText, readLocalFile, guardPage, checkUrl } = require('../../../src/utils/fetch-policy');
+const { renderTemplate } = require('../../../src/utils/template-engine');
+const { renderCharts } = require('../../../src/utils/chart-renderer');
+const { MarkdownRenderer, renderDiagrams } = require('../../../src/utils/markdown-renderer');
+const PDFPostProcessor = require('./PDFPostProcessor');
 const config = require('../../../src/config/env');
 
+// 页眉页脚模板中的内置变量，渲染后替换为 Chromium 打印时填充的元素
+const HEADER_FOOTER_VARIABLES = {
+  pageNumber: '<span class="pageNumber"></span>',
+  totalPages: '<span class="totalPages"></span>',
+  date: '<span class="date"></span>',
+  title: '<span class="title"></span>'
+};
+
+// 页眉页脚默认边距（需容纳页眉页脚内容）
+const DEFAULT_HEADER_FOOTER_MARGIN = '1.5cm';
+
+// 目录锚点前缀
+const TOC_ANCHOR_PREFIX = 'pdf-toc-';
+
+// 水印位置 => [纵向对齐, 横向对齐]（tile 为平铺，单独处理）
+const WATERMARK_POSITIONS = {
+  center: ['center', 'center'],
+  top: ['flex-start', 'center'],
+  bottom: ['flex-end', 'center'],
+  'top-left': ['flex-start', 'flex-start'],
+  'top-right': ['flex-start', 'flex-end'],
+  'bottom-left': ['flex-end', 'flex-start'],
+  'bottom-right': ['flex-end', 'flex-end']
+};
+
+// 图片输出格式 => [扩展名, MIME 类型]
+const IMAGE_FORMATS = {
+  png: ['png', 'image/png'],
+  jpeg: ['jpg', 'image/jpeg'],
+  webp: ['webp', 'image/webp']
+};
+
+// 按页拆分图片时的页数上限
+const MAX_IMAGE_PAGES = 50;
+
+/**
+ * 在页面开头插入目录（在浏览器中执行）
+ * 每个标题前插入锚点，目录项链接到锚点；Chromium 会为被链接的锚点生成 PDF 命名目标，
+ * 据此可从渲染结果中读取标题所在页码
+ * @param {Object} options - { title, depth, anchorPrefix }
+ * @returns {Array<Object>} 目录项 { anchor, level, text }
+ */
+function injectTableOfContents({ title, depth, anchorPrefix }) {
+  const selector = Array.from({ length: depth }, (_, index) => `h${index + 1}`).join(',');
+  const headings = Array.from(document.querySelectorAll(selector))
+    .filter(heading => heading.textContent.trim());
+  if (headings.length === 0) {
+    return [];
+  }
+
+  const style = document.createElement('style');
+  style.textContent = `
+    .pdf-toc { break-after: page; }
+    .pdf-toc-title { font-size: 1.6em; font-weight: bold; text-align: center; margin: 0 0 1em; }
+    .pdf-toc-item { display: flex; align-items: baseline; color: inherit; text-decoration: none; margin: 0.35em 0; }
+    .pdf-toc-leader { flex: 1; border-bottom: 1px dotted #999; margin: 0 0.5em; }
+    .pdf-toc-page { min-width: 2.5em; text-align: right; }
+  `;
+  document.head.appendChild(style);
+
+  const nav = document.createElement('nav');
+  nav.className = 'pdf-toc';
+  const navTitle = document.createElement('div');
+  navTitle.className = 'pdf-toc-title';
+  navTitle.textContent = title;
+  nav.appendChild(navTitle);
+
+  const levels = headings.map(heading => Number(heading.tagName.substring(1)));
+  const topLevel = Math.min(...levels);
+
+  const entries = headings.map((heading, index) => {
+    const anchor = `${anchorPrefix}${index}`;
+    const text = heading.textContent.trim();
+    const target = document.createElement('a');
+    target.id = anchor;
+    heading.insertBefore(target, heading.firstChild);
+
+    const item = document.createElement('a');
+    item.className = 'pdf-toc-item';
+    item.href = `#${anchor}`;
+    item.style.paddingLeft = `${(levels[index] - topLevel) * 1.5}em`;
+    if (levels[index] === topLevel) {
+      item.style.fontWeight = 'bold';
+    }
+    const label = document.createElement('span');
+    label.textContent = text;
+    const leader = document.createElement('span');
+    leader.className = 'pdf-toc-leader';
+    const pageNumber = document.createElement('span');
+    pageNumber.className = 'pdf-toc-page';
+    pageNumber.dataset.anchor = anchor;
+    item.append(label, leader, pageNumber);
+    nav.appendChild(item);
+
+    return { anchor, level: levels[index], text };
+  });
+
+  document.body.insertBefore(nav, document.body.firstChild);
+  return entries;
+}
+
+/**
+ * 填写目录页码（在浏览器中执行）
+ * @param {Object} pages - 锚点 => 页码
+ */
+function fillTableOfContentsPages(pages) {
+  document.querySelectorAll('.pdf-toc-page').forEach(element => {
+    element.textContent = pages[element.dataset.anchor] || '';
+  });
+}
+
 class PDFGenerator {
   constructor(config = {}) {
     this.config = {
@@ -39,6 +154,9 @@ class PDFGenerator {
         printBackground: true,
         preferCSSPageSize: true,
         displayHeaderFooter: false,
+        // 根据 h1-h6 生成 PDF 书签（需要生成带标签的 PDF）
+        outline: true,
+        tagged: true,
         ...config.defaultPdfOptions
       },
       
@@ -215,6 +333,9 @@ class PDFGenerator {
       ...config
     };
     
+    // Markdown 渲染器，config.markdown 可关闭代码高亮、公式等扩展（见 MarkdownRenderer）
+    this.markdownRenderer = new MarkdownRenderer(this.config.markdown);
+    
     // 确保目录存在
     this.ensureDirectories();
   }
@@ -230,40 +351,57 @@ class PDFGenerator {
     });
   }
   
-  /**
-   * 检查认证（必须提供 GeniSpace API Key）
-   * @param {Object} req - Express 请求对象
-   * @throws {Error} 如果缺少认证信息
-   */
-  checkAuth(req) {
-    if (!req || !req.genispace || !req.genispace.client) {
-      throw new Error('缺少认证信息，请在请求头中提供 GeniSpace API Key');
-    }
-  }
-  
   /**
    * 生成 PDF
    * @param {Object} options - 生成选项
    * @param {string} options.markdownTemplate - Markdown 模板内容或 URL
    * @param {Object} options.templateData - 填充模板的 JSON 数据
+   * @param {string} options.templateEngine - 模板引擎：mustache（默认）/ handlebars（见 src/utils/template-engine）
    * @param {string} options.fileName - 输出文件名（可选）
    * @param {Object} options.pdfOptions - PDF 生成选项（可选）
    * @param {string} options.cssStyles - 自定义 CSS 样式（可选）
-   * @param {Object} options.req - Express 请求对象（用于认证和 SDK 上传）
+   * @param {Object} options.metadata - PDF 文档信息（可选，见 setPDFMetadata）
+   * @param {Object|string} options.header - 页眉（可选，见 buildHeaderFooterOptions）
+   * @param {Object|string} options.footer - 页脚（可选，见 buildHeaderFooterOptions）
+   * @param {boolean} options.includeTOC - 是否插入目录页（可选）
+   * @param {string} options.tocTitle - 目录标题（可选）
+   * @param {number} options.tocDepth - 目录包含的标题层级（可选，默认 3）
+   * @param {Object} options.coverPage - 封面页数据（可选，见 buildCoverPageHTML）
+   * @param {Object} options.styleConfig - 样式配置（可选）
+   * @param {Object|string} options.watermark - 水印（可选，见 buildWatermarkHTML）
+   * @param {string} options.pdfa - 输出 PDF/A 级别（可选，1b / 2b / 3b）
+   * @param {Object} options.encryption - 加密选项（可选，见 PDFPostProcessor.encrypt）
+   * @param {string} options.delivery - 交付方式：upload（默认）/ inline / base64
+   * @param {string} options.storage - 存储驱动（可选，默认 STORAGE_DRIVER，仅 upload 时使用）
+   * @param {Object} options.req - Express 请求对象（用于认证和文件上传）
    * @returns {Promise<Object>} - 生成结果
    */
   async generatePDF(options) {
     const {
       markdownTemplate,
       templateData,
+      templateEngine,
       fileName,
       pdfOptions = {},
       cssStyles = '',
+      metadata = null,
+      header = null,
+      footer = null,
+      includeTOC = false,
+      tocTitle,
+      tocDepth,
+      coverPage = null,
+      styleConfig,
+      watermark = null,
+      pdfa = null,
+      encryption = null,
+      delivery = 'upload',
+      storage: storageName,
       req
     } = options;
     
-    // 检查认证
-    this.checkAuth(req);
+    // 确定存储驱动（平台存储需要认证），直接返回文件内容时无需存储
+    const storage = delivery === 'upload' ? resolveStorage(req, storageName) : null;
     
     logger.info('开始生成 PDF', {
       hasTemplate: !!markdownTemplate,
@@ -290,35 +428,49 @@ class PDFGenerator {
       const templateContent = await this.getTemplateContent(markdownTemplate);
       
       // 填充模板数据
-      const filledMarkdown = Mustache.render(templateContent, templateData);
+      const filledMarkdown = renderTemplate(templateContent, templateData, templateEngine);
       
       // 转换为 HTML
       const htmlContent = this.convertMarkdownToHTML(filledMarkdown, cssStyles);
       
       // 生成 PDF
-      const pdfPath = await this.generatePDFFromHTML(htmlContent, {}, finalFileName, pdfOptions);
+      const pdfPath = await this.generatePDFFromHTML(htmlContent, {}, finalFileName, pdfOptions, {
+        metadata, header, footer, templateData, templateEngine, includeTOC, tocTitle, tocDepth, coverPage, styleConfig,
+        watermark, user: req?.genispace?.user, pdfa, encryption, signal: req?.job?.signal
+      });
       
       // 获取 PDF 信息
       const fileStats = fs.statSync(pdfPath);
       const pageCount = await this.getPDFPageCount(pdfPath);
       
-      // 上传到平台存储
-      const pdfURL = await this.uploadToPlatformStorage(pdfPath, finalFileName, req);
+      // 上传到存储，或读取文件内容直接返回
+      const output = await deliverFile(pdfPath, {
+        delivery,
+        storage,
+        fileName: `${finalFileName}.pdf`,
+        mimeType: 'application/pdf',
+        folder: 'pdf-documents',
+        req
+      });
       
       // 清理临时文件
       this.cleanupFiles(pdfPath);
       
       const result = {
         success: true,
-        pdfURL,
+        ...(output.url && { pdfURL: output.url, storageProvider: output.provider }),
         pageCount,
         fileSize: fileStats.size,
         fileName: `${finalFileName}.pdf`,
-        storageProvider: 'platform',
+        ...(output.content && {
+          mimeType: 'application/pdf',
+          content: delivery === 'base64' ? output.content.toString('base64') : output.content
+        }),
         generatedAt: new Date().toISOString()
       };
       
-      logger.info('PDF 生成成功', result);
+      const { content, ...summary } = result;
+      logger.info('PDF 生成成功', summary);
       return result;
       
     } catch (error) {
@@ -329,18 +481,15 @@ class PDFGenerator {
   
   /**
    * 获取模板内容
-   * @param {string} template - 模板内容或 URL
+   * URL 和本地文件按外部资源访问策略（config.fetchPolicy）读取
+   * @param {string} template - 模板内容、URL 或模板目录内的文件路径
    * @returns {Promise<string>} - 模板内容
    */
   async getTemplateContent(template) {
     // 如果是 URL，下载内容
     if (template.startsWith('http://') || template.startsWith('https://')) {
       try {
-        const response = await axios.get(template, { 
-          responseType: 'text',
-          timeout: 10000 
-        });
-        return response.data;
+        return await fetchText(template);
       } catch (error) {
         throw new Error(`无法下载模板文件: ${error.message}`);
       }
@@ -348,15 +497,15 @@ class PDFGenerator {
     
     // 如果是本地文件路径（不包含换行符和 Markdown 语法），读取文件
     if (!template.includes('\n') && !template.includes('#') && (template.includes('/') || template.includes('\\'))) {
-      try {
-        return fs.readFileSync(template, 'utf8');
-      } catch (error) {
-        // 如果文件不存在，当作模板内容处理
-        logger.warn('文件不存在，将作为模板内容处理', { 
-          template: template.substring(0, 50) + '...' 
-        });
-        return template;
+      const content = readLocalFile(template);
+      if (content !== null) {
+        return content;
       }
+      // 文件不存在或不在模板目录内，当作模板内容处理
+      logger.warn('文件不存在，将作为模板内容处理', { 
+        template: template.substring(0, 50) + '...' 
+      });
+      return template;
     }
     
     // 直接返回模板内容
@@ -364,77 +513,14 @@ class PDFGenerator {
   }
   
   /**
-   * 转换 Markdown 为 HTML
+   * 转换 Markdown 为 HTML（代码高亮、数学公式、Mermaid 图、脚注、提示块和任务列表，见 markdown-renderer）
    * @param {string} markdown - Markdown 内容
    * @param {string} customCSS - 自定义 CSS 样式
    * @returns {string} - HTML 内容
    */
   convertMarkdownToHTML(markdown, customCSS = '') {
-    // 创建自定义渲染器（兼容 marked v16+）
-    const renderer = new marked.Renderer();
-    
-    // 自定义代码块渲染器
-    renderer.code = (code, language) => {
-          // 代码高亮处理
-          const lang = language || 'text';
-      return `<pre><code class="language-${lang}">${marked.escape(code)}</code></pre>`;
-    };
-    
-    // 自定义表格渲染器 - marked v16+ API
-    renderer.table = (header, body) => {
-      // header现在是整个表格对象，body在rows中
-      if (header && header.rows) {
-        // 生成表头
-        let thead = '<tr>';
-        header.rows[0].forEach(cell => {
-          const cellContent = this.parseTokens(cell.tokens);
-          const align = cell.align ? `style="text-align: ${cell.align};"` : '';
-          thead += `<th ${align}>${cellContent}</th>`;
-        });
-        thead += '</tr>';
-        
-        // 生成表体
-        let tbody = '';
-        for (let i = 1; i < header.rows.length; i++) {
-          tbody += '<tr>';
-          header.rows[i].forEach(cell => {
-            const cellContent = this.parseTokens(cell.tokens);
-            const align = cell.align ? `style="text-align: ${cell.align};"` : '';
-            tbody += `<td ${align}>${cellContent}</td>`;
-          });
-          tbody += '</tr>';
-        }
-        
-        return `<div class="table-container"><table><thead>${thead}</thead><tbody>${tbody}</tbody></table></div>`;
-        }
-      
-      // 后备方案：使用默认渲染器
-      return marked.Renderer.prototype.table.call(this, header, body);
-    };
-    
-    // 配置 marked 选项 - 使用默认渲染器以确保兼容性
-    const markedOptions = {
-      breaks: true,
-      gfm: true,
-      // 暂时使用默认渲染器，确保表格功能正常
-      // renderer: renderer
-    };
-    
-    const htmlBody = marked.parse(markdown, markedOptions);
-    const cssStyles = this.config.defaultCssStyles + '\n' + (customCSS || '');
-    
-    // 添加表格容器的CSS样式
-    const tableCSS = `
-      .table-container {
-        overflow-x: auto;
-        margin: 1em 0;
-      }
-      .table-container table {
-        border-collapse: collapse;
-        width: 100%;
-        display: table;
-      }
-    `;
+    const { html: htmlBody, css: markdownCSS } = this.markdownRenderer.render(markdown);
+    const cssStyles = [this.config.defaultCssStyles, markdownCSS, customCSS || ''].join('\n');
     
     return `
       <!DOCTYPE html>
@@ -443,7 +529,7 @@ class PDFGenerator {
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
         <title>Generated PDF</title>
-        <style>${cssStyles}\n${tableCSS}</style>
+        <style>${cssStyles}</style>
       </head>
       <body>
         ${htmlBody}
@@ -453,173 +539,1001 @@ class PDFGenerator {
   }
   
   /**
-   * 解析tokens为HTML字符串
-   * @param {Array} tokens - marked tokens数组
-   * @returns {string} - HTML字符串
+   * 动态检测 Chrome 路径
+   * @returns {string|undefined} - 可执行文件路径，未找到时使用 Puppeteer 自带的浏览器
    */
-  parseTokens(tokens) {
-    if (!tokens || !Array.isArray(tokens)) {
-      return '';
-    }
+  resolveExecutablePath() {
+    const chromePaths = [
+      process.env.PUPPETEER_EXECUTABLE_PATH,
+      process.env.CHROME_BIN,
+      "/Applications/Google Chrome.app/Contents/MacOS/Google Chrome",
+      "/usr/bin/google-chrome",
+      "/usr/bin/chromium-browser",
+      "/usr/bin/chromium"
+    ];
+    
+    return chromePaths.find(chromePath => chromePath && fs.existsSync(chromePath));
+  }
+  
+  /**
+   * 获取共享浏览器池（首次调用时按当前 Puppeteer 配置创建）
+   * @returns {BrowserPool}
+   */
+  getBrowserPool() {
+    const executablePath = this.resolveExecutablePath();
+    logger.debug('Puppeteer 启动配置', { executablePath, headless: this.config.puppeteerOptions.headless });
     
-    return tokens.map(token => {
-      switch (token.type) {
-        case 'text':
-          return token.text;
-        case 'strong':
-          return `<strong>${this.parseTokens(token.tokens)}</strong>`;
-        case 'em':
-          return `<em>${this.parseTokens(token.tokens)}</em>`;
-        case 'code':
-          return `<code>${marked.escape(token.text)}</code>`;
-        case 'link':
-          return `<a href="${token.href}" target="_blank">${this.parseTokens(token.tokens)}</a>`;
-        default:
-          return token.text || '';
+    return getBrowserPool({
+      ...this.config.puppeteerOptions,
+      executablePath
+    });
+  }
+  
+  /**
+   * 健康检查：读取浏览器池中浏览器的版本（无浏览器时启动一个，同时预热浏览器池），不占用渲染名额
+   * @returns {Promise<Object>} - { status, reason, details }
+   */
+  static async healthCheck() {
+    const generator = new PDFGenerator();
+    const executablePath = generator.resolveExecutablePath();
+    const pool = generator.getBrowserPool();
+    
+    try {
+      // 不借用页面，渲染占满并发名额时健康检查也不会排队超时
+      const version = await pool.getBrowserVersion();
+      const tools = await new PDFPostProcessor().checkTools();
+      const details = { browser: version, executablePath: executablePath || 'bundled', pool: pool.getStats(), ...tools };
+      
+      if (!tools.qpdf || !tools.ghostscript) {
+        return {
+          status: 'degraded',
+          reason: `未安装 ${[!tools.qpdf && 'qpdf', !tools.ghostscript && 'gs'].filter(Boolean).join('、')}，PDF 加密或 PDF/A 转换不可用`,
+          details
+        };
       }
-    }).join('');
+      
+      return { status: 'ok', details };
+    } catch (error) {
+      return {
+        status: 'down',
+        reason: `Chromium 无法启动: ${error.message}`,
+        details: { executablePath: executablePath || 'bundled', pool: pool.getStats() }
+      };
+    }
   }
   
   /**
-   * 从 HTML 模板生成 PDF
+   * 从 HTML 模板生成 PDF（<pre class="mermaid"> 在页面加载后渲染为 Mermaid 图）
    * @param {string} htmlTemplate - HTML 模板内容
    * @param {Object} templateData - 模板数据 (可选)
    * @param {string} fileName - 文件名（不含扩展名）
    * @param {Object} options - PDF 选项
+   * @param {Object} documentOptions - 文档选项 (可选)
+   * @param {Object} documentOptions.metadata - PDF 文档信息
+   * @param {Object|string} documentOptions.header - 页眉
+   * @param {Object|string} documentOptions.footer - 页脚
+   * @param {Object} documentOptions.templateData - 页眉页脚及图表使用的模板数据（默认使用 templateData）
+   * @param {string} documentOptions.templateEngine - 模板引擎：mustache（默认）/ handlebars，同时用于页眉页脚
+   * @param {boolean} documentOptions.includeTOC - 是否在文档开头插入目录页
+   * @param {string} documentOptions.tocTitle - 目录标题（默认“目  录”）
+   * @param {number} documentOptions.tocDepth - 目录包含的标题层级（1-6，默认 3）
+   * @param {Object} documentOptions.coverPage - 封面页数据（见 buildCoverPageHTML）
+   * @param {Object} documentOptions.styleConfig - 样式配置（与 Word 生成器一致）
+   * @param {Object|string} documentOptions.watermark - 水印（见 buildWatermarkHTML），叠加在输出的每一页（含封面）或仅首页
+   * @param {Object} documentOptions.user - 当前用户（req.genispace.user），水印文字中可用 {{user.name}} 等引用
+   * @param {string} documentOptions.pdfa - 输出 PDF/A 级别（1b / 2b / 3b）
+   * @param {Object} documentOptions.encryption - 加密选项（见 PDFPostProcessor.encrypt），不能与 pdfa 同时使用
+   * @param {AbortSignal} documentOptions.signal - 中止信号（异步任务的 req.job.signal），中止后停止渲染
    * @returns {Promise<string>} - PDF 文件路径
    */
-  async generatePDFFromHTML(htmlTemplate, templateData = {}, fileName, options = {}) {
-    const outputPath = path.join(this.config.outputDir, `${fileName}.pdf`);
-    
-    let browser;
+  async generatePDFFromHTML(htmlTemplate, templateData = {}, fileName, options = {}, documentOptions = {}) {
     try {
-      // 如果提供了模板数据，则使用 Mustache 处理模板
+      // 如果提供了模板数据，则使用模板引擎处理模板
       let htmlContent = htmlTemplate;
       if (templateData && Object.keys(templateData).length > 0) {
-        htmlContent = Mustache.render(htmlTemplate, templateData);
+        htmlContent = renderTemplate(htmlTemplate, templateData, documentOptions.templateEngine);
       }
       
-      // 动态检测 Chrome 路径
-      const chromePaths = [
-        process.env.PUPPETEER_EXECUTABLE_PATH,
-        process.env.CHROME_BIN,
-        "/Applications/Google Chrome.app/Contents/MacOS/Google Chrome",
-        "/usr/bin/google-chrome",
-        "/usr/bin/chromium-browser"
-      ];
+      // 图表块（```chart / <chart>）渲染为内联 SVG
+      htmlContent = renderCharts(htmlContent, documentOptions.templateData || templateData);
       
-      let executablePath;
-      for (const path of chromePaths) {
-        if (path && fs.existsSync(path)) {
-          executablePath = path;
-          break;
+      return await this._renderPDF(fileName, options, {
+        ...documentOptions,
+        templateData: documentOptions.templateData || templateData
+      }, {
+        load: async (page) => {
+          await page.setContent(htmlContent, {
+            waitUntil: 'networkidle0',
+            timeout: 30000
+          });
+          await renderDiagrams(page);
         }
-      }
+      });
       
-      const launchOptions = {
-        ...this.config.puppeteerOptions,
-        executablePath
-      };
+    } catch (error) {
+      logger.error('PDF 生成失败', { error: error.stack });
+      throw new Error(`PDF 生成失败: ${error.message}`);
+    }
+  }
+  
+  /**
+   * 打开网页生成 PDF（内部看板等），页面及其加载的资源只能来自 config.urlRendering 允许的主机
+   * @param {string} url - 网页地址
+   * @param {string} fileName - 文件名（不含扩展名）
+   * @param {Object} options - PDF 选项
+   * @param {Object} documentOptions - 文档选项，同 generatePDFFromHTML（页眉页脚模板数据为 templateData，默认为空）
+   * @param {Object} pageOptions - 页面加载选项
+   * @param {Array<Object>} pageOptions.cookies - 访问前设置的 Cookie { name, value, domain, path, ... }（默认使用网页的域名）
+   * @param {Object} pageOptions.headers - 附加的请求头（如 Authorization）
+   * @param {Object} pageOptions.viewport - 视口尺寸 { width, height }（默认 1280×800）
+   * @param {string} pageOptions.mediaType - 按 print（默认）或 screen 样式排版
+   * @param {Object} pageOptions.waitFor - 就绪条件（见 _waitForPage）
+   * @returns {Promise<string>} - PDF 文件路径
+   */
+  async generatePDFFromURL(url, fileName, options = {}, documentOptions = {}, pageOptions = {}) {
+    const {
+      cookies = [],
+      headers = {},
+      viewport = {},
+      mediaType = 'print',
+      waitFor = {}
+    } = pageOptions;
+    const policy = await this.checkRenderURL(url);
+    
+    try {
+      return await this._renderPDF(fileName, options, documentOptions, {
+        policy,
+        // Cookie、请求头及网页写入的存储只存在于本次渲染的独立浏览器上下文中，渲染结束即销毁
+        isolated: true,
+        load: async (page) => {
+          await page.setViewport({ width: viewport.width || 1280, height: viewport.height || 800 });
+          await page.emulateMediaType(mediaType);
+          await page.setExtraHTTPHeaders(headers);
+          if (cookies.length > 0) {
+            await page.setCookie(...cookies.map(cookie => ({
+              ...cookie,
+              ...(!cookie.domain && !cookie.url && { url })
+            })));
+          }
+          
+          await page.goto(url, { waitUntil: waitFor.waitUntil || 'networkidle0', timeout: this._waitTimeout(waitFor) });
+          await this._waitForPage(page, waitFor);
+        }
+      });
       
-      logger.debug('Puppeteer 启动配置', { executablePath, headless: launchOptions.headless });
+    } catch (error) {
+      logger.error('网页转 PDF 失败', { url, error: error.stack });
+      throw new Error(`网页转 PDF 失败: ${error.message}`);
+    }
+  }
+  
+  /**
+   * 检查网页是否允许渲染（config.urlRendering 的允许列表，列表中的主机可以是内网地址）
+   * @param {string} url - 网页地址
+   * @returns {Promise<Object>} - 页面资源访问策略
+   * @throws {Error} 不允许访问时 code 为 SOURCE_NOT_ALLOWED
+   */
+  async checkRenderURL(url) {
+    const { allowedHosts, allowPrivateNetwork } = config.urlRendering;
+    if (allowedHosts.length === 0) {
+      throw new Error('未配置允许渲染的站点（PDF_URL_ALLOWED_HOSTS）');
+    }
+    
+    const policy = { ...config.fetchPolicy, allowedHosts, allowPrivateNetwork };
+    await checkUrl(url, policy);
+    return policy;
+  }
+  
+  /**
+   * 按模板或网页加载页面后生成 PDF：目录、首页页眉页脚、封面、水印及文档信息、PDF/A 和加密后处理
+   * @param {string} fileName - 文件名（不含扩展名）
+   * @param {Object} options - PDF 选项
+   * @param {Object} documentOptions - 文档选项（见 generatePDFFromHTML）
+   * @param {Object} loader - 页面加载方式
+   * @param {function} loader.load - async (page) => void，加载页面内容
+   * @param {boolean} loader.isolated - 在新建的浏览器上下文中渲染（不共享 Cookie 和存储），完成后关闭该上下文
+   * @param {Object} loader.policy - 页面资源访问策略（默认 config.fetchPolicy）
+   * @returns {Promise<string>} - PDF 文件路径
+   * @private
+   */
+  async _renderPDF(fileName, options, documentOptions, { load, isolated = false, policy }) {
+    const outputPath = path.join(this.config.outputDir, `${fileName}.pdf`);
+    const {
+      metadata = null,
+      header = null,
+      footer = null,
+      templateData = {},
+      templateEngine,
+      includeTOC = false,
+      tocTitle = '目  录',
+      tocDepth = 3,
+      coverPage = null,
+      styleConfig = {},
+      watermark = null,
+      user = null,
+      pdfa = null,
+      encryption = null,
+      signal
+    } = documentOptions;
+    
+    // 页眉页脚
+    const headerFooter = this.buildHeaderFooterOptions(header, footer, {
+      templateData,
+      templateEngine,
+      title: metadata?.title,
+      margin: options.margin
+    });
+    
+    // 合并 PDF 选项
+    const pdfOptions = {
+      ...this.config.defaultPdfOptions,
+      ...options,
+      ...headerFooter.pdfOptions,
+      path: outputPath
+    };
+    
+    const watermarkSettings = this._normalizeWatermark(watermark);
+    
+    // 从浏览器池借用页面渲染，完成后归还
+    let firstPage = null;
+    let cover = null;
+    let watermarkLayer = null;
+    await this.getBrowserPool().withPage(async (pooledPage) => {
+      // 独立上下文中的页面仍占用浏览器池的并发名额，上下文随渲染结束关闭
+      const context = isolated ? await pooledPage.browser().createBrowserContext() : null;
+      const page = context ? await context.newPage() : pooledPage;
+      // 中止时浏览器池只关闭借用的页面，独立上下文中的页面随上下文一起关闭
+      const closeContext = () => context?.close().catch(() => {});
+      signal?.addEventListener('abort', closeContext, { once: true });
+      // 页面只能加载访问策略允许的资源（禁止 file:// 和内网地址），归还页面前解除拦截
+      const releaseGuard = await guardPage(page, policy);
+      try {
+        await load(page);
       
-      // 启动 Puppeteer 浏览器
-      browser = await puppeteer.launch(launchOptions);
+        if (includeTOC) {
+          await this._renderTableOfContents(page, pdfOptions, { title: tocTitle, depth: tocDepth });
+        }
       
-      const page = await browser.newPage();
+        await page.pdf(pdfOptions);
       
-      // 设置页面内容
-      await page.setContent(htmlContent, { 
-        waitUntil: 'networkidle0',
-        timeout: 30000 
-      });
+        // 首页不显示页眉/页脚时，以相同边距单独渲染首页（排版与整份文档一致）
+        // 有封面时首页即封面，封面本身不含页眉页脚
+        if (headerFooter.firstPageOptions && !coverPage) {
+          firstPage = await page.pdf({
+            ...pdfOptions,
+            ...headerFooter.firstPageOptions,
+            pageRanges: '1',
+            path: undefined
+          });
+        }
       
-      // 合并 PDF 选项
-      const pdfOptions = {
-        ...this.config.defaultPdfOptions,
-        ...options,
-        path: outputPath
-      };
+        // 封面无边距、无页眉页脚，单独渲染后插入到最前面（不参与正文页码）
+        if (coverPage) {
+          await page.setContent(this.buildCoverPageHTML(coverPage, styleConfig), { waitUntil: 'load' });
+          cover = await page.pdf({
+            format: pdfOptions.format,
+            width: pdfOptions.width,
+            height: pdfOptions.height,
+            landscape: pdfOptions.landscape,
+            printBackground: true,
+            margin: { top: 0, right: 0, bottom: 0, left: 0 },
+            pageRanges: '1'
+          });
+        }
       
-      // 生成 PDF
-      await page.pdf(pdfOptions);
+        // 水印单独渲染为透明背景的单页 PDF，生成完成后叠加到各页，文字可使用页面字体（含中文）
+        if (watermarkSettings) {
+          const watermarkHTML = this.buildWatermarkHTML(watermarkSettings, {
+            templateData,
+            templateEngine,
+            user
+          });
+          await page.setContent(watermarkHTML, { waitUntil: 'networkidle0', timeout: 30000 });
+          watermarkLayer = await page.pdf({
+            format: pdfOptions.format,
+            width: pdfOptions.width,
+            height: pdfOptions.height,
+            landscape: pdfOptions.landscape,
+            printBackground: true,
+            omitBackground: true,
+            margin: { top: 0, right: 0, bottom: 0, left: 0 },
+            pageRanges: '1'
+          });
+        }
+      } finally {
+        signal?.removeEventListener('abort', closeContext);
+        await releaseGuard();
+        if (context) {
+          await context.close().catch(error => {
+            logger.warn('关闭浏览器上下文失败', { error: error.message });
+          });
+        }
+      }
+    }, { signal });
+    
+    if (firstPage) {
+      await this.replaceFirstPage(outputPath, firstPage);
+    }
+    
+    if (cover) {
+      await this.prependCoverPage(outputPath, cover);
+    }
+    
+    if (watermarkLayer) {
+      await this.applyWatermark(outputPath, watermarkLayer, watermarkSettings.pages);
+    }
+    
+    if (metadata) {
+      await this.setPDFMetadata(outputPath, metadata);
+    }
+    
+    // 后处理放在最后：PDF/A 转换和加密后的文件不再用 pdf-lib 改写
+    if (pdfa || encryption) {
+      await new PDFPostProcessor().process(outputPath, { pdfa, encryption });
+    }
+    
+    logger.info('PDF 文件生成完成', { outputPath });
+    return outputPath;
+  }
+  
+  /**
+   * 从 HTML 生成图片（与 PDF 相同的模板渲染、图表、Mermaid 图和资源访问策略）
+   * @param {string} htmlTemplate - HTML 模板内容
+   * @param {Object} templateData - 模板数据 (可选)
+   * @param {string} fileName - 文件名（不含扩展名）
+   * @param {Object} options - 图片选项
+   * @param {string} options.outputFormat - 图片格式：png（默认）/ jpeg / webp
+   * @param {Object} options.viewport - 视口尺寸 { width, height }（默认 1200×800）
+   * @param {number} options.deviceScaleFactor - 设备像素比（默认 1，2 为高清图）
+   * @param {boolean} options.fullPage - 截取整个页面（默认 true），false 时只截取视口
+   * @param {string} options.selector - 只截取匹配的第一个元素（CSS 选择器）
+   * @param {boolean} options.splitPages - 按 pageHeight 将截取区域拆分为多张图片
+   * @param {number} options.pageHeight - 拆分时每张图片的高度（CSS 像素，默认视口高度）
+   * @param {number} options.quality - 图片质量 0-100（仅 jpeg / webp）
+   * @param {boolean} options.omitBackground - 透明背景（仅 png / webp）
+   * @param {Object} documentOptions - 文档选项 (可选)
+   * @param {Object} documentOptions.templateData - 图表使用的模板数据（默认使用 templateData）
+   * @param {string} documentOptions.templateEngine - 模板引擎：mustache（默认）/ handlebars
+   * @param {AbortSignal} documentOptions.signal - 中止信号（异步任务的 req.job.signal），中止后停止截图
+   * @returns {Promise<Array<Object>>} - 图片 { path, width, height }（像素，已乘以设备像素比）
+   */
+  async generateImageFromHTML(htmlTemplate, templateData = {}, fileName, options = {}, documentOptions = {}) {
+    const {
+      outputFormat = 'png',
+      viewport = {},
+      deviceScaleFactor = 1,
+      fullPage = true,
+      selector = null,
+      splitPages = false,
+      pageHeight = null,
+      quality,
+      omitBackground = false
+    } = options;
+    
+    const [extension] = IMAGE_FORMATS[outputFormat] || [];
+    if (!extension) {
+      throw new Error(`不支持的图片格式: ${outputFormat}，可选值: ${Object.keys(IMAGE_FORMATS).join(', ')}`);
+    }
+    
+    const width = viewport.width || 1200;
+    const height = viewport.height || 800;
+    
+    try {
+      let htmlContent = htmlTemplate;
+      if (templateData && Object.keys(templateData).length > 0) {
+        htmlContent = renderTemplate(htmlTemplate, templateData, documentOptions.templateEngine);
+      }
+      htmlContent = renderCharts(htmlContent, documentOptions.templateData || templateData);
+      
+      const images = await this.getBrowserPool().withPage(async (page) => {
+        // 页面归还后会被其他请求复用，截图完成后恢复原视口
+        const previousViewport = page.viewport();
+        const releaseGuard = await guardPage(page);
+        try {
+          await page.setViewport({ width, height, deviceScaleFactor });
+          await page.setContent(htmlContent, { waitUntil: 'networkidle0', timeout: 30000 });
+          await renderDiagrams(page);
+          
+          const region = await this._resolveScreenshotRegion(page, { selector, fullPage, width, height });
+          const segments = splitPages ? this._splitRegion(region, pageHeight || height) : [region];
+          
+          const results = [];
+          for (const clip of segments) {
+            const data = await page.screenshot({
+              type: outputFormat,
+              clip,
+              captureBeyondViewport: true,
+              omitBackground: omitBackground && outputFormat !== 'jpeg',
+              ...(outputFormat !== 'png' && quality !== undefined && { quality })
+            });
+            results.push({ data, width: Math.round(clip.width * deviceScaleFactor), height: Math.round(clip.height * deviceScaleFactor) });
+          }
+          return results;
+        } finally {
+          await releaseGuard();
+          if (previousViewport) {
+            await page.setViewport(previousViewport);
+          }
+        }
+      }, { signal: documentOptions.signal });
+      
+      const outputs = [];
+      for (const [index, image] of images.entries()) {
+        const suffix = splitPages ? `_${index + 1}` : '';
+        const outputPath = path.join(this.config.outputDir, `${fileName}${suffix}.${extension}`);
+        await fs.promises.writeFile(outputPath, image.data);
+        outputs.push({ path: outputPath, width: image.width, height: image.height });
+      }
       
-      logger.info('PDF 文件生成完成', { outputPath });
-      return outputPath;
+      logger.info('图片生成完成', { outputFormat, count: outputs.length });
+      return outputs;
       
     } catch (error) {
-      logger.error('PDF 生成失败', { error: error.stack });
-      throw new Error(`PDF 生成失败: ${error.message}`);
-    } finally {
-      if (browser) {
-        await browser.close();
+      logger.error('图片生成失败', { error: error.stack });
+      throw error;
+    }
+  }
+  
+  /**
+   * 生成页眉页脚的 PDF 选项
+   *
+   * 页眉页脚为 HTML 模板，与正文使用相同的模板引擎，可使用请求的模板数据以及内置变量
+   * {{pageNumber}}、{{totalPages}}、{{date}}、{{title}}（提供 metadata.title 时为该标题，否则为 HTML 文档标题）
+   *
+   * @param {Object|string|null} header - 页眉模板，或 { template, margin, showOnFirstPage }
+   * @param {Object|string|null} footer - 页脚模板，或 { template, margin, showOnFirstPage }
+   * @param {Object} context - 渲染上下文
+   * @param {Object} context.templateData - 模板数据
+   * @param {string} context.templateEngine - 模板引擎（可选，默认 mustache）
+   * @param {string} context.title - 文档标题（可选）
+   * @param {Object} context.margin - 调用方指定的页面边距（可选）
+   * @returns {{pdfOptions: Object, firstPageOptions: Object|null}} firstPageOptions 为首页单独使用的选项，不需要时为 null
+   */
+  buildHeaderFooterOptions(header, footer, { templateData = {}, templateEngine, title = null, margin = {} } = {}) {
+    const headerConfig = this._normalizeHeaderFooter(header);
+    const footerConfig = this._normalizeHeaderFooter(footer);
+    
+    if (!headerConfig && !footerConfig) {
+      return { pdfOptions: {}, firstPageOptions: null };
+    }
+    
+    const view = {
+      ...templateData,
+      ...HEADER_FOOTER_VARIABLES,
+      ...(title && { title })
+    };
+    // 未提供的一侧使用空模板，避免 Chromium 输出默认的日期和标题
+    const emptyTemplate = '<span></span>';
+    
+    const pdfOptions = {
+      displayHeaderFooter: true,
+      headerTemplate: headerConfig ? this._renderHeaderFooter(headerConfig.template, view, templateEngine) : emptyTemplate,
+      footerTemplate: footerConfig ? this._renderHeaderFooter(footerConfig.template, view, templateEngine) : emptyTemplate,
+      margin: {
+        ...this.config.defaultPdfOptions.margin,
+        ...margin,
+        ...(headerConfig && { top: headerConfig.margin || margin?.top || DEFAULT_HEADER_FOOTER_MARGIN }),
+        ...(footerConfig && { bottom: footerConfig.margin || margin?.bottom || DEFAULT_HEADER_FOOTER_MARGIN })
+      }
+    };
+    
+    const hideHeader = headerConfig && !headerConfig.showOnFirstPage;
+    const hideFooter = footerConfig && !footerConfig.showOnFirstPage;
+    const firstPageOptions = hideHeader || hideFooter ? {
+      headerTemplate: hideHeader ? emptyTemplate : pdfOptions.headerTemplate,
+      footerTemplate: hideFooter ? emptyTemplate : pdfOptions.footerTemplate
+    } : null;
+    
+    return { pdfOptions, firstPageOptions };
+  }
+  
+  /**
+   * 用单独渲染的首页替换 PDF 第一页的内容
+   * 只替换页面内容，保留页面对象本身，书签、目录链接等指向首页的引用仍然有效
+   * @param {string} pdfPath - PDF 文件路径
+   * @param {Uint8Array} firstPageBytes - 只含首页的 PDF
+   */
+  async replaceFirstPage(pdfPath, firstPageBytes) {
+    const pdfDoc = await this.loadPDF(pdfPath);
+    const [embeddedPage] = await pdfDoc.embedPdf(firstPageBytes, [0]);
+    const page = pdfDoc.getPage(0);
+    
+    page.node.set(PDFName.of('Contents'), pdfDoc.context.obj([]));
+    page.drawPage(embeddedPage);
+    await fs.promises.writeFile(pdfPath, await pdfDoc.save());
+  }
+  
+  /**
+   * 将封面插入为 PDF 第一页
+   * @param {string} pdfPath - PDF 文件路径
+   * @param {Uint8Array} coverBytes - 只含封面的 PDF
+   */
+  async prependCoverPage(pdfPath, coverBytes) {
+    const pdfDoc = await this.loadPDF(pdfPath);
+    const coverDoc = await PDFDocument.load(coverBytes, { updateMetadata: false });
+    const [coverPage] = await pdfDoc.copyPages(coverDoc, [0]);
+    
+    pdfDoc.insertPage(0, coverPage);
+    await fs.promises.writeFile(pdfPath, await pdfDoc.save());
+  }
+  
+  /**
+   * 将水印层叠加到 PDF 页面上
+   * @param {string} pdfPath - PDF 文件路径
+   * @param {Uint8Array} layerBytes - 只含水印层的单页 PDF
+   * @param {string} pages - all（每一页，默认）/ first（仅首页）
+   */
+  async applyWatermark(pdfPath, layerBytes, pages = 'all') {
+    const pdfDoc = await this.loadPDF(pdfPath);
+    const [layer] = await pdfDoc.embedPdf(layerBytes, [0]);
+    const targets = pages === 'first' ? [pdfDoc.getPage(0)] : pdfDoc.getPages();
+    
+    targets.forEach(page => {
+      page.drawPage(layer, { x: 0, y: 0, width: page.getWidth(), height: page.getHeight() });
+    });
+    await fs.promises.writeFile(pdfPath, await pdfDoc.save());
+  }
+  
+  /**
+   * 生成封面页 HTML
+   * 版式与 Word 生成器的封面一致：整页背景色，居中显示标题、副标题、公司名称、版本、部门、编制人和日期
+   * @param {Object} coverData - 封面数据 { title, subtitle, companyName, version, date, author, department }
+   * @param {Object} styleConfig - 样式配置 { primaryColor, coverBackgroundColor, coverTextColor, coverTextLightColor, fontFamily }
+   * @returns {string} - 封面 HTML
+   */
+  buildCoverPageHTML(coverData = {}, styleConfig = {}) {
+    const {
+      title = '文档标题',
+      subtitle = '',
+      companyName = '',
+      version = '',
+      date = new Date().toLocaleDateString('zh-CN'),
+      author = '',
+      department = ''
+    } = coverData;
+    
+    const colors = {
+      background: this._cssColor(styleConfig.coverBackgroundColor || styleConfig.primaryColor, '1a5490'),
+      text: this._cssColor(styleConfig.coverTextColor, 'FFFFFF'),
+      textLight: this._cssColor(styleConfig.coverTextLightColor, 'FFFFFF')
+    };
+    const fontFamily = (styleConfig.fontFamily || 'Microsoft YaHei').replace(/['"\\;{}<>]/g, '');
+    const escape = Mustache.escape;
+    
+    const lines = [
+      `<div class="cover-title">${escape(title)}</div>`,
+      subtitle && `<div class="cover-subtitle">${escape(subtitle)}</div>`,
+      companyName && `<div class="cover-company">${escape(companyName)}</div>`,
+      version && `<div class="cover-meta">版本：${escape(version)}</div>`,
+      department && `<div class="cover-meta">${escape(department)}</div>`,
+      author && `<div class="cover-meta">编制：${escape(author)}</div>`,
+      `<div class="cover-meta">${escape(date)}</div>`
+    ].filter(Boolean);
+    
+    return `
+      <!DOCTYPE html>
+      <html lang="zh-CN">
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          @page { margin: 0; }
+          html, body { margin: 0; padding: 0; height: 100%; }
+          .cover {
+            box-sizing: border-box;
+            height: 100vh;
+            padding: 0 2cm;
+            display: flex;
+            flex-direction: column;
+            justify-content: center;
+            align-items: center;
+            text-align: center;
+            overflow: hidden;
+            background: ${colors.background};
+            color: ${colors.text};
+            font-family: '${fontFamily}', 'Noto Sans CJK SC', 'Noto Sans', sans-serif;
+            -webkit-print-color-adjust: exact;
+            print-color-adjust: exact;
+          }
+          .cover-title { font-size: 28pt; font-weight: bold; margin-bottom: 30pt; }
+          .cover-subtitle { font-size: 14pt; font-style: italic; color: ${colors.textLight}; margin-bottom: 90pt; }
+          .cover-company { font-size: 16pt; font-weight: bold; margin-bottom: 200pt; }
+          .cover-meta { font-size: 11pt; margin-bottom: 10pt; }
+        </style>
+      </head>
+      <body>
+        <div class="cover">
+          ${lines.join('\n          ')}
+        </div>
+      </body>
+      </html>
+    `;
+  }
+  
+  /**
+   * 生成水印层 HTML（整页透明背景，渲染为单页 PDF 后叠加到各页）
+   *
+   * 水印为文字或图片：
+   * - text: 文字模板，与正文使用相同的模板引擎，可使用 templateData 中的数据、{{user.name}} 等当前用户信息
+   *   （req.genispace.user，未认证时为空）及 {{now}}（生成时间）
+   * - image: 图片地址（http/https 或 data URI，按外部资源访问策略加载）
+   * - opacity: 不透明度 0-1（文字默认 0.15，图片默认 0.3）
+   * - rotation: 旋转角度（文字默认 -45，图片默认 0）
+   * - position: center（默认）/ top / bottom / top-left / top-right / bottom-left / bottom-right / tile（平铺）
+   * - fontSize: 文字字号（pt，默认 72，平铺时 32）；color: 文字颜色（十六进制，默认 999999）
+   * - width: 图片宽度（CSS 长度，默认 8cm）
+   * - pages: all（每一页，默认）/ first（仅首页）
+   *
+   * @param {Object} watermark - 水印设置（_normalizeWatermark 的结果）
+   * @param {Object} context - 渲染上下文
+   * @param {Object} context.templateData - 模板数据
+   * @param {string} context.templateEngine - 模板引擎（可选，默认 mustache）
+   * @param {Object} context.user - 当前用户（可选）
+   * @returns {string} - HTML
+   */
+  buildWatermarkHTML(watermark, { templateData = {}, templateEngine, user = null } = {}) {
+    const isImage = !watermark.text;
+    const tile = watermark.position === 'tile';
+    const [alignItems, justifyContent] = WATERMARK_POSITIONS[watermark.position] || WATERMARK_POSITIONS.center;
+    const opacity = Math.min(Math.max(Number(watermark.opacity ?? (isImage ? 0.3 : 0.15)), 0), 1);
+    const rotation = Number(watermark.rotation ?? (isImage ? 0 : -45)) || 0;
+    const fontSize = Number(watermark.fontSize) || (tile ? 32 : 72);
+    const width = String(watermark.width || '8cm').replace(/['"\\;{}<>]/g, '');
+    
+    let content;
+    if (isImage) {
+      content = `<img src="${Mustache.escape(watermark.image)}" alt="">`;
+    } else {
+      const view = {
+        ...templateData,
+        user: user || {},
+        now: new Date().toLocaleString('zh-CN', { hour12: false })
+      };
+      content = renderTemplate(watermark.text, view, templateEngine);
+    }
+    
+    // 平铺时按 3 列 4 行重复排列，其他位置与页面边缘保持间距
+    const items = tile ?
+      Array.from({ length: 12 }, () => `<div class="watermark">${content}</div>`).join('') :
+      `<div class="watermark">${content}</div>`;
+    const layout = tile ?
+      'display: grid; grid-template-columns: repeat(3, 1fr); grid-template-rows: repeat(4, 1fr); place-items: center;' :
+      `display: flex; align-items: ${alignItems}; justify-content: ${justifyContent};`;
+    
+    return `
+      <!DOCTYPE html>
+      <html lang="zh-CN">
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          @page { margin: 0; }
+          html, body { margin: 0; padding: 0; height: 100%; background: transparent; }
+          .layer {
+            box-sizing: border-box;
+            height: 100vh;
+            padding: 1.5cm;
+            overflow: hidden;
+            ${layout}
+          }
+          .watermark {
+            opacity: ${opacity};
+            transform: rotate(${rotation}deg);
+            color: ${this._cssColor(watermark.color, '999999')};
+            font-size: ${fontSize}pt;
+            font-weight: bold;
+            font-family: 'Noto Sans CJK SC', 'Noto Sans', sans-serif;
+            white-space: nowrap;
+            text-align: center;
+          }
+          .watermark img { display: block; width: ${width}; }
+        </style>
+      </head>
+      <body>
+        <div class="layer">${items}</div>
+      </body>
+      </html>
+    `;
+  }
+  
+  /**
+   * 读取 PDF 命名目标所在页码
+   * @param {Uint8Array} pdfBytes - PDF 内容
+   * @returns {Promise<Object>} 目标名称 => 页码（从 1 开始）
+   */
+  async getNamedDestinationPages(pdfBytes) {
+    const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false, ignoreEncryption: true });
+    const pageRefs = pdfDoc.getPages().map(page => page.ref);
+    const pages = {};
+    
+    const addDestination = (name, destination) => {
+      let value = destination instanceof PDFRef ? pdfDoc.context.lookup(destination) : destination;
+      if (value instanceof PDFDict) {
+        value = value.lookup(PDFName.of('D'));
+      }
+      if (value instanceof PDFArray) {
+        const pageIndex = pageRefs.indexOf(value.get(0));
+        if (pageIndex >= 0) {
+          pages[name] = pageIndex + 1;
+        }
+      }
+    };
+    
+    // 目录字典中的 Dests（Chromium 使用此形式）
+    const dests = pdfDoc.catalog.lookupMaybe(PDFName.of('Dests'), PDFDict);
+    if (dests) {
+      dests.entries().forEach(([name, destination]) => addDestination(name.decodeText(), destination));
+    }
+    
+    // 名称树 Names/Dests
+    const names = pdfDoc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+    const destTree = names && names.lookupMaybe(PDFName.of('Dests'), PDFDict);
+    if (destTree) {
+      this._walkNameTree(destTree, addDestination);
+    }
+    
+    return pages;
+  }
+  
+  /**
+   * 插入目录并填写页码
+   * 先以插入目录后的排版渲染一次，从命名目标中读取各标题页码；
+   * 页码区域预留了宽度，填写页码不会改变目录及正文的分页
+   * @private
+   */
+  async _renderTableOfContents(page, pdfOptions, { title, depth }) {
+    const entries = await page.evaluate(injectTableOfContents, {
+      title,
+      depth,
+      anchorPrefix: TOC_ANCHOR_PREFIX
+    });
+    if (entries.length === 0) {
+      logger.debug('文档中没有标题，跳过目录');
+      return;
+    }
+    
+    const draft = await page.pdf({ ...pdfOptions, path: undefined });
+    const pages = await this.getNamedDestinationPages(draft);
+    
+    const missing = entries.filter(entry => !pages[entry.anchor]);
+    if (missing.length > 0) {
+      logger.warn('部分目录项无法确定页码', { missing: missing.map(entry => entry.text) });
+    }
+    
+    await page.evaluate(fillTableOfContentsPages, pages);
+    logger.debug('已插入目录', { entries: entries.length });
+  }
+  
+  /**
+   * 遍历 PDF 名称树
+   * @private
+   */
+  _walkNameTree(node, callback) {
+    const names = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+    if (names) {
+      for (let index = 0; index + 1 < names.size(); index += 2) {
+        const name = names.lookup(index);
+        if (name && typeof name.decodeText === 'function') {
+          callback(name.decodeText(), names.get(index + 1));
+        }
+      }
+    }
+    
+    const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+    if (kids) {
+      for (let index = 0; index < kids.size(); index++) {
+        const kid = kids.lookup(index, PDFDict);
+        this._walkNameTree(kid, callback);
       }
     }
   }
   
+  /**
+   * 样式配置中的颜色（十六进制，可不含 #），无效时使用默认值
+   * @private
+   */
+  _cssColor(value, fallback) {
+    const color = /^#?([0-9a-fA-F]{3}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/.test(value || '') ? value : fallback;
+    return `#${color.replace(/^#/, '')}`;
+  }
+  
+  /**
+   * @private
+   */
+  _normalizeHeaderFooter(value) {
+    if (!value) {
+      return null;
+    }
+    const settings = typeof value === 'string' ? { template: value } : value;
+    if (!settings.template) {
+      return null;
+    }
+    return { showOnFirstPage: true, ...settings };
+  }
+  
+  /**
+   * 水印参数：字符串为文字水印，未提供文字或图片时不加水印
+   * @private
+   */
+  _normalizeWatermark(value) {
+    if (!value) {
+      return null;
+    }
+    const settings = typeof value === 'string' ? { text: value } : value;
+    if (!settings.text && !settings.image) {
+      return null;
+    }
+    return { position: 'center', pages: 'all', ...settings };
+  }
+  
+  /**
+   * 渲染页眉页脚模板
+   * Chromium 的页眉页脚默认字号极小且不继承页面样式，这里包一层默认样式
+   * @private
+   */
+  _renderHeaderFooter(template, view, templateEngine) {
+    // 内置变量在模板渲染时会被转义，先渲染为占位符再替换
+    const placeholders = {};
+    const placeholderView = { ...view };
+    Object.keys(HEADER_FOOTER_VARIABLES).forEach(name => {
+      if (view[name] === HEADER_FOOTER_VARIABLES[name]) {
+        placeholders[name] = `__PDF_${name.toUpperCase()}__`;
+        placeholderView[name] = placeholders[name];
+      }
+    });
+    
+    let html = renderTemplate(template, placeholderView, templateEngine);
+    Object.entries(placeholders).forEach(([name, placeholder]) => {
+      html = html.split(placeholder).join(HEADER_FOOTER_VARIABLES[name]);
+    });
+    
+    return `<div style="width: 100%; padding: 0 1cm; font-size: 9px; color: #666; font-family: 'Noto Sans CJK SC', 'Noto Sans', sans-serif; -webkit-print-color-adjust: exact;">${html}</div>`;
+  }
+  
+  /**
+   * 等待网页就绪：页面加载（goto 的 waitUntil）后依次等待元素出现、就绪函数返回真值，最后再等待 delay 毫秒（如图表动画）
+   * @param {Object} page - Puppeteer 页面
+   * @param {Object} waitFor - 就绪条件
+   * @param {string} waitFor.waitUntil - 页面加载完成的判断：load / domcontentloaded / networkidle0（默认）/ networkidle2
+   * @param {string} waitFor.selector - 等待可见的元素（CSS 选择器）
+   * @param {string} waitFor.function - 在页面中执行的 JS 表达式，返回真值时就绪（如 window.dashboardReady === true）
+   * @param {number} waitFor.delay - 额外等待的毫秒数（最多 10000）
+   * @param {number} waitFor.timeout - 每个等待条件的超时（毫秒，默认 30000，不超过 config.urlRendering.maxTimeout）
+   * @private
+   */
+  async _waitForPage(page, waitFor = {}) {
+    const { selector, function: readyFunction, delay } = waitFor;
+    const timeout = this._waitTimeout(waitFor);
+    const onTimeout = condition => (error) => {
+      throw error.name === 'TimeoutError' ? new Error(`等待${condition}超时（${timeout}ms）`) : error;
+    };
+    
+    if (selector) {
+      await page.waitForSelector(selector, { visible: true, timeout }).catch(onTimeout(`元素 ${selector} 出现`));
+    }
+    if (readyFunction) {
+      await page.waitForFunction(readyFunction, { timeout, polling: 100 }).catch(onTimeout('页面就绪'));
+    }
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, Math.min(delay, 10000)));
+    }
+  }
+  
+  /**
+   * @private
+   */
+  _waitTimeout(waitFor = {}) {
+    return Math.min(waitFor.timeout || 30000, config.urlRendering.maxTimeout);
+  }
+  
+  /**
+   * 确定截图区域：指定元素、整个页面或视口
+   * @private
+   */
+  async _resolveScreenshotRegion(page, { selector, fullPage, width, height }) {
+    if (selector) {
+      const element = await page.$(selector);
+      const box = element ? await element.boundingBox() : null;
+      if (!box) {
+        throw new Error(`未找到可见元素: ${selector}`);
+      }
+      return {
+        x: Math.floor(box.x),
+        y: Math.floor(box.y),
+        width: Math.ceil(box.width),
+        height: Math.ceil(box.height)
+      };
+    }
+    
+    if (fullPage) {
+      const pageHeight = await page.evaluate(() => Math.ceil(Math.max(
+        document.documentElement.scrollHeight,
+        document.body ? document.body.scrollHeight : 0
+      )));
+      return { x: 0, y: 0, width, height: Math.max(pageHeight, 1) };
+    }
+    
+    return { x: 0, y: 0, width, height };
+  }
+  
+  /**
+   * 将截图区域按高度拆分，最后一段保留实际剩余高度
+   * @private
+   */
+  _splitRegion(region, pageHeight) {
+    const count = Math.ceil(region.height / pageHeight);
+    if (count > MAX_IMAGE_PAGES) {
+      throw new Error(`拆分后的图片数量（${count}）超过上限 ${MAX_IMAGE_PAGES}，请增大 pageHeight`);
+    }
+    return Array.from({ length: count }, (_, index) => ({
+      x: region.x,
+      y: region.y + index * pageHeight,
+      width: region.width,
+      height: Math.min(pageHeight, region.height - index * pageHeight)
+    }));
+  }
+  
   /**
    * 获取 PDF 页面数量
    * @param {string} pdfPath - PDF 文件路径
-   * @returns {Promise<number>} - 页面数量
+   * @returns {Promise<number|null>} - 页面数量，无法解析时返回 null
    */
   async getPDFPageCount(pdfPath) {
     try {
-      // 简单估算：每页约 50KB
-      const fileSize = fs.statSync(pdfPath).size;
-      return Math.max(1, Math.round(fileSize / (50 * 1024)));
+      const pdfDoc = await this.loadPDF(pdfPath);
+      return pdfDoc.getPageCount();
     } catch (error) {
-      logger.warn('无法获取 PDF 页面数量，使用默认值', { error: error.message });
-      return 1;
+      logger.warn('无法获取 PDF 页面数量', { pdfPath, error: error.message });
+      return null;
     }
   }
   
   /**
-   * 上传文件到平台存储（通过 GeniSpace SDK）
-   * @param {string} filePath - 文件路径
-   * @param {string} fileName - 文件名（不含扩展名）
-   * @param {Object} req - Express 请求对象（包含认证信息）
-   * @returns {Promise<string>} - 文件 URL
+   * 写入 PDF 文档信息（Info 字典）和文档语言，只覆盖提供的字段
+   * @param {string} pdfPath - PDF 文件路径
+   * @param {Object} metadata - 文档信息
+   * @param {string} metadata.title - 标题
+   * @param {string} metadata.author - 作者
+   * @param {string} metadata.subject - 主题
+   * @param {string|string[]} metadata.keywords - 关键词
+   * @param {string} metadata.creator - 创建程序
+   * @param {string} metadata.language - 文档语言（如 zh-CN）
    */
-  async uploadToPlatformStorage(filePath, fileName, req) {
-    if (!req || !req.genispace || !req.genispace.client) {
-      throw new Error('缺少认证信息，无法上传文件到平台存储');
-    }
+  async setPDFMetadata(pdfPath, metadata = {}) {
+    const { title, author, subject, keywords, creator, language } = metadata;
+    const pdfDoc = await this.loadPDF(pdfPath);
     
-    try {
-      const client = req.genispace.client;
-      const folderPath = `/tmp/operators/pdf-documents/${new Date().getFullYear()}/${new Date().getMonth() + 1}`;
-      
-      logger.info('上传文件到平台存储', {
-        fileName,
-        folderPath,
-        filePath
-      });
-      
-      // 使用 SDK 上传文件
-      const file = {
-        path: filePath,
-        mimetype: 'application/pdf',
-        originalname: `${fileName}.pdf`
-      };
-      
-      const uploadedFile = await client.storage.uploadFile(file, {
-        folderPath,
-        fileName: `${fileName}.pdf`
-      });
-      
-      // 返回文件的 publicUrl 或 url
-      const fileUrl = uploadedFile.publicUrl || uploadedFile.url;
-      
-      logger.info('文件上传到平台存储成功', { 
-        fileId: uploadedFile.id,
-        url: fileUrl 
-      });
-      
-      return fileUrl;
-    } catch (error) {
-      logger.error('平台存储上传失败', { error: error.stack });
-      throw new Error(`平台存储上传失败: ${error.message}`);
+    if (title) {
+      pdfDoc.setTitle(title, { showInWindowTitleBar: true });
+    }
+    if (author) {
+      pdfDoc.setAuthor(author);
     }
+    if (subject) {
+      pdfDoc.setSubject(subject);
+    }
+    if (keywords && keywords.length > 0) {
+      // pdf-lib 以空格拼接关键词数组，这里先按逗号拼接，保留含空格的关键词
+      pdfDoc.setKeywords([Array.isArray(keywords) ? keywords.join(', ') : keywords]);
+    }
+    if (creator) {
+      pdfDoc.setCreator(creator);
+    }
+    if (language) {
+      pdfDoc.setLanguage(language);
+    }
+    pdfDoc.setModificationDate(new Date());
+    
+    await fs.promises.writeFile(pdfPath, await pdfDoc.save());
+    logger.debug('已写入 PDF 文档信息', { pdfPath, fields: Object.keys(metadata) });
+  }
+  
+  /**
+   * 读取 PDF（不改写 Chromium 生成的 Producer 等文档信息）
+   * @param {string} pdfPath - PDF 文件路径
+   * @returns {Promise<PDFDocument>}
+   */
+  async loadPDF(pdfPath) {
+    const bytes = await fs.promises.readFile(pdfPath);
+    return PDFDocument.load(bytes, { updateMetadata: false, ignoreEncryption: true });
   }
   
   /**
@@ -642,4 +1556,6 @@ class PDFGenerator {
   }
 }
 
+PDFGenerator.IMAGE_FORMATS = IMAGE_FORMATS;
+
 module.exports = PDFGenerator;
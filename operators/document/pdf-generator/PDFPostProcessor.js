@@ -0,0 +1,430 @@
+/**
+ * PDF 后处理服务
+ *
+ * 对生成或上传的 PDF 做进一步处理：
+ * 1. 合并多个 PDF（可分别选取页码范围）
+ * 2. 按页码范围拆分为多个 PDF
+ * 3. 设置打开密码、权限密码及操作权限（qpdf，AES-256 加密）
+ * 4. 转换为 PDF/A 归档格式（Ghostscript）
+ *
+ * 合并和拆分使用 pdf-lib；加密和 PDF/A 依赖系统命令 qpdf、gs（Docker 镜像已安装）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { PDFDocument } = require('pdf-lib');
+const logger = require('../../../src/utils/logger');
+const { getStorage } = require('../../../src/services/storage');
+const { fetchBuffer } = require('../../../src/utils/fetch-policy');
+const config = require('../../../src/config/env');
+
+// PDF/A 级别 => Ghostscript -dPDFA 参数
+const PDFA_LEVELS = {
+  '1b': 1,
+  '2b': 2,
+  '3b': 3
+};
+
+// 加密后的默认权限：允许打印，禁止复制、修改、注释、填写表单和组装页面
+const DEFAULT_PERMISSIONS = {
+  print: true,
+  copy: false,
+  modify: false,
+  annotate: false,
+  fillForms: false,
+  assemble: false
+};
+
+class PDFPostProcessor {
+  constructor(config = {}) {
+    this.config = {
+      tempDir: config.tempDir || path.join(os.tmpdir(), 'pdf-postprocess'),
+      maxFileSize: config.maxFileSize || 50 * 1024 * 1024,
+      timeout: config.timeout || 120000, // 单个外部命令的超时（毫秒）
+      qpdfPath: process.env.QPDF_PATH || 'qpdf',
+      ghostscriptPath: process.env.GHOSTSCRIPT_PATH || 'gs',
+      iccProfile: process.env.PDFA_ICC_PROFILE || null, // 未设置时从 Ghostscript 安装目录查找 sRGB 配置文件
+      ...config
+    };
+
+    this.ensureDirectories();
+  }
+
+  /**
+   * 确保临时目录存在
+   */
+  ensureDirectories() {
+    if (!fs.existsSync(this.config.tempDir)) {
+      fs.mkdirSync(this.config.tempDir, { recursive: true });
+    }
+  }
+
+  /**
+   * 读取待处理的 PDF
+   * @param {Object} source - PDF 来源，以下字段之一：
+   *   fileId（平台存储文件 ID，需要 GeniSpace API Key）、fileName（本地存储中未过期的文件，
+   *   即生成接口返回的含随机 UUID 的文件名）、
+   *   url（按外部资源访问策略下载）、content（Base64 编码的文件内容）
+   * @param {Object} req - Express 请求对象（平台存储需要）
+   * @returns {Promise<Buffer>} - 文件内容
+   */
+  async loadSource(source, req) {
+    if (!source || typeof source !== 'object') {
+      throw new Error('PDF 来源必须是对象');
+    }
+
+    let buffer;
+    if (source.content) {
+      buffer = Buffer.from(source.content, 'base64');
+    } else if (source.fileId) {
+      if (!req || !req.genispace || !req.genispace.client) {
+        throw new Error('读取平台存储文件需要认证信息，请在请求头中提供 GeniSpace API Key');
+      }
+      buffer = Buffer.from(await req.genispace.client.storage.getFileContent(source.fileId));
+    } else if (source.fileName) {
+      const filePath = getStorage('local').getFilePath(source.fileName);
+      if (!filePath) {
+        throw new Error(`本地存储中不存在文件: ${source.fileName}`);
+      }
+      buffer = await fs.promises.readFile(filePath);
+    } else if (source.url) {
+      buffer = await fetchBuffer(source.url, { ...config.fetchPolicy, maxSize: this.config.maxFileSize });
+    } else {
+      throw new Error('PDF 来源必须提供 fileId、fileName、url 或 content 之一');
+    }
+
+    if (buffer.length > this.config.maxFileSize) {
+      throw new Error(`文件大小超过限制: ${this.config.maxFileSize} 字节`);
+    }
+    if (!buffer.subarray(0, 1024).includes('%PDF-')) {
+      throw new Error('不是有效的 PDF 文件');
+    }
+    return buffer;
+  }
+
+  /**
+   * 合并 PDF
+   * @param {Array<{data: Buffer, pages?: string}>} documents - 按顺序合并的文件，pages 为选取的页码范围（默认全部）
+   * @returns {Promise<Uint8Array>} - 合并后的 PDF
+   */
+  async merge(documents) {
+    const merged = await PDFDocument.create();
+
+    for (const [index, { data, pages }] of documents.entries()) {
+      const label = `第 ${index + 1} 个文件`;
+      const source = await this._loadDocument(data, label);
+      const indices = this._pageIndices(pages, source.getPageCount(), label);
+      const copied = await merged.copyPages(source, indices);
+      copied.forEach(page => merged.addPage(page));
+    }
+
+    logger.info('PDF 合并完成', { files: documents.length, pageCount: merged.getPageCount() });
+    return merged.save();
+  }
+
+  /**
+   * 拆分 PDF
+   * @param {Buffer} data - PDF 内容
+   * @param {Object} options - 拆分方式，二选一
+   * @param {Array<string>} options.ranges - 页码范围列表，每项生成一个文件，如 ["1-3", "4", "5-"]
+   * @param {number} options.pagesPerFile - 每个文件的页数
+   * @returns {Promise<Array<{pages: string, pageCount: number, data: Uint8Array}>>}
+   */
+  async split(data, { ranges, pagesPerFile } = {}) {
+    const source = await this._loadDocument(data, '文件');
+    const total = source.getPageCount();
+
+    let groups;
+    if (Array.isArray(ranges) && ranges.length > 0) {
+      groups = ranges.map(range => ({ pages: range, indices: this._pageIndices(range, total, '文件') }));
+    } else if (pagesPerFile > 0) {
+      groups = [];
+      for (let start = 0; start < total; start += pagesPerFile) {
+        const end = Math.min(start + pagesPerFile, total);
+        groups.push({
+          pages: end - start > 1 ? `${start + 1}-${end}` : `${start + 1}`,
+          indices: Array.from({ length: end - start }, (_, i) => start + i)
+        });
+      }
+    } else {
+      throw new Error('必须提供 ranges 或 pagesPerFile');
+    }
+
+    const parts = [];
+    for (const group of groups) {
+      const part = await PDFDocument.create();
+      const copied = await part.copyPages(source, group.indices);
+      copied.forEach(page => part.addPage(page));
+      parts.push({ pages: group.pages, pageCount: group.indices.length, data: await part.save() });
+    }
+
+    logger.info('PDF 拆分完成', { pageCount: total, files: parts.length });
+    return parts;
+  }
+
+  /**
+   * 生成流程的后处理阶段：在原文件上依次转换 PDF/A、加密
+   * @param {string} pdfPath - PDF 文件路径
+   * @param {Object} options - 后处理选项
+   * @param {string} options.pdfa - PDF/A 级别（1b / 2b / 3b，可选）
+   * @param {Object} options.encryption - 加密选项（可选，见 encrypt）
+   */
+  async process(pdfPath, { pdfa = null, encryption = null } = {}) {
+    if (pdfa && encryption) {
+      throw new Error('PDF/A 文件不允许加密，pdfa 与 encryption 不能同时使用');
+    }
+    if (pdfa) {
+      await this._inPlace(pdfPath, (input, output) => this.convertToPDFA(input, output, { level: pdfa }));
+    }
+    if (encryption) {
+      await this._inPlace(pdfPath, (input, output) => this.encrypt(input, output, encryption));
+    }
+  }
+
+  /**
+   * 加密 PDF（AES-256）
+   * 只设置权限密码时无需密码即可打开，但权限受限；未提供权限密码时随机生成，权限无法被解除
+   * @param {string} inputPath - 输入文件
+   * @param {string} outputPath - 输出文件
+   * @param {Object} options - 加密选项
+   * @param {string} options.userPassword - 打开密码（可选）
+   * @param {string} options.ownerPassword - 权限密码（可选）
+   * @param {Object} options.permissions - 权限：print、copy、modify、annotate、fillForms、assemble（默认只允许打印）
+   */
+  async encrypt(inputPath, outputPath, { userPassword = '', ownerPassword, permissions = {} } = {}) {
+    const owner = ownerPassword || crypto.randomBytes(16).toString('hex');
+    if (/[\r\n]/.test(userPassword + owner)) {
+      throw new Error('密码不能包含换行符');
+    }
+    const allowed = { ...DEFAULT_PERMISSIONS, ...permissions };
+    const flag = value => (value ? 'y' : 'n');
+
+    // 密码写入仅当前用户可读的参数文件，避免出现在进程列表中
+    const argsPath = this._tempPath('.args');
+    const args = [
+      '--encrypt',
+      `--user-password=${userPassword}`,
+      `--owner-password=${owner}`,
+      '--bits=256',
+      `--print=${allowed.print ? 'full' : 'none'}`,
+      `--extract=${flag(allowed.copy)}`,
+      `--modify-other=${flag(allowed.modify)}`,
+      `--annotate=${flag(allowed.annotate)}`,
+      `--form=${flag(allowed.fillForms)}`,
+      `--assemble=${flag(allowed.assemble)}`,
+      '--',
+      // 不使用对象流，加密后仍可读取页面结构（统计页数）
+      '--object-streams=disable',
+      inputPath,
+      outputPath
+    ];
+
+    try {
+      await fs.promises.writeFile(argsPath, args.join('\n'), { mode: 0o600 });
+      await this._run(this.config.qpdfPath, [`@${argsPath}`], 'PDF 加密');
+    } finally {
+      await fs.promises.rm(argsPath, { force: true });
+    }
+
+    logger.info('PDF 加密完成', { hasUserPassword: !!userPassword, permissions: allowed });
+  }
+
+  /**
+   * 转换为 PDF/A（嵌入 sRGB 输出意图，字体全部嵌入）
+   * @param {string} inputPath - 输入文件
+   * @param {string} outputPath - 输出文件
+   * @param {Object} options - 转换选项
+   * @param {string} options.level - PDF/A 级别：1b / 2b（默认）/ 3b
+   */
+  async convertToPDFA(inputPath, outputPath, { level = '2b' } = {}) {
+    const version = PDFA_LEVELS[level];
+    if (!version) {
+      throw new Error(`不支持的 PDF/A 级别: ${level}，可选值: ${Object.keys(PDFA_LEVELS).join(', ')}`);
+    }
+
+    const iccProfile = this.resolveICCProfile();
+    if (!iccProfile) {
+      throw new Error('未找到 sRGB ICC 配置文件，请安装 Ghostscript 或设置 PDFA_ICC_PROFILE');
+    }
+
+    const definitionPath = this._tempPath('.ps');
+    try {
+      await fs.promises.writeFile(definitionPath, this._buildPDFADefinition(iccProfile));
+      await this._run(this.config.ghostscriptPath, [
+        `-dPDFA=${version}`,
+        '-dBATCH',
+        '-dNOPAUSE',
+        '-dNOOUTERSAVE',
+        '-dQUIET',
+        '-sDEVICE=pdfwrite',
+        '-sColorConversionStrategy=RGB',
+        '-dPDFACompatibilityPolicy=1',
+        `--permit-file-read=${iccProfile}`,
+        `-sOutputFile=${outputPath}`,
+        definitionPath,
+        inputPath
+      ], 'PDF/A 转换');
+    } finally {
+      await fs.promises.rm(definitionPath, { force: true });
+    }
+
+    logger.info('PDF/A 转换完成', { level });
+  }
+
+  /**
+   * 查找 PDF/A 输出意图使用的 sRGB ICC 配置文件
+   * @returns {string|null} - 文件路径
+   */
+  resolveICCProfile() {
+    if (this.config.iccProfile) {
+      return fs.existsSync(this.config.iccProfile) ? this.config.iccProfile : null;
+    }
+
+    // Ghostscript 自带的配置文件：/usr/share/ghostscript/<版本>/iccprofiles/srgb.icc
+    const roots = ['/usr/share/ghostscript', '/usr/local/share/ghostscript', '/opt/homebrew/share/ghostscript'];
+    for (const root of roots) {
+      const directories = fs.existsSync(root) ? [root, ...fs.readdirSync(root).map(name => path.join(root, name))] : [];
+      for (const directory of directories) {
+        const profile = path.join(directory, 'iccprofiles', 'srgb.icc');
+        if (fs.existsSync(profile)) {
+          return profile;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 健康检查：加密和 PDF/A 转换依赖的命令是否可用
+   * @returns {Promise<{qpdf: boolean, ghostscript: boolean}>}
+   */
+  async checkTools() {
+    const available = (command, args) => new Promise((resolve) => {
+      execFile(command, args, { timeout: 5000 }, (error) => {
+        resolve(!error || error.code !== 'ENOENT');
+      });
+    });
+
+    const [qpdf, ghostscript] = await Promise.all([
+      available(this.config.qpdfPath, ['--version']),
+      available(this.config.ghostscriptPath, ['--version'])
+    ]);
+    return { qpdf, ghostscript };
+  }
+
+  /**
+   * 解析页码范围为页面下标（从 0 开始）
+   * 格式："1-3,5,8-"，逗号分隔，"8-" 表示第 8 页到最后一页；为空时选取全部页面
+   * @param {string} spec - 页码范围
+   * @param {number} pageCount - 总页数
+   * @param {string} label - 错误信息中的文件描述
+   * @returns {Array<number>}
+   * @private
+   */
+  _pageIndices(spec, pageCount, label) {
+    if (spec === undefined || spec === null || String(spec).trim() === '') {
+      return Array.from({ length: pageCount }, (_, i) => i);
+    }
+
+    const indices = [];
+    for (const part of String(spec).split(',').map(item => item.trim())) {
+      const match = part.match(/^(\d+)(?:\s*(-)\s*(\d*))?$/);
+      const start = match ? parseInt(match[1]) : NaN;
+      const end = match && match[2] ? (match[3] ? parseInt(match[3]) : pageCount) : start;
+
+      if (!match || start < 1 || end > pageCount || start > end) {
+        throw new Error(`${label}的页码范围无效: ${part}（共 ${pageCount} 页）`);
+      }
+      for (let page = start; page <= end; page++) {
+        indices.push(page - 1);
+      }
+    }
+    return indices;
+  }
+
+  /**
+   * @private
+   */
+  async _loadDocument(data, label) {
+    try {
+      return await PDFDocument.load(data, { updateMetadata: false });
+    } catch (error) {
+      if (error.constructor.name === 'EncryptedPDFError') {
+        throw new Error(`${label}已加密，无法处理`);
+      }
+      throw new Error(`${label}解析失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 处理结果写入临时文件，成功后替换原文件
+   * @private
+   */
+  async _inPlace(pdfPath, transform) {
+    const outputPath = this._tempPath('.pdf');
+    try {
+      await transform(pdfPath, outputPath);
+      await fs.promises.copyFile(outputPath, pdfPath);
+    } finally {
+      await fs.promises.rm(outputPath, { force: true });
+    }
+  }
+
+  /**
+   * 执行外部命令
+   * @private
+   */
+  _run(command, args, feature) {
+    return new Promise((resolve, reject) => {
+      execFile(command, args, { timeout: this.config.timeout, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (!error) {
+          return resolve();
+        }
+        if (error.code === 'ENOENT') {
+          return reject(new Error(`${feature}不可用: 未安装 ${path.basename(command)}`));
+        }
+        // qpdf 退出码 3 表示成功但有警告
+        if (command === this.config.qpdfPath && error.code === 3) {
+          logger.warn(`${feature}警告`, { stderr: String(stderr).trim() });
+          return resolve();
+        }
+        if (error.killed) {
+          return reject(new Error(`${feature}超时（${this.config.timeout}ms）`));
+        }
+        const message = String(stderr || stdout).trim().split('\n').slice(-3).join(' ');
+        reject(new Error(`${feature}失败: ${message || error.message}`));
+      });
+    });
+  }
+
+  /**
+   * Ghostscript PDF/A 定义文件：嵌入 ICC 配置文件并声明输出意图
+   * @private
+   */
+  _buildPDFADefinition(iccProfile) {
+    const escapePS = value => value.replace(/[\\()]/g, char => `\\${char}`);
+    return [
+      '%!',
+      `/ICCProfile (${escapePS(iccProfile)}) def`,
+      '[/_objdef {icc_PDFA} /type /stream /OBJ pdfmark',
+      '[{icc_PDFA} << /N 3 >> /PUT pdfmark',
+      '[{icc_PDFA} ICCProfile (r) file /PUT pdfmark',
+      '[/_objdef {OutputIntent_PDFA} /type /dict /OBJ pdfmark',
+      '[{OutputIntent_PDFA} << /Type /OutputIntent /S /GTS_PDFA1 /DestOutputProfile {icc_PDFA} /OutputConditionIdentifier (sRGB) >> /PUT pdfmark',
+      '[{Catalog} << /OutputIntents [ {OutputIntent_PDFA} ] >> /PUT pdfmark',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * @private
+   */
+  _tempPath(extension) {
+    return path.join(this.config.tempDir, `postprocess_${Date.now()}_${crypto.randomBytes(4).toString('hex')}${extension}`);
+  }
+}
+
+module.exports = PDFPostProcessor;
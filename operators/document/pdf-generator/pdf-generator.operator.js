@@ -13,14 +13,16 @@ module.exports = {
   info: {
     name: 'pdf-generator',
     title: 'PDF 生成器',
-    description: '基于HTML/Markdown模板和JSON数据生成高质量PDF文档，支持云存储上传',
+    description: '基于HTML/Markdown模板和JSON数据生成高质量PDF文档或图片，或将网页（如内部看板）转为PDF，支持云存储上传，以及合并、拆分、加密和 PDF/A 归档转换',
     version: '1.0.0',
     category: 'document',
-    tags: ['pdf', 'document', 'template', 'generator', 'html', 'markdown'],
+    tags: ['pdf', 'document', 'template', 'generator', 'html', 'markdown', 'image'],
     author: 'GeniSpace AI Team',
     license: 'MIT'
   },
   routes: './pdf-generator.routes.js',
+  // 启动时及 /health 检查 Chromium 能否启动，以及加密、PDF/A 转换依赖的 qpdf、gs 是否安装
+  healthCheck: () => require('./PDFGenerator').healthCheck(),
   openapi: {
     paths: {
       '/generate-from-html': {
@@ -34,13 +36,16 @@ module.exports = {
               'application/json': {
                 schema: {
                   type: 'object',
-                  required: ['htmlContent'],
                   properties: {
                     htmlContent: {
                       type: 'string',
-                      description: 'HTML内容，可以是HTML片段或完整的HTML文档，支持Mustache模板语法',
+                      minLength: 1,
+                      maxLength: 10485760, // 10MB
+                      description: 'HTML内容，可以是HTML片段或完整的HTML文档，支持Mustache模板语法和 <chart> 图表元素（与 templateId 二选一）',
                       example: '<h1>{{title}}</h1><p>{{content}}</p>'
                     },
+                    templateId: { $ref: '#/components/schemas/TemplateId' },
+                    templateEngine: { $ref: '#/components/schemas/TemplateEngine' },
                     templateData: {
                       type: 'object',
                       description: '填充HTML模板的JSON数据（可选）',
@@ -59,6 +64,54 @@ module.exports = {
                       description: '输出文件名（不含扩展名）',
                       example: 'report-2025'
                     },
+                    metadata: {
+                      $ref: '#/components/schemas/PDFMetadata'
+                    },
+                    header: {
+                      $ref: '#/components/schemas/PDFHeaderFooter'
+                    },
+                    footer: {
+                      $ref: '#/components/schemas/PDFHeaderFooter'
+                    },
+                    includeTOC: {
+                      type: 'boolean',
+                      default: false,
+                      description: '是否在文档开头插入目录页，目录项从标题提取并标注所在页码，可点击跳转'
+                    },
+                    tocTitle: {
+                      type: 'string',
+                      maxLength: 200,
+                      default: '目  录',
+                      description: '目录标题'
+                    },
+                    tocDepth: {
+                      type: 'integer',
+                      minimum: 1,
+                      maximum: 6,
+                      default: 3,
+                      description: '目录包含的标题层级（3 表示 h1-h3）'
+                    },
+                    coverPage: {
+                      $ref: '#/components/schemas/PDFCoverPage'
+                    },
+                    styleConfig: {
+                      $ref: '#/components/schemas/PDFStyleConfig'
+                    },
+                    watermark: {
+                      $ref: '#/components/schemas/PDFWatermark'
+                    },
+                    pdfa: {
+                      $ref: '#/components/schemas/PDFALevel'
+                    },
+                    encryption: {
+                      $ref: '#/components/schemas/PDFEncryption'
+                    },
+                    delivery: {
+                      $ref: '#/components/schemas/DeliveryMode'
+                    },
+                    storage: {
+                      $ref: '#/components/schemas/StorageDriver'
+                    },
                     pdfOptions: {
                       type: 'object',
                       description: 'PDF生成选项',
@@ -89,6 +142,11 @@ module.exports = {
                           default: false,
                           description: '是否显示页眉页脚'
                         },
+                        outline: {
+                          type: 'boolean',
+                          default: true,
+                          description: '是否根据 h1-h6 标题生成 PDF 书签'
+                        },
                         headerTemplate: {
                           type: 'string',
                           description: '页眉HTML模板'
@@ -136,14 +194,24 @@ module.exports = {
                           },
                           pageCount: {
                             type: 'integer',
-                            description: '页面数量',
+                            description: '页面数量（从生成的 PDF 中读取）',
                             example: 5
                           },
                           storageProvider: {
                             type: 'string',
-                            description: '存储提供商',
+                            description: '存储提供商（platform / local / s3）',
                             example: 'local'
                           },
+                          mimeType: {
+                            type: 'string',
+                            description: '文件类型（delivery=base64 时返回）',
+                            example: 'application/pdf'
+                          },
+                          content: {
+                            type: 'string',
+                            format: 'byte',
+                            description: 'Base64 编码的文件内容（delivery=base64 时返回）'
+                          },
                           generatedAt: {
                             type: 'string',
                             format: 'date-time',
@@ -158,6 +226,13 @@ module.exports = {
                       }
                     }
                   }
+                },
+                'application/pdf': {
+                  schema: {
+                    type: 'string',
+                    format: 'binary',
+                    description: 'PDF文件内容（delivery=inline 时返回）'
+                  }
                 }
               }
             },
@@ -203,13 +278,16 @@ module.exports = {
               'application/json': {
                 schema: {
                   type: 'object',
-                  required: ['markdownTemplate'],
                   properties: {
                     markdownTemplate: {
                       type: 'string',
-                      description: 'Markdown模板内容，支持Mustache语法',
+                      minLength: 1,
+                      maxLength: 5242880, // 5MB
+                      description: 'Markdown模板内容，支持Mustache语法、```chart 图表代码块、代码高亮、$公式$、```mermaid 图、脚注、:::note 提示块和任务列表（与 templateId 二选一）',
                       example: '# {{title}}\n\n**作者**: {{author}}\n\n{{content}}'
                     },
+                    templateId: { $ref: '#/components/schemas/TemplateId' },
+                    templateEngine: { $ref: '#/components/schemas/TemplateEngine' },
                     templateData: {
                       type: 'object',
                       description: '填充模板的JSON数据（可选）',
@@ -224,6 +302,54 @@ module.exports = {
                       description: '输出文件名（不含扩展名）',
                       example: 'project-report'
                     },
+                    metadata: {
+                      $ref: '#/components/schemas/PDFMetadata'
+                    },
+                    header: {
+                      $ref: '#/components/schemas/PDFHeaderFooter'
+                    },
+                    footer: {
+                      $ref: '#/components/schemas/PDFHeaderFooter'
+                    },
+                    includeTOC: {
+                      type: 'boolean',
+                      default: false,
+                      description: '是否在文档开头插入目录页，目录项从标题提取并标注所在页码，可点击跳转'
+                    },
+                    tocTitle: {
+                      type: 'string',
+                      maxLength: 200,
+                      default: '目  录',
+                      description: '目录标题'
+                    },
+                    tocDepth: {
+                      type: 'integer',
+                      minimum: 1,
+                      maximum: 6,
+                      default: 3,
+                      description: '目录包含的标题层级（3 表示 h1-h3）'
+                    },
+                    coverPage: {
+                      $ref: '#/components/schemas/PDFCoverPage'
+                    },
+                    styleConfig: {
+                      $ref: '#/components/schemas/PDFStyleConfig'
+                    },
+                    watermark: {
+                      $ref: '#/components/schemas/PDFWatermark'
+                    },
+                    pdfa: {
+                      $ref: '#/components/schemas/PDFALevel'
+                    },
+                    encryption: {
+                      $ref: '#/components/schemas/PDFEncryption'
+                    },
+                    delivery: {
+                      $ref: '#/components/schemas/DeliveryMode'
+                    },
+                    storage: {
+                      $ref: '#/components/schemas/StorageDriver'
+                    },
                     cssStyles: {
                       type: 'string',
                       description: '自定义CSS样式（可选）'
@@ -254,6 +380,10 @@ module.exports = {
                           type: 'boolean',
                           default: false
                         },
+                        outline: {
+                          type: 'boolean',
+                          default: true
+                        },
                         headerTemplate: { type: 'string' },
                         footerTemplate: { type: 'string' }
                       }
@@ -271,6 +401,13 @@ module.exports = {
                   schema: {
                     $ref: '#/paths/~1generate-from-html/post/responses/200/content/application~1json/schema'
                   }
+                },
+                'application/pdf': {
+                  schema: {
+                    type: 'string',
+                    format: 'binary',
+                    description: 'PDF文件内容（delivery=inline 时返回）'
+                  }
                 }
               }
             },
@@ -300,6 +437,876 @@ module.exports = {
             }
           }
         }
+      },
+      '/generate-from-url': {
+        post: {
+          summary: '从网页生成PDF',
+          description: '打开网页（如内部看板）并生成PDF，可携带 Cookie / 请求头认证，等待元素、网络空闲或自定义就绪条件后按 print 或 screen 样式输出。' +
+            '网页及其加载的资源只能来自服务端配置的允许列表（PDF_URL_ALLOWED_HOSTS），未配置时接口返回 403',
+          tags: ['PDF生成'],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['url'],
+                  properties: {
+                    url: {
+                      type: 'string',
+                      format: 'uri',
+                      maxLength: 8192,
+                      description: '网页地址（http/https）',
+                      example: 'https://dashboard.internal.example.com/finance/month-end?month=2025-01'
+                    },
+                    cookies: {
+                      type: 'array',
+                      maxItems: 50,
+                      description: '访问前设置的 Cookie（如会话 Cookie），未指定 domain 时使用网页的域名',
+                      items: {
+                        type: 'object',
+                        required: ['name', 'value'],
+                        additionalProperties: false,
+                        properties: {
+                          name: { type: 'string', minLength: 1 },
+                          value: { type: 'string' },
+                          domain: { type: 'string', description: 'Cookie 域名（可选）' },
+                          path: { type: 'string', description: 'Cookie 路径（可选）' },
+                          secure: { type: 'boolean' },
+                          httpOnly: { type: 'boolean' },
+                          sameSite: { type: 'string', enum: ['Strict', 'Lax', 'None'] }
+                        }
+                      },
+                      example: [{ name: 'session', value: 'abc123' }]
+                    },
+                    headers: {
+                      type: 'object',
+                      additionalProperties: { type: 'string' },
+                      description: '附加的请求头（如 Authorization），随网页及其资源的所有请求发送',
+                      example: { Authorization: 'Bearer <token>' }
+                    },
+                    viewport: {
+                      type: 'object',
+                      additionalProperties: false,
+                      description: '视口尺寸（CSS 像素），响应式页面按此宽度排版',
+                      properties: {
+                        width: { type: 'integer', minimum: 320, maximum: 4000, default: 1280 },
+                        height: { type: 'integer', minimum: 200, maximum: 4000, default: 800 }
+                      }
+                    },
+                    mediaType: {
+                      type: 'string',
+                      enum: ['print', 'screen'],
+                      default: 'print',
+                      description: '排版使用的 CSS 媒体类型：print（打印样式）或 screen（与浏览器中显示一致）'
+                    },
+                    waitFor: {
+                      type: 'object',
+                      additionalProperties: false,
+                      description: '就绪条件：页面加载完成后依次等待元素出现、就绪函数返回真值及额外延时',
+                      properties: {
+                        waitUntil: {
+                          type: 'string',
+                          enum: ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'],
+                          default: 'networkidle0',
+                          description: '页面加载完成的判断：networkidle0 为 500ms 内无网络请求，networkidle2 为不超过 2 个请求'
+                        },
+                        selector: {
+                          type: 'string',
+                          maxLength: 1000,
+                          description: '等待可见的元素（CSS 选择器）',
+                          example: '.dashboard-loaded'
+                        },
+                        function: {
+                          type: 'string',
+                          maxLength: 10000,
+                          description: '在页面中执行的 JS 表达式，返回真值时就绪',
+                          example: 'window.__DASHBOARD_READY__ === true'
+                        },
+                        delay: {
+                          type: 'integer',
+                          minimum: 0,
+                          maximum: 10000,
+                          description: '额外等待的毫秒数（如等待图表动画结束）'
+                        },
+                        timeout: {
+                          type: 'integer',
+                          minimum: 1000,
+                          maximum: 120000,
+                          default: 30000,
+                          description: '页面加载及每个等待条件的超时（毫秒）'
+                        }
+                      }
+                    },
+                    fileName: {
+                      type: 'string',
+                      description: '输出文件名（不含扩展名）',
+                      example: 'month-end-2025-01'
+                    },
+                    metadata: {
+                      $ref: '#/components/schemas/PDFMetadata'
+                    },
+                    header: {
+                      $ref: '#/components/schemas/PDFHeaderFooter'
+                    },
+                    footer: {
+                      $ref: '#/components/schemas/PDFHeaderFooter'
+                    },
+                    includeTOC: {
+                      type: 'boolean',
+                      default: false,
+                      description: '是否在文档开头插入目录页'
+                    },
+                    tocTitle: {
+                      type: 'string',
+                      maxLength: 200,
+                      default: '目  录',
+                      description: '目录标题'
+                    },
+                    tocDepth: {
+                      type: 'integer',
+                      minimum: 1,
+                      maximum: 6,
+                      default: 3,
+                      description: '目录包含的标题层级'
+                    },
+                    coverPage: {
+                      $ref: '#/components/schemas/PDFCoverPage'
+                    },
+                    styleConfig: {
+                      $ref: '#/components/schemas/PDFStyleConfig'
+                    },
+                    watermark: {
+                      $ref: '#/components/schemas/PDFWatermark'
+                    },
+                    pdfa: {
+                      $ref: '#/components/schemas/PDFALevel'
+                    },
+                    encryption: {
+                      $ref: '#/components/schemas/PDFEncryption'
+                    },
+                    delivery: {
+                      $ref: '#/components/schemas/DeliveryMode'
+                    },
+                    storage: {
+                      $ref: '#/components/schemas/StorageDriver'
+                    },
+                    pdfOptions: {
+                      $ref: '#/paths/~1generate-from-html/post/requestBody/content/application~1json/schema/properties/pdfOptions'
+                    }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            200: {
+              description: 'PDF生成成功',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/paths/~1generate-from-html/post/responses/200/content/application~1json/schema'
+                  }
+                },
+                'application/pdf': {
+                  schema: {
+                    type: 'string',
+                    format: 'binary',
+                    description: 'PDF文件内容（delivery=inline 时返回）'
+                  }
+                }
+              }
+            },
+            400: { $ref: '#/components/responses/BadRequest' },
+            403: {
+              description: '未配置允许列表，或网页不在允许列表中',
+              content: {
+                'application/json': {
+                  schema: { $ref: '#/components/schemas/ErrorResponse' }
+                }
+              }
+            },
+            500: { $ref: '#/components/responses/InternalServerError' }
+          }
+        }
+      },
+      '/generate-image': {
+        post: {
+          summary: '从HTML或Markdown模板生成图片',
+          description: '使用与 PDF 相同的模板渲染 PNG、JPEG 或 WebP 图片，可设置视口和设备像素比，截取整页、视口或指定元素，并可按高度拆分为多张图片。' +
+            '适用于分享卡片、报告缩略图等场景。htmlContent、markdownTemplate、templateId 三选一',
+          tags: ['图片生成'],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    htmlContent: {
+                      type: 'string',
+                      minLength: 1,
+                      maxLength: 10485760, // 10MB
+                      description: 'HTML内容，支持模板语法和 <chart> 图表元素',
+                      example: '<div class="card"><h1>{{title}}</h1><p>{{summary}}</p></div>'
+                    },
+                    markdownTemplate: {
+                      type: 'string',
+                      minLength: 1,
+                      maxLength: 5242880, // 5MB
+                      description: 'Markdown模板内容或 URL，支持模板语法、```chart 图表代码块及 /generate-from-markdown 的扩展语法'
+                    },
+                    templateId: { $ref: '#/components/schemas/TemplateId' },
+                    templateEngine: { $ref: '#/components/schemas/TemplateEngine' },
+                    templateData: {
+                      type: 'object',
+                      description: '填充模板的JSON数据（可选）',
+                      example: { title: '2025 年度报告', summary: '营收同比增长 32%' }
+                    },
+                    cssStyles: {
+                      type: 'string',
+                      description: '自定义CSS样式（可选）',
+                      example: '.card { width: 1200px; height: 630px; padding: 60px; box-sizing: border-box; }'
+                    },
+                    fileName: {
+                      type: 'string',
+                      description: '输出文件名（不含扩展名），拆分时依次命名为 {fileName}_1、{fileName}_2 ...',
+                      example: 'share-card'
+                    },
+                    imageOptions: {
+                      $ref: '#/components/schemas/ImageOptions'
+                    },
+                    delivery: {
+                      $ref: '#/components/schemas/DeliveryMode'
+                    },
+                    storage: {
+                      $ref: '#/components/schemas/StorageDriver'
+                    }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            200: {
+              description: '图片生成成功',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: {
+                        type: 'object',
+                        description: '单张图片时直接返回图片信息，splitPages 时在 images 中返回各张图片',
+                        properties: {
+                          imageURL: { type: 'string', description: '图片访问URL（delivery=upload 时返回）' },
+                          storageProvider: { type: 'string', description: '存储提供商（platform / local / s3）', example: 'local' },
+                          fileName: { type: 'string', description: '生成的文件名', example: 'share-card.png' },
+                          fileSize: { type: 'integer', description: '文件大小（字节）' },
+                          width: { type: 'integer', description: '图片宽度（像素）', example: 1200 },
+                          height: { type: 'integer', description: '图片高度（像素）', example: 630 },
+                          mimeType: { type: 'string', description: '文件类型（delivery=base64 时返回）', example: 'image/png' },
+                          content: { type: 'string', format: 'byte', description: 'Base64 编码的文件内容（delivery=base64 时返回）' },
+                          images: {
+                            type: 'array',
+                            description: '拆分后的图片（splitPages 时返回），字段同单张图片',
+                            items: {
+                              type: 'object',
+                              properties: {
+                                imageURL: { type: 'string' },
+                                storageProvider: { type: 'string' },
+                                fileName: { type: 'string', example: 'report_1.png' },
+                                fileSize: { type: 'integer' },
+                                width: { type: 'integer' },
+                                height: { type: 'integer' },
+                                mimeType: { type: 'string' },
+                                content: { type: 'string', format: 'byte' }
+                              }
+                            }
+                          },
+                          imageCount: { type: 'integer', description: '图片数量（splitPages 时返回）' },
+                          format: { type: 'string', description: '图片格式', example: 'png' },
+                          generatedAt: { type: 'string', format: 'date-time', description: '生成时间' },
+                          processingTimeMs: { type: 'integer', description: '处理时间（毫秒）' }
+                        }
+                      }
+                    }
+                  }
+                },
+                'image/*': {
+                  schema: {
+                    type: 'string',
+                    format: 'binary',
+                    description: '图片文件内容（delivery=inline 时返回）'
+                  }
+                }
+              }
+            },
+            400: { $ref: '#/components/responses/BadRequest' },
+            500: { $ref: '#/components/responses/InternalServerError' }
+          }
+        }
+      },
+      '/merge': {
+        post: {
+          summary: '合并PDF',
+          description: '按顺序合并多个已生成或上传的 PDF，每个文件可选取页码范围；可同时写入文档信息、转换为 PDF/A 或加密',
+          tags: ['PDF后处理'],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['sources'],
+                  properties: {
+                    sources: {
+                      type: 'array',
+                      minItems: 1,
+                      maxItems: 50,
+                      items: { $ref: '#/components/schemas/PDFSource' },
+                      description: '待合并的 PDF，按数组顺序合并'
+                    },
+                    fileName: {
+                      type: 'string',
+                      description: '输出文件名（不含扩展名）',
+                      example: 'contract-bundle'
+                    },
+                    metadata: {
+                      $ref: '#/components/schemas/PDFMetadata'
+                    },
+                    pdfa: {
+                      $ref: '#/components/schemas/PDFALevel'
+                    },
+                    encryption: {
+                      $ref: '#/components/schemas/PDFEncryption'
+                    },
+                    delivery: {
+                      $ref: '#/components/schemas/DeliveryMode'
+                    },
+                    storage: {
+                      $ref: '#/components/schemas/StorageDriver'
+                    }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            200: {
+              description: 'PDF合并成功',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/PDFProcessingResult'
+                  }
+                },
+                'application/pdf': {
+                  schema: {
+                    type: 'string',
+                    format: 'binary',
+                    description: 'PDF文件内容（delivery=inline 时返回）'
+                  }
+                }
+              }
+            },
+            400: { $ref: '#/components/responses/BadRequest' },
+            500: { $ref: '#/components/responses/InternalServerError' }
+          }
+        }
+      },
+      '/split': {
+        post: {
+          summary: '拆分PDF',
+          description: '按页码范围（每个范围一个文件）或固定页数拆分 PDF，ranges 与 pagesPerFile 二选一',
+          tags: ['PDF后处理'],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['source'],
+                  properties: {
+                    source: {
+                      $ref: '#/components/schemas/PDFSource'
+                    },
+                    ranges: {
+                      type: 'array',
+                      minItems: 1,
+                      maxItems: 100,
+                      items: { type: 'string', pattern: '^\\s*\\d+\\s*(-\\s*\\d*\\s*)?(,\\s*\\d+\\s*(-\\s*\\d*\\s*)?)*$' },
+                      description: '页码范围列表，每项生成一个文件，格式同 PDFSource.pages',
+                      example: ['1-2', '3-5', '6-']
+                    },
+                    pagesPerFile: {
+                      type: 'integer',
+                      minimum: 1,
+                      description: '每个文件的页数',
+                      example: 10
+                    },
+                    fileName: {
+                      type: 'string',
+                      description: '输出文件名前缀，各部分依次命名为 {fileName}_1.pdf、{fileName}_2.pdf ...',
+                      example: 'report'
+                    },
+                    delivery: {
+                      type: 'string',
+                      enum: ['upload', 'base64'],
+                      default: 'upload',
+                      description: '交付方式：upload - 上传到存储并返回访问地址（默认）；base64 - 在各文件的 content 字段中返回 Base64 编码的文件内容'
+                    },
+                    storage: {
+                      $ref: '#/components/schemas/StorageDriver'
+                    }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            200: {
+              description: 'PDF拆分成功',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean', example: true },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          files: {
+                            type: 'array',
+                            description: '拆分结果，顺序与 ranges 一致',
+                            items: {
+                              type: 'object',
+                              properties: {
+                                pdfURL: { type: 'string', description: 'PDF文件访问URL（delivery=upload 时返回）' },
+                                storageProvider: { type: 'string', description: '存储提供商（platform / local / s3）' },
+                                fileName: { type: 'string', example: 'report_1.pdf' },
+                                fileSize: { type: 'integer', description: '文件大小（字节）' },
+                                pageCount: { type: 'integer', description: '页面数量' },
+                                pages: { type: 'string', description: '对应原文件的页码范围', example: '1-2' },
+                                mimeType: { type: 'string', example: 'application/pdf' },
+                                content: { type: 'string', format: 'byte', description: 'Base64 编码的文件内容（delivery=base64 时返回）' }
+                              }
+                            }
+                          },
+                          fileCount: { type: 'integer', description: '文件数量', example: 3 },
+                          generatedAt: { type: 'string', format: 'date-time', description: '生成时间' },
+                          processingTimeMs: { type: 'integer', description: '处理时间（毫秒）' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            400: { $ref: '#/components/responses/BadRequest' },
+            500: { $ref: '#/components/responses/InternalServerError' }
+          }
+        }
+      },
+      '/encrypt': {
+        post: {
+          summary: '加密PDF',
+          description: '使用 AES-256 加密 PDF，设置打开密码、权限密码及打印、复制、修改等操作权限',
+          tags: ['PDF后处理'],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['source'],
+                  properties: {
+                    source: {
+                      $ref: '#/components/schemas/PDFSource'
+                    },
+                    userPassword: {
+                      $ref: '#/components/schemas/PDFEncryption/properties/userPassword'
+                    },
+                    ownerPassword: {
+                      $ref: '#/components/schemas/PDFEncryption/properties/ownerPassword'
+                    },
+                    permissions: {
+                      $ref: '#/components/schemas/PDFEncryption/properties/permissions'
+                    },
+                    fileName: {
+                      type: 'string',
+                      description: '输出文件名（不含扩展名）',
+                      example: 'contract-protected'
+                    },
+                    delivery: {
+                      $ref: '#/components/schemas/DeliveryMode'
+                    },
+                    storage: {
+                      $ref: '#/components/schemas/StorageDriver'
+                    }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            200: {
+              description: 'PDF加密成功',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/PDFProcessingResult'
+                  }
+                },
+                'application/pdf': {
+                  schema: {
+                    type: 'string',
+                    format: 'binary',
+                    description: 'PDF文件内容（delivery=inline 时返回）'
+                  }
+                }
+              }
+            },
+            400: { $ref: '#/components/responses/BadRequest' },
+            500: { $ref: '#/components/responses/InternalServerError' }
+          }
+        }
+      },
+      '/convert-to-pdfa': {
+        post: {
+          summary: '转换为PDF/A',
+          description: '转换为 PDF/A 归档格式：嵌入全部字体和 sRGB 输出意图，供长期归档',
+          tags: ['PDF后处理'],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['source'],
+                  properties: {
+                    source: {
+                      $ref: '#/components/schemas/PDFSource'
+                    },
+                    level: {
+                      $ref: '#/components/schemas/PDFALevel'
+                    },
+                    fileName: {
+                      type: 'string',
+                      description: '输出文件名（不含扩展名）',
+                      example: 'archive-2025'
+                    },
+                    delivery: {
+                      $ref: '#/components/schemas/DeliveryMode'
+                    },
+                    storage: {
+                      $ref: '#/components/schemas/StorageDriver'
+                    }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            200: {
+              description: 'PDF/A转换成功',
+              content: {
+                'application/json': {
+                  schema: {
+                    $ref: '#/components/schemas/PDFProcessingResult'
+                  }
+                },
+                'application/pdf': {
+                  schema: {
+                    type: 'string',
+                    format: 'binary',
+                    description: 'PDF文件内容（delivery=inline 时返回）'
+                  }
+                }
+              }
+            },
+            400: { $ref: '#/components/responses/BadRequest' },
+            500: { $ref: '#/components/responses/InternalServerError' }
+          }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        // 写入 PDF 的 Info 字典，供下游归档系统读取
+        PDFMetadata: {
+          type: 'object',
+          description: 'PDF 文档信息（可选），写入 PDF 的 Info 字典',
+          additionalProperties: false,
+          properties: {
+            title: { type: 'string', maxLength: 1000, description: '标题', example: '2025 年度报告' },
+            author: { type: 'string', maxLength: 1000, description: '作者', example: '张三' },
+            subject: { type: 'string', maxLength: 1000, description: '主题', example: '年度经营情况' },
+            keywords: {
+              oneOf: [
+                { type: 'string', maxLength: 1000 },
+                { type: 'array', items: { type: 'string', maxLength: 200 } }
+              ],
+              description: '关键词，字符串或字符串数组',
+              example: ['年报', '财务']
+            },
+            creator: { type: 'string', maxLength: 1000, description: '创建程序', example: 'GeniSpace' },
+            language: { type: 'string', maxLength: 35, description: '文档语言（BCP 47 标签）', example: 'zh-CN' }
+          }
+        },
+        // 封面页与样式配置，字段与 Word 生成器的 wordOptions.coverPage / styleConfig 一致
+        PDFCoverPage: {
+          type: 'object',
+          description: '封面页配置（可选），封面为整页背景色的独立首页，不显示页眉页脚，不计入正文页码',
+          properties: {
+            title: { type: 'string', example: '文档标题', description: '主标题' },
+            subtitle: { type: 'string', example: '副标题', description: '副标题（可选）' },
+            companyName: { type: 'string', example: '示例公司', description: '公司名称（可选）' },
+            version: { type: 'string', example: 'v1.0', description: '版本号（可选）' },
+            date: { type: 'string', example: '2025年1月24日', description: '日期（默认当天）' },
+            author: { type: 'string', example: '张三', description: '作者（可选）' },
+            department: { type: 'string', example: '技术部', description: '部门（可选）' }
+          }
+        },
+        PDFStyleConfig: {
+          type: 'object',
+          description: '样式配置（可选），PDF 封面使用主色调、封面背景色、封面文字颜色和字体；其余字段为兼容 Word 生成器的请求体',
+          properties: {
+            primaryColor: { type: 'string', example: '1a5490', description: '主色调（十六进制，不含#）' },
+            secondaryColor: { type: 'string', example: '2c5aa0', description: '次要色调' },
+            backgroundColor: { type: 'string', example: 'FFFFFF', description: '文档背景色' },
+            coverBackgroundColor: { type: 'string', example: '1a5490', description: '封面页背景色' },
+            textColor: { type: 'string', example: '333333', description: '文本颜色' },
+            textLightColor: { type: 'string', example: '666666', description: '浅文本颜色' },
+            coverTextColor: { type: 'string', example: 'FFFFFF', description: '封面页文字颜色' },
+            coverTextLightColor: { type: 'string', example: 'FFFFFF', description: '封面页浅文字颜色' },
+            linkColor: { type: 'string', example: '1a5490', description: '链接颜色' },
+            fontFamily: { type: 'string', example: 'Microsoft YaHei', description: '字体' }
+          }
+        },
+        PDFWatermark: {
+          description: '水印（可选）：文字字符串，或包含文字 / 图片及样式的对象。文字与正文使用相同的模板引擎，' +
+            '可使用 templateData 中的数据、当前用户信息 {{user.name}}、{{user.email}} 等及 {{now}}（生成时间）',
+          oneOf: [
+            { type: 'string', minLength: 1, maxLength: 1000 },
+            {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                text: { type: 'string', maxLength: 1000, description: '水印文字（与 image 二选一）', example: '草稿' },
+                image: { type: 'string', maxLength: 2097152, description: '水印图片：http/https 地址或 data URI，按外部资源访问策略加载' },
+                opacity: { type: 'number', minimum: 0, maximum: 1, description: '不透明度（文字默认 0.15，图片默认 0.3）' },
+                rotation: { type: 'number', minimum: -360, maximum: 360, description: '旋转角度（文字默认 -45，图片默认 0）' },
+                position: {
+                  type: 'string',
+                  enum: ['center', 'top', 'bottom', 'top-left', 'top-right', 'bottom-left', 'bottom-right', 'tile'],
+                  default: 'center',
+                  description: '位置，tile 为整页平铺'
+                },
+                fontSize: { type: 'number', minimum: 6, maximum: 300, description: '文字字号（pt，默认 72，平铺时 32）' },
+                color: { type: 'string', example: 'CC0000', description: '文字颜色（十六进制，默认 999999）' },
+                width: { type: 'string', example: '6cm', description: '图片宽度（CSS 长度，默认 8cm）' },
+                pages: { type: 'string', enum: ['all', 'first'], default: 'all', description: '叠加到每一页（含封面）或仅首页' }
+              }
+            }
+          ],
+          example: {
+            text: '机密 · {{user.name}} · {{now}}',
+            position: 'tile',
+            opacity: 0.12
+          }
+        },
+        ImageOptions: {
+          type: 'object',
+          description: '图片选项（可选）',
+          additionalProperties: false,
+          properties: {
+            outputFormat: {
+              type: 'string',
+              enum: ['png', 'jpeg', 'webp'],
+              default: 'png',
+              description: '图片格式'
+            },
+            viewport: {
+              type: 'object',
+              additionalProperties: false,
+              description: '视口尺寸（CSS 像素），决定页面排版宽度',
+              properties: {
+                width: { type: 'integer', minimum: 100, maximum: 4000, default: 1200 },
+                height: { type: 'integer', minimum: 100, maximum: 4000, default: 800 }
+              },
+              example: { width: 1200, height: 630 }
+            },
+            deviceScaleFactor: {
+              type: 'number',
+              minimum: 0.5,
+              maximum: 4,
+              default: 1,
+              description: '设备像素比，2 表示按两倍分辨率输出（高清屏）'
+            },
+            fullPage: {
+              type: 'boolean',
+              default: true,
+              description: '截取整个页面；false 时只截取视口范围'
+            },
+            selector: {
+              type: 'string',
+              maxLength: 1000,
+              description: '只截取匹配的第一个元素（CSS 选择器），优先于 fullPage',
+              example: '.card'
+            },
+            splitPages: {
+              type: 'boolean',
+              default: false,
+              description: '按 pageHeight 将截取区域拆分为多张图片（最多 50 张），delivery 不能为 inline'
+            },
+            pageHeight: {
+              type: 'integer',
+              minimum: 100,
+              maximum: 10000,
+              description: '拆分时每张图片的高度（CSS 像素，默认视口高度）'
+            },
+            quality: {
+              type: 'integer',
+              minimum: 0,
+              maximum: 100,
+              description: '图片质量（仅 jpeg / webp）'
+            },
+            omitBackground: {
+              type: 'boolean',
+              default: false,
+              description: '透明背景（仅 png / webp，页面未设置背景色时生效）'
+            }
+          }
+        },
+        // 后处理接口的输入文件
+        PDFSource: {
+          description: 'PDF 来源：fileId、fileName、url、content 四选一',
+          allOf: [
+            {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                fileId: { type: 'string', minLength: 1, description: '平台存储文件 ID（需要 GeniSpace API Key）' },
+                fileName: {
+                  type: 'string',
+                  pattern: '^[a-zA-Z0-9_-]+\\.pdf$',
+                  description: '本地存储中已生成的文件名（生成接口返回的 fileName，storage=local）',
+                  example: 'report-2025.pdf'
+                },
+                url: { type: 'string', format: 'uri', description: 'PDF 地址（http/https），按外部资源访问策略下载' },
+                content: { type: 'string', format: 'byte', description: 'Base64 编码的文件内容' },
+                pages: {
+                  type: 'string',
+                  pattern: '^\\s*\\d+\\s*(-\\s*\\d*\\s*)?(,\\s*\\d+\\s*(-\\s*\\d*\\s*)?)*$',
+                  description: '合并时选取的页码范围（默认全部），如 "1-3,5,8-"，"8-" 表示第 8 页到最后一页',
+                  example: '1-3,5'
+                }
+              }
+            },
+            {
+              anyOf: [
+                { type: 'object', required: ['fileId'] },
+                { type: 'object', required: ['fileName'] },
+                { type: 'object', required: ['url'] },
+                { type: 'object', required: ['content'] }
+              ]
+            }
+          ],
+          example: { fileId: 'file_abc123', pages: '1-3' }
+        },
+        PDFALevel: {
+          type: 'string',
+          enum: ['1b', '2b', '3b'],
+          description: '输出 PDF/A 级别（可选）：1b（PDF/A-1b）、2b（PDF/A-2b，推荐）、3b（PDF/A-3b，允许嵌入附件）。PDF/A 文件不允许加密，不能与 encryption 同时使用',
+          example: '2b'
+        },
+        PDFEncryption: {
+          type: 'object',
+          description: '加密（可选，AES-256）。只设置权限密码时无需密码即可打开，但操作受权限限制；不能与 pdfa 同时使用',
+          additionalProperties: false,
+          properties: {
+            userPassword: { type: 'string', maxLength: 127, description: '打开密码（可选，为空时无需密码即可打开）' },
+            ownerPassword: { type: 'string', maxLength: 127, description: '权限密码（可选，未提供时随机生成，权限限制无法解除）' },
+            permissions: {
+              type: 'object',
+              description: '未设置打开密码或以打开密码打开时允许的操作（默认只允许打印）',
+              additionalProperties: false,
+              properties: {
+                print: { type: 'boolean', default: true, description: '打印' },
+                copy: { type: 'boolean', default: false, description: '复制文字和图片' },
+                modify: { type: 'boolean', default: false, description: '修改内容' },
+                annotate: { type: 'boolean', default: false, description: '添加注释' },
+                fillForms: { type: 'boolean', default: false, description: '填写表单' },
+                assemble: { type: 'boolean', default: false, description: '插入、删除、旋转页面' }
+              }
+            }
+          },
+          example: {
+            ownerPassword: 'owner-secret',
+            permissions: { print: true, copy: false }
+          }
+        },
+        PDFProcessingResult: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            data: {
+              type: 'object',
+              properties: {
+                pdfURL: { type: 'string', description: 'PDF文件访问URL（delivery=upload 时返回）' },
+                storageProvider: { type: 'string', description: '存储提供商（platform / local / s3）', example: 'local' },
+                fileName: { type: 'string', description: '输出文件名', example: 'contract-bundle.pdf' },
+                fileSize: { type: 'integer', description: '文件大小（字节）' },
+                pageCount: { type: 'integer', description: '页面数量' },
+                sourceCount: { type: 'integer', description: '合并的文件数量（仅合并接口返回）' },
+                pdfaLevel: { type: 'string', description: 'PDF/A 级别（仅 PDF/A 转换接口返回）' },
+                mimeType: { type: 'string', description: '文件类型（delivery=base64 时返回）', example: 'application/pdf' },
+                content: { type: 'string', format: 'byte', description: 'Base64 编码的文件内容（delivery=base64 时返回）' },
+                generatedAt: { type: 'string', format: 'date-time', description: '生成时间' },
+                processingTimeMs: { type: 'integer', description: '处理时间（毫秒）' }
+              }
+            }
+          }
+        },
+        // 页眉 / 页脚，设置后覆盖 pdfOptions 中的 headerTemplate / footerTemplate
+        PDFHeaderFooter: {
+          description: '页眉或页脚（可选）：HTML 模板字符串，或包含模板及选项的对象。模板与正文使用相同的模板引擎（templateEngine），' +
+            '可使用 templateData 中的数据及内置变量 {{pageNumber}}（当前页码）、{{totalPages}}（总页数）、' +
+            '{{date}}（生成日期）、{{title}}（metadata.title，未提供时为文档标题）',
+          oneOf: [
+            { type: 'string', minLength: 1, maxLength: 102400 },
+            {
+              type: 'object',
+              required: ['template'],
+              additionalProperties: false,
+              properties: {
+                template: {
+                  type: 'string',
+                  minLength: 1,
+                  maxLength: 102400,
+                  description: 'HTML 模板',
+                  example: '<div style="text-align: center;">第 {{pageNumber}} 页 / 共 {{totalPages}} 页</div>'
+                },
+                margin: {
+                  type: 'string',
+                  description: '页眉对应上边距、页脚对应下边距（默认使用 pdfOptions.margin，未设置时为 1.5cm）',
+                  example: '2cm'
+                },
+                showOnFirstPage: {
+                  type: 'boolean',
+                  default: true,
+                  description: '是否在首页（内容自带的封面）显示；使用 coverPage 时封面始终不显示页眉页脚'
+                }
+              }
+            }
+          ],
+          example: {
+            template: '<div style="text-align: center;">机密文件 · 第 {{pageNumber}} 页 / 共 {{totalPages}} 页</div>',
+            showOnFirstPage: false
+          }
+        }
       }
     }
   }
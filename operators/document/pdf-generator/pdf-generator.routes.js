@@ -2,19 +2,37 @@
  * GeniSpace PDF Generator Routes
  * 
  * PDF生成算子路由实现
- * 支持HTML、Markdown模板生成PDF文档
+ * 支持HTML、Markdown模板及网页生成PDF文档，模板生成图片，以及合并、拆分、加密、PDF/A 转换等后处理
  */
 
 const express = require('express');
-const path = require('path');
+const fs = require('fs');
 const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
 const PDFGenerator = require('./PDFGenerator');
-const { sendSuccessResponse, sendErrorResponse, asyncHandler } = require('../../../src/utils/response');
+const PDFPostProcessor = require('./PDFPostProcessor');
+const { sendSuccessResponse, sendErrorResponse, sendFileResponse, asyncHandler, ErrorCodes } = require('../../../src/utils/response');
+const { useTemplate } = require('../../../src/middleware/template');
+const { resolveStorage, deliverFile, getStorage } = require('../../../src/services/storage');
+const { renderTemplate } = require('../../../src/utils/template-engine');
+const { SOURCE_NOT_ALLOWED } = require('../../../src/utils/fetch-policy');
+const config = require('../../../src/config/env');
 
 const router = express.Router();
 
 // 初始化 PDF 生成器（使用默认临时目录，无需配置）
 const pdfGenerator = new PDFGenerator();
+const pdfPostProcessor = new PDFPostProcessor();
+
+// 下载路由支持的扩展名 => Content-Type
+const DOWNLOAD_MIME_TYPES = {
+  pdf: 'application/pdf',
+  ...Object.fromEntries(Object.values(PDFGenerator.IMAGE_FORMATS))
+};
+
+// PDF/A 文件不允许加密，生成和后处理接口共用此检查
+const PDFA_ENCRYPTION_CONFLICT = 'pdfa 与 encryption 不能同时使用：PDF/A 文件不允许加密';
 
 /**
  * 构建完整的 HTML 文档
@@ -95,63 +113,25 @@ function buildFullHTMLDocument(htmlContent, cssStyles = '') {
   `;
 }
 
-/**
- * 验证请求参数
- */
-function validateGenerateFromHTML(req, res, next) {
-  const { htmlContent, templateData } = req.body;
-  
-  if (!htmlContent || typeof htmlContent !== 'string') {
-    return sendErrorResponse(res, '缺少必需的htmlContent参数', 'MISSING_HTML_CONTENT', null, 400);
-  }
-  
-  if (htmlContent.length > 10 * 1024 * 1024) { // 10MB限制
-    return sendErrorResponse(res, 'HTML内容过大，最大支持10MB', 'HTML_TOO_LARGE', null, 400);
-  }
-  
-  // templateData是可选的，但如果提供了必须是对象
-  if (templateData !== undefined && (typeof templateData !== 'object' || Array.isArray(templateData) || templateData === null)) {
-    return sendErrorResponse(res, 'templateData必须是对象格式', 'INVALID_TEMPLATE_DATA', null, 400);
-  }
-  
-  next();
-}
-
-function validateGenerateFromMarkdown(req, res, next) {
-  const { markdownTemplate, templateData } = req.body;
-  
-  if (!markdownTemplate || typeof markdownTemplate !== 'string') {
-    return sendErrorResponse(res, '缺少必需的markdownTemplate参数', 'MISSING_MARKDOWN_TEMPLATE', null, 400);
-  }
-  
-  // templateData是可选的，但如果提供了必须是对象
-  if (templateData !== undefined && (typeof templateData !== 'object' || Array.isArray(templateData) || templateData === null)) {
-    return sendErrorResponse(res, 'templateData必须是对象格式', 'INVALID_TEMPLATE_DATA', null, 400);
-  }
-  
-  if (markdownTemplate.length > 5 * 1024 * 1024) { // 5MB限制
-    return sendErrorResponse(res, 'Markdown模板过大，最大支持5MB', 'MARKDOWN_TOO_LARGE', null, 400);
-  }
-  
-  next();
-}
-
 /**
  * 从HTML生成PDF
  */
-router.post('/generate-from-html', validateGenerateFromHTML, asyncHandler(async (req, res) => {
+router.post('/generate-from-html', useTemplate({ format: 'html', contentField: 'htmlContent', stylesField: 'cssStyles' }), asyncHandler(async (req, res) => {
   const startTime = Date.now();
-  const { htmlContent, templateData = {}, cssStyles = '', fileName, pdfOptions = {} } = req.body;
+  const { htmlContent, templateData = {}, templateEngine, cssStyles = '', fileName, pdfOptions = {}, metadata, header, footer, includeTOC, tocTitle, tocDepth, coverPage, styleConfig, watermark, pdfa, encryption, delivery = 'upload', storage: storageName } = req.body;
+  
+  if (pdfa && encryption) {
+    return sendErrorResponse(res, PDFA_ENCRYPTION_CONFLICT, ErrorCodes.INVALID_PARAMETER, null, 400);
+  }
   
   try {
-    // 检查认证
-    pdfGenerator.checkAuth(req);
+    // 确定存储驱动（平台存储需要认证），直接返回文件内容时无需存储
+    const storage = delivery === 'upload' ? resolveStorage(req, storageName) : null;
     
-    // 如果提供了templateData，使用Mustache进行模板替换
+    // 如果提供了templateData，使用模板引擎进行模板替换
     let processedHtmlContent = htmlContent;
     if (templateData && Object.keys(templateData).length > 0) {
-      const Mustache = require('mustache');
-      processedHtmlContent = Mustache.render(htmlContent, templateData);
+      processedHtmlContent = renderTemplate(htmlContent, templateData, templateEngine);
     }
     
     // 构建完整的HTML文档
@@ -172,36 +152,46 @@ router.post('/generate-from-html', validateGenerateFromHTML, asyncHandler(async
         },
         printBackground: true,
         ...pdfOptions
-      }
+      },
+      { metadata, header, footer, templateData, templateEngine, includeTOC, tocTitle, tocDepth, coverPage, styleConfig, watermark, user: req.genispace?.user, pdfa, encryption, signal: req.job?.signal }
     );
     
     const processingTime = Date.now() - startTime;
     
     // 获取PDF信息
-    const fs = require('fs');
     const fileStats = fs.statSync(pdfPath);
     const pageCount = await pdfGenerator.getPDFPageCount(pdfPath);
     
-    // 上传到平台存储
-    const pdfURL = await pdfGenerator.uploadToPlatformStorage(
-      pdfPath, 
-      fileName || `pdf_${Date.now()}`, 
+    // 上传到存储，或读取文件内容直接返回
+    const output = await deliverFile(pdfPath, {
+      delivery,
+      storage,
+      fileName: `${fileName || `pdf_${Date.now()}`}.pdf`,
+      mimeType: 'application/pdf',
+      folder: 'pdf-documents',
       req
-    );
+    });
     
     // 清理临时文件
     pdfGenerator.cleanupFiles(pdfPath);
     
     const responseData = {
-      pdfURL,
+      ...(output.url && { pdfURL: output.url, storageProvider: output.provider }),
       fileName: `${fileName || `pdf_${Date.now()}`}.pdf`,
       fileSize: fileStats.size,
       pageCount,
-      storageProvider: 'platform',
       generatedAt: new Date().toISOString(),
       processingTimeMs: processingTime
     };
     
+    if (delivery === 'inline') {
+      return sendFileResponse(res, output.content, responseData.fileName, 'application/pdf');
+    }
+    if (delivery === 'base64') {
+      responseData.mimeType = 'application/pdf';
+      responseData.content = output.content.toString('base64');
+    }
+    
     sendSuccessResponse(res, responseData, 'PDF生成成功');
     
   } catch (error) {
@@ -215,15 +205,20 @@ router.post('/generate-from-html', validateGenerateFromHTML, asyncHandler(async
 /**
  * 从Markdown模板生成PDF
  */
-router.post('/generate-from-markdown', validateGenerateFromMarkdown, asyncHandler(async (req, res) => {
+router.post('/generate-from-markdown', useTemplate({ format: 'markdown', contentField: 'markdownTemplate', stylesField: 'cssStyles' }), asyncHandler(async (req, res) => {
   const startTime = Date.now();
-  const { markdownTemplate, templateData = {}, fileName, cssStyles = '', pdfOptions = {} } = req.body;
+  const { markdownTemplate, templateData = {}, templateEngine, fileName, cssStyles = '', pdfOptions = {}, metadata, header, footer, includeTOC, tocTitle, tocDepth, coverPage, styleConfig, watermark, pdfa, encryption, delivery = 'upload', storage } = req.body;
+  
+  if (pdfa && encryption) {
+    return sendErrorResponse(res, PDFA_ENCRYPTION_CONFLICT, ErrorCodes.INVALID_PARAMETER, null, 400);
+  }
   
   try {
     // 使用PDFGenerator的generatePDF方法
     const result = await pdfGenerator.generatePDF({
       markdownTemplate,
       templateData,
+      templateEngine,
       fileName: fileName || `markdown_pdf_${Date.now()}`,
       pdfOptions: {
         format: 'A4',
@@ -237,7 +232,20 @@ router.post('/generate-from-markdown', validateGenerateFromMarkdown, asyncHandle
         ...pdfOptions
       },
       cssStyles,
-      req // 传递请求对象用于认证和SDK上传
+      metadata,
+      header,
+      footer,
+      includeTOC,
+      tocTitle,
+      tocDepth,
+      coverPage,
+      styleConfig,
+      watermark,
+      pdfa,
+      encryption,
+      delivery,
+      storage,
+      req // 传递请求对象用于认证和文件上传
     });
     
     const processingTime = Date.now() - startTime;
@@ -245,6 +253,11 @@ router.post('/generate-from-markdown', validateGenerateFromMarkdown, asyncHandle
     // 添加处理时间到响应数据
     result.processingTimeMs = processingTime;
     
+    // delivery=inline：直接返回文件
+    if (delivery === 'inline') {
+      return sendFileResponse(res, result.content, result.fileName, result.mimeType);
+    }
+    
     sendSuccessResponse(res, result, 'PDF生成成功');
     
   } catch (error) {
@@ -256,7 +269,392 @@ router.post('/generate-from-markdown', validateGenerateFromMarkdown, asyncHandle
 }));
 
 /**
- * PDF文件下载路由
+ * 打开网页生成PDF（站点须在 PDF_URL_ALLOWED_HOSTS 允许列表中）
+ */
+router.post('/generate-from-url', asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { url, cookies, headers, viewport, mediaType, waitFor, fileName, pdfOptions = {}, metadata, header, footer, includeTOC, tocTitle, tocDepth, coverPage, styleConfig, watermark, pdfa, encryption, delivery = 'upload', storage: storageName } = req.body;
+  
+  if (config.urlRendering.allowedHosts.length === 0) {
+    return sendErrorResponse(res, '网页转 PDF 未启用：请配置允许访问的站点 PDF_URL_ALLOWED_HOSTS', ErrorCodes.FORBIDDEN, null, 403);
+  }
+  if (pdfa && encryption) {
+    return sendErrorResponse(res, PDFA_ENCRYPTION_CONFLICT, ErrorCodes.INVALID_PARAMETER, null, 400);
+  }
+  
+  try {
+    await pdfGenerator.checkRenderURL(url);
+  } catch (error) {
+    return sendErrorResponse(res, error.message, SOURCE_NOT_ALLOWED, { url }, 403);
+  }
+  
+  try {
+    // 确定存储驱动（平台存储需要认证），直接返回文件内容时无需存储
+    const storage = delivery === 'upload' ? resolveStorage(req, storageName) : null;
+    const outputName = fileName || `url_pdf_${Date.now()}`;
+    
+    const pdfPath = await pdfGenerator.generatePDFFromURL(
+      url,
+      `url_pdf_${Date.now()}_${uuidv4().substring(0, 8)}`,
+      {
+        format: 'A4',
+        margin: {
+          top: '1cm',
+          right: '1cm',
+          bottom: '1cm',
+          left: '1cm'
+        },
+        printBackground: true,
+        ...pdfOptions
+      },
+      { metadata, header, footer, includeTOC, tocTitle, tocDepth, coverPage, styleConfig, watermark, user: req.genispace?.user, pdfa, encryption, signal: req.job?.signal },
+      { cookies, headers, viewport, mediaType, waitFor }
+    );
+    
+    const processingTime = Date.now() - startTime;
+    
+    // 获取PDF信息
+    const fileStats = fs.statSync(pdfPath);
+    const pageCount = await pdfGenerator.getPDFPageCount(pdfPath);
+    
+    // 上传到存储，或读取文件内容直接返回
+    const output = await deliverFile(pdfPath, {
+      delivery,
+      storage,
+      fileName: `${outputName}.pdf`,
+      mimeType: 'application/pdf',
+      folder: 'pdf-documents',
+      req
+    });
+    
+    // 清理临时文件
+    pdfGenerator.cleanupFiles(pdfPath);
+    
+    const responseData = {
+      ...(output.url && { pdfURL: output.url, storageProvider: output.provider }),
+      fileName: `${outputName}.pdf`,
+      fileSize: fileStats.size,
+      pageCount,
+      generatedAt: new Date().toISOString(),
+      processingTimeMs: processingTime
+    };
+    
+    if (delivery === 'inline') {
+      return sendFileResponse(res, output.content, responseData.fileName, 'application/pdf');
+    }
+    if (delivery === 'base64') {
+      responseData.mimeType = 'application/pdf';
+      responseData.content = output.content.toString('base64');
+    }
+    
+    sendSuccessResponse(res, responseData, 'PDF生成成功');
+    
+  } catch (error) {
+    console.error('网页转PDF失败:', error);
+    sendErrorResponse(res, `PDF生成失败: ${error.message}`, 'PDF_GENERATION_FAILED', { 
+      originalError: error.message 
+    }, 500);
+  }
+}));
+
+/**
+ * 从HTML或Markdown模板生成图片（PNG / JPEG / WebP）
+ */
+router.post('/generate-image', useTemplate({ contentFields: { html: 'htmlContent', markdown: 'markdownTemplate' }, stylesField: 'cssStyles' }), asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { htmlContent, markdownTemplate, templateData = {}, templateEngine, cssStyles = '', fileName, imageOptions = {}, delivery = 'upload', storage: storageName } = req.body;
+  const { outputFormat = 'png', splitPages = false } = imageOptions;
+  
+  if (splitPages && delivery === 'inline') {
+    return sendErrorResponse(res, 'splitPages 生成多张图片，delivery 只能为 upload 或 base64', ErrorCodes.INVALID_PARAMETER, null, 400);
+  }
+  
+  let images = [];
+  try {
+    const storage = delivery === 'upload' ? resolveStorage(req, storageName) : null;
+    const baseName = fileName || `image_${Date.now()}`;
+    const [extension, mimeType] = PDFGenerator.IMAGE_FORMATS[outputFormat];
+    
+    // Markdown 与生成 PDF 相同：填充数据后转换为 HTML；HTML 补全为完整文档
+    let fullHtmlContent;
+    if (markdownTemplate) {
+      const templateContent = await pdfGenerator.getTemplateContent(markdownTemplate);
+      fullHtmlContent = pdfGenerator.convertMarkdownToHTML(renderTemplate(templateContent, templateData, templateEngine), cssStyles);
+    } else {
+      let processedHtmlContent = htmlContent;
+      if (templateData && Object.keys(templateData).length > 0) {
+        processedHtmlContent = renderTemplate(htmlContent, templateData, templateEngine);
+      }
+      fullHtmlContent = buildFullHTMLDocument(processedHtmlContent, cssStyles);
+    }
+    
+    images = await pdfGenerator.generateImageFromHTML(
+      fullHtmlContent,
+      {},
+      `image_${Date.now()}_${uuidv4().substring(0, 8)}`,
+      imageOptions,
+      { templateData, templateEngine, signal: req.job?.signal }
+    );
+    
+    const files = [];
+    for (const [index, image] of images.entries()) {
+      const imageFileName = `${baseName}${splitPages ? `_${index + 1}` : ''}.${extension}`;
+      const fileSize = fs.statSync(image.path).size;
+      const output = await deliverFile(image.path, {
+        delivery,
+        storage,
+        fileName: imageFileName,
+        mimeType,
+        folder: 'document-images',
+        req
+      });
+      files.push({
+        ...(output.url && { imageURL: output.url, storageProvider: output.provider }),
+        fileName: imageFileName,
+        fileSize,
+        width: image.width,
+        height: image.height,
+        ...(output.content && { content: output.content })
+      });
+    }
+    
+    const processingTime = Date.now() - startTime;
+    
+    if (delivery === 'inline') {
+      return sendFileResponse(res, files[0].content, files[0].fileName, mimeType);
+    }
+    
+    const toResponse = ({ content, ...file }) => ({
+      ...file,
+      ...(content && { mimeType, content: content.toString('base64') })
+    });
+    const responseData = splitPages ?
+      { images: files.map(toResponse), imageCount: files.length } :
+      toResponse(files[0]);
+    
+    sendSuccessResponse(res, {
+      ...responseData,
+      format: outputFormat,
+      generatedAt: new Date().toISOString(),
+      processingTimeMs: processingTime
+    }, '图片生成成功');
+    
+  } catch (error) {
+    console.error('生成图片失败:', error);
+    sendErrorResponse(res, `图片生成失败: ${error.message}`, 'IMAGE_GENERATION_FAILED', { 
+      originalError: error.message 
+    }, 500);
+  } finally {
+    pdfGenerator.cleanupFiles(...images.map(image => image.path));
+  }
+}));
+
+/**
+ * 后处理结果写入临时文件后交付（上传到存储或直接返回内容），返回与生成接口一致的响应数据
+ * @param {Uint8Array|null} bytes - PDF 内容；为 null 时文件已在 pdfPath
+ */
+async function deliverProcessedPDF(pdfPath, bytes, { fileName, delivery, storage, req }) {
+  try {
+    if (bytes) {
+      await fs.promises.writeFile(pdfPath, bytes);
+    }
+    const fileSize = fs.statSync(pdfPath).size;
+    const pageCount = await pdfGenerator.getPDFPageCount(pdfPath);
+    const output = await deliverFile(pdfPath, {
+      delivery,
+      storage,
+      fileName,
+      mimeType: 'application/pdf',
+      folder: 'pdf-documents',
+      req
+    });
+    
+    return {
+      ...(output.url && { pdfURL: output.url, storageProvider: output.provider }),
+      fileName,
+      fileSize,
+      pageCount,
+      ...(output.content && { content: output.content })
+    };
+  } finally {
+    pdfGenerator.cleanupFiles(pdfPath);
+  }
+}
+
+/**
+ * 后处理接口的临时文件路径（不使用请求中的文件名）
+ */
+function processingPath() {
+  return path.join(pdfGenerator.config.outputDir, `processed_${Date.now()}_${uuidv4().substring(0, 8)}.pdf`);
+}
+
+/**
+ * 发送后处理接口的响应：inline 直接返回文件，base64 附带内容
+ */
+function sendProcessedPDF(res, result, { delivery, startTime, message }) {
+  const { content, ...data } = result;
+  const responseData = {
+    ...data,
+    generatedAt: new Date().toISOString(),
+    processingTimeMs: Date.now() - startTime
+  };
+  
+  if (delivery === 'inline') {
+    return sendFileResponse(res, content, responseData.fileName, 'application/pdf');
+  }
+  if (delivery === 'base64') {
+    responseData.mimeType = 'application/pdf';
+    responseData.content = content.toString('base64');
+  }
+  
+  sendSuccessResponse(res, responseData, message);
+}
+
+/**
+ * 合并多个 PDF（可分别选取页码范围），可同时写入文档信息、转换为 PDF/A 或加密
+ */
+router.post('/merge', asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { sources, fileName, metadata, pdfa, encryption, delivery = 'upload', storage: storageName } = req.body;
+  
+  if (pdfa && encryption) {
+    return sendErrorResponse(res, PDFA_ENCRYPTION_CONFLICT, ErrorCodes.INVALID_PARAMETER, null, 400);
+  }
+  
+  const pdfPath = processingPath();
+  try {
+    const storage = delivery === 'upload' ? resolveStorage(req, storageName) : null;
+    const baseName = fileName || `merged_${Date.now()}`;
+    
+    const documents = [];
+    for (const source of sources) {
+      documents.push({ data: await pdfPostProcessor.loadSource(source, req), pages: source.pages });
+    }
+    
+    await fs.promises.writeFile(pdfPath, await pdfPostProcessor.merge(documents));
+    if (metadata) {
+      await pdfGenerator.setPDFMetadata(pdfPath, metadata);
+    }
+    await pdfPostProcessor.process(pdfPath, { pdfa, encryption });
+    
+    const result = await deliverProcessedPDF(pdfPath, null, { fileName: `${baseName}.pdf`, delivery, storage, req });
+    sendProcessedPDF(res, { ...result, sourceCount: sources.length }, { delivery, startTime, message: 'PDF合并成功' });
+    
+  } catch (error) {
+    console.error('PDF合并失败:', error);
+    pdfGenerator.cleanupFiles(pdfPath);
+    sendErrorResponse(res, `PDF合并失败: ${error.message}`, 'PDF_PROCESSING_FAILED', { 
+      originalError: error.message 
+    }, 500);
+  }
+}));
+
+/**
+ * 按页码范围或固定页数拆分 PDF，每个部分单独交付
+ */
+router.post('/split', asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { source, ranges, pagesPerFile, fileName, delivery = 'upload', storage: storageName } = req.body;
+  
+  const byRanges = Array.isArray(ranges) && ranges.length > 0;
+  if (byRanges === !!pagesPerFile) {
+    return sendErrorResponse(res, '必须提供 ranges 或 pagesPerFile 之一', ErrorCodes.INVALID_PARAMETER, null, 400);
+  }
+  
+  try {
+    const storage = delivery === 'upload' ? resolveStorage(req, storageName) : null;
+    const baseName = fileName || `split_${Date.now()}`;
+    
+    const data = await pdfPostProcessor.loadSource(source, req);
+    const parts = await pdfPostProcessor.split(data, { ranges, pagesPerFile });
+    
+    const files = [];
+    for (const [index, part] of parts.entries()) {
+      const result = await deliverProcessedPDF(processingPath(), part.data, {
+        fileName: `${baseName}_${index + 1}.pdf`,
+        delivery,
+        storage,
+        req
+      });
+      const { content, ...file } = result;
+      files.push({
+        ...file,
+        pages: part.pages,
+        ...(content && { mimeType: 'application/pdf', content: content.toString('base64') })
+      });
+    }
+    
+    sendSuccessResponse(res, {
+      files,
+      fileCount: files.length,
+      generatedAt: new Date().toISOString(),
+      processingTimeMs: Date.now() - startTime
+    }, 'PDF拆分成功');
+    
+  } catch (error) {
+    console.error('PDF拆分失败:', error);
+    sendErrorResponse(res, `PDF拆分失败: ${error.message}`, 'PDF_PROCESSING_FAILED', { 
+      originalError: error.message 
+    }, 500);
+  }
+}));
+
+/**
+ * 设置打开密码、权限密码和操作权限
+ */
+router.post('/encrypt', asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { source, userPassword, ownerPassword, permissions, fileName, delivery = 'upload', storage: storageName } = req.body;
+  
+  const pdfPath = processingPath();
+  try {
+    const storage = delivery === 'upload' ? resolveStorage(req, storageName) : null;
+    const baseName = fileName || `encrypted_${Date.now()}`;
+    
+    await fs.promises.writeFile(pdfPath, await pdfPostProcessor.loadSource(source, req));
+    await pdfPostProcessor.process(pdfPath, { encryption: { userPassword, ownerPassword, permissions } });
+    
+    const result = await deliverProcessedPDF(pdfPath, null, { fileName: `${baseName}.pdf`, delivery, storage, req });
+    sendProcessedPDF(res, result, { delivery, startTime, message: 'PDF加密成功' });
+    
+  } catch (error) {
+    console.error('PDF加密失败:', error);
+    pdfGenerator.cleanupFiles(pdfPath);
+    sendErrorResponse(res, `PDF加密失败: ${error.message}`, 'PDF_PROCESSING_FAILED', { 
+      originalError: error.message 
+    }, 500);
+  }
+}));
+
+/**
+ * 转换为 PDF/A 归档格式
+ */
+router.post('/convert-to-pdfa', asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { source, level = '2b', fileName, delivery = 'upload', storage: storageName } = req.body;
+  
+  const pdfPath = processingPath();
+  try {
+    const storage = delivery === 'upload' ? resolveStorage(req, storageName) : null;
+    const baseName = fileName || `pdfa_${Date.now()}`;
+    
+    await fs.promises.writeFile(pdfPath, await pdfPostProcessor.loadSource(source, req));
+    await pdfPostProcessor.process(pdfPath, { pdfa: level });
+    
+    const result = await deliverProcessedPDF(pdfPath, null, { fileName: `${baseName}.pdf`, delivery, storage, req });
+    sendProcessedPDF(res, { ...result, pdfaLevel: level }, { delivery, startTime, message: 'PDF/A转换成功' });
+    
+  } catch (error) {
+    console.error('PDF/A转换失败:', error);
+    pdfGenerator.cleanupFiles(pdfPath);
+    sendErrorResponse(res, `PDF/A转换失败: ${error.message}`, 'PDF_PROCESSING_FAILED', { 
+      originalError: error.message 
+    }, 500);
+  }
+}));
+
+/**
+ * PDF及图片文件下载路由
  * 注意：这个路由不在算子OpenAPI定义中，但属于PDF生成器的配套功能
  */
 router.get('/download/:fileName', (req, res) => {
@@ -264,23 +662,19 @@ router.get('/download/:fileName', (req, res) => {
     const fileName = req.params.fileName;
     
     // 验证文件名格式（安全检查）
-    if (!/^[a-zA-Z0-9_-]+\.pdf$/.test(fileName)) {
+    const match = fileName.match(/^[a-zA-Z0-9_-]+\.(pdf|png|jpg|webp)$/);
+    if (!match) {
       return sendErrorResponse(res, '无效的文件名格式', 'INVALID_FILENAME', null, 400);
     }
     
-    // 构建文件路径 - 使用项目outputs目录
-    const projectRoot = path.resolve(__dirname, '../../..');
-    const outputDir = path.join(projectRoot, 'outputs');
-    const filePath = path.join(outputDir, fileName);
-    
-    // 检查文件是否存在
-    const fs = require('fs');
-    if (!fs.existsSync(filePath)) {
+    // 本地存储驱动保存的文件
+    const filePath = getStorage('local').getFilePath(fileName);
+    if (!filePath) {
       return sendErrorResponse(res, '文件不存在', 'FILE_NOT_FOUND', null, 404);
     }
     
     // 设置响应头
-    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Type', DOWNLOAD_MIME_TYPES[match[1]]);
     res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
     res.setHeader('Cache-Control', 'no-cache');
     
@@ -208,6 +208,47 @@ class PdfTableExtractor {
     });
   }
 
+  /**
+   * 健康检查：确认 Python 3 与 pdfplumber 可用
+   * @returns {Promise<Object>} - { status, reason, details }
+   */
+  static healthCheck() {
+    return new Promise((resolve) => {
+      const pythonCmd = process.platform === 'win32' ? 'python' : 'python3';
+      const proc = spawn(pythonCmd, ['-c', 'import pdfplumber; print(pdfplumber.__version__)'], {
+        timeout: 10000,
+        env: { ...process.env, PYTHONIOENCODING: 'utf-8' }
+      });
+
+      let stdout = '';
+      let stderr = '';
+      proc.stdout.on('data', (data) => {
+        stdout += data.toString();
+      });
+      proc.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      proc.on('close', (code) => {
+        if (code === 0) {
+          resolve({ status: 'ok', details: { python: pythonCmd, pdfplumber: stdout.trim() } });
+        } else {
+          resolve({
+            status: 'down',
+            reason: `pdfplumber 不可用 (pip install pdfplumber): ${stderr.trim().split('\n').pop() || `code ${code}`}`
+          });
+        }
+      });
+
+      proc.on('error', (err) => {
+        resolve({
+          status: 'down',
+          reason: err.code === 'ENOENT' ? `未找到 Python 环境 (${pythonCmd})` : `Python 检查失败: ${err.message}`
+        });
+      });
+    });
+  }
+
   cleanupFiles(...filePaths) {
     for (const filePath of filePaths) {
       try {
@@ -21,6 +21,8 @@ module.exports = {
     license: 'MIT'
   },
   routes: './pdf-table-extractor.routes.js',
+  // 检查 python3 与 pdfplumber
+  healthCheck: () => require('./PdfTableExtractor').healthCheck(),
   openapi: {
     paths: {
       '/extract': {
@@ -39,6 +41,8 @@ module.exports = {
                   properties: {
                     fileId: {
                       type: 'string',
+                      minLength: 1,
+                      maxLength: 128,
                       description: '平台存储中的 PDF 文件 ID',
                       example: 'file_1234567890abcdef'
                     },
@@ -12,27 +12,10 @@ const router = express.Router();
 
 const pdfTableExtractor = new PdfTableExtractor();
 
-/**
- * 验证提取表格请求参数
- */
-function validateExtractTables(req, res, next) {
-  const { fileId } = req.body;
-
-  if (!fileId || typeof fileId !== 'string') {
-    return sendErrorResponse(res, '缺少必需的 fileId 参数', 'MISSING_FILE_ID', null, 400);
-  }
-
-  if (fileId.length > 128) {
-    return sendErrorResponse(res, 'fileId 长度超过限制（最大 128 字符）', 'FILE_ID_TOO_LONG', null, 400);
-  }
-
-  next();
-}
-
 /**
  * 提取 PDF 表格
  */
-router.post('/extract', validateExtractTables, asyncHandler(async (req, res) => {
+router.post('/extract', asyncHandler(async (req, res) => {
   const startTime = Date.now();
   const { fileId, columnHeaders, outputColumns } = req.body;
 
@@ -284,6 +284,32 @@ class TextExtractor {
     }
   }
   
+  /**
+   * 健康检查：DOC 提取依赖 antiword 或 catdoc，缺失时仅 DOC 格式不可用
+   * @returns {Promise<Object>} - { status, reason, details }
+   */
+  static async healthCheck() {
+    const { execFile } = require('child_process');
+    const commandExists = (command) => new Promise((resolve) => {
+      execFile(command, ['-h'], { timeout: 5000 }, (error) => {
+        resolve(!error || error.code !== 'ENOENT');
+      });
+    });
+
+    const [antiword, catdoc] = await Promise.all([commandExists('antiword'), commandExists('catdoc')]);
+    const details = { antiword, catdoc };
+
+    if (!antiword && !catdoc) {
+      return {
+        status: 'degraded',
+        reason: '未安装 antiword 或 catdoc，DOC 格式文本提取不可用',
+        details
+      };
+    }
+
+    return { status: 'ok', details };
+  }
+  
   /**
    * 从 XLSX 文件提取文本
    * @param {string} filePath - XLSX 文件路径
@@ -21,6 +21,8 @@ module.exports = {
     license: 'MIT'
   },
   routes: './text-extractor.routes.js',
+  // 缺少 antiword/catdoc 时为 degraded（仅影响 DOC）
+  healthCheck: () => require('./TextExtractor').healthCheck(),
   openapi: {
     paths: {
       '/extract': {
@@ -39,6 +41,8 @@ module.exports = {
                   properties: {
                     fileId: {
                       type: 'string',
+                      minLength: 1,
+                      maxLength: 128,
                       description: '平台存储中的文件 ID，支持 PDF、DOC、DOCX、XLS、XLSX、TXT 格式',
                       example: 'file_1234567890abcdef'
                     }
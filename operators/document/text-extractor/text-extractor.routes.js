@@ -14,28 +14,10 @@ const router = express.Router();
 // 初始化文本提取器
 const textExtractor = new TextExtractor();
 
-/**
- * 验证提取文本请求参数
- */
-function validateExtractText(req, res, next) {
-  const { fileId } = req.body;
-  
-  if (!fileId || typeof fileId !== 'string') {
-    return sendErrorResponse(res, '缺少必需的 fileId 参数', 'MISSING_FILE_ID', null, 400);
-  }
-  
-  // 检查 fileId 长度
-  if (fileId.length > 128) {
-    return sendErrorResponse(res, 'fileId 长度超过限制（最大 128 字符）', 'FILE_ID_TOO_LONG', null, 400);
-  }
-  
-  next();
-}
-
 /**
  * 提取文本内容
  */
-router.post('/extract', validateExtractText, asyncHandler(async (req, res) => {
+router.post('/extract', asyncHandler(async (req, res) => {
   const startTime = Date.now();
   const { fileId } = req.body;
   
@@ -5,18 +5,15 @@
  * 1. HTML 转 Word 文档生成（主要功能）
  * 2. Markdown 模板解析和 JSON 数据填充（辅助功能，通过转换为 HTML）
  * 3. 高质量 Word 文档生成（支持封面、目录、书签等）
- * 4. 平台存储上传（通过 GeniSpace SDK）
+ * 4. 文件存储上传（平台存储 / 本地 / S3，见 src/services/storage）
  * 5. 临时文件管理
  */
 
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const axios = require('axios');
 const marked = require('marked');
-const Mustache = require('mustache');
 const { v4: uuidv4 } = require('uuid');
-const GeniSpace = require('genispace');
 const {
   Document,
   Packer,
@@ -30,14 +27,22 @@ const {
   BookmarkEnd,
   PageBreak,
   ShadingType,
+  ImageRun,
   Table,
   TableRow,
   TableCell,
   WidthType
 } = require('docx');
 const logger = require('../../../src/utils/logger');
+const { resolveStorage, deliverFile } = require('../../../src/services/storage');
+const { fetchText, readLocalFile } = require('../../../src/utils/fetch-policy');
+const { renderTemplate } = require('../../../src/utils/template-engine');
+const { renderCharts } = require('../../../src/utils/chart-renderer');
 const config = require('../../../src/config/env');
 
+// 嵌入图片的最大显示宽度（像素），与默认页边距下的正文宽度相当
+const MAX_IMAGE_WIDTH = 600;
+
 class WordGenerator {
   constructor(config = {}) {
     this.config = {
@@ -78,40 +83,35 @@ class WordGenerator {
     });
   }
   
-  /**
-   * 检查认证（必须提供 GeniSpace API Key）
-   * @param {Object} req - Express 请求对象
-   * @throws {Error} 如果缺少认证信息
-   */
-  checkAuth(req) {
-    if (!req || !req.genispace || !req.genispace.client) {
-      throw new Error('缺少认证信息，请在请求头中提供 GeniSpace API Key');
-    }
-  }
-  
   /**
    * 生成 Word 文档
    * @param {Object} options - 生成选项
    * @param {string} options.markdownTemplate - Markdown 模板内容或 URL
    * @param {Object} options.templateData - 填充模板的 JSON 数据
+   * @param {string} options.templateEngine - 模板引擎：mustache（默认）/ handlebars（见 src/utils/template-engine）
    * @param {string} options.fileName - 输出文件名（可选）
    * @param {Object} options.wordOptions - Word 生成选项（可选）
    * @param {string} options.cssStyles - 自定义 CSS 样式（可选）
-   * @param {Object} options.req - Express 请求对象（用于认证和 SDK 上传）
+   * @param {string} options.delivery - 交付方式：upload（默认）/ inline / base64
+   * @param {string} options.storage - 存储驱动（可选，默认 STORAGE_DRIVER，仅 upload 时使用）
+   * @param {Object} options.req - Express 请求对象（用于认证和文件上传）
    * @returns {Promise<Object>} - 生成结果
    */
   async generateWord(options) {
     const {
       markdownTemplate,
       templateData = {},
+      templateEngine,
       fileName,
       wordOptions = {},
       cssStyles = '',
+      delivery = 'upload',
+      storage: storageName,
       req
     } = options;
     
-    // 检查认证
-    this.checkAuth(req);
+    // 确定存储驱动（平台存储需要认证），直接返回文件内容时无需存储
+    const storage = delivery === 'upload' ? resolveStorage(req, storageName) : null;
     
     logger.info('开始生成 Word', {
       hasTemplate: !!markdownTemplate,
@@ -135,27 +135,39 @@ class WordGenerator {
         `word_${Date.now()}_${uniqueId}`;
       
       const templateContent = await this.resolveTemplateSource(markdownTemplate);
-      const filledMarkdown = Mustache.render(templateContent, templateData);
-      const htmlContent = this.convertMarkdownToHTML(filledMarkdown, cssStyles);
+      const filledMarkdown = renderTemplate(templateContent, templateData, templateEngine);
+      const htmlContent = await this.embedCharts(this.convertMarkdownToHTML(filledMarkdown, cssStyles), templateData, {
+        signal: req?.job?.signal
+      });
       const wordPath = await this.generateWordFromHTML(htmlContent, finalFileName, wordOptions);
       
       const fileStats = fs.statSync(wordPath);
       
-      // 使用 SDK 上传到平台存储
-      const wordURL = await this.uploadToPlatformStorage(wordPath, finalFileName, req);
+      const output = await deliverFile(wordPath, {
+        delivery,
+        storage,
+        fileName: `${finalFileName}.docx`,
+        mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        folder: 'word-documents',
+        req
+      });
       
       this.cleanupFiles(wordPath);
       
       const result = {
         success: true,
-        wordURL,
+        ...(output.url && { wordURL: output.url, storageProvider: output.provider }),
         fileSize: fileStats.size,
         fileName: `${finalFileName}.docx`,
-        storageProvider: 'platform',
+        ...(output.content && {
+          mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+          content: delivery === 'base64' ? output.content.toString('base64') : output.content
+        }),
         generatedAt: new Date().toISOString()
       };
       
-      logger.info('Word 生成成功', result);
+      const { content, ...summary } = result;
+      logger.info('Word 生成成功', summary);
       return result;
       
     } catch (error) {
@@ -166,18 +178,15 @@ class WordGenerator {
   
   /**
    * 解析模板源（URL、文件路径或模板内容）
-   * @param {string} source - 模板源（URL、文件路径或模板内容）
+   * URL 和本地文件按外部资源访问策略（config.fetchPolicy）读取
+   * @param {string} source - 模板源（URL、模板目录内的文件路径或模板内容）
    * @returns {Promise<string>} - 模板内容
    */
   async resolveTemplateSource(source) {
     // 如果是 URL，下载内容
     if (source.startsWith('http://') || source.startsWith('https://')) {
       try {
-        const response = await axios.get(source, { 
-          responseType: 'text',
-          timeout: 10000 
-        });
-        return response.data;
+        return await fetchText(source);
       } catch (error) {
         throw new Error(`无法下载模板文件: ${error.message}`);
       }
@@ -186,8 +195,9 @@ class WordGenerator {
     // 如果是文件路径（不包含换行符且包含路径分隔符），尝试读取文件
     if (!source.includes('\n') && (source.includes('/') || source.includes('\\'))) {
       try {
-        if (fs.existsSync(source)) {
-          return fs.readFileSync(source, 'utf8');
+        const content = readLocalFile(source);
+        if (content !== null) {
+          return content;
         }
       } catch (error) {
         logger.warn('文件读取失败，将作为模板内容处理', { 
@@ -335,6 +345,48 @@ class WordGenerator {
  `;
   }
 
+  /**
+   * 渲染图表块（```chart / <chart>），转为 PNG 图片嵌入
+   * Word 无法显示内联 SVG，借用 PDF 生成器的浏览器池截图
+   * @param {string} html - HTML 内容
+   * @param {Object} templateData - 图表引用的模板数据
+   * @param {Object} options - 选项
+   * @param {AbortSignal} options.signal - 中止信号（异步任务的 req.job.signal），中止后停止截图
+   * @returns {Promise<string>} - 图表替换为 <img> 的 HTML
+   */
+  async embedCharts(html, templateData = {}, { signal } = {}) {
+    const rendered = renderCharts(html, templateData);
+    if (rendered === html) {
+      return html;
+    }
+    
+    const chartRegex = /<div class="document-chart" data-width="(\d+)" data-height="(\d+)"[^>]*>(<svg[\s\S]*?<\/svg>)<\/div>/g;
+    const charts = Array.from(rendered.matchAll(chartRegex));
+    
+    // 与 PDF 生成器共用浏览器池及其启动配置，只有包含图表时才加载
+    const PDFGenerator = require('../pdf-generator/PDFGenerator');
+    const images = await new PDFGenerator().getBrowserPool().withPage(async (page) => {
+      const results = [];
+      for (const [, width, height, svg] of charts) {
+        await page.setContent(`<html><body style="margin: 0;">${svg}</body></html>`, { waitUntil: 'load' });
+        // 按两倍分辨率截图，缩放到原尺寸显示时更清晰
+        const png = await page.screenshot({
+          type: 'png',
+          clip: { x: 0, y: 0, width: Number(width), height: Number(height), scale: 2 }
+        });
+        results.push(Buffer.from(png).toString('base64'));
+      }
+      return results;
+    }, { signal });
+    
+    logger.debug('图表已转换为图片', { count: images.length });
+    
+    let index = 0;
+    return rendered.replace(chartRegex, (match, width, height) =>
+      `<div class="document-chart"><img src="data:image/png;base64,${images[index++]}" width="${width}" height="${height}" alt="chart"></div>`
+    );
+  }
+
   /**
    * 生成封面页
    * @param {Object} coverData - 封面数据
@@ -1216,6 +1268,39 @@ class WordGenerator {
     return null;
   }
 
+  /**
+   * 将 <img> 转换为图片段落
+   * 只嵌入 data URI 图片（图表等生成的内容），不下载外部图片
+   * @param {string} imgTag - img 标签
+   * @returns {Paragraph|null} - 图片段落，不支持的图片返回 null
+   */
+  createImageParagraph(imgTag) {
+    const src = imgTag.match(/\ssrc\s*=\s*["']data:image\/(png|jpe?g|gif|bmp);base64,([^"']+)["']/i);
+    if (!src) {
+      logger.debug('跳过非 data URI 图片', { imgTag: imgTag.substring(0, 100) });
+      return null;
+    }
+    
+    const attribute = name => parseInt((imgTag.match(new RegExp(`\\s${name}\\s*=\\s*["']?(\\d+)`, 'i')) || [])[1]);
+    let width = attribute('width') || MAX_IMAGE_WIDTH;
+    let height = attribute('height') || Math.round(width * 0.6);
+    if (width > MAX_IMAGE_WIDTH) {
+      height = Math.round(height * MAX_IMAGE_WIDTH / width);
+      width = MAX_IMAGE_WIDTH;
+    }
+    
+    const type = src[1].toLowerCase() === 'jpeg' ? 'jpg' : src[1].toLowerCase();
+    return new Paragraph({
+      children: [new ImageRun({
+        type,
+        data: Buffer.from(src[2], 'base64'),
+        transformation: { width, height }
+      })],
+      alignment: AlignmentType.CENTER,
+      spacing: { before: 200, after: 200 }
+    });
+  }
+
   /**
    * 解析 HTML 并转换为 docx 元素数组（支持书签和表格）
    * @param {string} html - HTML 内容
@@ -1291,10 +1376,16 @@ class WordGenerator {
         // 保留原始内容，不在这里移除HTML标签，让parseBlockElement处理
         const content = contentMatch ? contentMatch[1] : '';
         
-        const paragraph = this.parseBlockElement(tagName, content, context);
-        if (paragraph) {
-          elements.push(paragraph);
-        }
+        // 图片单独成段，前后的文本按原标签处理
+        const segments = content.split(/(<img\b[^>]*>)/i);
+        segments.forEach(segment => {
+          const paragraph = /^<img\b/i.test(segment) ?
+            this.createImageParagraph(segment) :
+            this.parseBlockElement(tagName, segments.length > 1 ? segment.trim() : segment, context);
+          if (paragraph) {
+            elements.push(paragraph);
+          }
+        });
       }
       
       lastIndex = match.index + match[0].length;
@@ -1418,55 +1509,6 @@ class WordGenerator {
     }
   }
   
-  /**
-   * 上传文件到平台存储（通过 GeniSpace SDK）
-   * @param {string} filePath - 文件路径
-   * @param {string} fileName - 文件名（不含扩展名）
-   * @param {Object} req - Express 请求对象（包含认证信息）
-   * @returns {Promise<string>} - 文件 URL
-   */
-  async uploadToPlatformStorage(filePath, fileName, req) {
-    if (!req || !req.genispace || !req.genispace.client) {
-      throw new Error('缺少认证信息，无法上传文件到平台存储');
-    }
-    
-    try {
-      const client = req.genispace.client;
-      const folderPath = `/tmp/operators/word-documents/${new Date().getFullYear()}/${new Date().getMonth() + 1}`;
-      
-      logger.info('上传文件到平台存储', {
-        fileName,
-        folderPath,
-        filePath
-      });
-      
-      // 使用 SDK 上传文件
-      const file = {
-        path: filePath,
-        mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        originalname: `${fileName}.docx`
-      };
-      
-      const uploadedFile = await client.storage.uploadFile(file, {
-        folderPath,
-        fileName: `${fileName}.docx`
-      });
-      
-      // 返回文件的 publicUrl 或 url
-      const fileUrl = uploadedFile.publicUrl || uploadedFile.url;
-      
-      logger.info('文件上传到平台存储成功', { 
-        fileId: uploadedFile.id,
-        url: fileUrl 
-      });
-      
-      return fileUrl;
-    } catch (error) {
-      logger.error('平台存储上传失败', { error: error.stack });
-      throw new Error(`平台存储上传失败: ${error.message}`);
-    }
-  }
-  
   /**
    * 清理临时文件
    * @param {...string} filePaths - 文件路径
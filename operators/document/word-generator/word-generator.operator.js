@@ -34,13 +34,16 @@ module.exports = {
               'application/json': {
                 schema: {
                   type: 'object',
-                  required: ['htmlContent'],
                   properties: {
                     htmlContent: {
                       type: 'string',
-                      description: 'HTML内容，可以是HTML片段或完整的HTML文档，支持Mustache模板语法',
+                      minLength: 1,
+                      maxLength: 10485760, // 10MB
+                      description: 'HTML内容，可以是HTML片段或完整的HTML文档，支持Mustache模板语法和 <chart> 图表元素（与 templateId 二选一）',
                       example: '<h1>{{title}}</h1><p>{{content}}</p>'
                     },
+                    templateId: { $ref: '#/components/schemas/TemplateId' },
+                    templateEngine: { $ref: '#/components/schemas/TemplateEngine' },
                     templateData: {
                       type: 'object',
                       description: '填充HTML模板的JSON数据（可选）',
@@ -59,6 +62,12 @@ module.exports = {
                       description: '输出文件名（不含扩展名）',
                       example: 'report-2025'
                     },
+                    delivery: {
+                      $ref: '#/components/schemas/DeliveryMode'
+                    },
+                    storage: {
+                      $ref: '#/components/schemas/StorageDriver'
+                    },
                     wordOptions: {
                       type: 'object',
                       description: 'Word生成选项',
@@ -160,9 +169,19 @@ module.exports = {
                           },
                           storageProvider: {
                             type: 'string',
-                            description: '存储提供商',
+                            description: '存储提供商（platform / local / s3）',
                             example: 'local'
                           },
+                          mimeType: {
+                            type: 'string',
+                            description: '文件类型（delivery=base64 时返回）',
+                            example: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+                          },
+                          content: {
+                            type: 'string',
+                            format: 'byte',
+                            description: 'Base64 编码的文件内容（delivery=base64 时返回）'
+                          },
                           generatedAt: {
                             type: 'string',
                             format: 'date-time',
@@ -177,6 +196,13 @@ module.exports = {
                       }
                     }
                   }
+                },
+                'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+                  schema: {
+                    type: 'string',
+                    format: 'binary',
+                    description: 'Word文件内容（delivery=inline 时返回）'
+                  }
                 }
               }
             },
@@ -222,13 +248,16 @@ module.exports = {
               'application/json': {
                 schema: {
                   type: 'object',
-                  required: ['markdownTemplate'],
                   properties: {
                     markdownTemplate: {
                       type: 'string',
-                      description: 'Markdown模板内容，支持Mustache语法',
+                      minLength: 1,
+                      maxLength: 5242880, // 5MB
+                      description: 'Markdown模板内容，支持Mustache语法和 ```chart 图表代码块（与 templateId 二选一）',
                       example: '# {{title}}\n\n**作者**: {{author}}\n\n{{content}}'
                     },
+                    templateId: { $ref: '#/components/schemas/TemplateId' },
+                    templateEngine: { $ref: '#/components/schemas/TemplateEngine' },
                     templateData: {
                       type: 'object',
                       description: '填充模板的JSON数据（可选）',
@@ -243,6 +272,12 @@ module.exports = {
                       description: '输出文件名（不含扩展名）',
                       example: 'project-report'
                     },
+                    delivery: {
+                      $ref: '#/components/schemas/DeliveryMode'
+                    },
+                    storage: {
+                      $ref: '#/components/schemas/StorageDriver'
+                    },
                     cssStyles: {
                       type: 'string',
                       description: '自定义CSS样式（可选）'
@@ -315,6 +350,13 @@ module.exports = {
                   schema: {
                     $ref: '#/paths/~1generate-from-html/post/responses/200/content/application~1json/schema'
                   }
+                },
+                'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+                  schema: {
+                    type: 'string',
+                    format: 'binary',
+                    description: 'Word文件内容（delivery=inline 时返回）'
+                  }
                 }
               }
             },
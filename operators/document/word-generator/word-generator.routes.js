@@ -6,10 +6,13 @@
  */
 
 const express = require('express');
-const path = require('path');
+const fs = require('fs');
 const os = require('os');
 const WordGenerator = require('./WordGenerator');
-const { sendSuccessResponse, sendErrorResponse, asyncHandler } = require('../../../src/utils/response');
+const { sendSuccessResponse, sendErrorResponse, sendFileResponse, asyncHandler } = require('../../../src/utils/response');
+const { useTemplate } = require('../../../src/middleware/template');
+const { resolveStorage, deliverFile, getStorage } = require('../../../src/services/storage');
+const { renderTemplate } = require('../../../src/utils/template-engine');
 
 const router = express.Router();
 
@@ -83,65 +86,26 @@ function buildFullHTMLDocument(htmlContent, cssStyles = '') {
   `;
 }
 
-/**
- * 验证请求参数
- */
-function validateGenerateFromHTML(req, res, next) {
-  const { htmlContent, templateData } = req.body;
-  
-  if (!htmlContent || typeof htmlContent !== 'string') {
-    return sendErrorResponse(res, '缺少必需的htmlContent参数', 'MISSING_HTML_CONTENT', null, 400);
-  }
-  
-  if (htmlContent.length > 10 * 1024 * 1024) { // 10MB限制
-    return sendErrorResponse(res, 'HTML内容过大，最大支持10MB', 'HTML_TOO_LARGE', null, 400);
-  }
-  
-  // templateData是可选的，但如果提供了必须是对象
-  if (templateData !== undefined && (typeof templateData !== 'object' || Array.isArray(templateData) || templateData === null)) {
-    return sendErrorResponse(res, 'templateData必须是对象格式', 'INVALID_TEMPLATE_DATA', null, 400);
-  }
-  
-  next();
-}
-
-function validateGenerateFromMarkdown(req, res, next) {
-  const { markdownTemplate, templateData } = req.body;
-  
-  if (!markdownTemplate || typeof markdownTemplate !== 'string') {
-    return sendErrorResponse(res, '缺少必需的markdownTemplate参数', 'MISSING_MARKDOWN_TEMPLATE', null, 400);
-  }
-  
-  // templateData是可选的，但如果提供了必须是对象
-  if (templateData !== undefined && (typeof templateData !== 'object' || Array.isArray(templateData) || templateData === null)) {
-    return sendErrorResponse(res, 'templateData必须是对象格式', 'INVALID_TEMPLATE_DATA', null, 400);
-  }
-  
-  if (markdownTemplate.length > 5 * 1024 * 1024) { // 5MB限制
-    return sendErrorResponse(res, 'Markdown模板过大，最大支持5MB', 'MARKDOWN_TOO_LARGE', null, 400);
-  }
-  
-  next();
-}
-
 /**
  * 从HTML生成Word
  */
-router.post('/generate-from-html', validateGenerateFromHTML, asyncHandler(async (req, res) => {
+router.post('/generate-from-html', useTemplate({ format: 'html', contentField: 'htmlContent', stylesField: 'cssStyles' }), asyncHandler(async (req, res) => {
   const startTime = Date.now();
-  const { htmlContent, templateData = {}, cssStyles = '', fileName, wordOptions = {} } = req.body;
+  const { htmlContent, templateData = {}, templateEngine, cssStyles = '', fileName, wordOptions = {}, delivery = 'upload', storage: storageName } = req.body;
   
   try {
-    // 检查认证
-    wordGenerator.checkAuth(req);
+    // 确定存储驱动（平台存储需要认证），直接返回文件内容时无需存储
+    const storage = delivery === 'upload' ? resolveStorage(req, storageName) : null;
     
-    // 如果提供了templateData，使用Mustache进行模板替换
+    // 如果提供了templateData，使用模板引擎进行模板替换
     let processedHtmlContent = htmlContent;
     if (templateData && Object.keys(templateData).length > 0) {
-      const Mustache = require('mustache');
-      processedHtmlContent = Mustache.render(htmlContent, templateData);
+      processedHtmlContent = renderTemplate(htmlContent, templateData, templateEngine);
     }
     
+    // 图表块转为 PNG 图片
+    processedHtmlContent = await wordGenerator.embedCharts(processedHtmlContent, templateData, { signal: req.job?.signal });
+    
     // 构建完整的HTML文档
     const fullHtmlContent = buildFullHTMLDocument(processedHtmlContent, cssStyles);
     
@@ -167,28 +131,37 @@ router.post('/generate-from-html', validateGenerateFromHTML, asyncHandler(async
     const processingTime = Date.now() - startTime;
     
     // 获取文件信息
-    const fs = require('fs');
     const fileStats = fs.statSync(wordPath);
     
-    // 上传到平台存储
-    const wordURL = await wordGenerator.uploadToPlatformStorage(
-      wordPath, 
-      fileName || `word_${Date.now()}`, 
+    // 上传到存储，或读取文件内容直接返回
+    const output = await deliverFile(wordPath, {
+      delivery,
+      storage,
+      fileName: `${fileName || `word_${Date.now()}`}.docx`,
+      mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      folder: 'word-documents',
       req
-    );
+    });
     
     // 清理临时文件
     wordGenerator.cleanupFiles(wordPath);
     
     const responseData = {
-      wordURL,
+      ...(output.url && { wordURL: output.url, storageProvider: output.provider }),
       fileName: `${fileName || `word_${Date.now()}`}.docx`,
       fileSize: fileStats.size,
-      storageProvider: 'platform',
       generatedAt: new Date().toISOString(),
       processingTimeMs: processingTime
     };
     
+    if (delivery === 'inline') {
+      return sendFileResponse(res, output.content, responseData.fileName, 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    }
+    if (delivery === 'base64') {
+      responseData.mimeType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+      responseData.content = output.content.toString('base64');
+    }
+    
     sendSuccessResponse(res, responseData, 'Word生成成功');
     
   } catch (error) {
@@ -202,15 +175,16 @@ router.post('/generate-from-html', validateGenerateFromHTML, asyncHandler(async
 /**
  * 从Markdown模板生成Word
  */
-router.post('/generate-from-markdown', validateGenerateFromMarkdown, asyncHandler(async (req, res) => {
+router.post('/generate-from-markdown', useTemplate({ format: 'markdown', contentField: 'markdownTemplate', stylesField: 'cssStyles' }), asyncHandler(async (req, res) => {
   const startTime = Date.now();
-  const { markdownTemplate, templateData = {}, fileName, cssStyles = '', wordOptions = {} } = req.body;
+  const { markdownTemplate, templateData = {}, templateEngine, fileName, cssStyles = '', wordOptions = {}, delivery = 'upload', storage } = req.body;
   
   try {
     // 使用WordGenerator的generateWord方法
     const result = await wordGenerator.generateWord({
       markdownTemplate,
       templateData,
+      templateEngine,
       fileName: fileName || `markdown_word_${Date.now()}`,
       wordOptions: {
         orientation: 'portrait',
@@ -223,7 +197,9 @@ router.post('/generate-from-markdown', validateGenerateFromMarkdown, asyncHandle
         ...wordOptions
       },
       cssStyles,
-      req // 传递请求对象用于认证和SDK上传
+      delivery,
+      storage,
+      req // 传递请求对象用于认证和文件上传
     });
     
     const processingTime = Date.now() - startTime;
@@ -231,6 +207,11 @@ router.post('/generate-from-markdown', validateGenerateFromMarkdown, asyncHandle
     // 添加处理时间到响应数据
     result.processingTimeMs = processingTime;
     
+    // delivery=inline：直接返回文件
+    if (delivery === 'inline') {
+      return sendFileResponse(res, result.content, result.fileName, result.mimeType);
+    }
+    
     sendSuccessResponse(res, result, 'Word生成成功');
     
   } catch (error) {
@@ -254,14 +235,9 @@ router.get('/download/:fileName', (req, res) => {
       return sendErrorResponse(res, '无效的文件名格式', 'INVALID_FILENAME', null, 400);
     }
     
-    // 构建文件路径 - 使用项目outputs/word-generator目录
-    const projectRoot = path.resolve(__dirname, '../../..');
-    const outputDir = path.join(projectRoot, 'outputs', 'word-generator');
-    const filePath = path.join(outputDir, fileName);
-    
-    // 检查文件是否存在
-    const fs = require('fs');
-    if (!fs.existsSync(filePath)) {
+    // 本地存储驱动保存的文件
+    const filePath = getStorage('local').getFilePath(fileName);
+    if (!filePath) {
       return sendErrorResponse(res, '文件不存在', 'FILE_NOT_FOUND', null, 404);
     }
     
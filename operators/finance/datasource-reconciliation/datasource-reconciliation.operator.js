@@ -48,18 +48,26 @@ module.exports = {
                     },
                     baselineName: {
                       type: 'string',
+                      minLength: 1,
+                      pattern: '\\S', // 不能只包含空白
                       description: '基准账任务名称，对应 POST body 的 name，isBaseline 固定为 1',
                     },
                     targetName: {
                       type: 'string',
+                      minLength: 1,
+                      pattern: '\\S',
                       description: '目标账任务名称，对应 POST body 的 name，isBaseline 固定为 0',
                     },
                     schema: {
                       type: 'string',
+                      minLength: 1,
+                      pattern: '\\S',
                       description: '必填，trim 后写入响应 data.config.schema',
                     },
                     taskName: {
                       type: 'string',
+                      minLength: 1,
+                      pattern: '\\S',
                       description: '必填，trim 后写入响应 data.config.taskName',
                     },
                     enableAgentMatching: {
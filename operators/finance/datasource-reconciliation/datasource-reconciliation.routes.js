@@ -9,55 +9,8 @@ const { sendSuccessResponse, sendErrorResponse, asyncHandler } = require('../../
 const router = express.Router();
 const service = new DatasourceReconciliation();
 
-function validateReconcileBody(req, res, next) {
-  const { datasourceId, baselineName, targetName, schema, taskName } = req.body || {};
-  if (!datasourceId || typeof datasourceId !== 'string') {
-    return sendErrorResponse(
-      res,
-      '缺少必需的 datasourceId（数据源 UUID）',
-      'MISSING_DATASOURCE_ID',
-      null,
-      400
-    );
-  }
-  if (
-    baselineName == null ||
-    typeof baselineName !== 'string' ||
-    baselineName.trim() === ''
-  ) {
-    return sendErrorResponse(
-      res,
-      '缺少必需的 baselineName（非空字符串，对应数据源 POST 的 name，isBaseline 固定为 1）',
-      'MISSING_BASELINE_NAME',
-      null,
-      400
-    );
-  }
-  if (
-    targetName == null ||
-    typeof targetName !== 'string' ||
-    targetName.trim() === ''
-  ) {
-    return sendErrorResponse(
-      res,
-      '缺少必需的 targetName（非空字符串，对应数据源 POST 的 name，isBaseline 固定为 0）',
-      'MISSING_TARGET_NAME',
-      null,
-      400
-    );
-  }
-  if (schema == null || typeof schema !== 'string' || schema.trim() === '') {
-    return sendErrorResponse(res, '缺少必需的 schema（非空字符串）', 'MISSING_SCHEMA', null, 400);
-  }
-  if (taskName == null || typeof taskName !== 'string' || taskName.trim() === '') {
-    return sendErrorResponse(res, '缺少必需的 taskName（非空字符串）', 'MISSING_TASK_NAME', null, 400);
-  }
-  next();
-}
-
 router.post(
   '/reconcile',
-  validateReconcileBody,
   asyncHandler(async (req, res) => {
     try {
       const data = await service.reconcile(req, req.body || {});
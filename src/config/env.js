@@ -46,14 +46,101 @@ const config = {
     directory: process.env.OPERATORS_DIR || path.join(process.cwd(), 'operators'),
     cacheEnabled: process.env.OPERATORS_CACHE_ENABLED !== 'false',
     cacheTTL: parseInt(process.env.OPERATORS_CACHE_TTL) || 3600, // 1小时
-    autoReload: process.env.OPERATORS_AUTO_RELOAD === 'true'
+    autoReload: process.env.OPERATORS_AUTO_RELOAD === 'true',
+    // 响应契约检查：off / warn / strict，生产环境始终关闭
+    responseCheck: process.env.NODE_ENV === 'production' ? 'off' : (process.env.OPERATORS_RESPONSE_CHECK || 'warn')
+  },
+  
+  // 异步任务配置（?async=true）
+  jobs: {
+    concurrency: parseInt(process.env.JOBS_CONCURRENCY) || 2, // 同时执行的任务数
+    maxQueue: parseInt(process.env.JOBS_MAX_QUEUE) || 100, // 排队任务上限
+    ttl: parseInt(process.env.JOBS_TTL) || 3600, // 已结束任务的保留时间（秒）
+    maxFinished: parseInt(process.env.JOBS_MAX_FINISHED) || 1000, // 保留的已结束任务数上限
+    maxResultSize: parseInt(process.env.JOBS_MAX_RESULT_SIZE) || 10 * 1024 * 1024 // 单个任务结果的大小上限（字节）
+  },
+  
+  // 异步任务完成回调（callbackUrl）
+  webhooks: {
+    secret: process.env.WEBHOOK_SECRET || null, // 默认签名密钥，请求可通过 X-Callback-Secret 覆盖
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 1000, // 首次重试等待（毫秒），之后指数退避
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+    allowPrivateNetwork: process.env.WEBHOOK_ALLOW_PRIVATE_NETWORK === 'true' // 允许回调内网地址，默认禁止
+  },
+  
+  // 生成文件存储：platform（GeniSpace 平台存储）/ local（本地目录，经算子 /download 路由访问）/ s3（S3 兼容存储）
+  // 请求可通过 storage 字段选择 allowedDrivers 中的其他驱动
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'platform',
+    allowedDrivers: process.env.STORAGE_ALLOWED_DRIVERS ?
+      process.env.STORAGE_ALLOWED_DRIVERS.split(',').map(driver => driver.trim()).filter(Boolean) :
+      [], // 为空时只允许默认驱动
+    local: {
+      directory: process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'outputs'),
+      retention: process.env.STORAGE_LOCAL_RETENTION !== undefined ?
+        parseInt(process.env.STORAGE_LOCAL_RETENTION) || 0 :
+        24 * 3600 // 文件保留时间（秒），0 表示不删除
+    },
+    s3: {
+      endpoint: process.env.S3_ENDPOINT || null, // 为空时使用 AWS S3，MinIO 等填写服务地址
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET || null,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || null,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || null,
+      prefix: process.env.S3_PREFIX || '',
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : Boolean(process.env.S3_ENDPOINT),
+      publicBaseUrl: process.env.S3_PUBLIC_BASE_URL || null, // 设置后返回公开地址，否则返回预签名地址
+      urlExpires: parseInt(process.env.S3_URL_EXPIRES) || 7 * 24 * 3600 // 预签名地址有效期（秒），最长 7 天
+    }
+  },
+  
+  // 文档模板库（生成器通过 templateId 引用）
+  templates: {
+    directory: process.env.TEMPLATES_DIR || path.join(process.cwd(), 'templates')
+  },
+  
+  // 外部资源访问策略（模板 URL、本地模板文件、PDF 渲染时页面加载的资源）
+  fetchPolicy: {
+    allowedHosts: process.env.FETCH_ALLOWED_HOSTS ?
+      process.env.FETCH_ALLOWED_HOSTS.split(',').map(host => host.trim()).filter(Boolean) :
+      [], // 为空时允许所有公网主机
+    // 浏览器渲染时的内网限制依赖请求拦截，不覆盖 WebSocket 与 DNS 重绑定（见 guardPage）
+    allowPrivateNetwork: process.env.FETCH_ALLOW_PRIVATE_NETWORK === 'true',
+    // 允许读取本地模板文件的目录，FETCH_LOCAL_FILES=false 时禁止读取本地文件
+    localRoot: process.env.FETCH_LOCAL_FILES === 'false' ? null :
+      (process.env.FETCH_LOCAL_ROOT || process.env.TEMPLATES_DIR || path.join(process.cwd(), 'templates')),
+    maxSize: parseInt(process.env.FETCH_MAX_SIZE) || 5 * 1024 * 1024, // 单个模板最大字节数
+    timeout: parseInt(process.env.FETCH_TIMEOUT) || 10000 // 下载总耗时上限（毫秒）
+  },
+
+  // 网页转 PDF（/generate-from-url）：只能打开允许列表中的站点，列表为空时不可用
+  urlRendering: {
+    allowedHosts: process.env.PDF_URL_ALLOWED_HOSTS ?
+      process.env.PDF_URL_ALLOWED_HOSTS.split(',').map(host => host.trim()).filter(Boolean) :
+      [],
+    // 允许列表中的主机可以解析到内网地址（如内部看板），设为 false 时与外部资源访问策略一样拒绝内网
+    allowPrivateNetwork: process.env.PDF_URL_ALLOW_PRIVATE_NETWORK !== 'false',
+    maxTimeout: parseInt(process.env.PDF_URL_MAX_TIMEOUT) || 120000 // 页面加载及等待条件的超时上限（毫秒）
+  },
+
+  // Chromium 浏览器池（PDF 生成）
+  browserPool: {
+    maxBrowsers: parseInt(process.env.BROWSER_POOL_MAX_BROWSERS) || 1,
+    maxConcurrency: parseInt(process.env.BROWSER_POOL_MAX_CONCURRENCY) || 4, // 同时渲染的页面数
+    maxUses: parseInt(process.env.BROWSER_POOL_PAGE_MAX_USES) || 50, // 页面渲染多少次后回收
+    acquireTimeout: parseInt(process.env.BROWSER_POOL_ACQUIRE_TIMEOUT) || 30000, // 排队等待超时（毫秒）
+    idleTimeout: process.env.BROWSER_POOL_IDLE_TIMEOUT !== undefined ?
+      parseInt(process.env.BROWSER_POOL_IDLE_TIMEOUT) : 5 * 60 * 1000 // 空闲浏览器关闭时间（毫秒），0 为不关闭
   },
   
   // 监控配置
   monitoring: {
     enabled: process.env.MONITORING_ENABLED === 'true',
     metricsPath: process.env.METRICS_PATH || '/metrics',
-    healthPath: process.env.HEALTH_PATH || '/health'
+    healthPath: process.env.HEALTH_PATH || '/health',
+    healthCheckTimeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT) || 10000, // 单个算子检查超时（毫秒）
+    healthCheckTTL: parseInt(process.env.HEALTH_CHECK_TTL) || 60 // 检查结果缓存时间（秒）
   },
   
   // 安全配置
@@ -63,6 +150,11 @@ const config = {
     trustProxy: process.env.TRUST_PROXY === 'true'
   },
   
+  // 管理接口配置（未设置 ADMIN_API_KEY 时管理接口不可用）
+  admin: {
+    apiKey: process.env.ADMIN_API_KEY || null
+  },
+  
   // GeniSpace API KEY 认证配置
   genispace: {
     auth: {
@@ -7,6 +7,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
+const { validateManifest, formatReport } = require('./manifest-validator');
 
 class OperatorDiscovery {
   constructor(options = {}) {
@@ -14,9 +15,12 @@ class OperatorDiscovery {
       // 只扫描算子注册文件
       operatorPattern: '*.operator.js',
       excludePatterns: ['node_modules', '.git', 'test', '__test__'],
+      // 平台公共组件，算子清单中的 $ref 可引用
+      sharedComponents: {},
       ...options
     };
     this.discovered = new Set();
+    this.invalid = new Map(); // 校验失败的清单 -> 错误列表
   }
 
   /**
@@ -36,6 +40,12 @@ class OperatorDiscovery {
       await this._scanRecursive(absoluteDir, operators);
       
       logger.info(`算子发现完成，共发现 ${operators.length} 个算子`);
+      
+      if (this.invalid.size > 0) {
+        logger.error(`${this.invalid.size} 个算子清单校验失败，未注册: ${
+          Array.from(this.invalid.keys()).map(file => path.relative(absoluteDir, file)).join(', ')
+        }`);
+      }
       return operators;
       
     } catch (error) {
@@ -47,11 +57,13 @@ class OperatorDiscovery {
   /**
    * 加载单个算子注册文件
    * @param {string} filePath - 文件路径
+   * @param {object} options - 加载选项
+   * @param {boolean} options.force - 忽略已加载记录，强制重新加载（热重载）
    * @returns {object|null} 算子配置
    */
-  async loadOperator(filePath) {
+  async loadOperator(filePath, options = {}) {
     try {
-      if (this.discovered.has(filePath)) {
+      if (this.discovered.has(filePath) && !options.force) {
         logger.debug(`跳过已加载的算子: ${filePath}`);
         return null;
       }
@@ -59,33 +71,33 @@ class OperatorDiscovery {
       // 清除缓存支持热重载
       // 如果 filePath 是绝对路径，直接使用；否则使用 require.resolve
       const resolvedPath = path.isAbsolute(filePath) ? filePath : require.resolve(filePath);
-      if (require.cache[resolvedPath]) {
-        delete require.cache[resolvedPath];
-      }
+      this._clearModuleCache(path.dirname(resolvedPath));
       
       const operatorConfig = require(filePath);
       const category = this._extractCategory(filePath);
       
-      // 验证算子配置结构
-      if (!this._validateOperatorConfig(operatorConfig)) {
-        logger.error(`算子配置格式错误: ${filePath}`);
-        return null;
-      }
-      
       // 设置默认分类
-      if (!operatorConfig.info?.category && category) {
+      if (operatorConfig?.info && !operatorConfig.info.category && category) {
         operatorConfig.info = { ...operatorConfig.info, category };
       }
+      
+      // 完整校验算子清单，输出该文件的全部问题
+      const validation = validateManifest(operatorConfig, {
+        filePath,
+        sharedComponents: this.options.sharedComponents
+      });
+      if (!validation.valid) {
+        this.invalid.set(filePath, validation.errors);
+        logger.error(`算子清单校验失败: ${formatReport(path.relative(process.cwd(), filePath), validation.errors)}`);
+        return null;
+      }
+      this.invalid.delete(filePath);
 
       // 加载路由文件
       const routesPath = path.resolve(path.dirname(filePath), operatorConfig.routes);
       let routes = null;
       
       try {
-        // 清除路由文件缓存
-        if (require.cache[routesPath]) {
-          delete require.cache[routesPath];
-        }
         routes = require(routesPath);
       } catch (error) {
         logger.error(`路由文件加载失败: ${routesPath}`, { error: error.message });
@@ -117,11 +129,61 @@ class OperatorDiscovery {
     }
   }
 
+  /**
+   * 移除单个算子的加载记录
+   * @param {string} filePath - 算子注册文件路径
+   */
+  forget(filePath) {
+    this.discovered.delete(filePath);
+    this.invalid.delete(filePath);
+  }
+
   /**
    * 重置发现状态
    */
   reset() {
     this.discovered.clear();
+    this.invalid.clear();
+  }
+
+  /**
+   * 获取校验失败的算子清单
+   * @returns {Array} [{ filePath, errors }]
+   */
+  getInvalid() {
+    return Array.from(this.invalid.entries()).map(([filePath, errors]) => ({ filePath, errors }));
+  }
+
+  /**
+   * 判断是否为算子注册文件
+   * @param {string} fileName - 文件名
+   * @returns {boolean}
+   */
+  isOperatorFile(fileName) {
+    return this._isOperatorFile(fileName);
+  }
+
+  /**
+   * 判断路径是否应被排除
+   * @param {string} name - 文件或目录名
+   * @returns {boolean}
+   */
+  isExcluded(name) {
+    return this._shouldExclude(name);
+  }
+
+  /**
+   * 清除算子目录下所有模块的 require 缓存
+   * 路由文件依赖的服务类（如 PDFGenerator.js）也会随之重新加载
+   * @private
+   */
+  _clearModuleCache(directory) {
+    const prefix = directory.endsWith(path.sep) ? directory : `${directory}${path.sep}`;
+    Object.keys(require.cache).forEach(modulePath => {
+      if (modulePath.startsWith(prefix) && !modulePath.includes(`${path.sep}node_modules${path.sep}`)) {
+        delete require.cache[modulePath];
+      }
+    });
   }
 
   /**
@@ -198,31 +260,6 @@ class OperatorDiscovery {
     
     return '';
   }
-  
-  /**
-   * 验证算子配置格式
-   * @private
-   */
-  _validateOperatorConfig(config) {
-    if (!config || typeof config !== 'object') {
-      return false;
-    }
-    
-    // 必需字段验证
-    if (!config.info || !config.info.name) {
-      return false;
-    }
-    
-    if (!config.routes || typeof config.routes !== 'string') {
-      return false;
-    }
-    
-    if (!config.openapi || !config.openapi.paths) {
-      return false;
-    }
-    
-    return true;
-  }
 }
 
 module.exports = OperatorDiscovery;
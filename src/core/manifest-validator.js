@@ -0,0 +1,252 @@
+/**
+ * 算子清单校验
+ *
+ * 在加载时对 *.operator.js 做完整校验，收集全部问题而不是遇到第一个就停止，
+ * 以便一次性修复导致平台导入失败的定义问题
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const { operatorSchemas } = require('../middleware/validation');
+const { resolvePointer } = require('../utils/schema-compiler');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'options', 'head'];
+const PATH_ITEM_FIELDS = ['summary', 'description', 'parameters', 'servers'];
+
+/**
+ * 清单顶层结构
+ */
+const manifestSchema = Joi.object({
+  info: operatorSchemas.operatorInfo.required()
+    .messages({ 'any.required': '缺少 info 定义' }),
+  routes: Joi.string().pattern(/\.js$/).required()
+    .messages({
+      'any.required': '缺少 routes 路由文件路径',
+      'string.pattern.base': 'routes 必须指向 .js 文件'
+    }),
+  healthCheck: Joi.function().optional(),
+  openapi: Joi.object({
+    paths: Joi.object().min(1).required()
+      .messages({
+        'any.required': '缺少 openapi.paths 定义',
+        'object.min': 'openapi.paths 至少需要一个路径'
+      }),
+    components: Joi.object().optional()
+  }).unknown(true).required()
+    .messages({ 'any.required': '缺少 openapi 定义' })
+}).unknown(true);
+
+/**
+ * 单个接口定义（复用 operatorSchemas.endpoint，并要求 responses）
+ */
+const operationSchema = operatorSchemas.endpoint.keys({
+  responses: Joi.object().min(1).required()
+    .messages({
+      'any.required': '接口必须定义 responses',
+      'object.min': '接口至少需要一个响应定义'
+    })
+}).unknown(true);
+
+/**
+ * 校验算子清单
+ * @param {object} config - 算子配置（*.operator.js 导出内容）
+ * @param {object} options - 校验选项
+ * @param {string} options.filePath - 清单文件路径，提供时检查路由文件是否存在
+ * @param {object} options.sharedComponents - 平台公共组件，可被 $ref 引用
+ * @returns {object} { valid, errors: [{ path, message }] }
+ */
+function validateManifest(config, options = {}) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object') {
+    return { valid: false, errors: [{ path: '', message: '算子配置必须是对象' }] };
+  }
+
+  const { error } = manifestSchema.validate(config, { abortEarly: false });
+  if (error) {
+    error.details.forEach(detail => {
+      errors.push({ path: detail.path.join('.'), message: detail.message });
+    });
+  }
+
+  if (options.filePath && typeof config.routes === 'string') {
+    const routesPath = path.resolve(path.dirname(options.filePath), config.routes);
+    if (!fs.existsSync(routesPath)) {
+      errors.push({ path: 'routes', message: `路由文件不存在: ${config.routes}` });
+    }
+  }
+
+  const paths = config.openapi?.paths;
+  if (paths && typeof paths === 'object') {
+    _validatePaths(paths, errors);
+    _validateRefs(config.openapi, options.sharedComponents || {}, errors);
+    _validateSecurity(config.openapi, options.sharedComponents || {}, errors);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 格式化校验报告
+ * @param {string} source - 清单来源（文件路径或算子名称）
+ * @param {Array} errors - 校验错误
+ * @returns {string} 多行报告
+ */
+function formatReport(source, errors) {
+  const lines = errors.map(({ path: errorPath, message }) => `  - ${errorPath || '(root)'}: ${message}`);
+  return `${source}（${errors.length} 个问题）\n${lines.join('\n')}`;
+}
+
+/**
+ * 校验路径与接口定义
+ * @private
+ */
+function _validatePaths(paths, errors) {
+  const operationIds = new Map();
+
+  Object.entries(paths).forEach(([apiPath, pathItem]) => {
+    const base = `openapi.paths.${apiPath}`;
+
+    if (!apiPath.startsWith('/')) {
+      errors.push({ path: base, message: '路径必须以 / 开头' });
+    }
+
+    if (!pathItem || typeof pathItem !== 'object') {
+      errors.push({ path: base, message: '路径定义必须是对象' });
+      return;
+    }
+
+    const methods = Object.keys(pathItem).filter(key => HTTP_METHODS.includes(key));
+    if (methods.length === 0) {
+      errors.push({ path: base, message: `至少需要一个 HTTP 方法（${HTTP_METHODS.join('/')}）` });
+    }
+
+    Object.keys(pathItem)
+      .filter(key => !HTTP_METHODS.includes(key) && !PATH_ITEM_FIELDS.includes(key) && !key.startsWith('x-'))
+      .forEach(key => {
+        errors.push({ path: `${base}.${key}`, message: `未知的路径字段或不支持的 HTTP 方法: ${key}` });
+      });
+
+    methods.forEach(method => {
+      const operation = pathItem[method];
+      const operationPath = `${base}.${method}`;
+
+      const { error } = operationSchema.validate(
+        { ...operation, path: apiPath, method: method.toUpperCase() },
+        { abortEarly: false }
+      );
+      if (error) {
+        error.details.forEach(detail => {
+          errors.push({ path: `${operationPath}.${detail.path.join('.')}`, message: detail.message });
+        });
+      }
+
+      const operationId = operation?.operationId;
+      if (operationId) {
+        if (operationIds.has(operationId)) {
+          errors.push({
+            path: `${operationPath}.operationId`,
+            message: `operationId 重复: ${operationId}（已用于 ${operationIds.get(operationId)}）`
+          });
+        } else {
+          operationIds.set(operationId, `${method.toUpperCase()} ${apiPath}`);
+        }
+      }
+    });
+  });
+}
+
+/**
+ * 校验所有 $ref 均可解析
+ * @private
+ */
+function _validateRefs(openapi, sharedComponents, errors) {
+  const document = {
+    ...openapi,
+    components: mergeComponents(sharedComponents, openapi.components || {})
+  };
+
+  _collectRefs(openapi, 'openapi').forEach(({ ref, location }) => {
+    if (typeof ref !== 'string' || !ref.startsWith('#/')) {
+      errors.push({ path: location, message: `不支持的 $ref（仅支持文档内引用 #/...）: ${ref}` });
+      return;
+    }
+
+    if (resolvePointer(document, ref) === undefined) {
+      errors.push({ path: location, message: `$ref 无法解析: ${ref}` });
+    }
+  });
+}
+
+/**
+ * 校验 security 引用的认证方式已定义
+ * @private
+ */
+function _validateSecurity(openapi, sharedComponents, errors) {
+  const schemes = {
+    ...(sharedComponents.securitySchemes || {}),
+    ...(openapi.components?.securitySchemes || {})
+  };
+
+  Object.entries(openapi.paths).forEach(([apiPath, pathItem]) => {
+    if (!pathItem || typeof pathItem !== 'object') {
+      return;
+    }
+
+    HTTP_METHODS.filter(method => Array.isArray(pathItem[method]?.security)).forEach(method => {
+      pathItem[method].security.forEach(requirement => {
+        Object.keys(requirement || {}).filter(name => !schemes[name]).forEach(name => {
+          errors.push({
+            path: `openapi.paths.${apiPath}.${method}.security`,
+            message: `未定义的认证方式: ${name}`
+          });
+        });
+      });
+    });
+  });
+}
+
+/**
+ * 递归收集 $ref
+ * @private
+ */
+function _collectRefs(node, location, refs = [], seen = new WeakSet()) {
+  if (!node || typeof node !== 'object' || seen.has(node)) {
+    return refs;
+  }
+  seen.add(node);
+
+  if (Object.prototype.hasOwnProperty.call(node, '$ref')) {
+    refs.push({ ref: node.$ref, location: `${location}.$ref` });
+  }
+
+  Object.entries(node).forEach(([key, value]) => {
+    if (key !== '$ref') {
+      _collectRefs(value, `${location}.${key}`, refs, seen);
+    }
+  });
+
+  return refs;
+}
+
+/**
+ * 合并平台公共组件与算子组件
+ * @param {object} shared - 平台公共组件
+ * @param {object} own - 算子自身组件
+ * @returns {object} 合并后的 components
+ */
+function mergeComponents(shared, own) {
+  const merged = { ...shared };
+  Object.entries(own).forEach(([type, definitions]) => {
+    merged[type] = { ...(shared[type] || {}), ...definitions };
+  });
+  return merged;
+}
+
+module.exports = {
+  validateManifest,
+  formatReport,
+  mergeComponents,
+  HTTP_METHODS
+};
@@ -5,15 +5,32 @@
  * 支持新的分离式架构：算子配置与路由分离
  */
 
+const path = require('path');
 const logger = require('../utils/logger');
+const { ValidationError } = require('../middleware/error');
+const { validateManifest, formatReport } = require('./manifest-validator');
+const { compareVersions, matchesVersion, versionSegment, parseVersion } = require('../utils/version');
 
 class OperatorRegistry {
-  constructor() {
+  /**
+   * @param {object} options - 注册中心选项
+   * @param {object} options.sharedComponents - 平台公共组件，算子清单中的 $ref 可引用
+   */
+  constructor(options = {}) {
+    this.options = {
+      sharedComponents: {},
+      ...options
+    };
+    
     // 核心存储
     this.operators = new Map();     // 算子存储
     this.endpoints = new Map();     // 端点存储
     this.categories = new Set();    // 分类存储
     this.routes = new Map();        // 路由存储
+    this.versions = new Map();      // category/name -> 该算子所有版本的ID（新版本在前）
+    this.disabled = new Map();      // 已停用算子（运行时状态，重新加载后保留，版本变化时随清单文件转移）
+    this.health = new Map();        // 健康检查结果
+    this.healthCheckPromise = null; // 进行中的健康检查
     
     // 性能优化缓存
     this.categoryIndex = new Map(); // 分类索引缓存
@@ -24,6 +41,7 @@ class OperatorRegistry {
       totalOperators: 0,
       totalEndpoints: 0,
       totalCategories: 0,
+      disabledOperators: 0,
       loadErrors: 0
     };
   }
@@ -38,9 +56,21 @@ class OperatorRegistry {
       const { config, routes, metadata } = operatorData;
       
       // 验证配置
-      this._validateOperatorConfig(config);
+      this._validateOperatorConfig(config, metadata);
+      
+      const operatorId = this._generateId(config.info.name, config.info.category, config.info.version);
       
-      const operatorId = this._generateId(config.info.name, config.info.category);
+      // 同一版本只能由一个清单文件提供
+      const current = this.operators.get(operatorId);
+      if (current && metadata?.filePath && current.metadata.filePath !== metadata.filePath) {
+        throw new ValidationError(
+          `算子版本重复: ${operatorId} 已由 ${current.metadata.filePath} 注册`,
+          [{ path: 'info.version', message: `版本 ${config.info.version} 已存在` }]
+        );
+      }
+
+      // 重复注册（热重载）时先移除旧端点，避免残留已删除的路径
+      this._removeEndpoints(operatorId);
       
       // 注册算子配置
       this.operators.set(operatorId, {
@@ -54,6 +84,13 @@ class OperatorRegistry {
 
       // 注册路由
       this.routes.set(operatorId, routes);
+      this._rebuildVersions();
+      
+      // 旧的健康检查结果不再适用
+      this.health.delete(operatorId);
+
+      // 清单版本号变化时算子ID随之改变，停用状态跟随清单文件转移到新ID
+      this._carryOverDisabled(operatorId, metadata?.filePath);
 
       // 注册分类
       if (config.info.category) {
@@ -76,7 +113,7 @@ class OperatorRegistry {
       return operatorId;
     } catch (error) {
       this.stats.loadErrors++;
-      logger.error(`算子注册失败: ${config?.info?.name || 'unknown'}`, { 
+      logger.error(`算子注册失败: ${operatorData?.config?.info?.name || 'unknown'}`, { 
         error: error.message 
       });
       throw error;
@@ -84,12 +121,117 @@ class OperatorRegistry {
   }
 
   /**
-   * 获取算子配置
+   * 注销算子
    * @param {string} operatorId - 算子ID
+   * @returns {boolean} 是否存在并已注销
+   */
+  unregister(operatorId) {
+    if (!this.operators.has(operatorId)) {
+      return false;
+    }
+
+    this.operators.delete(operatorId);
+    this.routes.delete(operatorId);
+    this.health.delete(operatorId);
+    this._removeEndpoints(operatorId);
+    this._rebuildCategories();
+    this._rebuildVersions();
+    this._updateStats();
+    this._invalidateCache();
+
+    logger.debug(`算子已注销: ${operatorId}`);
+    return true;
+  }
+
+  /**
+   * 根据文件路径查找算子（注册文件、路由文件或算子目录内的其他文件）
+   * @param {string} filePath - 文件绝对路径
+   * @returns {object|null} 算子数据
+   */
+  findByFile(filePath) {
+    for (const operatorData of this.operators.values()) {
+      const { metadata } = operatorData;
+      if (metadata.filePath === filePath || metadata.routesPath === filePath) {
+        return operatorData;
+      }
+    }
+
+    const directory = path.dirname(filePath);
+    for (const operatorData of this.operators.values()) {
+      if (operatorData.metadata.filePath && path.dirname(operatorData.metadata.filePath) === directory) {
+        return operatorData;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 获取算子配置
+   * @param {string} operatorId - 算子ID（category/name@version），省略版本时返回最新版本
    * @returns {object|null} 算子配置
    */
   get(operatorId) {
-    return this.operators.get(operatorId) || null;
+    return this.operators.get(operatorId) || this.resolve(operatorId);
+  }
+
+  /**
+   * 按版本查询条件解析算子
+   * @param {string} operatorKey - category/name（也接受带版本的完整ID）
+   * @param {string} version - 版本查询条件（1.2.0、1.2、1、1.x、v1、latest），省略时返回最新版本
+   * @returns {object|null} 算子配置
+   */
+  resolve(operatorKey, version = null) {
+    const [key, idVersion] = String(operatorKey || '').split('@');
+    const query = version || idVersion;
+    const ids = this.versions.get(key) || [];
+
+    if (!query || query === 'latest') {
+      const latestId = this._getLatestId(key);
+      return latestId ? this.operators.get(latestId) : null;
+    }
+
+    // 满足条件的最高版本
+    const matchedId = ids.find(id => matchesVersion(this.operators.get(id).config.info.version, query));
+    return matchedId ? this.operators.get(matchedId) : null;
+  }
+
+  /**
+   * 获取算子的所有版本
+   * @param {string} operatorKey - category/name
+   * @returns {Array} 版本号列表（新版本在前）
+   */
+  getVersions(operatorKey) {
+    return (this.versions.get(String(operatorKey).split('@')[0]) || [])
+      .map(id => this.operators.get(id).config.info.version);
+  }
+
+  /**
+   * 是否为该算子的最新版本（未带版本号的路径指向此版本）
+   * @param {string} operatorId - 算子ID
+   * @returns {boolean}
+   */
+  isLatest(operatorId) {
+    const operatorData = this.operators.get(operatorId);
+    return Boolean(operatorData) && this._getLatestId(this._getOperatorKey(operatorData)) === operatorId;
+  }
+
+  /**
+   * 获取版本路径段（如 v1）
+   * 同一主版本存在多个版本时只有最高的版本可通过版本路径访问，其余返回 null
+   * @param {string} operatorId - 算子ID
+   * @returns {string|null}
+   */
+  getVersionPath(operatorId) {
+    const operatorData = this.operators.get(operatorId);
+    if (!operatorData) {
+      return null;
+    }
+
+    const segment = versionSegment(operatorData.config.info.version);
+    const ids = this.versions.get(this._getOperatorKey(operatorData)) || [];
+    const owner = ids.find(id => versionSegment(this.operators.get(id).config.info.version) === segment);
+    return owner === operatorId ? segment : null;
   }
 
   /**
@@ -114,6 +256,144 @@ class OperatorRegistry {
     return this.operatorList;
   }
 
+  /**
+   * 获取所有已启用的算子
+   * @returns {Array} 算子列表
+   */
+  getEnabled() {
+    return this.getAll().filter(op => !this.disabled.has(op.metadata.id));
+  }
+
+  /**
+   * 停用算子
+   * @param {string} operatorId - 算子ID
+   * @param {string} reason - 停用原因
+   * @returns {boolean} 算子是否存在
+   */
+  disable(operatorId, reason = null) {
+    if (!this.operators.has(operatorId)) {
+      return false;
+    }
+
+    this.disabled.set(operatorId, {
+      reason,
+      disabledAt: new Date().toISOString(),
+      filePath: this.operators.get(operatorId).metadata.filePath || null
+    });
+    this._updateStats();
+
+    logger.info(`算子已停用: ${operatorId}`, { reason });
+    return true;
+  }
+
+  /**
+   * 启用算子
+   * @param {string} operatorId - 算子ID
+   * @returns {boolean} 算子是否存在
+   */
+  enable(operatorId) {
+    if (!this.operators.has(operatorId)) {
+      return false;
+    }
+
+    this.disabled.delete(operatorId);
+    this._updateStats();
+
+    logger.info(`算子已启用: ${operatorId}`);
+    return true;
+  }
+
+  /**
+   * 检查算子是否启用
+   * @param {string} operatorId - 算子ID
+   * @returns {boolean}
+   */
+  isEnabled(operatorId) {
+    return !this.disabled.has(operatorId);
+  }
+
+  /**
+   * 获取算子停用信息
+   * @param {string} operatorId - 算子ID
+   * @returns {object|null} 停用信息 { reason, disabledAt }
+   */
+  getDisabledInfo(operatorId) {
+    const entry = this.disabled.get(operatorId);
+    if (!entry) {
+      return null;
+    }
+    const { filePath, ...info } = entry;
+    return info;
+  }
+
+  /**
+   * 运行所有算子的健康检查
+   * 并发调用时复用同一次检查
+   * @param {object} options - 检查选项
+   * @param {number} options.timeout - 单个检查超时时间（毫秒）
+   * @returns {Promise<object>} 健康状态汇总
+   */
+  async runHealthChecks(options = {}) {
+    if (!this.healthCheckPromise) {
+      this.healthCheckPromise = Promise.all(
+        this.getAll().map(operatorData => this._runHealthCheck(operatorData, options))
+      ).finally(() => {
+        this.healthCheckPromise = null;
+      });
+    }
+
+    await this.healthCheckPromise;
+    return this.getHealth();
+  }
+
+  /**
+   * 运行单个算子的健康检查
+   * @param {string} operatorId - 算子ID
+   * @param {object} options - 检查选项
+   * @returns {Promise<object|null>} 检查结果
+   */
+  async runHealthCheck(operatorId, options = {}) {
+    const operatorData = this.operators.get(operatorId);
+    if (!operatorData) {
+      return null;
+    }
+    return this._runHealthCheck(operatorData, options);
+  }
+
+  /**
+   * 获取健康状态汇总
+   * 已停用的算子不影响整体状态；清单标记为必需（info.required）的算子为 down 时整体为 down，
+   * 其余算子为 down 或 degraded 时整体为 degraded，各算子状态见 operators
+   * @returns {object} { status, checkedAt, operators }
+   */
+  getHealth() {
+    const operators = this.getAll().map(({ config, metadata }) => {
+      const result = this.health.get(metadata.id);
+      return {
+        id: metadata.id,
+        enabled: this.isEnabled(metadata.id),
+        required: Boolean(config.info.required),
+        ...(result || { status: 'unknown', checked: false })
+      };
+    });
+
+    const active = operators.filter(op => op.enabled);
+    let status = 'ok';
+    if (active.some(op => op.required && op.status === 'down')) {
+      status = 'down';
+    } else if (active.some(op => op.status === 'down' || op.status === 'degraded')) {
+      status = 'degraded';
+    }
+
+    const checkedTimes = operators.map(op => op.checkedAt).filter(Boolean).sort();
+
+    return {
+      status,
+      checkedAt: checkedTimes.length > 0 ? checkedTimes[0] : null,
+      operators
+    };
+  }
+
   /**
    * 按分类获取算子
    * @param {string} category - 分类名称
@@ -157,6 +437,8 @@ class OperatorRegistry {
     this.endpoints.clear();
     this.categories.clear();
     this.routes.clear();
+    this.versions.clear();
+    this.health.clear();
     this._invalidateCache();
     this._updateStats();
     
@@ -167,17 +449,15 @@ class OperatorRegistry {
    * 验证算子配置
    * @private
    */
-  _validateOperatorConfig(config) {
-    if (!config || typeof config !== 'object') {
-      throw new Error('算子配置必须是对象');
-    }
-
-    if (!config.info || !config.info.name) {
-      throw new Error('算子必须有info.name字段');
-    }
+  _validateOperatorConfig(config, metadata = {}) {
+    const { valid, errors } = validateManifest(config, {
+      filePath: metadata.filePath,
+      sharedComponents: this.options.sharedComponents
+    });
 
-    if (!config.openapi || !config.openapi.paths) {
-      throw new Error('算子必须有openapi.paths定义');
+    if (!valid) {
+      const source = metadata.filePath || config?.info?.name || 'unknown';
+      throw new ValidationError(`算子清单校验失败: ${formatReport(source, errors)}`, errors);
     }
   }
 
@@ -185,8 +465,47 @@ class OperatorRegistry {
    * 生成算子ID
    * @private
    */
-  _generateId(name, category = 'default') {
-    return `${category}/${name}`;
+  _generateId(name, category = 'default', version = null) {
+    return version ? `${category}/${name}@${version}` : `${category}/${name}`;
+  }
+
+  /**
+   * 不含版本的算子标识 category/name
+   * @private
+   */
+  _getOperatorKey({ config }) {
+    return this._generateId(config.info.name, config.info.category);
+  }
+
+  /**
+   * 最新版本：优先取最高的正式版本，只有预发布版本时取最高的预发布版本
+   * @private
+   */
+  _getLatestId(operatorKey) {
+    const ids = this.versions.get(operatorKey) || [];
+    return ids.find(id => !parseVersion(this.operators.get(id).config.info.version)?.prerelease) || ids[0] || null;
+  }
+
+  /**
+   * 重建版本索引
+   * @private
+   */
+  _rebuildVersions() {
+    this.versions.clear();
+    for (const [operatorId, operatorData] of this.operators.entries()) {
+      const key = this._getOperatorKey(operatorData);
+      if (!this.versions.has(key)) {
+        this.versions.set(key, []);
+      }
+      this.versions.get(key).push(operatorId);
+    }
+
+    for (const ids of this.versions.values()) {
+      ids.sort((a, b) => compareVersions(
+        this.operators.get(b).config.info.version,
+        this.operators.get(a).config.info.version
+      ));
+    }
   }
 
   /**
@@ -211,6 +530,108 @@ class OperatorRegistry {
     });
   }
 
+  /**
+   * 执行算子声明的 healthCheck 钩子并记录结果
+   * 钩子返回 { status: 'ok' | 'degraded' | 'down', reason?, details? }
+   * @private
+   */
+  async _runHealthCheck(operatorData, options = {}) {
+    const { config, metadata } = operatorData;
+    const timeout = options.timeout || 10000;
+    const startTime = Date.now();
+    let result;
+
+    if (typeof config.healthCheck !== 'function') {
+      result = { status: 'ok', checked: false };
+    } else {
+      let timer;
+      try {
+        const checkResult = await Promise.race([
+          Promise.resolve().then(() => config.healthCheck()),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`健康检查超时 (${timeout}ms)`)), timeout);
+          })
+        ]);
+
+        const status = ['ok', 'degraded', 'down'].includes(checkResult?.status) ? checkResult.status : 'down';
+        result = {
+          status,
+          checked: true,
+          ...(checkResult?.reason && { reason: checkResult.reason }),
+          ...(checkResult?.details && { details: checkResult.details })
+        };
+        if (status !== checkResult?.status) {
+          result.reason = `无效的健康检查状态: ${checkResult?.status}`;
+        }
+      } catch (error) {
+        result = { status: 'down', checked: true, reason: error.message };
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    result.checkedAt = new Date().toISOString();
+    result.duration = Date.now() - startTime;
+
+    // 检查期间算子可能已被重新注册或注销
+    if (this.operators.get(metadata.id) === operatorData) {
+      this.health.set(metadata.id, result);
+    }
+
+    if (result.status !== 'ok') {
+      logger.warn(`算子健康检查异常: ${metadata.id}`, {
+        status: result.status,
+        reason: result.reason
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * 移除算子的所有端点
+   * @private
+   */
+  _removeEndpoints(operatorId) {
+    for (const [endpointKey, endpoint] of this.endpoints.entries()) {
+      if (endpoint.operatorId === operatorId) {
+        this.endpoints.delete(endpointKey);
+      }
+    }
+  }
+
+  /**
+   * 根据现有算子重建分类
+   * @private
+   */
+  _rebuildCategories() {
+    this.categories.clear();
+    for (const { config } of this.operators.values()) {
+      if (config.info.category) {
+        this.categories.add(config.info.category);
+      }
+    }
+  }
+
+  /**
+   * 同一清单文件此前注册的算子已停用时，将停用状态转移到新注册的ID
+   * @private
+   */
+  _carryOverDisabled(operatorId, filePath) {
+    if (!filePath || this.disabled.has(operatorId)) {
+      return;
+    }
+
+    for (const [previousId, entry] of this.disabled) {
+      if (previousId !== operatorId && entry.filePath === filePath) {
+        this.disabled.delete(previousId);
+        this.disabled.set(operatorId, entry);
+        logger.info(`算子ID已变更，保持停用状态: ${previousId} -> ${operatorId}`, { reason: entry.reason });
+        return;
+      }
+    }
+  }
+
   /**
    * 更新统计信息
    * @private
@@ -219,6 +640,8 @@ class OperatorRegistry {
     this.stats.totalOperators = this.operators.size;
     this.stats.totalEndpoints = this.endpoints.size;
     this.stats.totalCategories = this.categories.size;
+    this.stats.disabledOperators = Array.from(this.disabled.keys())
+      .filter(operatorId => this.operators.has(operatorId)).length;
   }
 
   /**
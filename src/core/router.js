@@ -1,17 +1,45 @@
 /**
  * 路由构建器
- * 
+ *
  * 负责将算子路由注册到Express应用中
  * 支持新的分离式架构
+ *
+ * 算子路由统一挂载在一个分发器之后，重建时整体替换，
+ * 热重载时不会残留旧的处理器，进行中的请求仍由旧路由处理完毕
+ *
+ * 同一算子的多个版本并存：每个主版本挂载在 /{category}/{name}/v{major}，
+ * 最新版本同时挂载在不带版本的 /{category}/{name}
  */
 
+const express = require('express');
 const logger = require('../utils/logger');
+const { sendErrorResponse, HttpStatus, ErrorCodes } = require('../utils/response');
+const { createRequestBodyValidator } = require('../middleware/validation');
+const { createResponseChecker } = require('../middleware/response-check');
+const { createAsyncJobMiddleware } = require('../middleware/async-job');
+const { mergeComponents, HTTP_METHODS } = require('./manifest-validator');
 
 class RouterBuilder {
-  constructor(config = {}) {
+  /**
+   * @param {object} config - 应用配置
+   * @param {object} options - 路由选项
+   * @param {object} options.sharedComponents - 平台公共组件，请求 schema 中的 $ref 可引用
+   * @param {JobManager} options.jobManager - 异步任务管理器，提供时支持 ?async=true
+   * @param {WebhookDispatcher} options.webhooks - 任务回调投递器，提供时支持 callbackUrl
+   */
+  constructor(config = {}, options = {}) {
     this.config = config;
+    this.options = {
+      sharedComponents: {},
+      jobManager: null,
+      webhooks: null,
+      ...options
+    };
     this.apiPrefix = config.apiPrefix || '/api';
     this.handlerCache = new Map(); // 缓存包装后的处理器
+    this.activeRouter = null;       // 当前生效的算子路由
+    this.registry = null;
+    this.mountedApps = new WeakSet();
     this.stats = {
       routesCount: 0,
       operatorsCount: 0,
@@ -25,44 +53,107 @@ class RouterBuilder {
    * @param {OperatorRegistry} registry - 算子注册中心
    */
   applyRoutes(app, registry) {
+    // 分发器只挂载一次，后续重建只替换 activeRouter
+    if (!this.mountedApps.has(app)) {
+      app.use((req, res, next) => {
+        if (!this.activeRouter) {
+          return next();
+        }
+        this.activeRouter(req, res, next);
+      });
+      this.mountedApps.add(app);
+    }
+
+    this.rebuild(registry);
+  }
+
+  /**
+   * 根据注册中心重建算子路由并原子替换
+   * @param {OperatorRegistry} registry - 算子注册中心
+   */
+  rebuild(registry) {
     const operators = registry.getAll();
-    
+    const root = express.Router();
+    this.registry = registry;
+
     logger.info(`开始应用 ${operators.length} 个算子的路由`);
-    
-    operators.forEach(operatorData => {
-      this._registerOperatorRoutes(app, operatorData, registry);
-    });
-    
+
+    this.stats.routesCount = 0;
+    this.stats.operatorsCount = 0;
+    this.stats.errors = 0;
+
+    // 版本路径需先于不带版本的路径注册，避免 /v1/... 被最新版本的路由匹配
+    operators
+      .filter(({ metadata }) => registry.getVersionPath(metadata.id))
+      .forEach(operatorData => {
+        this._registerOperatorRoutes(root, operatorData, registry, registry.getVersionPath(operatorData.metadata.id));
+      });
+
+    operators
+      .filter(({ metadata }) => registry.isLatest(metadata.id))
+      .forEach(operatorData => {
+        this._registerOperatorRoutes(root, operatorData, registry, null);
+      });
+
+    operators
+      .filter(({ metadata }) => !registry.isLatest(metadata.id) && !registry.getVersionPath(metadata.id))
+      .forEach(({ metadata }) => {
+        logger.warn(`算子版本未挂载（同一主版本存在更高版本）: ${metadata.id}`);
+      });
+
+    // 清理已不存在的算子缓存
+    const activeIds = new Set(operators.map(op => op.metadata.id));
+    for (const operatorId of this.handlerCache.keys()) {
+      if (!activeIds.has(operatorId)) {
+        this.handlerCache.delete(operatorId);
+      }
+    }
+
+    this.activeRouter = root;
+
     logger.info(`路由应用完成，共注册 ${this.stats.routesCount} 个路由`);
   }
 
+  /**
+   * 获取算子路由的基础路径
+   * @param {object} config - 算子配置
+   * @param {string} versionPath - 版本路径段（如 v1），省略时为不带版本的路径
+   * @returns {string}
+   */
+  getBasePath(config, versionPath = null) {
+    const basePath = `${this.apiPrefix}/${config.info.category}/${config.info.name}`;
+    return versionPath ? `${basePath}/${versionPath}` : basePath;
+  }
+
   /**
    * 注册单个算子的路由
    * @private
    */
-  _registerOperatorRoutes(app, operatorData, registry) {
+  _registerOperatorRoutes(target, operatorData, registry, versionPath = null) {
     try {
       const { config, metadata } = operatorData;
       const routes = registry.getRoutes(metadata.id);
-      
+
       if (!routes) {
         logger.warn(`算子路由未找到: ${config.info.name}`);
         return;
       }
 
-      const basePath = `${this.apiPrefix}/${config.info.category}/${config.info.name}`;
-      
-      // 应用路由到Express应用
-      app.use(basePath, this._wrapRouter(routes, config));
-      
+      const basePath = this.getBasePath(config, versionPath);
+
+      // 应用路由到分发路由
+      target.use(basePath, this._wrapRouter(routes, config, metadata.id));
+
       this.stats.routesCount++;
-      this.stats.operatorsCount++;
-      
-      logger.debug(`算子路由已注册: ${config.info.name}`, {
+      if (!versionPath) {
+        this.stats.operatorsCount++;
+      }
+
+      logger.debug(`算子路由已注册: ${config.info.name}@${config.info.version}`, {
         basePath,
         category: config.info.category
       });
-      
+
     } catch (error) {
       this.stats.errors++;
       logger.error(`算子路由注册失败: ${operatorData.config?.info?.name}`, {
@@ -75,21 +166,46 @@ class RouterBuilder {
    * 包装路由以添加性能监控
    * @private
    */
-  _wrapRouter(router, config) {
-    // 检查缓存
-    const cacheKey = `${config.info.name}-${config.info.version}`;
-    if (this.handlerCache.has(cacheKey)) {
-      return this.handlerCache.get(cacheKey);
+  _wrapRouter(router, config, operatorId) {
+    // 检查缓存（路由模块重新加载后对象会变化，缓存随之失效）
+    const cached = this.handlerCache.get(operatorId);
+    if (cached && cached.router === router) {
+      return cached.wrapped;
+    }
+
+    const wrapped = express.Router();
+
+    // 停用检查（请求时判断，启用/停用无需重建路由）
+    wrapped.use((req, res, next) => {
+      if (this.registry && !this.registry.isEnabled(operatorId)) {
+        const disabledInfo = this.registry.getDisabledInfo(operatorId);
+        return sendErrorResponse(
+          res,
+          `算子已停用: ${operatorId}`,
+          ErrorCodes.OPERATOR_DISABLED,
+          { operatorId, ...disabledInfo },
+          HttpStatus.SERVICE_UNAVAILABLE
+        );
+      }
+      next();
+    });
+
+    // 已弃用版本的响应头
+    if (config.info.deprecated) {
+      wrapped.use((req, res, next) => {
+        this._setDeprecationHeaders(res, config);
+        next();
+      });
     }
 
-    // 添加中间件
-    router.use((req, res, next) => {
+    // 前置中间件，需在算子路由之前执行
+    wrapped.use((req, res, next) => {
       const startTime = process.hrtime.bigint();
       req.operatorInfo = config.info;
-      
+
       res.on('finish', () => {
         const duration = Number(process.hrtime.bigint() - startTime) / 1000000; // 转换为毫秒
-        
+
         if (logger.level === 'debug') {
           logger.debug(`算子请求完成: ${config.info.name}`, {
             method: req.method,
@@ -99,13 +215,137 @@ class RouterBuilder {
           });
         }
       });
-      
+
       next();
     });
 
+    // 按 OpenAPI requestBody 校验请求体
+    this._registerRequestValidators(wrapped, config);
+
+    // 算子处理链：异步任务模式下在任务队列中执行
+    const handler = express.Router();
+
+    // 开发/测试环境下检查成功响应是否符合清单声明
+    const responseCheck = this.config.operators?.responseCheck;
+    if (responseCheck && responseCheck !== 'off') {
+      this._registerResponseCheckers(handler, config, responseCheck);
+    }
+
+    handler.use(router);
+
+    // 请求校验通过后再提交任务，参数错误仍同步返回 400
+    if (this.options.jobManager) {
+      wrapped.use(createAsyncJobMiddleware(this.options.jobManager, handler, {
+        operatorId,
+        apiPrefix: this.apiPrefix,
+        webhooks: this.options.webhooks
+      }));
+    }
+
+    wrapped.use(handler);
+
     // 缓存包装后的路由
-    this.handlerCache.set(cacheKey, router);
-    return router;
+    this.handlerCache.set(operatorId, { router, wrapped });
+    return wrapped;
+  }
+
+  /**
+   * 设置弃用相关响应头：Deprecation、Sunset（清单声明 sunset 时）、
+   * Link rel="successor-version"（存在更新版本时指向其版本路径）
+   * @private
+   */
+  _setDeprecationHeaders(res, config) {
+    res.setHeader('Deprecation', 'true');
+
+    if (config.info.sunset) {
+      res.setHeader('Sunset', new Date(config.info.sunset).toUTCString());
+    }
+
+    const latest = this.registry?.resolve(`${config.info.category}/${config.info.name}`);
+    if (latest && latest.config !== config) {
+      const versionPath = this.registry.getVersionPath(latest.metadata.id);
+      res.setHeader('Link', `<${this.getBasePath(latest.config, versionPath)}>; rel="successor-version"`);
+    }
+  }
+
+  /**
+   * 为每个定义了 JSON requestBody 的接口注册请求体校验
+   * 接口或路径上设置 `x-request-validation: false` 时跳过
+   * @private
+   */
+  _registerRequestValidators(target, config) {
+    const openapi = config.openapi || {};
+    const document = this._buildDocument(openapi);
+
+    Object.entries(openapi.paths || {}).forEach(([apiPath, pathItem]) => {
+      if (!pathItem || pathItem['x-request-validation'] === false) {
+        return;
+      }
+
+      const expressPath = this._toExpressPath(apiPath);
+
+      HTTP_METHODS.forEach(method => {
+        const operation = pathItem[method];
+        if (!operation?.requestBody || operation['x-request-validation'] === false) {
+          return;
+        }
+
+        try {
+          const validator = createRequestBodyValidator(operation.requestBody, document);
+          if (validator) {
+            target[method](expressPath, validator);
+          }
+        } catch (error) {
+          logger.warn(`请求校验编译失败，已跳过: ${config.info.name} ${method.toUpperCase()} ${apiPath}`, {
+            error: error.message
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * 为每个声明了成功响应 schema 的接口注册响应检查
+   * @private
+   */
+  _registerResponseCheckers(target, config, mode) {
+    const openapi = config.openapi || {};
+    const document = this._buildDocument(openapi);
+
+    Object.entries(openapi.paths || {}).forEach(([apiPath, pathItem]) => {
+      if (!pathItem) {
+        return;
+      }
+
+      HTTP_METHODS.filter(method => pathItem[method]?.responses).forEach(method => {
+        const checker = createResponseChecker(pathItem[method].responses, document, {
+          mode,
+          label: `${config.info.name} ${method.toUpperCase()} ${apiPath}`
+        });
+        if (checker) {
+          target[method](this._toExpressPath(apiPath), checker);
+        }
+      });
+    });
+  }
+
+  /**
+   * 合并平台公共组件，得到可解析 $ref 的完整文档
+   * @private
+   */
+  _buildDocument(openapi) {
+    return {
+      ...openapi,
+      components: mergeComponents(this.options.sharedComponents, openapi.components || {})
+    };
+  }
+
+  /**
+   * OpenAPI 路径参数 {id} 转换为 Express 格式 :id
+   * @private
+   */
+  _toExpressPath(apiPath) {
+    return apiPath.replace(/\{([^}]+)\}/g, ':$1');
   }
 
   /**
@@ -124,4 +364,4 @@ class RouterBuilder {
   }
 }
 
-module.exports = RouterBuilder;
\ No newline at end of file
+module.exports = RouterBuilder;
@@ -0,0 +1,165 @@
+/**
+ * 算子文件监听器
+ *
+ * 监听算子目录的文件变化，合并短时间内的多次变更后回调，
+ * 用于开发环境下的算子热重载（OPERATORS_AUTO_RELOAD=true）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+class OperatorWatcher {
+  /**
+   * @param {string} directory - 算子根目录
+   * @param {object} options - 监听选项
+   * @param {function} options.onChange - 变更回调，参数为变更文件的绝对路径数组
+   * @param {function} options.isExcluded - 判断目录/文件名是否排除
+   * @param {number} options.debounceMs - 变更合并等待时间（毫秒）
+   */
+  constructor(directory, options = {}) {
+    this.directory = path.isAbsolute(directory) ? directory : path.resolve(process.cwd(), directory);
+    this.options = {
+      debounceMs: 300,
+      isExcluded: (name) => name.startsWith('.') || name === 'node_modules',
+      onChange: () => {},
+      ...options
+    };
+    this.watchers = new Map();   // 目录 -> fs.FSWatcher
+    this.pending = new Set();    // 待处理的变更文件
+    this.timer = null;
+  }
+
+  /**
+   * 开始监听
+   */
+  start() {
+    this._watchTree(this.directory);
+    logger.info(`算子热重载已启用，监听目录: ${this.directory}`, {
+      directories: this.watchers.size
+    });
+  }
+
+  /**
+   * 停止监听
+   */
+  stop() {
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+    this.pending.clear();
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 递归监听目录（逐个目录监听，兼容不支持 recursive 的平台）
+   * @private
+   */
+  _watchTree(directory) {
+    if (this.watchers.has(directory)) {
+      return;
+    }
+
+    try {
+      const watcher = fs.watch(directory, (eventType, fileName) => {
+        if (fileName) {
+          this._handleEvent(directory, fileName.toString());
+        }
+      });
+      watcher.on('error', (error) => {
+        logger.warn(`目录监听出错: ${directory}`, { error: error.message });
+        this._unwatch(directory);
+      });
+      this.watchers.set(directory, watcher);
+    } catch (error) {
+      logger.warn(`无法监听目录: ${directory}`, { error: error.message });
+      return;
+    }
+
+    let entries = [];
+    try {
+      entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    entries
+      .filter(entry => entry.isDirectory() && !this.options.isExcluded(entry.name))
+      .forEach(entry => this._watchTree(path.join(directory, entry.name)));
+  }
+
+  /**
+   * 取消监听目录及其子目录
+   * @private
+   */
+  _unwatch(directory) {
+    const prefix = `${directory}${path.sep}`;
+    for (const [watchedDir, watcher] of this.watchers.entries()) {
+      if (watchedDir === directory || watchedDir.startsWith(prefix)) {
+        watcher.close();
+        this.watchers.delete(watchedDir);
+      }
+    }
+  }
+
+  /**
+   * 处理文件系统事件
+   * @private
+   */
+  _handleEvent(directory, fileName) {
+    if (this.options.isExcluded(fileName)) {
+      return;
+    }
+
+    const fullPath = path.join(directory, fileName);
+    let stats = null;
+    try {
+      stats = fs.statSync(fullPath);
+    } catch {
+      // 文件已删除
+    }
+
+    if (stats && stats.isDirectory()) {
+      this._watchTree(fullPath);
+      return;
+    }
+
+    if (!stats && this.watchers.has(fullPath)) {
+      this._unwatch(fullPath);
+      return;
+    }
+
+    if (!fileName.endsWith('.js')) {
+      return;
+    }
+
+    this.pending.add(fullPath);
+    this._schedule();
+  }
+
+  /**
+   * 合并短时间内的多次变更
+   * @private
+   */
+  _schedule() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      const files = Array.from(this.pending);
+      this.pending.clear();
+
+      Promise.resolve(this.options.onChange(files)).catch(error => {
+        logger.error('算子热重载失败', { error: error.message });
+      });
+    }, this.options.debounceMs);
+  }
+}
+
+module.exports = OperatorWatcher;
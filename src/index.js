@@ -20,6 +20,7 @@ const config = require('./config/env');
 const ApplicationService = require('./services/app-service');
 const { setupMiddlewares } = require('./middleware');
 const { setupRoutes } = require('./routes');
+const { closeBrowserPool } = require('./services/browser-pool');
 const logger = require('./utils/logger');
 
 // 创建Express应用
@@ -51,6 +52,11 @@ async function startApp() {
     // 5. 设置API文档
     setupApiDocs(app, appService, config);
     
+    // 开发环境算子热重载
+    if (config.operators.autoReload) {
+      appService.watch(operatorsDir);
+    }
+    
     // 6. 设置错误处理（必须在所有路由之后）
     const { errorHandler, notFoundHandler } = require('./middleware/error');
     app.use(notFoundHandler);
@@ -75,7 +81,7 @@ async function startApp() {
     });
 
     // 优雅关闭处理
-    setupGracefulShutdown(server);
+    setupGracefulShutdown(server, appService);
 
     return { app, server, appService };
     
@@ -89,11 +95,13 @@ async function startApp() {
  * 设置API文档
  */
 function setupApiDocs(app, appService, config) {
-  const swaggerSpec = appService.getSwaggerSpec();
   const apiPrefix = config.apiPrefix || '/api';
   
-  // Swagger UI
-  app.use(`${apiPrefix}/docs`, swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
+  // Swagger UI（每次请求读取最新文档，算子热重载后无需重启）
+  app.use(`${apiPrefix}/docs`, (req, res, next) => {
+    req.swaggerDoc = appService.getSwaggerSpec();
+    next();
+  }, swaggerUi.serveFiles(), swaggerUi.setup(null, {
     customCss: '.swagger-ui .topbar { display: none }',
     customSiteTitle: 'GeniSpace Custom Operators API',
     swaggerOptions: {
@@ -110,18 +118,22 @@ function setupApiDocs(app, appService, config) {
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
-    res.json(swaggerSpec);
+    res.json(appService.getSwaggerSpec());
   });
 }
 
 /**
  * 设置优雅关闭
  */
-function setupGracefulShutdown(server) {
+function setupGracefulShutdown(server, appService) {
   const gracefulShutdown = (signal) => {
     logger.info(`收到 ${signal} 信号，开始优雅关闭...`);
-    server.close(() => {
+    appService.unwatch();
+    appService.jobs.stop();
+    appService.webhooks.stop();
+    server.close(async () => {
       logger.info('HTTP 服务器已关闭');
+      await closeBrowserPool().catch(() => {});
       process.exit(0);
     });
   };
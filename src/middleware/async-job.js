@@ -0,0 +1,198 @@
+/**
+ * 异步任务中间件
+ *
+ * 任意算子接口以 ?async=true 调用时，立即返回 202 和任务ID，
+ * 算子处理函数在任务队列中执行，输出写入内存中的响应对象而不是客户端连接，
+ * 因此客户端断开后任务仍会继续执行，结果通过 GET /api/jobs/:id 获取
+ *
+ * 同时提供 callbackUrl（查询参数或 X-Callback-Url 头）时隐含异步模式，
+ * 任务结束后结果会 POST 到该地址，可用 X-Callback-Secret 头指定签名密钥
+ *
+ * 算子处理函数可通过 req.job 感知异步执行：
+ * - req.job.reportProgress(percent, message) 上报进度
+ * - req.job.signal 在任务被取消时触发 abort，传给浏览器池（withPage 的 signal 选项）后停止渲染，
+ *   uploadFile / deliverFile 传入 req 时自动使用该信号，取消后不再上传
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { extractApiKey } = require('./auth');
+const { sendSuccessResponse, sendErrorResponse, asyncMiddleware, HttpStatus, ErrorCodes } = require('../utils/response');
+
+// 随任务结果保留的响应头
+const RESULT_HEADERS = ['content-type', 'content-disposition'];
+
+/**
+ * 创建异步任务中间件
+ * @param {JobManager} jobManager - 任务管理器
+ * @param {function} handler - 实际处理请求的路由（算子路由及其后续中间件）
+ * @param {object} options - 选项
+ * @param {string} options.operatorId - 算子ID
+ * @param {string} options.apiPrefix - API前缀，用于生成任务查询地址
+ * @param {WebhookDispatcher} options.webhooks - 回调投递器，提供时支持 callbackUrl
+ * @returns {function} Express中间件
+ */
+function createAsyncJobMiddleware(jobManager, handler, options = {}) {
+  const apiPrefix = options.apiPrefix || '/api';
+
+  const webhooks = options.webhooks || null;
+
+  return asyncMiddleware(async (req, res, next) => {
+    const callbackUrl = webhooks ? _getCallbackUrl(req) : null;
+    if (req.query.async !== 'true' && !callbackUrl) {
+      return next();
+    }
+
+    if (callbackUrl) {
+      const urlError = await webhooks.validateUrl(callbackUrl);
+      if (urlError) {
+        return sendErrorResponse(res, urlError, ErrorCodes.INVALID_PARAMETER, { callbackUrl }, HttpStatus.BAD_REQUEST);
+      }
+    }
+
+    const job = jobManager.submit(context => _runDetached(req, res, handler, context), {
+      operatorId: options.operatorId,
+      method: req.method,
+      path: req.originalUrl,
+      owner: getJobOwner(req)
+    });
+
+    if (!job) {
+      return sendErrorResponse(
+        res,
+        '任务队列已满，请稍后重试',
+        ErrorCodes.JOB_QUEUE_FULL,
+        { maxQueue: jobManager.options.maxQueue },
+        HttpStatus.SERVICE_UNAVAILABLE
+      );
+    }
+
+    if (callbackUrl) {
+      webhooks.register(job.id, { url: callbackUrl, secret: req.get('x-callback-secret') || null });
+    }
+
+    const statusUrl = `${apiPrefix}/jobs/${job.id}`;
+    res.setHeader('Location', statusUrl);
+    sendSuccessResponse(res, {
+      jobId: job.id,
+      status: job.status,
+      statusUrl,
+      cancelUrl: `${statusUrl}/cancel`,
+      ...(callbackUrl && { callbackUrl })
+    }, '任务已提交', HttpStatus.ACCEPTED);
+  });
+}
+
+/**
+ * 调用方标识（API Key 的哈希），未携带 API Key 时为 null
+ * @param {object} req - Express请求对象
+ * @returns {string|null}
+ */
+function getJobOwner(req) {
+  const apiKey = extractApiKey(req);
+  return apiKey ? crypto.createHash('sha256').update(apiKey).digest('hex') : null;
+}
+
+/**
+ * 回调地址：查询参数 callbackUrl 优先，其次 X-Callback-Url 请求头
+ * @private
+ */
+function _getCallbackUrl(req) {
+  const fromQuery = typeof req.query.callbackUrl === 'string' ? req.query.callbackUrl : null;
+  return fromQuery || req.get('x-callback-url') || null;
+}
+
+/**
+ * 脱离客户端连接执行处理函数
+ * 状态码 >= 400 的响应视为任务失败，响应内容保留在 error.result 中
+ * @private
+ */
+function _runDetached(req, res, handler, context) {
+  return new Promise((resolve, reject) => {
+    const captured = _createCapturedResponse(req, res, output => {
+      const result = _toResult(output);
+      if (result.statusCode >= 400) {
+        const error = new Error(result.body?.error || `HTTP ${result.statusCode}`);
+        error.code = result.body?.code;
+        error.result = result;
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    });
+
+    req.job = context;
+
+    handler(req, captured, (error) => {
+      if (!captured.headersSent) {
+        reject(error || new Error(`接口不存在: ${req.method} ${req.originalUrl}`));
+      }
+    });
+  });
+}
+
+/**
+ * 创建写入内存的响应对象，保留 Express 响应方法（status、json、send、setHeader 等）
+ * @private
+ */
+function _createCapturedResponse(req, res, onEnd) {
+  const captured = new http.ServerResponse(req);
+  Object.setPrototypeOf(captured, Object.getPrototypeOf(res));
+  captured.req = req;
+  captured.locals = { ...res.locals };
+
+  const chunks = [];
+  let ended = false;
+  Object.defineProperty(captured, 'headersSent', { get: () => ended });
+
+  captured.write = (chunk, encoding) => {
+    if (!ended && chunk && typeof chunk !== 'function') {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+    }
+    return true;
+  };
+
+  captured.end = (chunk, encoding) => {
+    if (ended) {
+      return captured;
+    }
+    captured.write(chunk, encoding);
+    ended = true;
+    onEnd({ statusCode: captured.statusCode, headers: captured.getHeaders(), body: Buffer.concat(chunks) });
+    captured.emit('finish');
+    return captured;
+  };
+
+  return captured;
+}
+
+/**
+ * 将响应输出转换为任务结果：JSON 解析为对象，文本保留字符串，其余以 base64 保存
+ * @private
+ */
+function _toResult({ statusCode, headers, body }) {
+  const contentType = String(headers['content-type'] || '');
+  const resultHeaders = {};
+  RESULT_HEADERS.filter(name => headers[name]).forEach(name => {
+    resultHeaders[name] = headers[name];
+  });
+
+  if (contentType.includes('json')) {
+    try {
+      return { statusCode, headers: resultHeaders, body: JSON.parse(body.toString('utf8')) };
+    } catch {
+      return { statusCode, headers: resultHeaders, body: body.toString('utf8') };
+    }
+  }
+
+  if (contentType.startsWith('text/') || body.length === 0) {
+    return { statusCode, headers: resultHeaders, body: body.toString('utf8') };
+  }
+
+  return { statusCode, headers: resultHeaders, encoding: 'base64', body: body.toString('base64') };
+}
+
+module.exports = {
+  createAsyncJobMiddleware,
+  getJobOwner
+};
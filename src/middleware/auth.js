@@ -26,6 +26,7 @@
  * ```
  */
 
+const crypto = require('crypto');
 const GeniSpace = require('genispace');
 const config = require('../config/env');
 const logger = require('../utils/logger');
@@ -35,7 +36,7 @@ const authCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5分钟
 
 // 清理过期缓存
-setInterval(() => {
+const cleanupTimer = setInterval(() => {
   const now = Date.now();
   for (const [key, item] of authCache.entries()) {
     if (item.expiresAt <= now) {
@@ -44,6 +45,9 @@ setInterval(() => {
   }
 }, CACHE_TTL);
 
+// 不阻止进程退出
+cleanupTimer.unref();
+
 /**
  * 提取 API Key
  * 支持以下格式：
@@ -332,8 +336,48 @@ function auth() {
   };
 }
 
+/**
+ * 管理接口认证中间件
+ * 使用 X-Admin-Key 请求头与 ADMIN_API_KEY 比对，未配置 ADMIN_API_KEY 时拒绝所有请求
+ */
+function requireAdmin() {
+  return (req, res, next) => {
+    const adminKey = config.admin?.apiKey;
+
+    if (!adminKey) {
+      return res.status(403).json({
+        success: false,
+        error: '管理接口未启用，请配置 ADMIN_API_KEY',
+        code: 'FORBIDDEN',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const providedKey = req.headers['x-admin-key'];
+    const expected = Buffer.from(adminKey);
+    const provided = Buffer.from(typeof providedKey === 'string' ? providedKey : '');
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      logger.warn('管理接口认证失败', {
+        path: req.path,
+        ip: req.ip
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: '管理员认证失败',
+        code: 'UNAUTHORIZED',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    next();
+  };
+}
+
 module.exports = {
   auth,
+  requireAdmin,
   extractApiKey,
   validateApiKey,
   validateApiKeyViaSDK
@@ -52,8 +52,8 @@ function setupMiddlewares(app, config) {
     credentials: true,
     optionsSuccessStatus: 200,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
-    exposedHeaders: ['Content-Length', 'X-Total-Count']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-Admin-Key', 'X-Callback-Url', 'X-Callback-Secret'],
+    exposedHeaders: ['Content-Length', 'X-Total-Count', 'Location']
   }));
 
   // 3. 压缩响应
@@ -0,0 +1,113 @@
+/**
+ * 响应契约检查中间件（开发/测试环境）
+ *
+ * 清单中的 200 响应 schema 会作为 outputSchema 发布到 GeniSpace 平台，
+ * 此中间件拦截成功响应，与声明的 schema 对比，发现多余、缺失或类型不符的字段时
+ * 记录警告（warn）或直接返回 500（strict），避免实现与契约悄悄偏离
+ */
+
+const logger = require('../utils/logger');
+const { createErrorResponse, HttpStatus, ErrorCodes } = require('../utils/response');
+const { diffSchema } = require('../utils/schema-compiler');
+
+// createSuccessResponse 统一添加的信封字段，清单中未声明也不视为多余
+const ENVELOPE_FIELDS = ['success', 'data', 'timestamp', 'message'];
+
+const ISSUE_LABELS = {
+  missing: '缺少必需字段',
+  extra: '未声明的字段',
+  type: '类型不符'
+};
+
+/**
+ * 创建响应检查中间件
+ * @param {object} responses - OpenAPI responses 定义
+ * @param {object} document - 用于解析 $ref 的完整文档
+ * @param {object} options - 检查选项
+ * @param {string} options.mode - warn（仅记录日志）或 strict（返回 500）
+ * @param {string} options.label - 日志中的接口标识，如 pdf-generator POST /generate-from-html
+ * @returns {function|null} 中间件，未声明成功响应 schema 时返回 null
+ */
+function createResponseChecker(responses, document = {}, options = {}) {
+  const schemas = _collectSuccessSchemas(responses);
+  if (Object.keys(schemas).length === 0) {
+    return null;
+  }
+
+  const mode = options.mode === 'strict' ? 'strict' : 'warn';
+
+  return (req, res, next) => {
+    const originalJson = res.json.bind(res);
+
+    res.json = (body) => {
+      // 只检查 sendSuccessResponse 发出的成功响应
+      const schema = schemas[res.statusCode] || schemas.default;
+      if (!schema || !body || body.success !== true || res.statusCode >= 300) {
+        return originalJson(body);
+      }
+
+      const differences = diffSchema(schema, body, { document, ignoreExtra: ENVELOPE_FIELDS });
+      if (differences.length === 0) {
+        return originalJson(body);
+      }
+
+      const report = differences.map(difference => _describe(difference));
+      logger.warn(`响应与清单 schema 不一致: ${options.label || req.originalUrl}`, {
+        requestId: req.requestId,
+        statusCode: res.statusCode,
+        differences: report
+      });
+
+      if (mode !== 'strict') {
+        return originalJson(body);
+      }
+
+      res.status(HttpStatus.INTERNAL_SERVER_ERROR);
+      return originalJson(createErrorResponse(
+        '响应与清单声明的 schema 不一致',
+        ErrorCodes.RESPONSE_SCHEMA_MISMATCH,
+        { differences, report }
+      ));
+    };
+
+    next();
+  };
+}
+
+/**
+ * 收集 2xx 响应的 JSON schema，按状态码索引
+ * @private
+ */
+function _collectSuccessSchemas(responses = {}) {
+  const schemas = {};
+  Object.entries(responses).forEach(([status, response]) => {
+    const schema = response?.content?.['application/json']?.schema;
+    if (schema && /^2\d\d$/.test(status)) {
+      schemas[status] = schema;
+    }
+  });
+  if (!schemas.default && (schemas['200'] || schemas['201'])) {
+    schemas.default = schemas['200'] || schemas['201'];
+  }
+  return schemas;
+}
+
+/**
+ * 单条差异的可读描述
+ * @private
+ */
+function _describe({ path, issue, expected, actual }) {
+  const label = ISSUE_LABELS[issue] || issue;
+  switch (issue) {
+    case 'missing':
+      return `${path}: ${label}（期望 ${expected}）`;
+    case 'extra':
+      return `${path}: ${label}（实际 ${actual}）`;
+    default:
+      return `${path}: ${label}（期望 ${expected}，实际 ${actual}）`;
+  }
+}
+
+module.exports = {
+  createResponseChecker
+};
@@ -0,0 +1,111 @@
+/**
+ * 模板引用中间件
+ *
+ * 生成器接口的请求体可用 templateId 代替内联模板内容：
+ * 中间件从模板库取出模板，按模板的 dataSchema 校验 templateData，
+ * 然后将模板内容、默认样式和模板引擎填入请求体，后续处理与内联模板相同
+ */
+
+const { getTemplateRegistry } = require('../services/template-registry');
+const {
+  sendErrorResponse,
+  sendValidationErrorResponse,
+  HttpStatus,
+  ErrorCodes
+} = require('../utils/response');
+const logger = require('../utils/logger');
+
+/**
+ * 创建模板引用中间件
+ * @param {object} options - 选项
+ * @param {string} options.format - 接口接受的模板格式（markdown / html）
+ * @param {string} options.contentField - 模板内容字段，如 htmlContent
+ * @param {object} options.contentFields - 同时接受多种格式时使用，格式 => 内容字段，如 { html: 'htmlContent', markdown: 'markdownTemplate' }
+ * @param {string} options.stylesField - 样式字段（可选），模板默认样式放在请求样式之前
+ * @returns {function} Express中间件
+ */
+function useTemplate({ format, contentField, contentFields = { [format]: contentField }, stylesField = null }) {
+  const fields = Object.values(contentFields);
+
+  return (req, res, next) => {
+    const body = req.body || {};
+    const { templateId } = body;
+    const provided = fields.filter(field => body[field]);
+
+    if (!templateId) {
+      if (provided.length === 0) {
+        return sendErrorResponse(
+          res,
+          `缺少必需参数: ${fields.join(' / ')} 或 templateId`,
+          ErrorCodes.MISSING_PARAMETER,
+          { fields: [...fields, 'templateId'] },
+          HttpStatus.BAD_REQUEST
+        );
+      }
+      if (provided.length > 1) {
+        return sendErrorResponse(
+          res,
+          `${provided.join(' 与 ')} 不能同时提供`,
+          ErrorCodes.INVALID_PARAMETER,
+          { fields: provided },
+          HttpStatus.BAD_REQUEST
+        );
+      }
+      return next();
+    }
+
+    if (provided.length > 0) {
+      return sendErrorResponse(
+        res,
+        `${provided.join('、')} 与 templateId 不能同时提供`,
+        ErrorCodes.INVALID_PARAMETER,
+        { fields: [...provided, 'templateId'] },
+        HttpStatus.BAD_REQUEST
+      );
+    }
+
+    const registry = getTemplateRegistry();
+    const template = registry.resolve(templateId);
+    if (!template) {
+      return sendErrorResponse(
+        res,
+        `模板不存在: ${templateId}`,
+        ErrorCodes.TEMPLATE_NOT_FOUND,
+        { templateId },
+        HttpStatus.NOT_FOUND
+      );
+    }
+
+    if (!contentFields[template.format]) {
+      const expected = Object.keys(contentFields).join(' / ');
+      return sendErrorResponse(
+        res,
+        `模板 ${template.id}@${template.version} 为 ${template.format} 格式，不能用于当前接口（需要 ${expected}）`,
+        ErrorCodes.INVALID_PARAMETER,
+        { templateId, format: template.format, expected },
+        HttpStatus.BAD_REQUEST
+      );
+    }
+
+    const errors = registry.validateData(template, body.templateData);
+    if (errors.length > 0) {
+      logger.warn('模板数据校验失败', {
+        requestId: req.requestId,
+        template: `${template.id}@${template.version}`,
+        errors
+      });
+      return sendValidationErrorResponse(res, errors);
+    }
+
+    body[contentFields[template.format]] = template.content;
+    body.templateEngine = body.templateEngine || template.engine;
+    if (stylesField && template.styles) {
+      body[stylesField] = body[stylesField] ? `${template.styles}\n${body[stylesField]}` : template.styles;
+    }
+    req.template = { id: template.id, version: template.version };
+
+    next();
+  };
+}
+
+module.exports = { useTemplate };
@@ -7,7 +7,8 @@
 const Joi = require('joi');
 const logger = require('../utils/logger');
 const { ValidationError } = require('./error');
-const { sendValidationErrorResponse } = require('../utils/response');
+const { sendValidationErrorResponse, sendErrorResponse, HttpStatus, ErrorCodes } = require('../utils/response');
+const { compileSchema, SCHEMA_MESSAGES } = require('../utils/schema-compiler');
 
 /**
  * 创建验证中间件
@@ -121,6 +122,11 @@ const customJoi = Joi.extend((joi) => ({
   }
 }));
 
+/**
+ * 语义化版本号（semver 2.0）
+ */
+const SEMVER_PATTERN = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/;
+
 /**
  * 算子相关验证模式
  */
@@ -136,22 +142,36 @@ const operatorSchemas = {
       .messages({
         'any.required': '算子标题是必需的',
         'string.min': '算子标题不能为空',
+        'string.empty': '算子标题不能为空',
         'string.max': '算子标题不能超过100个字符'
       }),
     description: Joi.string().min(1).max(500).required()
       .messages({
         'any.required': '算子描述是必需的',
         'string.min': '算子描述不能为空',
+        'string.empty': '算子描述不能为空',
         'string.max': '算子描述不能超过500个字符'
       }),
-    version: Joi.string().pattern(/^\d+\.\d+\.\d+$/).required()
+    version: Joi.string().pattern(SEMVER_PATTERN).required()
       .messages({
         'any.required': '算子版本是必需的',
-        'string.pattern.base': '版本号格式必须为 x.y.z'
+        'string.pattern.base': '版本号必须符合语义化版本格式 x.y.z（如 1.0.0 或 1.0.0-beta.1）'
       }),
-    category: Joi.string().optional(),
-    tags: Joi.array().items(Joi.string()).optional(),
-    author: Joi.string().optional()
+    category: customJoi.string().identifier().optional(),
+    tags: Joi.array().items(Joi.string().min(1)).unique().optional()
+      .messages({
+        'array.unique': '标签不能重复'
+      }),
+    author: Joi.string().optional(),
+    license: Joi.string().optional(),
+    // 已弃用的版本仍可调用，响应附带 Deprecation（及 Sunset）头
+    deprecated: Joi.boolean().optional(),
+    sunset: Joi.string().isoDate().optional()
+      .messages({
+        'string.isoDate': '停用日期必须是 ISO 8601 日期（如 2026-12-31）'
+      }),
+    // 必需算子健康检查为 down 时 /health 返回 503，其余算子异常只使整体状态降级
+    required: Joi.boolean().optional()
   }),
   
   // 端点验证
@@ -172,7 +192,8 @@ const operatorSchemas = {
         'string.max': '端点摘要不能超过200个字符'
       }),
     description: Joi.string().optional(),
-    operationId: Joi.string().optional(),
+    operationId: customJoi.string().identifier().optional(),
+    tags: Joi.array().items(Joi.string()).optional(),
     requestBody: Joi.object().optional(),
     responses: Joi.object().optional(),
     parameters: Joi.array().optional()
@@ -245,6 +266,89 @@ function createDynamicValidator(getSchema, target = 'body') {
   };
 }
 
+/**
+ * 根据 OpenAPI requestBody 创建请求体验证中间件
+ * 只做校验，不修改 req.body（不填充默认值、不做类型转换）
+ * 清单未声明的请求类型（如全局启用的表单 urlencoded 解析）返回 415，避免绕过校验
+ * @param {object} requestBody - OpenAPI requestBody 定义
+ * @param {object} document - 用于解析 $ref 的完整文档
+ * @returns {function|null} 验证中间件，无 JSON schema 时返回 null
+ */
+function createRequestBodyValidator(requestBody, document = {}) {
+  const jsonSchema = requestBody?.content?.['application/json']?.schema;
+  if (!jsonSchema) {
+    return null;
+  }
+
+  const schema = compileSchema(jsonSchema, { document });
+  const contentTypes = Object.keys(requestBody.content);
+  const otherTypes = contentTypes.filter(type => type !== 'application/json');
+
+  return (req, res, next) => {
+    const contentType = req.is();
+    if (contentType && !req.is('application/json')) {
+      // 清单声明的其他类型（如文件上传）由处理函数自行解析，不在此校验
+      if (otherTypes.length > 0 && req.is(otherTypes)) {
+        return next();
+      }
+      return sendErrorResponse(
+        res,
+        `不支持的请求类型: ${contentType}，请使用 ${contentTypes.join(' / ')}`,
+        ErrorCodes.UNSUPPORTED_MEDIA_TYPE,
+        { contentType, supported: contentTypes },
+        HttpStatus.UNSUPPORTED_MEDIA_TYPE
+      );
+    }
+
+    if (requestBody.required && (!req.body || Object.keys(req.body).length === 0)) {
+      return sendValidationErrorResponse(res, [{
+        field: 'body',
+        message: '请求体不能为空',
+        value: req.body
+      }]);
+    }
+
+    const { error } = schema.validate(req.body ?? {}, {
+      abortEarly: false,
+      convert: false,
+      messages: SCHEMA_MESSAGES,
+      errors: { wrap: { label: false } }
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.') || 'body',
+        message: detail.message,
+        value: _summarizeValue(detail.context?.value)
+      }));
+
+      logger.warn('Request body validation failed', {
+        requestId: req.requestId,
+        path: req.originalUrl,
+        errors
+      });
+
+      return sendValidationErrorResponse(res, errors);
+    }
+
+    next();
+  };
+}
+
+/**
+ * 错误详情中只回显简短的值，避免返回大段 HTML/Markdown
+ * @private
+ */
+function _summarizeValue(value) {
+  if (typeof value === 'string' && value.length > 100) {
+    return `${value.substring(0, 100)}...`;
+  }
+  if (value && typeof value === 'object') {
+    return undefined;
+  }
+  return value;
+}
+
 /**
  * 条件验证中间件
  * @param {function} condition - 条件函数
@@ -266,6 +370,7 @@ module.exports = {
   createValidator,
   createDynamicValidator,
   createConditionalValidator,
+  createRequestBodyValidator,
   
   // 预定义验证中间件
   validators,
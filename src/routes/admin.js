@@ -0,0 +1,105 @@
+/**
+ * 管理路由
+ *
+ * 运行时管理算子：停用、启用、重新加载；重新加载文档模板库
+ * 所有接口需通过 X-Admin-Key 认证
+ */
+
+const { requireAdmin } = require('../middleware/auth');
+const { sendSuccessResponse, sendErrorResponse, HttpStatus, ErrorCodes } = require('../utils/response');
+const { getTemplateRegistry } = require('../services/template-registry');
+const logger = require('../utils/logger');
+
+const ADMIN_ACTIONS = ['disable', 'enable', 'reload'];
+
+/**
+ * 设置管理路由
+ * @param {object} app - Express应用
+ * @param {object} appService - 应用服务
+ * @param {object} config - 配置对象
+ */
+function setupAdminRoutes(app, appService, config) {
+  const adminPrefix = `${config.apiPrefix || '/api'}/admin`;
+
+  // 所有算子（含已停用）
+  app.get(`${adminPrefix}/operators`, requireAdmin(), (req, res) => {
+    const operators = appService.getOperators({ includeDisabled: true });
+
+    sendSuccessResponse(res, {
+      operators,
+      total: operators.length,
+      disabled: operators.filter(op => !op.enabled).length
+    });
+  });
+
+  // 停用 / 启用 / 重新加载算子（?version= 指定版本，默认最新版本）
+  app.post(`${adminPrefix}/operators/:category/:name/:action`, requireAdmin(), async (req, res) => {
+    const { category, name, action } = req.params;
+    const version = typeof req.query.version === 'string' ? req.query.version : null;
+
+    if (!ADMIN_ACTIONS.includes(action)) {
+      return sendErrorResponse(
+        res,
+        `不支持的操作: ${action}，可选值: ${ADMIN_ACTIONS.join(', ')}`,
+        ErrorCodes.BAD_REQUEST,
+        null,
+        HttpStatus.BAD_REQUEST
+      );
+    }
+
+    const operatorData = appService.registry.resolve(`${category}/${name}`, version);
+    if (!operatorData) {
+      return sendErrorResponse(
+        res,
+        '算子不存在',
+        ErrorCodes.OPERATOR_NOT_FOUND,
+        { operatorId: `${category}/${name}`, version },
+        HttpStatus.NOT_FOUND
+      );
+    }
+    const operatorId = operatorData.metadata.id;
+
+    try {
+      let resultId = operatorId;
+
+      if (action === 'disable') {
+        appService.disableOperator(operatorId, req.body?.reason || null);
+      } else if (action === 'enable') {
+        appService.enableOperator(operatorId);
+      } else {
+        const change = await appService.reloadOperator(operatorData.metadata.filePath);
+        if (!change) {
+          return sendErrorResponse(
+            res,
+            '算子重新加载失败，继续使用旧版本',
+            ErrorCodes.OPERATOR_EXECUTION_ERROR,
+            { operatorId },
+            HttpStatus.INTERNAL_SERVER_ERROR
+          );
+        }
+        resultId = change.operatorId;
+      }
+
+      logger.info(`管理操作完成: ${action} ${operatorId}`, { ip: req.ip });
+
+      const operator = appService.getOperators({ includeDisabled: true })
+        .find(op => op.versionedId === resultId) || null;
+
+      sendSuccessResponse(res, { action, operator });
+    } catch (error) {
+      logger.error(`管理操作失败: ${action} ${operatorId}`, { error: error.message });
+      sendErrorResponse(res, '管理操作失败', ErrorCodes.INTERNAL_ERROR, { operatorId }, HttpStatus.INTERNAL_SERVER_ERROR);
+    }
+  });
+
+  // 重新扫描模板目录（新增或修改模板后调用）
+  app.post(`${adminPrefix}/templates/reload`, requireAdmin(), (req, res) => {
+    const registry = getTemplateRegistry();
+    const result = registry.load();
+
+    logger.info('管理操作完成: 重新加载模板库', { ip: req.ip, ...result });
+    sendSuccessResponse(res, { ...result, errors: registry.errors });
+  });
+}
+
+module.exports = { setupAdminRoutes };
@@ -5,6 +5,10 @@
  */
 
 const express = require('express');
+const { setupAdminRoutes } = require('./admin');
+const { setupJobRoutes } = require('./jobs');
+const { setupTemplateRoutes } = require('./templates');
+const { asyncHandler } = require('../utils/response');
 
 /**
  * 设置基础路由
@@ -140,7 +144,7 @@ function setupRoutes(app, appService, config) {
         
         <div class="stats">
             <div class="stat-card">
-                <div class="stat-number">${stats.totalOperators || 0}</div>
+                <div class="stat-number">${operators.length}</div>
                 <div class="stat-label">已注册算子</div>
             </div>
             <div class="stat-card">
@@ -162,11 +166,12 @@ function setupRoutes(app, appService, config) {
                         <div class="operator-desc">${op.description}</div>
                         <div class="operator-meta">
                             <span class="tag">${op.category}</span>
+                            <span class="tag">v${op.version}${op.deprecated ? ' · 已弃用' : ''}</span>
                             <span class="methods-count">${op.endpointCount} 个方法</span>
                         </div>
                         <div class="copy-url">
-                            <code>${baseUrl}${apiPrefix}/operators/${op.category}/${op.name}/definition</code>
-                            <button class="copy-btn" onclick="copyToClipboard('${baseUrl}${apiPrefix}/operators/${op.category}/${op.name}/definition', this)">复制</button>
+                            <code>${baseUrl}${apiPrefix}/operators/${op.category}/${op.name}/definition${op.latest ? '' : `?version=${op.version}`}</code>
+                            <button class="copy-btn" onclick="copyToClipboard('${baseUrl}${apiPrefix}/operators/${op.category}/${op.name}/definition${op.latest ? '' : `?version=${op.version}`}', this)">复制</button>
                         </div>
                     </div>
                 `).join('')}
@@ -220,15 +225,19 @@ function setupRoutes(app, appService, config) {
     res.send(html);
   });
 
-  // 健康检查
-  app.get('/health', (req, res) => {
+  // 健康检查（包含各算子依赖检查，?refresh=true 强制重新检查）
+  // 服务未完成初始化或必需算子（info.required）为 down 时返回 503，其他算子异常时整体为 degraded，仍返回 200
+  app.get('/health', asyncHandler(async (req, res) => {
     const stats = appService.getStats();
     const packageInfo = require('../../package.json');
+    const health = await appService.checkHealth({ refresh: req.query.refresh === 'true' });
+    const statusMap = { ok: 'healthy', degraded: 'degraded', down: 'unhealthy' };
+    const healthy = stats.initialized && health.status !== 'down';
     
-    res.json({
-      success: true,
+    res.status(healthy ? 200 : 503).json({
+      success: healthy,
       data: {
-        status: 'healthy',
+        status: stats.initialized ? statusMap[health.status] : 'unhealthy',
         uptime: process.uptime(),
         timestamp: new Date().toISOString(),
         version: packageInfo.version,
@@ -238,10 +247,14 @@ function setupRoutes(app, appService, config) {
           loaded: stats.totalOperators,
           categories: stats.categories,
           endpoints: stats.totalEndpoints
+        },
+        checks: {
+          checkedAt: health.checkedAt,
+          operators: health.operators
         }
       }
     });
-  });
+  }));
 
   // 算子列表API
   app.get(`${apiPrefix}/operators`, (req, res) => {
@@ -252,7 +265,7 @@ function setupRoutes(app, appService, config) {
       success: true,
       data: {
         operators,
-        total: stats.totalOperators,
+        total: operators.length,
         categories: stats.categories,
         endpoints: stats.totalEndpoints
       }
@@ -260,19 +273,22 @@ function setupRoutes(app, appService, config) {
   });
 
 
-  // 获取单个算子的完整定义（用于导出和导入）
+  // 获取单个算子的完整定义（用于导出和导入），?version= 指定版本（1.2.0、1、1.x），默认最新版本
   app.get(`${apiPrefix}/operators/:category/:name/definition`, (req, res) => {
     try {
       const { category, name } = req.params;
       const operatorId = `${category}/${name}`;
+      const version = typeof req.query.version === 'string' ? req.query.version : null;
       
-      const operatorDefinition = appService.getOperatorDefinition(operatorId, req);
+      const operatorDefinition = appService.getOperatorDefinition(operatorId, req, { version });
       
       if (!operatorDefinition) {
+        const versions = appService.registry.getVersions(operatorId);
         return res.status(404).json({
           success: false,
-          error: '算子不存在',
-          code: 'OPERATOR_NOT_FOUND'
+          error: versions.length > 0 ? `算子版本不存在: ${version}` : '算子不存在',
+          code: 'OPERATOR_NOT_FOUND',
+          ...(versions.length > 0 && { details: { availableVersions: versions } })
         });
       }
       
@@ -325,6 +341,14 @@ function setupRoutes(app, appService, config) {
     });
   });
 
+  // 异步任务查询与取消
+  setupJobRoutes(app, appService, config);
+
+  // 文档模板库
+  setupTemplateRoutes(app, appService, config);
+
+  // 管理接口
+  setupAdminRoutes(app, appService, config);
 }
 
 module.exports = { setupRoutes };
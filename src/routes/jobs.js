@@ -0,0 +1,60 @@
+/**
+ * 异步任务路由
+ *
+ * 查询以 ?async=true 提交的算子任务的状态、进度和结果，或取消任务
+ */
+
+const { getJobOwner } = require('../middleware/async-job');
+const { sendSuccessResponse, sendErrorResponse, HttpStatus, ErrorCodes } = require('../utils/response');
+
+/**
+ * 设置异步任务路由
+ * @param {object} app - Express应用
+ * @param {object} appService - 应用服务
+ * @param {object} config - 配置对象
+ */
+function setupJobRoutes(app, appService, config) {
+  const jobsPrefix = `${config.apiPrefix || '/api'}/jobs`;
+  const jobs = appService.jobs;
+
+  // 提交时携带 API Key 的任务只能由同一 API Key 访问，其他调用方视为不存在
+  const findJob = (req, res) => {
+    const { id } = req.params;
+    if (!jobs.canAccess(id, getJobOwner(req))) {
+      sendErrorResponse(res, '任务不存在或已过期', ErrorCodes.JOB_NOT_FOUND, { jobId: id }, HttpStatus.NOT_FOUND);
+      return null;
+    }
+    return id;
+  };
+
+  // 任务状态、进度与结果
+  app.get(`${jobsPrefix}/:id`, (req, res) => {
+    const jobId = findJob(req, res);
+    if (jobId) {
+      sendSuccessResponse(res, jobs.get(jobId));
+    }
+  });
+
+  // 取消任务
+  app.post(`${jobsPrefix}/:id/cancel`, (req, res) => {
+    const jobId = findJob(req, res);
+    if (!jobId) {
+      return;
+    }
+
+    const job = jobs.get(jobId);
+    if (job.finishedAt) {
+      return sendErrorResponse(
+        res,
+        '任务已结束，无法取消',
+        ErrorCodes.BAD_REQUEST,
+        { jobId, status: job.status },
+        HttpStatus.CONFLICT
+      );
+    }
+
+    sendSuccessResponse(res, jobs.cancel(jobId), '任务已取消');
+  });
+}
+
+module.exports = { setupJobRoutes };
@@ -0,0 +1,50 @@
+/**
+ * 文档模板路由
+ *
+ * 查询服务端模板库中的模板，生成器接口通过 templateId 引用模板
+ */
+
+const { getTemplateRegistry } = require('../services/template-registry');
+const { sendSuccessResponse, sendErrorResponse, HttpStatus, ErrorCodes } = require('../utils/response');
+
+/**
+ * 设置模板路由
+ * @param {object} app - Express应用
+ * @param {object} appService - 应用服务
+ * @param {object} config - 配置对象
+ */
+function setupTemplateRoutes(app, appService, config) {
+  const templatesPrefix = `${config.apiPrefix || '/api'}/templates`;
+  const registry = getTemplateRegistry();
+
+  // 模板列表（?format= 按格式过滤，?tag= 按标签过滤）
+  app.get(templatesPrefix, (req, res) => {
+    const { format, tag } = req.query;
+    const templates = registry.list()
+      .filter(template => !format || template.format === format)
+      .filter(template => !tag || template.tags.includes(tag));
+
+    sendSuccessResponse(res, {
+      templates,
+      total: templates.length
+    });
+  });
+
+  // 模板详情（含模板内容、样式、数据 schema 和示例数据），支持 id 或 id@version
+  app.get(`${templatesPrefix}/:ref`, (req, res) => {
+    const template = registry.resolve(req.params.ref);
+    if (!template) {
+      return sendErrorResponse(
+        res,
+        `模板不存在: ${req.params.ref}`,
+        ErrorCodes.TEMPLATE_NOT_FOUND,
+        { templateId: req.params.ref },
+        HttpStatus.NOT_FOUND
+      );
+    }
+
+    sendSuccessResponse(res, registry.describe(template, { includeContent: true }));
+  });
+}
+
+module.exports = { setupTemplateRoutes };
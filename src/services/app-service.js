@@ -4,22 +4,38 @@
  * 协调各个核心组件，实现算子平台的核心功能
  */
 
+const fs = require('fs');
 const path = require('path');
 // const swaggerJsDoc = require('swagger-jsdoc'); // 不再需要，直接使用自定义文档生成器
 const OperatorRegistry = require('../core/registry');
 const OperatorDiscovery = require('../core/discovery');
 const RouterBuilder = require('../core/router');
+const OperatorWatcher = require('../core/watcher');
 const DocumentGenerator = require('./docs-generator');
+const JobManager = require('./job-manager');
+const WebhookDispatcher = require('./webhook-dispatcher');
+const { getBrowserPoolStats } = require('./browser-pool');
+const { getTemplateRegistry } = require('./template-registry');
 const logger = require('../utils/logger');
+const { versionSegment } = require('../utils/version');
 
 class ApplicationService {
   constructor(config = {}) {
     this.config = config;
-    this.registry = new OperatorRegistry();
-    this.discovery = new OperatorDiscovery();
-    this.router = new RouterBuilder(config);
     this.docsGenerator = new DocumentGenerator(config);
+    
+    // 算子清单中的 $ref 可引用平台公共组件
+    const sharedComponents = this.docsGenerator.getBaseComponents();
+    this.registry = new OperatorRegistry({ sharedComponents });
+    this.discovery = new OperatorDiscovery({ sharedComponents });
+    this.jobs = new JobManager(config.jobs);
+    this.webhooks = new WebhookDispatcher(config.webhooks);
+    this.webhooks.attach(this.jobs);
+    this.router = new RouterBuilder(config, { sharedComponents, jobManager: this.jobs, webhooks: this.webhooks });
     this.initialized = false;
+    this.app = null;
+    this.watcher = null;
+    this.reloadQueue = Promise.resolve(); // 串行执行重载，避免并发修改注册中心
   }
 
   /**
@@ -36,6 +52,12 @@ class ApplicationService {
       // 2. 生成API文档
       this._generateDocs();
       
+      // 3. 检查算子依赖
+      await this.registry.runHealthChecks(this._healthCheckOptions());
+      
+      // 4. 加载文档模板库
+      getTemplateRegistry().load();
+      
       this.initialized = true;
       logger.info('应用服务初始化完成');
       
@@ -55,10 +77,38 @@ class ApplicationService {
     }
 
     // 构建路由
+    this.app = app;
     this.router.applyRoutes(app, this.registry);
     return this;
   }
 
+  /**
+   * 监听算子目录，文件变化时热重载对应算子
+   * @param {string} operatorsDir - 算子目录
+   */
+  watch(operatorsDir) {
+    if (this.watcher) {
+      return this;
+    }
+
+    this.watcher = new OperatorWatcher(operatorsDir, {
+      isExcluded: (name) => name.startsWith('.') || this.discovery.isExcluded(name),
+      onChange: (files) => this._enqueueReload(() => this._reloadFiles(files))
+    });
+    this.watcher.start();
+    return this;
+  }
+
+  /**
+   * 停止监听算子目录
+   */
+  unwatch() {
+    if (this.watcher) {
+      this.watcher.stop();
+      this.watcher = null;
+    }
+  }
+
   /**
    * 获取Swagger文档
    * @returns {object} Swagger规范
@@ -67,6 +117,26 @@ class ApplicationService {
     return this.swaggerSpec;
   }
 
+  /**
+   * 获取算子健康状态
+   * 结果超过缓存时间或指定 refresh 时重新检查
+   * @param {object} options - 选项
+   * @param {boolean} options.refresh - 是否强制重新检查
+   * @returns {Promise<object>} 健康状态汇总
+   */
+  async checkHealth(options = {}) {
+    const health = this.registry.getHealth();
+    const ttl = (this.config.monitoring?.healthCheckTTL || 60) * 1000;
+    const stale = !health.checkedAt ||
+      Date.now() - new Date(health.checkedAt).getTime() > ttl ||
+      health.operators.some(op => op.status === 'unknown');
+
+    if (options.refresh || stale) {
+      return this.registry.runHealthChecks(this._healthCheckOptions());
+    }
+    return health;
+  }
+
   /**
    * 获取统计信息
    * @returns {object} 统计数据
@@ -78,29 +148,48 @@ class ApplicationService {
     return {
       ...registryStats,
       ...routerStats,
+      jobs: this.jobs.getStats(),
+      browserPool: getBrowserPoolStats(),
       initialized: this.initialized
     };
   }
 
   /**
    * 获取算子列表
+   * @param {object} options - 查询选项
+   * @param {boolean} options.includeDisabled - 是否包含已停用的算子
    * @returns {Array} 算子列表
    */
-  getOperators() {
-    return this.registry.getAll().map(operatorData => {
+  getOperators(options = {}) {
+    const operators = options.includeDisabled ? this.registry.getAll() : this.registry.getEnabled();
+
+    return operators.map(operatorData => {
       const { config, metadata } = operatorData;
       const endpoints = config.openapi?.paths ? Object.keys(config.openapi.paths) : [];
+      const disabledInfo = this.registry.getDisabledInfo(metadata.id);
+      const latest = this.registry.isLatest(metadata.id);
+      const versionPath = this.registry.getVersionPath(metadata.id);
+      // 同一主版本下被更高版本覆盖的版本不挂载路由
+      const mounted = latest || Boolean(versionPath);
+      const basePath = this.router.getBasePath(config, latest ? null : versionPath);
       
       return {
-        id: metadata.id,
+        // 最新版本沿用不含版本号的ID（category/name），与多版本之前的客户端兼容；其他版本为 category/name@version
+        id: latest ? metadata.id.split('@')[0] : metadata.id,
+        versionedId: metadata.id,
         name: config.info.name,
         title: config.info.title,
         description: config.info.description,
         version: config.info.version,
         category: config.info.category,
-        endpoints: endpoints.map(path => `${this.config.apiPrefix || '/api'}/${config.info.category}/${config.info.name}${path}`),
+        latest,
+        versionPath,
+        endpoints: mounted ? endpoints.map(path => `${basePath}${path}`) : [],
         endpointCount: endpoints.length,
-        registeredAt: metadata.registeredAt
+        registeredAt: metadata.registeredAt,
+        enabled: !disabledInfo,
+        ...(disabledInfo && { disabled: disabledInfo }),
+        ...(config.info.deprecated && { deprecated: true, sunset: config.info.sunset || null })
       };
     });
   }
@@ -116,17 +205,21 @@ class ApplicationService {
 
   /**
    * 获取单个算子的完整定义
-   * @param {string} operatorId - 算子ID
+   * 方法的 endpoint 使用版本路径（/v1），导入平台的工作流不受后续不兼容版本影响
+   * @param {string} operatorId - 算子ID（category/name 或 category/name@version）
    * @param {object} req - 请求对象（用于构建完整URL）
+   * @param {object} options - 选项
+   * @param {string} options.version - 版本查询条件（1.2.0、1、1.x、latest），省略时为最新版本
    * @returns {object|null} 算子定义
    */
-  getOperatorDefinition(operatorId, req = null) {
-    const operatorData = this.registry.get(operatorId);
+  getOperatorDefinition(operatorId, req = null, options = {}) {
+    const operatorData = this.registry.resolve(operatorId, options.version);
     if (!operatorData) {
       return null;
     }
 
     const { config, metadata } = operatorData;
+    const basePath = this.router.getBasePath(config, versionSegment(config.info.version));
     
     // 构建基础URL（如果提供了请求对象）
     let baseUrl = '';
@@ -147,6 +240,7 @@ class ApplicationService {
         version: config.info.version,
         category: config.info.category,
         tags: config.info.tags || [],
+        ...(config.info.deprecated && { deprecated: true, sunset: config.info.sunset || null }),
         author: config.info.author || 'genispace.com Dev Team',
         
         // 基础配置
@@ -200,14 +294,15 @@ class ApplicationService {
         },
 
         // 方法定义
-        methods: this._convertPathsToMethods(config.openapi.paths, config.info.name, config.info.category, baseUrl, config.openapi),
+        methods: this._convertPathsToMethods(config.openapi.paths, basePath, baseUrl, config.openapi),
         
         // 元数据
         metadata: {
           source: 'genispace-custom-operators',
           exportedAt: new Date().toISOString(),
           exportedBy: 'GeniSpace Custom Operators API',
-          originalOperatorId: operatorId,
+          originalOperatorId: metadata.id,
+          availableVersions: this.registry.getVersions(metadata.id),
           registeredAt: metadata.registeredAt
         }
       }
@@ -218,13 +313,12 @@ class ApplicationService {
   /**
    * 将OpenAPI paths转换为GeniSpace方法格式
    * @param {object} paths - OpenAPI paths
-   * @param {string} operatorName - 算子名称
-   * @param {string} category - 算子分类
+   * @param {string} basePath - 算子路由基础路径（含版本路径）
    * @param {string} baseUrl - 基础URL
    * @param {object} fullOpenApiDoc - 完整的OpenAPI文档，用于解析$ref
    * @returns {Array} 方法列表
    */
-  _convertPathsToMethods(paths, operatorName, category, baseUrl = '', fullOpenApiDoc = null) {
+  _convertPathsToMethods(paths, basePath, baseUrl = '', fullOpenApiDoc = null) {
     const methods = [];
     
     Object.entries(paths).forEach(([path, pathItem]) => {
@@ -255,7 +349,7 @@ class ApplicationService {
                 },
                 endpoint: {
                   type: 'string',
-                  default: `${this.config.apiPrefix || '/api'}/${category}/${operatorName}${path}`
+                  default: `${basePath}${path}`
                 },
                 headers: {
                   type: 'array',
@@ -280,7 +374,7 @@ class ApplicationService {
             },
             values: {
               method: httpMethod.toUpperCase(),
-              endpoint: `${this.config.apiPrefix || '/api'}/${category}/${operatorName}${path}`,
+              endpoint: `${basePath}${path}`,
               headers: [],
               caching: {
                 enabled: false,
@@ -379,21 +473,213 @@ class ApplicationService {
     }
   }
 
+  /**
+   * 停用算子，停用后请求返回 503，并从文档中移除
+   * @param {string} operatorId - 算子ID
+   * @param {string} reason - 停用原因
+   * @returns {boolean} 算子是否存在
+   */
+  disableOperator(operatorId, reason = null) {
+    if (!this.registry.disable(operatorId, reason)) {
+      return false;
+    }
+    this._generateDocs();
+    return true;
+  }
+
+  /**
+   * 重新启用算子
+   * @param {string} operatorId - 算子ID
+   * @returns {boolean} 算子是否存在
+   */
+  enableOperator(operatorId) {
+    if (!this.registry.enable(operatorId)) {
+      return false;
+    }
+    this._generateDocs();
+    return true;
+  }
+
   /**
    * 重新加载算子
    * @param {string} operatorsDir - 算子目录
    */
   async reload(operatorsDir) {
-    logger.info('开始重新加载算子...');
-    
-    // 清空状态
-    this.registry.clear();
-    this.discovery.reset();
-    
-    // 重新初始化
-    await this.initialize(operatorsDir);
-    
-    logger.info('算子重新加载完成');
+    return this._enqueueReload(async () => {
+      logger.info('开始重新加载算子...');
+
+      // 清空状态
+      this.registry.clear();
+      this.discovery.reset();
+
+      // 重新初始化
+      await this.initialize(operatorsDir);
+
+      // 替换已挂载的路由
+      if (this.app) {
+        this.router.rebuild(this.registry);
+      }
+
+      logger.info('算子重新加载完成');
+    });
+  }
+
+  /**
+   * 重新加载单个算子
+   * @param {string} filePath - 变更文件路径（算子注册文件、路由文件或算子目录内的其他文件）
+   * @returns {object|null} 变更结果 { action, operatorId }
+   */
+  async reloadOperator(filePath) {
+    return this._enqueueReload(async () => {
+      const change = await this._reloadOperatorFile(filePath);
+      if (change) {
+        this._applyChanges();
+      }
+      return change;
+    });
+  }
+
+  /**
+   * 批量处理变更文件
+   * @private
+   */
+  async _reloadFiles(files) {
+    // 同一算子目录内的多个文件只需重载一次
+    const operatorFiles = new Set();
+    for (const file of files) {
+      const operatorFile = await this._resolveOperatorFile(file);
+      if (operatorFile) {
+        operatorFiles.add(operatorFile);
+      }
+    }
+
+    const changes = [];
+    for (const operatorFile of operatorFiles) {
+      const change = await this._reloadOperatorFile(operatorFile);
+      if (change) {
+        changes.push(change);
+      }
+    }
+
+    if (changes.length > 0) {
+      this._applyChanges();
+    }
+    return changes;
+  }
+
+  /**
+   * 重新加载算子注册文件并更新注册中心
+   * @private
+   */
+  async _reloadOperatorFile(filePath) {
+    const operatorFile = await this._resolveOperatorFile(filePath);
+    if (!operatorFile) {
+      logger.debug(`变更文件不属于任何算子，已忽略: ${filePath}`);
+      return null;
+    }
+
+    const existing = this.registry.findByFile(operatorFile);
+
+    // 算子注册文件已删除
+    if (!fs.existsSync(operatorFile)) {
+      this.discovery.forget(operatorFile);
+      if (!existing) {
+        return null;
+      }
+      this.registry.unregister(existing.metadata.id);
+      logger.info(`算子已移除: ${existing.metadata.id}`, { file: operatorFile });
+      return { action: 'removed', operatorId: existing.metadata.id };
+    }
+
+    const operatorData = await this.discovery.loadOperator(operatorFile, { force: true });
+    if (!operatorData) {
+      // 加载失败时保留旧版本继续提供服务
+      logger.warn(`算子重新加载失败，继续使用旧版本: ${operatorFile}`);
+      return null;
+    }
+
+    let operatorId;
+    try {
+      operatorId = this.registry.register(operatorData);
+    } catch (error) {
+      logger.warn(`算子重新注册失败，继续使用旧版本: ${operatorFile}`, { error: error.message });
+      return null;
+    }
+
+    // 算子名称、分类或版本变化时移除旧ID
+    if (existing && existing.metadata.id !== operatorId) {
+      this.registry.unregister(existing.metadata.id);
+    }
+
+    // 后台重新检查依赖，不阻塞路由替换
+    this.registry.runHealthCheck(operatorId, this._healthCheckOptions());
+
+    const action = existing ? 'updated' : 'added';
+    logger.info(`算子已${action === 'added' ? '新增' : '更新'}: ${operatorId}`, {
+      file: path.relative(process.cwd(), operatorFile),
+      version: operatorData.config.info.version,
+      paths: Object.keys(operatorData.config.openapi?.paths || {})
+    });
+
+    return { action, operatorId };
+  }
+
+  /**
+   * 将变更文件映射到所属算子的注册文件
+   * @private
+   */
+  async _resolveOperatorFile(filePath) {
+    const fileName = path.basename(filePath);
+    if (this.discovery.isOperatorFile(fileName)) {
+      return filePath;
+    }
+
+    // 已注册算子的路由文件或依赖文件
+    const existing = this.registry.findByFile(filePath);
+    if (existing) {
+      return existing.metadata.filePath;
+    }
+
+    // 同目录下的算子注册文件
+    try {
+      const directory = path.dirname(filePath);
+      const entries = await fs.promises.readdir(directory);
+      const operatorFile = entries.find(name => this.discovery.isOperatorFile(name));
+      return operatorFile ? path.join(directory, operatorFile) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 重新生成文档并替换已挂载的路由
+   * @private
+   */
+  _applyChanges() {
+    this._generateDocs();
+    if (this.app) {
+      this.router.rebuild(this.registry);
+    }
+  }
+
+  /**
+   * 健康检查选项
+   * @private
+   */
+  _healthCheckOptions() {
+    return {
+      timeout: this.config.monitoring?.healthCheckTimeout || 10000
+    };
+  }
+
+  /**
+   * 串行执行重载任务
+   * @private
+   */
+  _enqueueReload(task) {
+    const run = this.reloadQueue.then(task);
+    this.reloadQueue = run.catch(() => {});
+    return run;
   }
 
   /**
@@ -404,7 +690,8 @@ class ApplicationService {
     const discovered = await this.discovery.scan(operatorsDir);
     
     let successCount = 0;
-    let errorCount = 0;
+    // 清单校验失败的算子已在发现阶段输出报告
+    let errorCount = this.discovery.getInvalid().length;
     
     for (const operatorData of discovered) {
       try {
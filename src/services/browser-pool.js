@@ -0,0 +1,465 @@
+/**
+ * Chromium 浏览器池
+ *
+ * 多个长期运行的浏览器实例及其页面在请求之间复用，避免每次渲染都启动浏览器：
+ * - 并发上限（maxConcurrency）：同时使用的页面数，超出时排队，等待超过 acquireTimeout 则失败
+ * - 页面回收：页面渲染 maxUses 次后关闭并重新创建，避免内存持续增长
+ * - 崩溃恢复：浏览器断开连接或页面崩溃时丢弃相关实例，后续请求自动重新启动浏览器
+ * - 空闲释放：浏览器空闲超过 idleTimeout 后关闭
+ * - 取消：传入 signal（如异步任务的 req.job.signal）时，中止后退出排队或关闭正在使用的页面
+ *
+ * 浏览器池为进程级单例（getBrowserPool），位于 src 下，算子热重载时不会重复创建
+ */
+
+const config = require('../config/env');
+const logger = require('../utils/logger');
+
+class BrowserPool {
+  /**
+   * @param {object} options - 浏览器池选项
+   * @param {number} options.maxBrowsers - 浏览器实例上限
+   * @param {number} options.maxConcurrency - 同时渲染的页面数上限
+   * @param {number} options.maxUses - 页面渲染多少次后回收
+   * @param {number} options.acquireTimeout - 排队等待超时（毫秒）
+   * @param {number} options.idleTimeout - 浏览器空闲多久后关闭（毫秒），0 表示不关闭
+   * @param {object} options.launchOptions - puppeteer.launch 参数
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxBrowsers: 1,
+      maxConcurrency: 4,
+      maxUses: 50,
+      acquireTimeout: 30000,
+      idleTimeout: 5 * 60 * 1000,
+      launchOptions: {},
+      ...options
+    };
+    this.pagesPerBrowser = Math.ceil(this.options.maxConcurrency / this.options.maxBrowsers);
+
+    this.browsers = [];  // { id, browser, ready, pages, creating, lastUsedAt }
+    this.idlePages = []; // 可复用的页面
+    this.waiters = [];   // 排队中的请求
+    this.leased = 0;     // 已占用的并发名额
+    this.closed = false;
+    this.nextBrowserId = 1;
+    this.idleTimer = null;
+
+    this.stats = {
+      launches: 0,
+      crashes: 0,
+      renders: 0,
+      recycledPages: 0,
+      timeouts: 0
+    };
+  }
+
+  /**
+   * 借用一个页面执行操作，完成后自动归还
+   * 操作失败或被中止时页面会被丢弃，不再复用
+   * @param {function} fn - async (page) => result
+   * @param {object} options - 选项
+   * @param {AbortSignal} options.signal - 中止信号，中止时关闭页面，进行中的页面操作随之失败
+   * @returns {Promise<any>} fn 的返回值
+   * @throws {Error} 已中止时抛出 signal.reason
+   */
+  async withPage(fn, { signal } = {}) {
+    const entry = await this.acquire({ signal });
+    const onAbort = () => {
+      entry.crashed = true;
+      entry.page.close().catch(() => {});
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    let failed = false;
+    try {
+      signal?.throwIfAborted();
+      const result = await fn(entry.page);
+      // fn 自行捕获了页面关闭导致的错误时，仍按中止处理
+      signal?.throwIfAborted();
+      return result;
+    } catch (error) {
+      failed = true;
+      throw error;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      await this.release(entry, { discard: failed });
+    }
+  }
+
+  /**
+   * 获取页面（需调用 release 归还，一般使用 withPage）
+   * @param {object} options - 选项
+   * @param {AbortSignal} options.signal - 中止信号，排队中被中止时退出队列
+   * @returns {Promise<object>} 页面条目 { page, browserEntry, uses }
+   * @throws {Error} 已中止（signal.reason）、等待超时（code 为 BROWSER_POOL_TIMEOUT）或浏览器启动失败
+   */
+  async acquire({ signal } = {}) {
+    if (this.closed) {
+      throw new Error('浏览器池已关闭');
+    }
+    signal?.throwIfAborted();
+
+    if (this.leased < this.options.maxConcurrency) {
+      this.leased++;
+    } else {
+      await this._waitForSlot(signal);
+    }
+
+    try {
+      return await this._getPage();
+    } catch (error) {
+      this._releaseSlot();
+      throw error;
+    }
+  }
+
+  /**
+   * 归还页面
+   * @param {object} entry - acquire 返回的页面条目
+   * @param {object} options - 选项
+   * @param {boolean} options.discard - 丢弃页面而不是复用
+   */
+  async release(entry, { discard = false } = {}) {
+    entry.uses++;
+    this.stats.renders++;
+    entry.browserEntry.lastUsedAt = Date.now();
+
+    const reusable = !discard && !entry.crashed && !this.closed &&
+      entry.uses < this.options.maxUses && this._isConnected(entry.browserEntry);
+
+    if (reusable) {
+      try {
+        await entry.page.goto('about:blank');
+        this.idlePages.push(entry);
+      } catch {
+        await this._closePage(entry);
+      }
+    } else {
+      if (entry.uses >= this.options.maxUses) {
+        this.stats.recycledPages++;
+      }
+      await this._closePage(entry);
+    }
+
+    this._releaseSlot();
+  }
+
+  /**
+   * 获取浏览器版本（健康检查用），不占用并发名额，渲染繁忙时也能立即返回
+   * 优先使用已连接的浏览器，池中没有浏览器时启动一个（空闲后按 idleTimeout 关闭）
+   * @returns {Promise<string>} 浏览器版本
+   * @throws {Error} 浏览器池已关闭或浏览器启动失败
+   */
+  async getBrowserVersion() {
+    if (this.closed) {
+      throw new Error('浏览器池已关闭');
+    }
+
+    const entry = this.browsers.find(item => this._isConnected(item)) ||
+      this.browsers[0] ||
+      this._launchBrowser();
+    const browser = await entry.ready;
+    return browser.version();
+  }
+
+  /**
+   * 获取浏览器池统计
+   * @returns {object}
+   */
+  getStats() {
+    const pages = this.browsers.reduce((total, entry) => total + entry.pages.size, 0);
+
+    return {
+      browsers: this.browsers.length,
+      pages,
+      busy: this.leased,
+      idle: this.idlePages.length,
+      queued: this.waiters.length,
+      maxBrowsers: this.options.maxBrowsers,
+      maxConcurrency: this.options.maxConcurrency,
+      ...this.stats
+    };
+  }
+
+  /**
+   * 关闭所有浏览器并拒绝排队中的请求
+   */
+  async close() {
+    this.closed = true;
+    if (this.idleTimer) {
+      clearInterval(this.idleTimer);
+      this.idleTimer = null;
+    }
+
+    this.waiters.splice(0).forEach(waiter => waiter.reject(new Error('浏览器池已关闭')));
+
+    const browsers = this.browsers.splice(0);
+    this.idlePages = [];
+    await Promise.all(browsers.map(entry => this._closeBrowser(entry)));
+  }
+
+  /**
+   * 排队等待并发名额
+   * @param {AbortSignal} signal - 中止信号（可选）
+   * @private
+   */
+  _waitForSlot(signal) {
+    return new Promise((resolve, reject) => {
+      const leave = () => {
+        this.waiters = this.waiters.filter(item => item !== waiter);
+      };
+      const onAbort = () => {
+        leave();
+        waiter.reject(signal.reason);
+      };
+      const settle = callback => value => {
+        clearTimeout(waiter.timer);
+        signal?.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+      const waiter = { resolve: settle(resolve), reject: settle(reject), timer: null };
+
+      waiter.timer = setTimeout(() => {
+        leave();
+        this.stats.timeouts++;
+        const error = new Error(`浏览器池繁忙，等待 ${this.options.acquireTimeout}ms 后仍无可用页面`);
+        error.code = 'BROWSER_POOL_TIMEOUT';
+        waiter.reject(error);
+      }, this.options.acquireTimeout);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * 释放并发名额，有排队请求时直接转交
+   * @private
+   */
+  _releaseSlot() {
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter.resolve();
+    } else {
+      this.leased--;
+    }
+  }
+
+  /**
+   * 复用空闲页面，没有时在有余量的浏览器上创建新页面
+   * @private
+   */
+  async _getPage() {
+    while (this.idlePages.length > 0) {
+      const entry = this.idlePages.pop();
+      if (!entry.crashed && this._isConnected(entry.browserEntry)) {
+        return entry;
+      }
+    }
+
+    const browserEntry = this._selectBrowser();
+    browserEntry.creating++;
+    try {
+      const browser = await browserEntry.ready;
+      const page = await browser.newPage();
+      const entry = { page, browserEntry, uses: 0, crashed: false };
+
+      // 页面崩溃后不再复用
+      page.on('error', error => {
+        entry.crashed = true;
+        logger.warn('浏览器页面崩溃', { browserId: browserEntry.id, error: error.message });
+      });
+
+      browserEntry.pages.add(entry);
+      return entry;
+    } finally {
+      browserEntry.creating--;
+    }
+  }
+
+  /**
+   * 选择有页面余量的浏览器，必要时启动新浏览器
+   * @private
+   */
+  _selectBrowser() {
+    const available = this.browsers.find(entry =>
+      entry.pages.size + entry.creating < this.pagesPerBrowser
+    );
+    if (available) {
+      return available;
+    }
+
+    if (this.browsers.length < this.options.maxBrowsers) {
+      return this._launchBrowser();
+    }
+
+    // 名额由 leased 控制，正常情况下不会走到这里；兜底使用负载最低的浏览器
+    return this.browsers.reduce((least, entry) =>
+      entry.pages.size + entry.creating < least.pages.size + least.creating ? entry : least
+    );
+  }
+
+  /**
+   * 启动浏览器（断开连接时从池中移除，下次请求时重新启动）
+   * @private
+   */
+  _launchBrowser() {
+    const entry = {
+      id: this.nextBrowserId++,
+      browser: null,
+      ready: null,
+      pages: new Set(),
+      creating: 0,
+      lastUsedAt: Date.now()
+    };
+
+    entry.ready = (async () => {
+      // 按需加载，未使用浏览器的部署不加载 puppeteer
+      const puppeteer = require('puppeteer');
+      const startTime = Date.now();
+      try {
+        const browser = await puppeteer.launch(this.options.launchOptions);
+        entry.browser = browser;
+        this.stats.launches++;
+        logger.info('浏览器已启动', { browserId: entry.id, duration: `${Date.now() - startTime}ms` });
+
+        browser.on('disconnected', () => this._handleDisconnected(entry));
+        return browser;
+      } catch (error) {
+        this._removeBrowser(entry);
+        throw new Error(`浏览器启动失败: ${error.message}`);
+      }
+    })();
+    // 启动失败由等待该浏览器的请求处理
+    entry.ready.catch(() => {});
+
+    this.browsers.push(entry);
+    this._scheduleIdleCheck();
+    return entry;
+  }
+
+  /**
+   * 浏览器断开连接（崩溃或被关闭）
+   * @private
+   */
+  _handleDisconnected(entry) {
+    if (!this.browsers.includes(entry)) {
+      return;
+    }
+
+    this.stats.crashes++;
+    logger.warn('浏览器意外断开，已从浏览器池移除，下次请求时重新启动', {
+      browserId: entry.id,
+      pages: entry.pages.size
+    });
+    entry.pages.forEach(page => {
+      page.crashed = true;
+    });
+    this._removeBrowser(entry);
+  }
+
+  /**
+   * @private
+   */
+  _removeBrowser(entry) {
+    this.browsers = this.browsers.filter(item => item !== entry);
+    this.idlePages = this.idlePages.filter(page => page.browserEntry !== entry);
+  }
+
+  /**
+   * @private
+   */
+  _isConnected(browserEntry) {
+    return Boolean(browserEntry.browser?.isConnected()) && this.browsers.includes(browserEntry);
+  }
+
+  /**
+   * @private
+   */
+  async _closePage(entry) {
+    entry.browserEntry.pages.delete(entry);
+    this.idlePages = this.idlePages.filter(item => item !== entry);
+    await entry.page.close().catch(() => {});
+  }
+
+  /**
+   * @private
+   */
+  async _closeBrowser(entry) {
+    this._removeBrowser(entry);
+    try {
+      const browser = await entry.ready;
+      await browser.close();
+    } catch {
+      // 启动失败或已断开
+    }
+  }
+
+  /**
+   * 定期关闭空闲浏览器
+   * @private
+   */
+  _scheduleIdleCheck() {
+    if (this.idleTimer || !this.options.idleTimeout) {
+      return;
+    }
+
+    this.idleTimer = setInterval(() => {
+      const expireBefore = Date.now() - this.options.idleTimeout;
+      this.browsers
+        .filter(entry => entry.creating === 0 && entry.lastUsedAt < expireBefore &&
+          Array.from(entry.pages).every(page => this.idlePages.includes(page)))
+        .forEach(entry => {
+          logger.info('关闭空闲浏览器', { browserId: entry.id });
+          this._closeBrowser(entry);
+        });
+
+      if (this.browsers.length === 0) {
+        clearInterval(this.idleTimer);
+        this.idleTimer = null;
+      }
+    }, Math.min(this.options.idleTimeout, 60 * 1000));
+
+    // 不阻止进程退出
+    this.idleTimer.unref();
+  }
+}
+
+let sharedPool = null;
+
+/**
+ * 获取进程级共享浏览器池
+ * @param {object} launchOptions - puppeteer.launch 参数（仅在首次创建时生效）
+ * @returns {BrowserPool}
+ */
+function getBrowserPool(launchOptions = {}) {
+  if (!sharedPool) {
+    sharedPool = new BrowserPool({ ...config.browserPool, launchOptions });
+  }
+  return sharedPool;
+}
+
+/**
+ * 共享浏览器池统计，尚未创建时返回 null
+ * @returns {object|null}
+ */
+function getBrowserPoolStats() {
+  return sharedPool ? sharedPool.getStats() : null;
+}
+
+/**
+ * 关闭共享浏览器池
+ */
+async function closeBrowserPool() {
+  if (sharedPool) {
+    const pool = sharedPool;
+    sharedPool = null;
+    await pool.close();
+  }
+}
+
+module.exports = {
+  BrowserPool,
+  getBrowserPool,
+  getBrowserPoolStats,
+  closeBrowserPool
+};
@@ -66,28 +66,37 @@ class DocumentGenerator {
    */
   _generatePaths(registry) {
     const paths = {};
-    const operators = registry.getAll();
+    const operators = registry.getEnabled();
     
     operators.forEach(operatorData => {
-      const { config } = operatorData;
+      const { config, metadata } = operatorData;
       if (!config.openapi?.paths) {
         return;
       }
+
+      // 最新版本以不带版本的路径展示，旧版本以版本路径（/v1）展示
+      const latest = registry.isLatest(metadata.id);
+      const versionPath = latest ? null : registry.getVersionPath(metadata.id);
+      if (!latest && !versionPath) {
+        return;
+      }
       
       // 处理OpenAPI格式的路径定义
       Object.entries(config.openapi.paths).forEach(([path, methods]) => {
         const basePath = `${this.apiPrefix}/${config.info.category}/${config.info.name}`;
-        const fullPath = basePath + path;
+        const fullPath = (versionPath ? `${basePath}/${versionPath}` : basePath) + path;
         
         if (!paths[fullPath]) {
           paths[fullPath] = {};
         }
         
         Object.entries(methods).forEach(([method, spec]) => {
+          const operationId = spec.operationId || `${config.info.name}_${method}_${path.replace(/[\/\{\}]/g, '_')}`;
           paths[fullPath][method] = {
             ...spec,
             tags: spec.tags || [this._getTagName(config.info.category)],
-            operationId: spec.operationId || `${config.info.name}_${method}_${path.replace(/[\/\{\}]/g, '_')}`
+            operationId: versionPath ? `${operationId}_${versionPath}` : operationId,
+            ...(config.info.deprecated && { deprecated: true })
           };
         });
       });
@@ -97,11 +106,11 @@ class DocumentGenerator {
   }
 
   /**
-   * 生成组件定义
-   * @private
+   * 获取平台公共组件（算子可通过 $ref 引用）
+   * @returns {object} OpenAPI components
    */
-  _generateComponents(registry) {
-    const components = {
+  getBaseComponents() {
+    return {
       securitySchemes: {
         GeniSpaceAuth: {
           type: 'apiKey',
@@ -127,6 +136,38 @@ class DocumentGenerator {
             error: { type: 'string' },
             timestamp: { type: 'string', format: 'date-time' }
           }
+        },
+        // 生成文件存储驱动（见 src/services/storage）
+        StorageDriver: {
+          type: 'string',
+          enum: ['platform', 'local', 's3'],
+          description: '输出文件存储位置（可选，默认由部署配置 STORAGE_DRIVER 决定，只能选择部署在 STORAGE_ALLOWED_DRIVERS 中启用的驱动）：platform - GeniSpace 平台存储（需要 API Key）；local - 服务本地存储，通过算子下载接口访问；s3 - S3 兼容存储'
+        },
+        // 生成文件交付方式
+        DeliveryMode: {
+          type: 'string',
+          enum: ['upload', 'inline', 'base64'],
+          default: 'upload',
+          description: '生成文件的交付方式：upload - 上传到存储并返回访问地址（默认）；inline - 直接返回文件内容（二进制响应）；base64 - 在 JSON 响应的 content 字段中返回 Base64 编码的文件内容。inline 与 base64 无需认证和存储'
+        },
+        // 模板库引用
+        TemplateId: {
+          type: 'string',
+          minLength: 1,
+          maxLength: 200,
+          pattern: '^[a-zA-Z0-9][a-zA-Z0-9_-]*(@[0-9A-Za-z.+-]+)?$',
+          description: '模板库中的模板引用（GET /api/templates 查看），格式为 模板ID 或 模板ID@版本，版本可写 1.2.0、1.2、1 或 latest，省略时使用最新版本。与内联模板内容二选一，templateData 按模板的 dataSchema 校验',
+          example: 'service-contract@1.0.0'
+        },
+        // 模板引擎
+        TemplateEngine: {
+          type: 'string',
+          enum: ['mustache', 'handlebars'],
+          default: 'mustache',
+          description: '模板引擎：mustache（默认）；handlebars - 兼容 Handlebars 语法，内置格式化 helper：' +
+            'currency、number、percent、date（如 {{currency amount}} → ¥1,234,567.89，{{date signDate}} → 2025年1月24日），' +
+            '比较 eq/ne/gt/gte/lt/lte、逻辑 and/or/not（用于 {{#if (gt amount 10000)}}），' +
+            'each 中的 @index/@first/@last 及 inc（序号从 1 开始），sum/avg（数组求和与平均值），upper/lower，default（空值默认值）'
         }
       },
       responses: {
@@ -163,9 +204,18 @@ class DocumentGenerator {
         }
       }
     };
+  }
 
-    // 合并算子定义的组件
-    const operators = registry.getAll();
+  /**
+   * 生成组件定义
+   * @private
+   */
+  _generateComponents(registry) {
+    const components = this.getBaseComponents();
+
+    // 合并算子定义的组件（同名组件以最新版本为准）
+    const operators = registry.getEnabled().slice()
+      .sort((a, b) => Number(registry.isLatest(a.metadata.id)) - Number(registry.isLatest(b.metadata.id)));
     operators.forEach(operatorData => {
       const { config } = operatorData;
       if (config.openapi?.components) {
@@ -188,18 +238,24 @@ class DocumentGenerator {
    * @private
    */
   _generateTags(registry) {
-    const operators = registry.getAll();
+    const operators = registry.getEnabled();
     
-    // 每个算子生成一个标签
-    return operators.map(operatorData => {
+    // 每个算子生成一个标签（多个版本共用）
+    const tags = new Map();
+    operators.forEach(operatorData => {
       const { config } = operatorData;
       const info = config.info;
+      const name = info.title || info.name;
       
-      return {
-        name: info.title || info.name,
-        description: info.description || `${info.title || info.name}算子`
-      };
+      if (!tags.has(name) || registry.isLatest(operatorData.metadata.id)) {
+        tags.set(name, {
+          name,
+          description: info.description || `${info.title || info.name}算子`
+        });
+      }
     });
+
+    return Array.from(tags.values());
   }
 
 }
@@ -0,0 +1,326 @@
+/**
+ * 异步任务管理
+ *
+ * 进程内的有界任务队列：算子接口以 ?async=true 调用时立即返回任务ID，
+ * 实际处理在后台按并发上限执行，结果保留一段时间供 GET /api/jobs/:id 查询
+ *
+ * 结果保存在内存中：已结束任务超过 maxFinished 时先移除最早结束的任务，
+ * 超过 maxResultSize 的结果（如 delivery=inline 的大文件）不保留，任务记为失败
+ *
+ * 任务状态：queued -> running -> succeeded | failed | cancelled
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+const { ErrorCodes } = require('../utils/response');
+
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+const STATUS_LABELS = { succeeded: '完成', failed: '失败', cancelled: '已取消' };
+
+class JobManager extends EventEmitter {
+  /**
+   * @param {object} options - 队列选项
+   * @param {number} options.concurrency - 同时执行的任务数
+   * @param {number} options.maxQueue - 排队任务上限，超出时拒绝提交
+   * @param {number} options.ttl - 已结束任务的保留时间（秒）
+   * @param {number} options.maxFinished - 保留的已结束任务数上限
+   * @param {number} options.maxResultSize - 单个任务结果的大小上限（字节），0 表示不限制
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      concurrency: 2,
+      maxQueue: 100,
+      ttl: 3600,
+      maxFinished: 1000,
+      maxResultSize: 10 * 1024 * 1024,
+      ...options
+    };
+    this.jobs = new Map();   // 任务ID -> 任务
+    this.queue = [];         // 等待执行的任务ID
+    this.running = 0;        // 正在执行的任务数（含已取消但处理函数尚未返回的任务）
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * 提交任务
+   * @param {function} task - 处理函数 (context) => Promise<result>，
+   *   context 含 signal（取消时中止）与 reportProgress(progress, message)
+   * @param {object} meta - 任务描述（operatorId、method、path、owner 等）
+   * @returns {object|null} 任务信息，队列已满时返回 null
+   */
+  submit(task, meta = {}) {
+    if (this.queue.length >= this.options.maxQueue) {
+      return null;
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      progress: 0,
+      progressMessage: null,
+      ...meta,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      task,
+      controller: new AbortController()
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    this._scheduleCleanup();
+
+    logger.debug(`异步任务已提交: ${job.id}`, { operatorId: job.operatorId, queued: this.queue.length });
+    this.emit('submitted', this.toJSON(job));
+
+    this._drain();
+    return this.toJSON(job);
+  }
+
+  /**
+   * 获取任务
+   * @param {string} jobId - 任务ID
+   * @returns {object|null} 任务信息
+   */
+  get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? this.toJSON(job) : null;
+  }
+
+  /**
+   * 更新任务的附加信息（如回调投递状态）
+   * @param {string} jobId - 任务ID
+   * @param {object} fields - 要合并的字段
+   * @returns {boolean} 任务是否存在
+   */
+  update(jobId, fields) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return false;
+    }
+    Object.assign(job, fields);
+    return true;
+  }
+
+  /**
+   * 检查调用方是否可以访问任务
+   * 提交时携带了 API Key 的任务只允许使用同一 API Key 查询或取消
+   * @param {string} jobId - 任务ID
+   * @param {string|null} owner - 调用方标识
+   * @returns {boolean}
+   */
+  canAccess(jobId, owner) {
+    const job = this.jobs.get(jobId);
+    return Boolean(job) && (!job.owner || job.owner === owner);
+  }
+
+  /**
+   * 取消任务
+   * 排队中的任务直接移出队列；运行中的任务通过 signal 通知处理函数，结果将被丢弃
+   * @param {string} jobId - 任务ID
+   * @returns {object|null} 任务信息，不存在时返回 null
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return null;
+    }
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return this.toJSON(job);
+    }
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(id => id !== jobId);
+    }
+
+    job.controller.abort();
+    this._finish(job, 'cancelled', { error: { message: '任务已取消' } });
+    return this.toJSON(job);
+  }
+
+  /**
+   * 获取队列统计
+   * @returns {object}
+   */
+  getStats() {
+    const counts = { queued: 0, running: 0, succeeded: 0, failed: 0, cancelled: 0 };
+    for (const job of this.jobs.values()) {
+      counts[job.status]++;
+    }
+
+    return {
+      ...counts,
+      total: this.jobs.size,
+      concurrency: this.options.concurrency,
+      maxQueue: this.options.maxQueue
+    };
+  }
+
+  /**
+   * 停止清理定时器并取消所有未结束的任务
+   */
+  stop() {
+    for (const job of this.jobs.values()) {
+      if (!FINISHED_STATUSES.includes(job.status)) {
+        this.cancel(job.id);
+      }
+    }
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+
+  /**
+   * 任务的对外表示（不含处理函数等内部字段）
+   * @param {object} job - 任务
+   * @returns {object}
+   */
+  toJSON(job) {
+    const { task, controller, owner, ...publicFields } = job;
+    return publicFields;
+  }
+
+  /**
+   * 按并发上限启动排队中的任务
+   * @private
+   */
+  _drain() {
+    while (this.running < this.options.concurrency && this.queue.length > 0) {
+      const job = this.jobs.get(this.queue.shift());
+      if (job && job.status === 'queued') {
+        this._run(job);
+      }
+    }
+  }
+
+  /**
+   * 执行单个任务
+   * @private
+   */
+  async _run(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.emit('started', this.toJSON(job));
+
+    const context = {
+      jobId: job.id,
+      signal: job.controller.signal,
+      reportProgress: (progress, message = null) => {
+        if (job.status !== 'running') {
+          return;
+        }
+        job.progress = Math.max(0, Math.min(100, Math.round(Number(progress) || 0)));
+        job.progressMessage = message;
+      }
+    };
+
+    try {
+      const result = await job.task(context);
+      if (job.status === 'running') {
+        this._finish(job, 'succeeded', { result });
+      }
+    } catch (error) {
+      if (job.status === 'running') {
+        this._finish(job, 'failed', {
+          result: error.result || null,
+          error: { message: error.message, ...(error.code && { code: error.code }) }
+        });
+      }
+    } finally {
+      this.running--;
+      this._drain();
+    }
+  }
+
+  /**
+   * 记录任务结束
+   * @private
+   */
+  _finish(job, status, { result = null, error = null }) {
+    const resultSize = result ? Buffer.byteLength(JSON.stringify(result)) : 0;
+    if (this.options.maxResultSize > 0 && resultSize > this.options.maxResultSize) {
+      status = 'failed';
+      result = null;
+      error = {
+        message: `任务结果超过大小限制 (${this.options.maxResultSize} 字节)，请使用 delivery=upload 将文件保存到存储`,
+        code: ErrorCodes.JOB_RESULT_TOO_LARGE
+      };
+    }
+
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    job.result = result;
+    job.error = error;
+    if (status === 'succeeded') {
+      job.progress = 100;
+    }
+
+    // 移到 Map 末尾，已结束任务按结束顺序排列，超出上限时从头移除
+    this.jobs.delete(job.id);
+    this.jobs.set(job.id, job);
+
+    const duration = new Date(job.finishedAt) - new Date(job.startedAt || job.createdAt);
+    logger[status === 'failed' ? 'warn' : 'info'](`异步任务${STATUS_LABELS[status]}: ${job.id}`, {
+      operatorId: job.operatorId,
+      duration: `${duration}ms`,
+      ...(error && { error: error.message })
+    });
+
+    this.emit('finished', this.toJSON(job));
+    this._evictFinished();
+  }
+
+  /**
+   * 已结束任务超过上限时移除最早结束的任务
+   * @private
+   */
+  _evictFinished() {
+    let excess = -this.options.maxFinished;
+    for (const job of this.jobs.values()) {
+      if (FINISHED_STATUSES.includes(job.status)) {
+        excess++;
+      }
+    }
+
+    for (const [jobId, job] of this.jobs.entries()) {
+      if (excess <= 0) {
+        break;
+      }
+      if (FINISHED_STATUSES.includes(job.status)) {
+        this.jobs.delete(jobId);
+        excess--;
+      }
+    }
+  }
+
+  /**
+   * 定期清理过期任务
+   * @private
+   */
+  _scheduleCleanup() {
+    if (this.cleanupTimer) {
+      return;
+    }
+
+    this.cleanupTimer = setInterval(() => {
+      const expireBefore = Date.now() - this.options.ttl * 1000;
+      for (const [jobId, job] of this.jobs.entries()) {
+        if (job.finishedAt && new Date(job.finishedAt).getTime() < expireBefore) {
+          this.jobs.delete(jobId);
+        }
+      }
+    }, Math.min(this.options.ttl * 1000, 60 * 1000));
+
+    // 不阻止进程退出
+    this.cleanupTimer.unref();
+  }
+}
+
+module.exports = JobManager;
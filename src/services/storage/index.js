@@ -0,0 +1,147 @@
+/**
+ * 生成文件存储
+ *
+ * 生成器算子（PDF / Word / Markdown）通过统一接口保存输出文件，
+ * 部署级默认驱动由 STORAGE_DRIVER 指定，请求可通过 storage 字段选择 STORAGE_ALLOWED_DRIVERS 中的驱动；
+ * 请求也可通过 delivery 字段（inline / base64）直接取回文件内容，不经过存储
+ *
+ * 使用示例：
+ *   const { resolveStorage, uploadFile } = require('../../../src/services/storage');
+ *   const storage = resolveStorage(req, req.body.storage); // 提前校验，失败时抛出错误
+ *   const { url, provider } = await uploadFile(filePath, {
+ *     storage, fileName: 'report.pdf', mimeType: 'application/pdf', folder: 'pdf-documents', req
+ *   });
+ */
+
+const fs = require('fs');
+const config = require('../../config/env');
+const logger = require('../../utils/logger');
+const PlatformStorage = require('./platform-storage');
+const LocalStorage = require('./local-storage');
+const S3Storage = require('./s3-storage');
+
+const STORAGE_DRIVERS = ['platform', 'local', 's3'];
+
+// 交付方式：upload 上传到存储并返回地址；inline 直接返回文件；base64 在 JSON 中返回文件内容
+const DELIVERY_MODES = ['upload', 'inline', 'base64'];
+
+const instances = new Map();
+
+/**
+ * 获取存储驱动实例
+ * @param {string} name - 驱动名称，默认使用部署配置
+ * @returns {PlatformStorage|LocalStorage|S3Storage}
+ * @throws {Error} 驱动名称无效时抛出
+ */
+function getStorage(name = config.storage.driver) {
+  if (!STORAGE_DRIVERS.includes(name)) {
+    throw new Error(`不支持的存储驱动: ${name}，可选值: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, _createDriver(name));
+  }
+  return instances.get(name);
+}
+
+/**
+ * 部署允许请求选择的驱动：默认驱动与 STORAGE_ALLOWED_DRIVERS
+ * @returns {string[]}
+ */
+function getAllowedDrivers() {
+  return [...new Set([config.storage.driver, ...config.storage.allowedDrivers])];
+}
+
+/**
+ * 确定当前请求使用的存储驱动并检查是否可用
+ * @param {Object} req - Express 请求对象
+ * @param {string} requested - 请求指定的驱动（可选）
+ * @returns {PlatformStorage|LocalStorage|S3Storage}
+ * @throws {Error} 驱动无效、未被部署允许或当前请求无法使用时抛出
+ */
+function resolveStorage(req, requested = null) {
+  const name = requested || config.storage.driver;
+  const allowedDrivers = getAllowedDrivers();
+  if (STORAGE_DRIVERS.includes(name) && !allowedDrivers.includes(name)) {
+    throw new Error(`存储驱动未启用: ${name}，当前允许: ${allowedDrivers.join(', ')}`);
+  }
+
+  const storage = getStorage(name);
+  storage.assertAvailable(req);
+  return storage;
+}
+
+/**
+ * 上传文件
+ * @param {string} filePath - 本地文件路径
+ * @param {Object} options - 上传选项
+ * @param {Object} options.storage - 存储驱动（resolveStorage 的返回值），未提供时按 options.req 解析默认驱动
+ * @param {string} options.fileName - 文件名（含扩展名）
+ * @param {string} options.mimeType - 文件类型
+ * @param {string} options.folder - 目录名（如 pdf-documents）
+ * @param {Object} options.req - Express 请求对象
+ * @param {AbortSignal} options.signal - 中止信号，默认使用异步任务的 req.job.signal（任务取消后不再上传）
+ * @returns {Promise<{url: string, key: string, provider: string}>}
+ */
+async function uploadFile(filePath, options) {
+  const storage = options.storage || resolveStorage(options.req);
+  const signal = options.signal || options.req?.job?.signal;
+  signal?.throwIfAborted();
+
+  logger.info('上传生成文件', {
+    provider: storage.name,
+    fileName: options.fileName,
+    folder: options.folder
+  });
+
+  try {
+    const { url, key } = await storage.upload(filePath, { ...options, signal });
+    logger.info('文件上传成功', { provider: storage.name, key, url });
+    return { url, key, provider: storage.name };
+  } catch (error) {
+    logger.error('文件上传失败', { provider: storage.name, error: error.stack });
+    throw new Error(`文件上传失败（${storage.name}）: ${error.message}`);
+  }
+}
+
+/**
+ * 按交付方式输出生成文件
+ * @param {string} filePath - 本地文件路径
+ * @param {Object} options - 同 uploadFile，另含 delivery（默认 upload）
+ * @returns {Promise<Object>} upload 时为 { delivery, url, key, provider }，
+ *   inline / base64 时为 { delivery, content }（content 为 Buffer）
+ */
+async function deliverFile(filePath, options) {
+  const delivery = options.delivery || 'upload';
+  if (!DELIVERY_MODES.includes(delivery)) {
+    throw new Error(`不支持的交付方式: ${delivery}，可选值: ${DELIVERY_MODES.join(', ')}`);
+  }
+
+  if (delivery === 'upload') {
+    return { delivery, ...(await uploadFile(filePath, options)) };
+  }
+  return { delivery, content: await fs.promises.readFile(filePath) };
+}
+
+/**
+ * @private
+ */
+function _createDriver(name) {
+  if (name === 'local') {
+    return new LocalStorage(config.storage.local);
+  }
+  if (name === 's3') {
+    return new S3Storage(config.storage.s3);
+  }
+  return new PlatformStorage();
+}
+
+module.exports = {
+  STORAGE_DRIVERS,
+  DELIVERY_MODES,
+  getStorage,
+  getAllowedDrivers,
+  resolveStorage,
+  uploadFile,
+  deliverFile
+};
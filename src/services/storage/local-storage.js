@@ -0,0 +1,154 @@
+/**
+ * 本地文件存储
+ *
+ * 文件保存到本地目录（默认 outputs/），由各生成器算子的 GET /download/:fileName 路由提供下载，
+ * 适用于没有平台存储的私有化部署
+ *
+ * 下载路由不需要认证，文件名中的随机 UUID 是唯一的访问凭证；
+ * 文件在保留时间（STORAGE_LOCAL_RETENTION）后删除
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config/env');
+const logger = require('../../utils/logger');
+
+// 下载路由只接受字母、数字、下划线和连字符组成的文件名
+const UNSAFE_CHARS = /[^a-zA-Z0-9_-]/g;
+
+class LocalStorage {
+  /**
+   * @param {Object} options - 存储选项
+   * @param {string} options.directory - 存储目录
+   * @param {number} options.retention - 文件保留时间（秒），0 表示不删除
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.directory = options.directory || path.join(process.cwd(), 'outputs');
+    this.retention = options.retention ?? 24 * 3600;
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * 本地存储不依赖请求认证
+   */
+  assertAvailable() {}
+
+  /**
+   * 保存文件，返回算子下载路由地址
+   * @param {string} filePath - 本地文件路径
+   * @param {Object} options - 上传选项
+   * @param {string} options.fileName - 文件名（含扩展名）
+   * @param {Object} options.req - Express 请求对象，用于确定下载路由所在的算子路径
+   * @returns {Promise<{url: string, key: string}>}
+   */
+  async upload(filePath, { fileName, req }) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    this._scheduleCleanup();
+
+    const storedName = this._getStoredName(fileName);
+    await fs.promises.copyFile(filePath, path.join(this.directory, storedName), fs.constants.COPYFILE_EXCL);
+
+    // req.baseUrl 为当前算子的挂载路径，下载路由与生成接口位于同一路由下
+    const basePath = req?.baseUrl || '';
+    return {
+      url: `${config.getServiceBaseUrl()}${basePath}/download/${encodeURIComponent(storedName)}`,
+      key: storedName
+    };
+  }
+
+  /**
+   * 获取已保存文件的路径（供下载路由使用）
+   * @param {string} fileName - 文件名
+   * @returns {string|null} 文件不存在、已过期或文件名不合法时返回 null
+   */
+  getFilePath(fileName) {
+    if (!fileName || fileName !== path.basename(fileName)) {
+      return null;
+    }
+    const filePath = path.join(this.directory, fileName);
+    try {
+      const stats = fs.statSync(filePath);
+      return stats.isFile() && !this._isExpired(stats) ? filePath : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 删除超过保留时间的文件
+   * @returns {Promise<number>} 删除的文件数
+   */
+  async cleanup() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.directory, { withFileTypes: true });
+    } catch (error) {
+      return 0;
+    }
+
+    let removed = 0;
+    for (const entry of entries.filter(item => item.isFile())) {
+      const filePath = path.join(this.directory, entry.name);
+      try {
+        if (this._isExpired(await fs.promises.stat(filePath))) {
+          await fs.promises.unlink(filePath);
+          removed++;
+        }
+      } catch (error) {
+        logger.warn('清理本地存储文件失败', { filePath, error: error.message });
+      }
+    }
+
+    if (removed > 0) {
+      logger.info(`已清理过期的本地存储文件: ${removed} 个`, { directory: this.directory });
+    }
+    return removed;
+  }
+
+  /**
+   * 停止定期清理
+   */
+  stop() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+
+  /**
+   * 生成可被下载路由接受且无法猜测的文件名：原文件名_随机UUID.扩展名
+   * @private
+   */
+  _getStoredName(fileName) {
+    const extension = path.extname(fileName);
+    const baseName = path.basename(fileName, extension).replace(UNSAFE_CHARS, '_') || 'file';
+    return `${baseName}_${crypto.randomUUID()}${extension}`;
+  }
+
+  /**
+   * @private
+   */
+  _isExpired(stats) {
+    return this.retention > 0 && stats.mtimeMs < Date.now() - this.retention * 1000;
+  }
+
+  /**
+   * @private
+   */
+  _scheduleCleanup() {
+    if (this.cleanupTimer || this.retention <= 0) {
+      return;
+    }
+
+    this.cleanupTimer = setInterval(() => {
+      this.cleanup();
+    }, Math.min(this.retention * 1000, 10 * 60 * 1000));
+
+    // 不阻止进程退出
+    this.cleanupTimer.unref();
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,56 @@
+/**
+ * GeniSpace 平台存储
+ *
+ * 通过请求携带的 GeniSpace SDK 客户端（req.genispace.client）上传，
+ * 文件归属于调用方的团队，因此必须提供 GeniSpace API Key
+ */
+
+class PlatformStorage {
+  constructor() {
+    this.name = 'platform';
+  }
+
+  /**
+   * 检查当前请求能否使用该存储
+   * @param {Object} req - Express 请求对象
+   * @throws {Error} 缺少认证信息时抛出
+   */
+  assertAvailable(req) {
+    if (!req || !req.genispace || !req.genispace.client) {
+      throw new Error('缺少认证信息，无法上传文件到平台存储，请在请求头中提供 GeniSpace API Key');
+    }
+  }
+
+  /**
+   * 上传文件
+   * @param {string} filePath - 本地文件路径
+   * @param {Object} options - 上传选项
+   * @param {string} options.fileName - 文件名（含扩展名）
+   * @param {string} options.mimeType - 文件类型
+   * @param {string} options.folder - 目录名（如 pdf-documents）
+   * @param {Object} options.req - Express 请求对象
+   * @returns {Promise<{url: string, key: string}>}
+   */
+  async upload(filePath, { fileName, mimeType, folder, req }) {
+    this.assertAvailable(req);
+
+    const now = new Date();
+    const folderPath = `/tmp/operators/${folder}/${now.getFullYear()}/${now.getMonth() + 1}`;
+
+    const uploadedFile = await req.genispace.client.storage.uploadFile({
+      path: filePath,
+      mimetype: mimeType,
+      originalname: fileName
+    }, {
+      folderPath,
+      fileName
+    });
+
+    return {
+      url: uploadedFile.publicUrl || uploadedFile.url,
+      key: uploadedFile.id || `${folderPath}/${fileName}`
+    };
+  }
+}
+
+module.exports = PlatformStorage;
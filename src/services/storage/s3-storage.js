@@ -0,0 +1,216 @@
+/**
+ * S3 兼容存储
+ *
+ * 直接使用 AWS Signature V4 调用 PutObject，兼容 AWS S3、MinIO 等 S3 兼容服务，
+ * 返回公开地址（配置 publicBaseUrl 时）或预签名下载地址
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const MAX_PRESIGN_EXPIRES = 7 * 24 * 3600;
+
+class S3Storage {
+  /**
+   * @param {Object} options - 存储选项
+   * @param {string} options.endpoint - 服务地址，为空时使用 AWS S3
+   * @param {string} options.region - 区域
+   * @param {string} options.bucket - 存储桶
+   * @param {string} options.accessKeyId - Access Key
+   * @param {string} options.secretAccessKey - Secret Key
+   * @param {string} options.prefix - 对象键前缀
+   * @param {boolean} options.forcePathStyle - 使用路径风格地址（bucket 放在路径中）
+   * @param {string} options.publicBaseUrl - 公开访问地址
+   * @param {number} options.urlExpires - 预签名地址有效期（秒）
+   */
+  constructor(options = {}) {
+    this.name = 's3';
+    this.options = {
+      region: 'us-east-1',
+      prefix: '',
+      forcePathStyle: false,
+      urlExpires: MAX_PRESIGN_EXPIRES,
+      ...options
+    };
+  }
+
+  /**
+   * 检查存储配置是否完整
+   * @throws {Error} 未配置存储桶或密钥时抛出
+   */
+  assertAvailable() {
+    const { bucket, accessKeyId, secretAccessKey } = this.options;
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 存储未配置，请设置 S3_BUCKET、S3_ACCESS_KEY_ID 和 S3_SECRET_ACCESS_KEY');
+    }
+  }
+
+  /**
+   * 上传文件
+   * @param {string} filePath - 本地文件路径
+   * @param {Object} options - 上传选项
+   * @param {string} options.fileName - 文件名（含扩展名）
+   * @param {string} options.mimeType - 文件类型
+   * @param {string} options.folder - 目录名（如 pdf-documents）
+   * @param {AbortSignal} options.signal - 中止信号（可选），中止时取消上传请求
+   * @returns {Promise<{url: string, key: string}>}
+   */
+  async upload(filePath, { fileName, mimeType, folder, signal }) {
+    this.assertAvailable();
+
+    // 随机 UUID 目录避免同名文件互相覆盖，同时保留原文件名供下载
+    const now = new Date();
+    const key = `${this.options.prefix}${folder}/${now.getFullYear()}/${now.getMonth() + 1}/${crypto.randomUUID()}/${fileName}`;
+    const body = await fs.promises.readFile(filePath);
+    const url = this._getObjectUrl(key);
+
+    const headers = this._signHeaders('PUT', url, {
+      'content-type': mimeType,
+      'x-amz-content-sha256': _sha256(body)
+    });
+
+    const response = await axios.put(url.toString(), body, {
+      headers,
+      maxBodyLength: Infinity,
+      validateStatus: () => true,
+      signal
+    });
+
+    if (response.status < 200 || response.status >= 300) {
+      const detail = typeof response.data === 'string' ? (response.data.match(/<Message>(.*?)<\/Message>/)?.[1] || '') : '';
+      throw new Error(`S3 上传失败: HTTP ${response.status}${detail ? ` ${detail}` : ''}`);
+    }
+
+    return { url: this.getDownloadUrl(key), key };
+  }
+
+  /**
+   * 获取对象下载地址
+   * @param {string} key - 对象键
+   * @returns {string}
+   */
+  getDownloadUrl(key) {
+    if (this.options.publicBaseUrl) {
+      return `${this.options.publicBaseUrl.replace(/\/+$/, '')}/${_encodeKey(key)}`;
+    }
+    return this.presign('GET', key, this.options.urlExpires);
+  }
+
+  /**
+   * 生成预签名地址
+   * @param {string} method - HTTP 方法
+   * @param {string} key - 对象键
+   * @param {number} expires - 有效期（秒）
+   * @param {Date} date - 签名时间（默认当前时间）
+   * @returns {string}
+   */
+  presign(method, key, expires, date = new Date()) {
+    const url = this._getObjectUrl(key);
+    const { amzDate, scope } = this._getScope(date);
+
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.options.accessKeyId}/${scope}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(Math.min(expires, MAX_PRESIGN_EXPIRES)),
+      'X-Amz-SignedHeaders': 'host'
+    };
+
+    const signature = this._sign(method, url, query, { host: url.host }, 'UNSIGNED-PAYLOAD', date);
+    return `${url.origin}${url.pathname}?${_canonicalQuery(query)}&X-Amz-Signature=${signature}`;
+  }
+
+  /**
+   * 对象地址（虚拟主机风格或路径风格）
+   * @private
+   */
+  _getObjectUrl(key) {
+    const { endpoint, region, bucket, forcePathStyle } = this.options;
+    const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+    if (forcePathStyle) {
+      return new URL(`${base.origin}/${_encodeSegment(bucket)}/${_encodeKey(key)}`);
+    }
+    return new URL(`${base.protocol}//${bucket}.${base.host}/${_encodeKey(key)}`);
+  }
+
+  /**
+   * 生成带 Authorization 的请求头
+   * @private
+   */
+  _signHeaders(method, url, headers, date = new Date()) {
+    const { amzDate, scope } = this._getScope(date);
+    const signedHeaders = { ...headers, host: url.host, 'x-amz-date': amzDate };
+    const signature = this._sign(method, url, {}, signedHeaders, headers['x-amz-content-sha256'], date);
+
+    const { host, ...requestHeaders } = signedHeaders;
+    return {
+      ...requestHeaders,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.options.accessKeyId}/${scope}, ` +
+        `SignedHeaders=${Object.keys(signedHeaders).sort().join(';')}, Signature=${signature}`
+    };
+  }
+
+  /**
+   * Signature V4 签名
+   * @private
+   */
+  _sign(method, url, query, headers, payloadHash, date) {
+    const { amzDate, dateStamp, scope } = this._getScope(date);
+    const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      _canonicalQuery(query),
+      headerNames.map(name => `${name}:${String(lowerHeaders[name]).trim()}\n`).join(''),
+      headerNames.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, _sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => _hmac(key, part),
+      _hmac(_hmac(`AWS4${this.options.secretAccessKey}`, dateStamp), this.options.region)
+    );
+
+    return _hmac(signingKey, stringToSign).toString('hex');
+  }
+
+  /**
+   * @private
+   */
+  _getScope(date) {
+    const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const dateStamp = amzDate.slice(0, 8);
+    return { amzDate, dateStamp, scope: `${dateStamp}/${this.options.region}/s3/aws4_request` };
+  }
+}
+
+function _sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function _hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 编码（encodeURIComponent 不编码 !'()*）
+function _encodeSegment(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function _encodeKey(key) {
+  return key.split('/').map(_encodeSegment).join('/');
+}
+
+function _canonicalQuery(query) {
+  return Object.keys(query).sort()
+    .map(name => `${_encodeSegment(name)}=${_encodeSegment(query[name])}`)
+    .join('&');
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,319 @@
+/**
+ * 文档模板库
+ *
+ * 服务端维护的具名模板，供 PDF / Word / Markdown 生成器通过 templateId 引用。
+ * 目录结构（TEMPLATES_DIR，默认 templates/）：
+ *
+ *   templates/
+ *     service-contract/          模板 ID
+ *       1.0.0/                   版本号
+ *         template.json          模板描述
+ *         template.md            模板内容（Markdown 或 HTML，支持 Mustache）
+ *         style.css              默认样式（可选）
+ *
+ * template.json 字段：
+ *   title, description, tags    说明信息
+ *   format                      markdown / html
+ *   engine                      模板引擎 mustache / handlebars（默认 mustache，请求未指定 templateEngine 时使用）
+ *   content                     模板内容文件（默认 template.md / template.html）
+ *   styles                      默认样式文件（默认 style.css，可选）
+ *   dataSchema                  templateData 的 JSON Schema（OpenAPI 子集，可选）
+ *   sampleData                  示例数据（可选）
+ *
+ * 请求通过 templateId 引用模板：service-contract、service-contract@1.0.0、service-contract@1
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const { compileSchema, SCHEMA_MESSAGES } = require('../utils/schema-compiler');
+const { parseVersion, compareVersions, matchesVersion } = require('../utils/version');
+const { TEMPLATE_ENGINES, DEFAULT_TEMPLATE_ENGINE } = require('../utils/template-engine');
+
+const TEMPLATE_FORMATS = ['markdown', 'html'];
+const TEMPLATE_ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]*$/;
+const DEFAULT_CONTENT_FILES = { markdown: 'template.md', html: 'template.html' };
+const DEFAULT_STYLES_FILE = 'style.css';
+
+class TemplateRegistry {
+  /**
+   * @param {object} options - 模板库选项
+   * @param {string} options.directory - 模板目录
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(process.cwd(), 'templates');
+    this.templates = new Map(); // id => 版本列表（从新到旧）
+    this.errors = [];
+    this.loaded = false;
+  }
+
+  /**
+   * 扫描模板目录，加载全部模板（无效模板记录错误后跳过）
+   * @returns {{loaded: number, failed: number}}
+   */
+  load() {
+    const templates = new Map();
+    const errors = [];
+
+    if (fs.existsSync(this.directory)) {
+      _listDirectories(this.directory).forEach(id => {
+        if (!TEMPLATE_ID_PATTERN.test(id)) {
+          errors.push({ template: id, message: '模板 ID 只能包含字母、数字、下划线和连字符' });
+          return;
+        }
+
+        const versions = [];
+        _listDirectories(path.join(this.directory, id)).forEach(version => {
+          try {
+            versions.push(this._loadTemplate(id, version));
+          } catch (error) {
+            errors.push({ template: `${id}@${version}`, message: error.message });
+          }
+        });
+
+        if (versions.length > 0) {
+          templates.set(id, versions.sort((a, b) => compareVersions(b.version, a.version)));
+        }
+      });
+    } else {
+      logger.debug('模板目录不存在，模板库为空', { directory: this.directory });
+    }
+
+    this.templates = templates;
+    this.errors = errors;
+    this.loaded = true;
+
+    errors.forEach(error => logger.warn('模板加载失败', error));
+    const loaded = Array.from(templates.values()).reduce((total, versions) => total + versions.length, 0);
+    logger.info('模板库已加载', { directory: this.directory, templates: templates.size, versions: loaded, failed: errors.length });
+
+    return { loaded, failed: errors.length };
+  }
+
+  /**
+   * 模板列表（每个模板列出全部版本，详细信息取最新版本）
+   * @returns {Array<object>}
+   */
+  list() {
+    this._ensureLoaded();
+    return Array.from(this.templates.values()).map(versions => ({
+      ...this.describe(versions[0]),
+      latestVersion: versions[0].version,
+      versions: versions.map(template => template.version)
+    }));
+  }
+
+  /**
+   * 获取模板
+   * @param {string} id - 模板 ID
+   * @param {string} version - 版本号或版本查询（1.2.0、1.2、1、latest），为空时取最新版本
+   * @returns {object|null}
+   */
+  get(id, version = null) {
+    this._ensureLoaded();
+    const versions = this.templates.get(id);
+    if (!versions) {
+      return null;
+    }
+    if (!version || version === 'latest') {
+      return versions[0];
+    }
+    return versions.find(template => template.version === version || matchesVersion(template.version, version)) || null;
+  }
+
+  /**
+   * 按模板引用获取模板
+   * @param {string} ref - 模板引用，如 service-contract 或 service-contract@1.0.0
+   * @returns {object|null}
+   */
+  resolve(ref) {
+    const { id, version } = parseTemplateRef(ref);
+    return this.get(id, version);
+  }
+
+  /**
+   * 按模板的 dataSchema 校验模板数据
+   * @param {object} template - 模板
+   * @param {object} data - 模板数据
+   * @returns {Array<object>} 校验错误（与请求参数校验的错误格式一致），通过时为空数组
+   */
+  validateData(template, data) {
+    if (!template.schema) {
+      return [];
+    }
+
+    const { error } = template.schema.validate(data ?? {}, {
+      abortEarly: false,
+      convert: false,
+      messages: SCHEMA_MESSAGES,
+      errors: { wrap: { label: false } }
+    });
+
+    if (!error) {
+      return [];
+    }
+    return error.details.map(detail => ({
+      field: ['templateData', ...detail.path].join('.'),
+      message: detail.message,
+      value: detail.context?.value
+    }));
+  }
+
+  /**
+   * 模板信息（不含内部字段）
+   * @param {object} template - 模板
+   * @param {object} options - 选项
+   * @param {boolean} options.includeContent - 是否包含模板内容和样式
+   * @returns {object}
+   */
+  describe(template, { includeContent = false } = {}) {
+    return {
+      id: template.id,
+      version: template.version,
+      ref: `${template.id}@${template.version}`,
+      title: template.title,
+      description: template.description,
+      format: template.format,
+      engine: template.engine,
+      tags: template.tags,
+      dataSchema: template.dataSchema,
+      sampleData: template.sampleData,
+      ...(includeContent && { content: template.content, styles: template.styles })
+    };
+  }
+
+  /**
+   * 加载单个模板版本
+   * @private
+   */
+  _loadTemplate(id, version) {
+    if (!parseVersion(version)) {
+      throw new Error(`版本目录名不是有效的版本号: ${version}`);
+    }
+
+    const templateDir = path.join(this.directory, id, version);
+    const manifestPath = path.join(templateDir, 'template.json');
+    if (!fs.existsSync(manifestPath)) {
+      throw new Error('缺少 template.json');
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`template.json 解析失败: ${error.message}`);
+    }
+
+    const format = manifest.format || 'markdown';
+    if (!TEMPLATE_FORMATS.includes(format)) {
+      throw new Error(`不支持的模板格式: ${format}，可选值: ${TEMPLATE_FORMATS.join(', ')}`);
+    }
+
+    const engine = manifest.engine || DEFAULT_TEMPLATE_ENGINE;
+    if (!TEMPLATE_ENGINES.includes(engine)) {
+      throw new Error(`不支持的模板引擎: ${engine}，可选值: ${TEMPLATE_ENGINES.join(', ')}`);
+    }
+
+    const content = _readTemplateFile(templateDir, manifest.content || DEFAULT_CONTENT_FILES[format], true);
+    const styles = _readTemplateFile(templateDir, manifest.styles || DEFAULT_STYLES_FILE, Boolean(manifest.styles));
+
+    let schema = null;
+    if (manifest.dataSchema) {
+      try {
+        schema = compileSchema(manifest.dataSchema);
+      } catch (error) {
+        throw new Error(`dataSchema 无效: ${error.message}`);
+      }
+    }
+
+    const template = {
+      id,
+      version,
+      title: manifest.title || id,
+      description: manifest.description || '',
+      format,
+      engine,
+      tags: Array.isArray(manifest.tags) ? manifest.tags : [],
+      content,
+      styles,
+      dataSchema: manifest.dataSchema || null,
+      sampleData: manifest.sampleData || null
+    };
+    // 编译后的校验模式不出现在接口返回中
+    Object.defineProperty(template, 'schema', { value: schema });
+
+    if (template.sampleData) {
+      const errors = this.validateData(template, template.sampleData);
+      if (errors.length > 0) {
+        logger.warn('模板示例数据不符合 dataSchema', { template: `${id}@${version}`, errors });
+      }
+    }
+
+    return template;
+  }
+
+  /**
+   * @private
+   */
+  _ensureLoaded() {
+    if (!this.loaded) {
+      this.load();
+    }
+  }
+}
+
+/**
+ * 解析模板引用
+ * @param {string} ref - 模板引用，如 service-contract@1.0.0
+ * @returns {{id: string, version: string|null}}
+ */
+function parseTemplateRef(ref) {
+  const value = String(ref || '').trim();
+  const index = value.lastIndexOf('@');
+  if (index <= 0) {
+    return { id: value, version: null };
+  }
+  return { id: value.substring(0, index), version: value.substring(index + 1) || null };
+}
+
+function _listDirectories(directory) {
+  return fs.readdirSync(directory, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map(entry => entry.name);
+}
+
+// 模板文件只能位于模板版本目录内
+function _readTemplateFile(templateDir, fileName, required) {
+  const filePath = path.resolve(templateDir, fileName);
+  if (path.relative(templateDir, filePath).startsWith('..')) {
+    throw new Error(`模板文件必须位于模板目录内: ${fileName}`);
+  }
+  if (!fs.existsSync(filePath)) {
+    if (required) {
+      throw new Error(`缺少模板文件: ${fileName}`);
+    }
+    return null;
+  }
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+let sharedRegistry = null;
+
+/**
+ * 获取进程级共享模板库
+ * @returns {TemplateRegistry}
+ */
+function getTemplateRegistry() {
+  if (!sharedRegistry) {
+    sharedRegistry = new TemplateRegistry(config.templates);
+  }
+  return sharedRegistry;
+}
+
+module.exports = {
+  TemplateRegistry,
+  TEMPLATE_FORMATS,
+  getTemplateRegistry,
+  parseTemplateRef
+};
@@ -0,0 +1,213 @@
+/**
+ * Webhook 回调
+ *
+ * 异步任务结束后，将与同步调用相同的响应信封（sendSuccessResponse / sendErrorResponse 格式）
+ * POST 到调用方提供的 callbackUrl，调用方无需轮询 /api/jobs/:id
+ *
+ * 签名：X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${X-Webhook-Timestamp}.${body}`)
+ * 重试：网络错误、超时、5xx 与 429 按指数退避重试，其余 4xx 视为调用方拒收，不再重试
+ * 访问限制：回调地址按 fetch-policy 检查，默认拒绝内网地址；每次投递前及建立连接时重新校验解析结果，
+ * 防止重试期间 DNS 记录被改为内网地址
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { createSuccessResponse, createErrorResponse, ErrorCodes } = require('../utils/response');
+const { SOURCE_NOT_ALLOWED, checkUrl, guardedLookup } = require('../utils/fetch-policy');
+
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+class WebhookDispatcher {
+  /**
+   * @param {object} options - 回调选项
+   * @param {string} options.secret - 默认签名密钥（请求未提供 X-Callback-Secret 时使用）
+   * @param {number} options.maxAttempts - 最大投递次数（含首次）
+   * @param {number} options.retryDelay - 首次重试等待时间（毫秒），之后每次翻倍
+   * @param {number} options.timeout - 单次投递超时（毫秒）
+   * @param {boolean} options.allowPrivateNetwork - 是否允许回调内网地址
+   */
+  constructor(options = {}) {
+    this.options = {
+      secret: null,
+      maxAttempts: 5,
+      retryDelay: 1000,
+      timeout: 10000,
+      allowPrivateNetwork: false,
+      ...options
+    };
+    this.callbacks = new Map(); // 任务ID -> { url, secret }
+    this.timers = new Set();    // 等待中的重试
+    this.jobManager = null;
+  }
+
+  /**
+   * 监听任务管理器，任务结束时投递已登记的回调
+   * @param {JobManager} jobManager - 任务管理器
+   */
+  attach(jobManager) {
+    this.jobManager = jobManager;
+    jobManager.on('finished', job => {
+      const callback = this.callbacks.get(job.id);
+      if (callback) {
+        this.callbacks.delete(job.id);
+        this._deliverJob(job, callback);
+      }
+    });
+  }
+
+  /**
+   * 为任务登记回调地址（需在任务结束前调用，提交任务后立即登记即可）
+   * @param {string} jobId - 任务ID
+   * @param {object} callback - 回调配置
+   * @param {string} callback.url - 回调地址
+   * @param {string} callback.secret - 签名密钥，未提供时使用默认密钥
+   */
+  register(jobId, { url, secret = null }) {
+    this.callbacks.set(jobId, { url, secret: secret || this.options.secret });
+    this._updateJob(jobId, { url, status: 'pending', attempts: 0 });
+  }
+
+  /**
+   * 校验回调地址（协议、是否解析到内网地址）
+   * @param {string} url - 回调地址
+   * @returns {Promise<string|null>} 错误信息，合法时返回 null
+   */
+  async validateUrl(url) {
+    try {
+      await checkUrl(url, this._getPolicy());
+      return null;
+    } catch (error) {
+      return `callbackUrl 不可用: ${error.message}`;
+    }
+  }
+
+  /**
+   * 取消所有等待中的重试
+   */
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.callbacks.clear();
+  }
+
+  /**
+   * 投递任务结果
+   * @private
+   */
+  _deliverJob(job, { url, secret }) {
+    const body = JSON.stringify(this._buildPayload(job));
+    const deliveryId = crypto.randomUUID();
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'GeniSpace-Operators-Webhook/1.0',
+      'X-Webhook-Id': deliveryId,
+      'X-Job-Id': job.id,
+      'X-Job-Status': job.status,
+      ...(job.operatorId && { 'X-Operator-Id': job.operatorId })
+    };
+
+    this._attempt({ jobId: job.id, url, secret, body, headers }, 1);
+  }
+
+  /**
+   * 回调内容：与同步调用的响应一致
+   * @private
+   */
+  _buildPayload(job) {
+    const responseBody = job.result?.body;
+    if (responseBody && typeof responseBody === 'object' && typeof responseBody.success === 'boolean') {
+      return responseBody;
+    }
+
+    if (job.status === 'succeeded') {
+      return createSuccessResponse(job.result);
+    }
+    if (job.status === 'cancelled') {
+      return createErrorResponse('任务已取消', ErrorCodes.JOB_CANCELLED, { jobId: job.id });
+    }
+    return createErrorResponse(
+      job.error?.message || '任务执行失败',
+      job.error?.code || ErrorCodes.OPERATOR_EXECUTION_ERROR,
+      { jobId: job.id }
+    );
+  }
+
+  /**
+   * 单次投递，失败时按指数退避安排重试
+   * @private
+   */
+  async _attempt(delivery, attempt) {
+    const { jobId, url, secret, body, headers } = delivery;
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signatureHeaders = secret ? {
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+    } : {};
+
+    let error = null;
+    let retryable = true;
+    try {
+      // 登记时的检查不代表重试时仍然有效，每次投递前重新检查，连接时再校验实际使用的解析结果
+      const policy = this._getPolicy();
+      await checkUrl(url, policy);
+      const response = await axios.post(url, body, {
+        headers: { ...headers, ...signatureHeaders, 'X-Webhook-Attempt': String(attempt) },
+        timeout: this.options.timeout,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        ...(!policy.allowPrivateNetwork && { lookup: guardedLookup })
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        this._updateJob(jobId, { url, status: 'delivered', attempts: attempt, deliveredAt: new Date().toISOString() });
+        logger.info(`Webhook 回调成功: ${jobId}`, { url, attempts: attempt });
+        return;
+      }
+
+      error = `HTTP ${response.status}`;
+      retryable = response.status >= 500 || response.status === 429;
+    } catch (requestError) {
+      error = requestError.message;
+      // 地址已不允许访问时不再重试；DNS 解析失败等网络错误仍按退避重试
+      retryable = requestError.code !== SOURCE_NOT_ALLOWED;
+    }
+
+    if (!retryable || attempt >= this.options.maxAttempts) {
+      this._updateJob(jobId, { url, status: 'failed', attempts: attempt, lastError: error });
+      logger.error(`Webhook 回调失败，已放弃: ${jobId}`, { url, attempts: attempt, error });
+      return;
+    }
+
+    const delay = Math.min(this.options.retryDelay * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+    this._updateJob(jobId, { url, status: 'retrying', attempts: attempt, lastError: error, nextAttemptAt: new Date(Date.now() + delay).toISOString() });
+    logger.warn(`Webhook 回调失败，${delay}ms 后重试: ${jobId}`, { url, attempt, error });
+
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      this._attempt(delivery, attempt + 1);
+    }, delay);
+    timer.unref();
+    this.timers.add(timer);
+  }
+
+  /**
+   * 回调地址的访问策略：不限制主机，按配置决定是否允许内网地址
+   * @private
+   */
+  _getPolicy() {
+    return { allowedHosts: [], allowPrivateNetwork: this.options.allowPrivateNetwork };
+  }
+
+  /**
+   * 记录投递状态，随任务信息一起返回
+   * @private
+   */
+  _updateJob(jobId, callback) {
+    if (this.jobManager) {
+      this.jobManager.update(jobId, { callback });
+    }
+  }
+}
+
+module.exports = WebhookDispatcher;
@@ -0,0 +1,449 @@
+/**
+ * 图表渲染
+ *
+ * 将文档模板中的图表块渲染为 SVG（无第三方依赖），PDF 生成器直接内联 SVG，Word 生成器转为 PNG 图片嵌入。
+ * 图表块有两种写法，内容均为 JSON 格式的图表配置：
+ *   Markdown 代码块：```chart ... ```
+ *   HTML 元素：<chart>...</chart>
+ *
+ * 图表配置：
+ *   type        bar（柱状图，默认）/ line（折线图）/ pie（饼图）/ stacked（堆叠柱状图）
+ *   title       标题（可选）
+ *   labels      分类标签数组，或 templateData 中的路径（如 "sales.months"）
+ *   series      数据系列 [{ name, data, color }]，data 为数值数组或 templateData 中的路径
+ *   data        对象数组或 templateData 中的路径，配合 labelField 与 series[].field 按字段取值：
+ *               { "data": "orders", "labelField": "month", "series": [{ "name": "金额", "field": "amount" }] }
+ *   width/height 图表尺寸（像素，默认 600×320）
+ *   colors      系列颜色（可选，默认使用内置配色）
+ *
+ * 饼图使用 labels 与第一个数据系列。
+ */
+
+const CHART_TYPES = ['bar', 'line', 'pie', 'stacked'];
+
+const DEFAULT_WIDTH = 600;
+const DEFAULT_HEIGHT = 320;
+const MAX_SIZE = 2000;
+const DEFAULT_COLORS = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+const FONT_FAMILY = "'Noto Sans CJK SC', 'PingFang SC', 'Microsoft YaHei', sans-serif";
+const FONT_SIZE = 12;
+const TITLE_HEIGHT = 32;
+const LEGEND_HEIGHT = 28;
+
+// ```chart 代码块（marked 输出）与 <chart> 元素；单独成段的 <chart> 会被 marked 包在 <p> 中，一并替换
+const CHART_BLOCK_REGEX = /<pre><code class="language-chart">([\s\S]*?)<\/code><\/pre>|<p>\s*<chart(?:\s[^>]*)?>((?:(?!<\/chart>)[\s\S])*)<\/chart>\s*<\/p>|<chart(?:\s[^>]*)?>([\s\S]*?)<\/chart>/gi;
+
+/**
+ * 将 HTML 中的图表块替换为内联 SVG
+ * @param {string} html - HTML 内容
+ * @param {object} templateData - 模板数据，图表配置中的路径从这里取值
+ * @returns {string} 替换后的 HTML，每个图表包裹在 <div class="document-chart"> 中
+ */
+function renderCharts(html, templateData = {}) {
+  if (!html || !/language-chart|<chart[\s>]/i.test(html)) {
+    return html;
+  }
+
+  let index = 0;
+  return html.replace(CHART_BLOCK_REGEX, (match, fenced, paragraph, element) => {
+    index++;
+    const source = _decodeEntities((fenced ?? paragraph ?? element).replace(/<br\s*\/?>/gi, '\n'));
+
+    let spec;
+    try {
+      spec = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`第 ${index} 个图表配置不是有效的 JSON: ${error.message}`);
+    }
+
+    try {
+      const { svg, width, height } = renderChartSVG(spec, templateData);
+      return `<div class="document-chart" data-width="${width}" data-height="${height}" style="margin: 1em 0; text-align: center; page-break-inside: avoid;">${svg}</div>`;
+    } catch (error) {
+      throw new Error(`第 ${index} 个图表渲染失败: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * 按图表配置渲染 SVG
+ * @param {object} spec - 图表配置（见文件头说明）
+ * @param {object} templateData - 模板数据
+ * @returns {{svg: string, width: number, height: number}}
+ */
+function renderChartSVG(spec, templateData = {}) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error('图表配置必须是对象');
+  }
+
+  const type = spec.type || 'bar';
+  if (!CHART_TYPES.includes(type)) {
+    throw new Error(`不支持的图表类型: ${type}，可选值: ${CHART_TYPES.join(', ')}`);
+  }
+
+  const width = _size(spec.width, DEFAULT_WIDTH);
+  const height = _size(spec.height, DEFAULT_HEIGHT);
+  const colors = Array.isArray(spec.colors) && spec.colors.length > 0 ? spec.colors : DEFAULT_COLORS;
+  const { labels, series } = _resolveData(spec, templateData || {}, colors);
+
+  const title = spec.title ? String(spec.title) : '';
+  const showLegend = type === 'pie' || series.length > 1 || Boolean(series[0].name);
+  const box = {
+    top: title ? TITLE_HEIGHT : 12,
+    bottom: height - (showLegend ? LEGEND_HEIGHT : 0),
+    left: 0,
+    right: width
+  };
+
+  const parts = [];
+  if (title) {
+    parts.push(_text(width / 2, 22, title, { anchor: 'middle', size: 15, weight: 'bold' }));
+  }
+
+  if (type === 'pie') {
+    const slices = labels.map((label, i) => ({ label, value: series[0].data[i], color: colors[i % colors.length] }));
+    parts.push(_renderPie(slices, box));
+    parts.push(_renderLegend(slices.map(slice => ({ name: slice.label, color: slice.color })), width, height));
+  } else {
+    parts.push(_renderAxisChart(type, labels, series, box));
+    if (showLegend) {
+      parts.push(_renderLegend(series, width, height));
+    }
+  }
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${_escape(FONT_FAMILY)}" font-size="${FONT_SIZE}">` +
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>${parts.join('')}</svg>`;
+  return { svg, width, height };
+}
+
+/**
+ * 解析分类标签与数据系列
+ * @private
+ */
+function _resolveData(spec, data, colors) {
+  const rows = spec.data !== undefined ? _lookup(spec.data, data, 'data') : null;
+  if (rows !== null && !Array.isArray(rows)) {
+    throw new Error('data 必须是数组或指向数组的路径');
+  }
+
+  let labels;
+  if (spec.labels !== undefined) {
+    labels = _lookup(spec.labels, data, 'labels');
+  } else if (rows && spec.labelField) {
+    labels = rows.map(row => _get(row, spec.labelField));
+  }
+
+  if (!Array.isArray(spec.series) || spec.series.length === 0) {
+    throw new Error('series 必须是非空数组');
+  }
+
+  const series = spec.series.map((item, i) => {
+    if (!item || typeof item !== 'object') {
+      throw new Error(`series[${i}] 必须是对象`);
+    }
+    let values;
+    if (item.data !== undefined) {
+      values = _lookup(item.data, data, `series[${i}].data`);
+    } else if (rows && item.field) {
+      values = rows.map(row => _get(row, item.field));
+    } else {
+      throw new Error(`series[${i}] 缺少 data（或 data 配合 field）`);
+    }
+    if (!Array.isArray(values)) {
+      throw new Error(`series[${i}].data 必须是数组或指向数组的路径`);
+    }
+    return {
+      name: item.name !== undefined ? String(item.name) : '',
+      color: item.color || colors[i % colors.length],
+      data: values.map(value => _toNumber(value))
+    };
+  });
+
+  const count = Math.max(...series.map(item => item.data.length));
+  if (!Array.isArray(labels)) {
+    labels = Array.from({ length: count }, (_, i) => String(i + 1));
+  }
+  labels = labels.map(label => (label === undefined || label === null ? '' : String(label)));
+
+  // 数据长度以标签为准，缺失的值按 0 处理
+  series.forEach(item => {
+    item.data = labels.map((_, i) => item.data[i] ?? 0);
+  });
+
+  if (labels.length === 0) {
+    throw new Error('图表没有数据');
+  }
+  return { labels, series };
+}
+
+/**
+ * 柱状图 / 折线图 / 堆叠柱状图
+ * @private
+ */
+function _renderAxisChart(type, labels, series, box) {
+  const totals = type === 'stacked' ?
+    labels.map((_, i) => series.reduce((acc, item) => {
+      const value = item.data[i];
+      return value >= 0 ? { max: acc.max + value, min: acc.min } : { max: acc.max, min: acc.min + value };
+    }, { max: 0, min: 0 })) :
+    null;
+  const values = totals ? totals.flatMap(total => [total.max, total.min]) : series.flatMap(item => item.data);
+  const scale = _niceScale(Math.min(0, ...values), Math.max(0, ...values));
+
+  const tickLabels = scale.ticks.map(_formatNumber);
+  const axisWidth = Math.max(...tickLabels.map(_textWidth)) + 12;
+  const plot = {
+    left: _round(box.left + axisWidth + 8),
+    right: box.right - 16,
+    top: box.top + 8,
+    bottom: box.bottom - 28
+  };
+  const y = value => plot.bottom - (value - scale.min) / (scale.max - scale.min) * (plot.bottom - plot.top);
+  const band = (plot.right - plot.left) / labels.length;
+
+  const parts = [];
+
+  // 网格线与纵轴刻度
+  scale.ticks.forEach((tick, i) => {
+    const ty = _round(y(tick));
+    parts.push(`<line x1="${plot.left}" y1="${ty}" x2="${plot.right}" y2="${ty}" stroke="${tick === 0 ? '#999999' : '#e5e5e5'}" stroke-width="1"/>`);
+    parts.push(_text(plot.left - 8, ty + 4, tickLabels[i], { anchor: 'end', color: '#666666' }));
+  });
+
+  // 横轴分类标签（标签过多时间隔显示）
+  const step = Math.max(1, Math.ceil(labels.reduce((max, label) => Math.max(max, _textWidth(label)), 0) / (band - 4)));
+  labels.forEach((label, i) => {
+    if (i % step === 0) {
+      parts.push(_text(_round(plot.left + band * (i + 0.5)), plot.bottom + 18, label, { anchor: 'middle', color: '#333333' }));
+    }
+  });
+
+  if (type === 'line') {
+    series.forEach(item => {
+      const points = item.data.map((value, i) => [_round(plot.left + band * (i + 0.5)), _round(y(value))]);
+      parts.push(`<polyline points="${points.map(point => point.join(',')).join(' ')}" fill="none" stroke="${_escape(item.color)}" stroke-width="2"/>`);
+      points.forEach(([px, py]) => {
+        parts.push(`<circle cx="${px}" cy="${py}" r="3" fill="#ffffff" stroke="${_escape(item.color)}" stroke-width="2"/>`);
+      });
+    });
+  } else if (type === 'stacked') {
+    const barWidth = band * 0.6;
+    labels.forEach((_, i) => {
+      let positive = 0;
+      let negative = 0;
+      series.forEach(item => {
+        const value = item.data[i];
+        const base = value >= 0 ? positive : negative;
+        const top = base + value;
+        if (value >= 0) {
+          positive = top;
+        } else {
+          negative = top;
+        }
+        parts.push(_rect(plot.left + band * i + (band - barWidth) / 2, y(Math.max(base, top)), barWidth, Math.abs(y(base) - y(top)), item.color));
+      });
+    });
+  } else {
+    const groupWidth = band * 0.7;
+    const barWidth = groupWidth / series.length;
+    series.forEach((item, s) => {
+      item.data.forEach((value, i) => {
+        parts.push(_rect(plot.left + band * i + (band - groupWidth) / 2 + barWidth * s, y(Math.max(value, 0)), barWidth, Math.abs(y(value) - y(0)), item.color));
+      });
+    });
+  }
+
+  return parts.join('');
+}
+
+/**
+ * 饼图（负值按 0 处理）
+ * @private
+ */
+function _renderPie(slices, box) {
+  const total = slices.reduce((sum, slice) => sum + Math.max(slice.value, 0), 0);
+  if (total <= 0) {
+    throw new Error('饼图数据之和必须大于 0');
+  }
+
+  const cx = _round((box.left + box.right) / 2);
+  const cy = _round((box.top + box.bottom) / 2);
+  const radius = Math.max(10, Math.min(box.right - box.left, box.bottom - box.top) / 2 - 12);
+  const parts = [];
+
+  let angle = -Math.PI / 2;
+  slices.forEach(slice => {
+    const value = Math.max(slice.value, 0);
+    if (value === 0) {
+      return;
+    }
+    const sweep = value / total * Math.PI * 2;
+    if (value === total) {
+      parts.push(`<circle cx="${cx}" cy="${cy}" r="${_round(radius)}" fill="${_escape(slice.color)}"/>`);
+    } else {
+      const x1 = _round(cx + radius * Math.cos(angle));
+      const y1 = _round(cy + radius * Math.sin(angle));
+      const x2 = _round(cx + radius * Math.cos(angle + sweep));
+      const y2 = _round(cy + radius * Math.sin(angle + sweep));
+      parts.push(`<path d="M${cx},${cy} L${x1},${y1} A${_round(radius)},${_round(radius)} 0 ${sweep > Math.PI ? 1 : 0} 1 ${x2},${y2} Z" fill="${_escape(slice.color)}" stroke="#ffffff" stroke-width="1"/>`);
+    }
+
+    // 占比足够大时在扇区内标注百分比
+    if (sweep > 0.3) {
+      const middle = angle + sweep / 2;
+      const label = `${_formatNumber(_round(value / total * 100, 1))}%`;
+      parts.push(_text(_round(cx + radius * 0.65 * Math.cos(middle)), _round(cy + radius * 0.65 * Math.sin(middle)) + 4, label, { anchor: 'middle', color: '#ffffff' }));
+    }
+    angle += sweep;
+  });
+
+  return parts.join('');
+}
+
+/**
+ * 底部图例，居中排列
+ * @private
+ */
+function _renderLegend(items, width, height) {
+  const entries = items.map(item => ({ ...item, width: 18 + _textWidth(item.name) + 16 }));
+  const totalWidth = entries.reduce((sum, entry) => sum + entry.width, 0);
+  let x = Math.max(8, (width - totalWidth) / 2);
+  const y = height - LEGEND_HEIGHT / 2;
+
+  return entries.map(entry => {
+    const part = _rect(x, y - 5, 12, 10, entry.color) + _text(_round(x + 18), y + 4, entry.name, { color: '#333333' });
+    x += entry.width;
+    return part;
+  }).join('');
+}
+
+/**
+ * 计算纵轴范围与刻度（约 5 个刻度，步长取 1/2/5×10^n）
+ * @private
+ */
+function _niceScale(min, max) {
+  if (min === max) {
+    max = min + 1;
+  }
+  const rough = (max - min) / 5;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 5, 10].map(n => n * magnitude).find(n => n >= rough);
+  const niceMin = Math.floor(min / step) * step;
+  const niceMax = Math.ceil(max / step) * step;
+
+  const ticks = [];
+  for (let tick = niceMin; tick <= niceMax + step / 2; tick += step) {
+    ticks.push(_round(tick, 10));
+  }
+  return { min: niceMin, max: niceMax, ticks };
+}
+
+/**
+ * 取值：字符串按 templateData 中的路径解析，其他值原样返回
+ * @private
+ */
+function _lookup(value, data, field) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const resolved = _get(data, value);
+  if (resolved === undefined) {
+    throw new Error(`${field} 引用的数据不存在: ${value}`);
+  }
+  return resolved;
+}
+
+/**
+ * @private
+ */
+function _get(target, path) {
+  return String(path).split('.').reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), target);
+}
+
+/**
+ * @private
+ */
+function _toNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+  const number = typeof value === 'number' ? value : Number(String(value).replace(/,/g, ''));
+  return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * @private
+ */
+function _size(value, fallback) {
+  const number = parseInt(value);
+  return Number.isFinite(number) && number >= 100 ? Math.min(number, MAX_SIZE) : fallback;
+}
+
+/**
+ * @private
+ */
+function _round(number, digits = 2) {
+  const factor = Math.pow(10, digits);
+  return Math.round(number * factor) / factor;
+}
+
+/**
+ * @private
+ */
+function _formatNumber(number) {
+  return new Intl.NumberFormat('zh-CN', { maximumFractionDigits: 2 }).format(number);
+}
+
+/**
+ * 估算文本宽度（中文等宽字符按字号计，其余按半个字号计）
+ * @private
+ */
+function _textWidth(text) {
+  return Array.from(String(text)).reduce((width, char) => width + (char.charCodeAt(0) > 0xff ? FONT_SIZE : FONT_SIZE * 0.6), 0);
+}
+
+/**
+ * @private
+ */
+function _text(x, y, content, { anchor = 'start', size, weight, color = '#333333' } = {}) {
+  return `<text x="${_round(x)}" y="${_round(y)}" text-anchor="${anchor}" fill="${color}"` +
+    `${size ? ` font-size="${size}"` : ''}${weight ? ` font-weight="${weight}"` : ''}>${_escape(content)}</text>`;
+}
+
+/**
+ * @private
+ */
+function _rect(x, y, width, height, color) {
+  return `<rect x="${_round(x)}" y="${_round(y)}" width="${_round(width)}" height="${_round(height)}" fill="${_escape(color)}"/>`;
+}
+
+/**
+ * @private
+ */
+function _escape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 还原 HTML 实体（代码块中的 JSON 经 marked 转义）
+ * @private
+ */
+function _decodeEntities(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&#0*39;|&#x0*27;|&apos;/gi, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+module.exports = {
+  CHART_TYPES,
+  renderCharts,
+  renderChartSVG
+};
@@ -0,0 +1,372 @@
+/**
+ * 外部资源访问策略
+ *
+ * 生成器读取模板源（URL、本地文件）、PDF 后处理下载待处理的文件以及 PDF 渲染时页面加载资源，都经过此处检查，
+ * 防止通过请求参数访问内网服务（SSRF）或读取服务器上的任意文件：
+ * - 只允许 http/https；配置了 allowedHosts 时只允许列表中的主机（*.example.com 匹配子域名）
+ * - 拒绝解析到回环、私有、链路本地等保留地址的主机，连接时再次校验解析结果（防 DNS rebinding）；
+ *   内嵌 IPv4 的 IPv6 地址（IPv4 兼容、IPv4 映射、NAT64、6to4）按内嵌的 IPv4 判断
+ * - 本地文件只能读取 localRoot 目录内的文件（默认模板库目录）
+ * - 下载限制大小和总耗时，重定向逐跳检查
+ */
+
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const axios = require('axios');
+const config = require('../config/env');
+const logger = require('./logger');
+
+const SOURCE_NOT_ALLOWED = 'SOURCE_NOT_ALLOWED';
+const MAX_REDIRECTS = 5;
+
+// 页面内联资源，不产生网络访问
+const BROWSER_LOCAL_PROTOCOLS = ['data:', 'blob:', 'about:'];
+
+// 回环、私有、链路本地、运营商 NAT、组播及其他保留地址段
+const RESERVED_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => RESERVED_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b:1::', 48], // 本地 NAT64，转换后的 IPv4 地址由网络自行规划
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => RESERVED_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * 是否为内网或保留地址（内嵌 IPv4 的 IPv6 地址按内嵌的 IPv4 判断）
+ * @param {string} address - IP 地址
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  if (family === 4) {
+    return RESERVED_NETWORKS.check(address, 'ipv4');
+  }
+  if (RESERVED_NETWORKS.check(address, 'ipv6')) {
+    return true;
+  }
+  const embedded = _embeddedIPv4(address);
+  return Boolean(embedded) && RESERVED_NETWORKS.check(embedded, 'ipv4');
+}
+
+/**
+ * 主机是否在允许列表中（列表为空时允许所有主机）
+ * @param {string} hostname - 主机名
+ * @param {string[]} allowedHosts - 允许的主机，支持 *.example.com
+ * @returns {boolean}
+ */
+function isHostAllowed(hostname, allowedHosts = []) {
+  if (allowedHosts.length === 0) {
+    return true;
+  }
+  const host = hostname.toLowerCase();
+  return allowedHosts.some(entry => {
+    const pattern = entry.toLowerCase();
+    if (pattern.startsWith('*.')) {
+      return host.endsWith(pattern.substring(1));
+    }
+    return host === pattern;
+  });
+}
+
+/**
+ * 检查 URL 是否允许访问
+ * @param {string} url - 地址
+ * @param {object} policy - 访问策略，默认取 config.fetchPolicy
+ * @returns {Promise<URL>} 解析后的地址
+ * @throws {Error} 不允许访问时 code 为 SOURCE_NOT_ALLOWED
+ */
+async function checkUrl(url, policy = config.fetchPolicy) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw _notAllowed(`无效的地址: ${url}`);
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw _notAllowed(`不允许的协议: ${parsed.protocol}`);
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (!isHostAllowed(hostname, policy.allowedHosts)) {
+    throw _notAllowed(`主机不在允许列表中: ${hostname}`);
+  }
+
+  if (!policy.allowPrivateNetwork) {
+    const addresses = net.isIP(hostname) ? [hostname] : await _resolveHost(hostname);
+    if (addresses.some(isPrivateAddress)) {
+      throw _notAllowed(`不允许访问内网地址: ${hostname}`);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * 建立连接时的 DNS 解析，拒绝内网地址（作为 http/https 请求的 lookup 选项）
+ * @param {string} hostname - 主机名
+ * @param {object} options - dns.lookup 选项
+ * @param {function} callback - dns.lookup 回调
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(_notAllowed(`不允许访问内网地址: ${hostname}`));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * 按访问策略下载文本内容（逐跳检查重定向，限制大小和总耗时）
+ * @param {string} url - 地址
+ * @param {object} policy - 访问策略，默认取 config.fetchPolicy
+ * @returns {Promise<string>} 响应内容
+ */
+async function fetchText(url, policy = config.fetchPolicy) {
+  return _fetch(url, policy, 'text');
+}
+
+/**
+ * 按访问策略下载二进制内容（如待处理的 PDF），限制与 fetchText 相同
+ * @param {string} url - 地址
+ * @param {object} policy - 访问策略，默认取 config.fetchPolicy
+ * @returns {Promise<Buffer>} 响应内容
+ */
+async function fetchBuffer(url, policy = config.fetchPolicy) {
+  return Buffer.from(await _fetch(url, policy, 'arraybuffer'));
+}
+
+/**
+ * @private
+ */
+async function _fetch(url, policy, responseType) {
+  const signal = AbortSignal.timeout(policy.timeout);
+  let current = url;
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    await checkUrl(current, policy);
+
+    const response = await axios.get(current, {
+      responseType,
+      timeout: policy.timeout,
+      signal,
+      maxContentLength: policy.maxSize,
+      maxRedirects: 0,
+      validateStatus: status => status >= 200 && status < 400,
+      // 连接时使用的解析结果同样不能是内网地址
+      ...(!policy.allowPrivateNetwork && { lookup: guardedLookup })
+    });
+
+    if (response.status < 300) {
+      return response.data;
+    }
+    if (!response.headers.location) {
+      throw new Error(`HTTP ${response.status} 缺少重定向地址`);
+    }
+    current = new URL(response.headers.location, current).href;
+  }
+
+  throw new Error(`重定向次数超过 ${MAX_REDIRECTS} 次`);
+}
+
+/**
+ * 读取本地模板文件，只允许 localRoot 目录内的文件（相对路径基于 localRoot）
+ * @param {string} filePath - 文件路径
+ * @param {object} policy - 访问策略，默认取 config.fetchPolicy
+ * @returns {string|null} 文件内容；未启用本地文件、文件在允许目录外或不存在时返回 null
+ */
+function readLocalFile(filePath, policy = config.fetchPolicy) {
+  if (!policy.localRoot) {
+    return null;
+  }
+
+  let root;
+  let resolved;
+  try {
+    // 解析符号链接后再判断是否位于允许目录内
+    root = fs.realpathSync(policy.localRoot);
+    resolved = fs.realpathSync(path.resolve(root, filePath));
+  } catch {
+    return null;
+  }
+
+  const relative = path.relative(root, resolved);
+  if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    logger.warn('拒绝读取模板目录外的文件', { path: filePath, localRoot: policy.localRoot });
+    return null;
+  }
+
+  const stat = fs.statSync(resolved);
+  if (!stat.isFile()) {
+    return null;
+  }
+  if (stat.size > policy.maxSize) {
+    throw new Error(`模板文件超过大小限制 (${policy.maxSize} 字节): ${filePath}`);
+  }
+  return fs.readFileSync(resolved, 'utf8');
+}
+
+/**
+ * 为 Puppeteer 页面启用请求拦截，按访问策略放行或中止页面加载的资源（file:// 等一律中止）
+ * 页面由浏览器池复用，使用完毕后须调用返回的函数解除拦截
+ *
+ * 局限（allowPrivateNetwork=false 也无法完全阻止页面访问内网）：
+ * - 请求拦截不经过 WebSocket、WebRTC 连接，页面脚本可以借此连接任意地址
+ * - 主机检查在本进程中解析 DNS，Chromium 随后自行再解析一次，
+ *   低 TTL 的域名可以在两次解析之间改为指向内网地址（DNS 重绑定）
+ * 渲染不可信内容时应在网络层限制浏览器出站（防火墙、出站代理），不能只依赖本检查
+ * @param {object} page - Puppeteer 页面
+ * @param {object} policy - 访问策略，默认取 config.fetchPolicy
+ * @returns {Promise<function>} async () => void，解除拦截
+ */
+async function guardPage(page, policy = config.fetchPolicy) {
+  const checks = new Map(); // 协议 + 主机 => 检查结果，同一页面内复用
+
+  const onRequest = request => {
+    const url = request.url();
+    _checkBrowserRequest(url, policy, checks)
+      .then(
+        () => request.continue(),
+        error => {
+          logger.warn('已拦截页面资源请求', { url: url.substring(0, 200), reason: error.message });
+          return request.abort('blockedbyclient');
+        }
+      )
+      // 页面已关闭或请求已结束
+      .catch(() => {});
+  };
+
+  await page.setRequestInterception(true);
+  page.on('request', onRequest);
+
+  return async () => {
+    page.off('request', onRequest);
+    await page.setRequestInterception(false).catch(() => {});
+  };
+}
+
+/**
+ * @private
+ */
+function _checkBrowserRequest(url, policy, checks) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return Promise.reject(_notAllowed(`无效的地址: ${url}`));
+  }
+
+  if (BROWSER_LOCAL_PROTOCOLS.includes(parsed.protocol)) {
+    return Promise.resolve();
+  }
+
+  const key = `${parsed.protocol}//${parsed.host}`;
+  if (!checks.has(key)) {
+    checks.set(key, checkUrl(url, policy));
+  }
+  return checks.get(key);
+}
+
+/**
+ * @private
+ */
+async function _resolveHost(hostname) {
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    return addresses.map(entry => entry.address);
+  } catch (error) {
+    throw new Error(`无法解析主机 ${hostname}: ${error.message}`);
+  }
+}
+
+/**
+ * 提取 IPv6 地址中内嵌的 IPv4：IPv4 兼容 ::a.b.c.d、IPv4 映射 ::ffff:a.b.c.d、
+ * NAT64 64:ff9b::/96（地址转换后即访问该 IPv4）、6to4 2002:AABB:CCDD::/48
+ * @private
+ */
+function _embeddedIPv4(address) {
+  const groups = _parseIPv6(address);
+  const isZero = (from, to) => groups.slice(from, to).every(group => group === 0);
+
+  let high;
+  let low;
+  if (isZero(0, 5) && (groups[5] === 0 || groups[5] === 0xffff)) {
+    [high, low] = [groups[6], groups[7]];
+  } else if (groups[0] === 0x64 && groups[1] === 0xff9b && isZero(2, 6)) {
+    [high, low] = [groups[6], groups[7]];
+  } else if (groups[0] === 0x2002) {
+    [high, low] = [groups[1], groups[2]];
+  } else {
+    return null;
+  }
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+/**
+ * 将 IPv6 地址展开为 8 个 16 位分组（地址已由 net.isIP 校验）
+ * @private
+ */
+function _parseIPv6(address) {
+  let text = address.split('%')[0].toLowerCase();
+
+  // 末尾的点分 IPv4 转换为两个分组
+  const dotted = text.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(2).map(Number);
+    text = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const [head, tail] = text.split('::');
+  const headGroups = parse(head);
+  const tailGroups = parse(tail);
+  return [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+}
+
+/**
+ * @private
+ */
+function _notAllowed(message) {
+  const error = new Error(message);
+  error.code = SOURCE_NOT_ALLOWED;
+  return error;
+}
+
+module.exports = {
+  SOURCE_NOT_ALLOWED,
+  isPrivateAddress,
+  isHostAllowed,
+  checkUrl,
+  guardedLookup,
+  fetchText,
+  fetchBuffer,
+  readLocalFile,
+  guardPage
+};
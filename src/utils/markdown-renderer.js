@@ -0,0 +1,473 @@
+/**
+ * Markdown 渲染
+ *
+ * 在 marked（GFM）基础上为 PDF 文档提供技术文档常用的扩展，可通过 use() 继续注册 marked 扩展：
+ *   代码高亮    ```js ... ```，服务端使用 highlight.js 高亮，未识别的语言按纯文本输出
+ *   数学公式    行内 $E = mc^2$，独立公式 $$ ... $$，服务端使用 KaTeX 渲染（字体内联在样式中）
+ *               行内公式的 $ 内侧不能是空格，且结束的 $ 后不能紧跟数字（"$5 到 $10" 不会被识别为公式），\$ 输出字面 $
+ *   Mermaid     ```mermaid ... ```，输出 <pre class="mermaid">，在浏览器中由 renderDiagrams 渲染为 SVG
+ *   脚注        正文 [^1]，定义 [^1]: 脚注内容，按引用顺序编号，输出在文档末尾
+ *   提示块      :::note 标题 ... :::，类型 note / tip / info / warning / danger / caution / important，标题可省略
+ *   任务列表    - [ ] 待办 / - [x] 已完成
+ *
+ * 图表块（```chart）保持原样输出，由 chart-renderer 替换为 SVG。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Marked, Renderer } = require('marked');
+
+const ADMONITION_TITLES = {
+  note: '说明',
+  tip: '提示',
+  info: '信息',
+  warning: '警告',
+  danger: '危险',
+  caution: '注意',
+  important: '重要'
+};
+
+// 由其他环节处理的代码块，不做高亮
+const PASSTHROUGH_LANGUAGES = ['chart'];
+
+const BASE_CSS = `
+  .table-container {
+    overflow-x: auto;
+    margin: 1em 0;
+  }
+  .table-container table {
+    border-collapse: collapse;
+    width: 100%;
+    display: table;
+  }
+  pre code.hljs {
+    background: none;
+    padding: 0;
+  }
+  pre.mermaid {
+    background: none;
+    border: none;
+    padding: 0;
+    text-align: center;
+  }
+  .katex-display {
+    margin: 1em 0;
+    overflow-x: auto;
+    overflow-y: hidden;
+    page-break-inside: avoid;
+  }
+  .admonition {
+    margin: 1.5em 0;
+    padding: 0.75em 1em;
+    border-left: 4px solid #3498db;
+    border-radius: 0 5px 5px 0;
+    background-color: #eef6fc;
+    page-break-inside: avoid;
+  }
+  .admonition > :last-child { margin-bottom: 0; }
+  .admonition-title {
+    margin: 0 0 0.5em;
+    font-weight: 600;
+    color: #2c3e50;
+  }
+  .admonition-tip { border-left-color: #27ae60; background-color: #edf8f1; }
+  .admonition-important { border-left-color: #8e44ad; background-color: #f5eef8; }
+  .admonition-warning, .admonition-caution { border-left-color: #f39c12; background-color: #fef5e7; }
+  .admonition-danger { border-left-color: #e74c3c; background-color: #fdedec; }
+  ul.contains-task-list {
+    list-style: none;
+    padding-left: 1.2em;
+  }
+  .task-list-item input[type="checkbox"] {
+    margin: 0 0.4em 0 -1.2em;
+    vertical-align: middle;
+  }
+  .footnote-ref a {
+    text-decoration: none;
+  }
+  .footnotes {
+    margin-top: 2em;
+    font-size: 0.85em;
+    color: #555;
+  }
+  .footnotes hr {
+    width: 30%;
+    margin: 0 0 1em;
+    border-top: 1px solid #ccc;
+  }
+  .footnote-backref {
+    margin-left: 0.3em;
+    text-decoration: none;
+  }
+`;
+
+let katexCSS = null;
+
+class MarkdownRenderer {
+  /**
+   * @param {Object} options - 渲染选项
+   * @param {boolean} options.highlight - 代码高亮（默认 true）
+   * @param {string} options.codeTheme - highlight.js 样式名（默认 github）
+   * @param {boolean} options.math - KaTeX 数学公式（默认 true）
+   * @param {boolean} options.mermaid - Mermaid 图（默认 true）
+   * @param {boolean} options.footnotes - 脚注（默认 true）
+   * @param {boolean} options.admonitions - 提示块（默认 true）
+   */
+  constructor(options = {}) {
+    this.options = {
+      highlight: true,
+      codeTheme: 'github',
+      math: true,
+      mermaid: true,
+      footnotes: true,
+      admonitions: true,
+      ...options
+    };
+
+    if (!/^[\w-]+(\/[\w-]+)?$/.test(this.options.codeTheme)) {
+      throw new Error(`无效的代码高亮样式: ${this.options.codeTheme}`);
+    }
+
+    this.marked = new Marked({ gfm: true, breaks: true });
+    this.marked.use({ renderer: this._renderer() });
+    if (this.options.math) {
+      this.marked.use({ extensions: this._mathExtensions() });
+    }
+    if (this.options.footnotes) {
+      this.marked.use({ extensions: this._footnoteExtensions() });
+    }
+    if (this.options.admonitions) {
+      this.marked.use({ extensions: [this._admonitionExtension()] });
+    }
+
+    this._state = null;
+  }
+
+  /**
+   * 注册 marked 扩展（extensions、renderer、tokenizer、hooks 等，见 marked 文档）
+   * @param {...Object} extensions - marked 扩展
+   * @returns {MarkdownRenderer} 当前实例，便于链式调用
+   */
+  use(...extensions) {
+    this.marked.use(...extensions);
+    return this;
+  }
+
+  /**
+   * 渲染 Markdown
+   * @param {string} markdown - Markdown 内容
+   * @returns {{html: string, css: string}} HTML 正文及其所需样式（代码高亮、公式只在用到时附带）
+   */
+  render(markdown) {
+    this._state = { highlighted: false, math: false, footnotes: new Map(), footnoteOrder: [] };
+    try {
+      let html = this.marked.parse(markdown || '');
+      html += this._renderFootnotes();
+
+      const css = [BASE_CSS];
+      if (this._state.highlighted) {
+        css.push(this._readStyle(`highlight.js/styles/${this.options.codeTheme}.css`));
+      }
+      if (this._state.math) {
+        css.push(getKatexCSS());
+      }
+      return { html, css: css.join('\n') };
+    } finally {
+      this._state = null;
+    }
+  }
+
+  /**
+   * 代码块、表格和任务列表的渲染
+   * @private
+   */
+  _renderer() {
+    const options = this.options;
+    const state = () => this._state;
+
+    return {
+      code(token) {
+        const lang = (token.lang || '').match(/^\S*/)[0].toLowerCase();
+        const text = token.text.replace(/\n$/, '');
+
+        if (lang === 'mermaid' && options.mermaid) {
+          return `<pre class="mermaid">${escapeHTML(text)}</pre>\n`;
+        }
+        if (!options.highlight || !lang || PASSTHROUGH_LANGUAGES.includes(lang)) {
+          return false;
+        }
+
+        const hljs = require('highlight.js');
+        if (!hljs.getLanguage(lang)) {
+          return false;
+        }
+        state().highlighted = true;
+        const { value } = hljs.highlight(text, { language: lang, ignoreIllegals: true });
+        return `<pre><code class="hljs language-${escapeHTML(lang)}">${value}\n</code></pre>\n`;
+      },
+
+      table(token) {
+        return `<div class="table-container">${Renderer.prototype.table.call(this, token)}</div>\n`;
+      },
+
+      list(token) {
+        const html = Renderer.prototype.list.call(this, token);
+        if (token.ordered || !token.items.some(item => item.task)) {
+          return html;
+        }
+        return html.replace(/^<ul/, '<ul class="contains-task-list"');
+      },
+
+      listitem(item) {
+        const html = Renderer.prototype.listitem.call(this, item);
+        return item.task ? html.replace(/^<li>/, '<li class="task-list-item">') : html;
+      }
+    };
+  }
+
+  /**
+   * $$...$$ 独立公式与 $...$ 行内公式
+   * @private
+   */
+  _mathExtensions() {
+    const renderMath = (tex, displayMode) => {
+      this._state.math = true;
+      return require('katex').renderToString(tex, {
+        displayMode,
+        throwOnError: false,
+        strict: 'ignore',
+        output: 'html'
+      });
+    };
+
+    return [
+      {
+        name: 'blockMath',
+        level: 'block',
+        start(src) {
+          const match = /(^|\n)\$\$/.exec(src);
+          return match ? match.index + match[1].length : undefined;
+        },
+        tokenizer(src) {
+          const match = /^\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/.exec(src);
+          if (match) {
+            return { type: 'blockMath', raw: match[0], text: match[1].trim() };
+          }
+        },
+        renderer(token) {
+          return `${renderMath(token.text, true)}\n`;
+        }
+      },
+      {
+        name: 'inlineMath',
+        level: 'inline',
+        start(src) {
+          const index = src.indexOf('$');
+          return index < 0 ? undefined : index;
+        },
+        tokenizer(src) {
+          const display = /^\$\$([\s\S]+?)\$\$/.exec(src);
+          if (display) {
+            return { type: 'inlineMath', raw: display[0], text: display[1].trim(), displayMode: true };
+          }
+          const inline = /^\$(?=[^\s$])((?:\\[\s\S]|[^\\$\n])+?)\$(?!\d)/.exec(src);
+          if (inline && !/\s$/.test(inline[1])) {
+            return { type: 'inlineMath', raw: inline[0], text: inline[1], displayMode: false };
+          }
+        },
+        renderer(token) {
+          return renderMath(token.text, token.displayMode);
+        }
+      }
+    ];
+  }
+
+  /**
+   * [^id] 脚注引用与 [^id]: 脚注定义
+   * @private
+   */
+  _footnoteExtensions() {
+    const state = () => this._state;
+
+    return [
+      {
+        name: 'footnoteDefinition',
+        level: 'block',
+        start(src) {
+          const match = /(^|\n)\[\^[^\]\s]+\]:/.exec(src);
+          return match ? match.index + match[1].length : undefined;
+        },
+        tokenizer(src) {
+          // 定义延续到空行或下一个定义，后续行的缩进会被去掉
+          const match = /^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n(?!\[\^[^\]\s]+\]:)[ \t]*\S[^\n]*)*)(?:\n+|$)/.exec(src);
+          if (!match) {
+            return undefined;
+          }
+          const token = {
+            type: 'footnoteDefinition',
+            raw: match[0],
+            id: match[1],
+            text: match[2].replace(/\n[ \t]+/g, '\n'),
+            tokens: []
+          };
+          this.lexer.inline(token.text, token.tokens);
+          // 引用在解析正文时编号，定义需要在此之前登记
+          state().footnotes.set(token.id, { tokens: token.tokens, html: null });
+          return token;
+        },
+        renderer(token) {
+          state().footnotes.get(token.id).html = this.parser.parseInline(token.tokens);
+          return '';
+        }
+      },
+      {
+        name: 'footnoteRef',
+        level: 'inline',
+        start(src) {
+          const index = src.indexOf('[^');
+          return index < 0 ? undefined : index;
+        },
+        tokenizer(src) {
+          const match = /^\[\^([^\]\s]+)\](?!:)/.exec(src);
+          if (match && state().footnotes.has(match[1])) {
+            return { type: 'footnoteRef', raw: match[0], id: match[1] };
+          }
+        },
+        renderer(token) {
+          const { footnoteOrder } = state();
+          let number = footnoteOrder.indexOf(token.id) + 1;
+          const first = number === 0;
+          if (first) {
+            footnoteOrder.push(token.id);
+            number = footnoteOrder.length;
+          }
+          const anchor = footnoteAnchor(token.id);
+          return `<sup class="footnote-ref"><a href="#fn-${anchor}"${first ? ` id="fnref-${anchor}"` : ''}>${number}</a></sup>`;
+        }
+      }
+    ];
+  }
+
+  /**
+   * :::type 标题 ... ::: 提示块，冒号数量可多于三个以便嵌套
+   * @private
+   */
+  _admonitionExtension() {
+    return {
+      name: 'admonition',
+      level: 'block',
+      start(src) {
+        const match = /(^|\n):{3,}[ \t]*[a-z]/i.exec(src);
+        return match ? match.index + match[1].length : undefined;
+      },
+      tokenizer(src) {
+        const match = /^(:{3,})[ \t]*([a-z]+)(?:[ \t]+([^\n]+))?\n([\s\S]*?)\n\1[ \t]*(?:\n+|$)/i.exec(src);
+        if (!match) {
+          return undefined;
+        }
+        const type = match[2].toLowerCase();
+        return {
+          type: 'admonition',
+          raw: match[0],
+          kind: type,
+          title: (match[3] || '').trim() || ADMONITION_TITLES[type] || type,
+          tokens: this.lexer.blockTokens(match[4], [])
+        };
+      },
+      renderer(token) {
+        return `<div class="admonition admonition-${token.kind}"><p class="admonition-title">${escapeHTML(token.title)}</p>${this.parser.parse(token.tokens)}</div>\n`;
+      }
+    };
+  }
+
+  /**
+   * 文档末尾的脚注列表（只包含被引用的脚注）
+   * @private
+   */
+  _renderFootnotes() {
+    const { footnotes, footnoteOrder } = this._state;
+    if (footnoteOrder.length === 0) {
+      return '';
+    }
+
+    const items = footnoteOrder.map(id => {
+      const anchor = footnoteAnchor(id);
+      return `<li id="fn-${anchor}">${footnotes.get(id).html || ''}<a href="#fnref-${anchor}" class="footnote-backref">↩</a></li>`;
+    });
+    return `<section class="footnotes"><hr><ol>${items.join('')}</ol></section>\n`;
+  }
+
+  /**
+   * @private
+   */
+  _readStyle(request) {
+    return fs.readFileSync(require.resolve(request), 'utf8');
+  }
+}
+
+/**
+ * 在浏览器页面中渲染 Mermaid 图（<pre class="mermaid">），页面中没有 Mermaid 图时不加载脚本
+ * 脚本从本地 mermaid 包注入，不产生网络请求
+ * @param {object} page - 已加载内容的 Puppeteer 页面
+ * @param {Object} options - 渲染选项
+ * @param {string} options.theme - Mermaid 主题（默认 default）
+ * @returns {Promise<number>} 渲染的图数量
+ */
+async function renderDiagrams(page, { theme = 'default' } = {}) {
+  const count = await page.$$eval('pre.mermaid', elements => elements.length);
+  if (count === 0) {
+    return 0;
+  }
+
+  await page.addScriptTag({ path: require.resolve('mermaid/dist/mermaid.min.js') });
+  const error = await page.evaluate(async (mermaidTheme) => {
+    window.mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme: mermaidTheme });
+    try {
+      await window.mermaid.run({ querySelector: 'pre.mermaid' });
+      return null;
+    } catch (runError) {
+      return runError.message || String(runError);
+    }
+  }, theme);
+
+  if (error) {
+    throw new Error(`Mermaid 图渲染失败: ${error}`);
+  }
+  return count;
+}
+
+/**
+ * KaTeX 样式，字体以 data URI 内联（页面通过 setContent 加载，无法按相对路径读取字体文件）
+ * 只保留 woff2 格式，首次使用时生成
+ * @returns {string}
+ */
+function getKatexCSS() {
+  if (!katexCSS) {
+    const distDir = path.dirname(require.resolve('katex/dist/katex.min.css'));
+    katexCSS = fs.readFileSync(path.join(distDir, 'katex.min.css'), 'utf8')
+      .replace(/,\s*url\(fonts\/[^)]+\.(?:woff|ttf)\)\s*format\("[^"]+"\)/g, '')
+      .replace(/url\((fonts\/[^)]+\.woff2)\)/g, (match, file) => {
+        const font = fs.readFileSync(path.join(distDir, file)).toString('base64');
+        return `url(data:font/woff2;base64,${font})`;
+      });
+  }
+  return katexCSS;
+}
+
+function footnoteAnchor(id) {
+  return encodeURIComponent(id).replace(/%/g, '_');
+}
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+  MarkdownRenderer,
+  renderDiagrams
+};
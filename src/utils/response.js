@@ -132,6 +132,24 @@ function sendValidationErrorResponse(res, errors, statusCode = 400) {
   res.status(statusCode).json(createValidationErrorResponse(errors));
 }
 
+/**
+ * 发送文件内容（二进制响应，不使用JSON信封）
+ * @param {object} res - Express响应对象
+ * @param {Buffer} content - 文件内容
+ * @param {string} fileName - 下载文件名
+ * @param {string} mimeType - 文件类型
+ * @param {number} statusCode - HTTP状态码
+ */
+function sendFileResponse(res, content, fileName, mimeType, statusCode = 200) {
+  // filename 仅保留 ASCII 字符，完整文件名放在 filename*（RFC 5987）
+  const asciiName = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  res.status(statusCode);
+  res.setHeader('Content-Type', mimeType);
+  res.setHeader('Content-Length', content.length);
+  res.setHeader('Content-Disposition', `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+  res.end(content);
+}
+
 /**
  * 处理异步路由错误
  * @param {function} fn - 异步路由处理函数
@@ -168,6 +186,7 @@ const HttpStatus = {
   NOT_FOUND: 404,
   METHOD_NOT_ALLOWED: 405,
   CONFLICT: 409,
+  UNSUPPORTED_MEDIA_TYPE: 415,
   VALIDATION_ERROR: 422,
   TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
@@ -182,6 +201,7 @@ const HttpStatus = {
  */
 const ErrorCodes = {
   VALIDATION_ERROR: 'VALIDATION_ERROR',
+  UNSUPPORTED_MEDIA_TYPE: 'UNSUPPORTED_MEDIA_TYPE',
   NOT_FOUND: 'NOT_FOUND',
   UNAUTHORIZED: 'UNAUTHORIZED',
   FORBIDDEN: 'FORBIDDEN',
@@ -190,8 +210,15 @@ const ErrorCodes = {
   BAD_REQUEST: 'BAD_REQUEST',
   OPERATOR_NOT_FOUND: 'OPERATOR_NOT_FOUND',
   OPERATOR_EXECUTION_ERROR: 'OPERATOR_EXECUTION_ERROR',
+  OPERATOR_DISABLED: 'OPERATOR_DISABLED',
+  RESPONSE_SCHEMA_MISMATCH: 'RESPONSE_SCHEMA_MISMATCH',
+  JOB_NOT_FOUND: 'JOB_NOT_FOUND',
+  JOB_QUEUE_FULL: 'JOB_QUEUE_FULL',
+  JOB_RESULT_TOO_LARGE: 'JOB_RESULT_TOO_LARGE',
+  JOB_CANCELLED: 'JOB_CANCELLED',
   INVALID_PARAMETER: 'INVALID_PARAMETER',
-  MISSING_PARAMETER: 'MISSING_PARAMETER'
+  MISSING_PARAMETER: 'MISSING_PARAMETER',
+  TEMPLATE_NOT_FOUND: 'TEMPLATE_NOT_FOUND'
 };
 
 module.exports = {
@@ -206,6 +233,7 @@ module.exports = {
   sendErrorResponse,
   sendPaginatedResponse,
   sendValidationErrorResponse,
+  sendFileResponse,
   
   // 异步处理函数
   asyncHandler,
@@ -0,0 +1,461 @@
+/**
+ * OpenAPI Schema 编译工具
+ *
+ * 将算子清单中的 OpenAPI 3.0 schema（JSON Schema 子集）编译为 Joi 验证模式，
+ * 请求校验与 /definition 发布的契约使用同一份定义
+ */
+
+const Joi = require('joi');
+
+const MAX_REF_DEPTH = 32;
+
+/**
+ * 中文错误信息
+ */
+const SCHEMA_MESSAGES = {
+  'any.required': '{{#label}} 是必需的',
+  'any.only': '{{#label}} 必须是以下值之一: {{#valids}}',
+  'any.unknown': '{{#label}} 不是允许的字段',
+  'string.base': '{{#label}} 必须是字符串',
+  'string.empty': '{{#label}} 不能为空',
+  'string.min': '{{#label}} 长度不能少于 {{#limit}} 个字符',
+  'string.max': '{{#label}} 长度不能超过 {{#limit}} 个字符',
+  'string.pattern.base': '{{#label}} 格式不正确',
+  'string.guid': '{{#label}} 必须是有效的 UUID',
+  'string.email': '{{#label}} 必须是有效的邮箱地址',
+  'string.uri': '{{#label}} 必须是有效的 URI',
+  'string.isoDate': '{{#label}} 必须是 ISO 8601 日期时间',
+  'number.base': '{{#label}} 必须是数字',
+  'number.integer': '{{#label}} 必须是整数',
+  'number.min': '{{#label}} 不能小于 {{#limit}}',
+  'number.max': '{{#label}} 不能大于 {{#limit}}',
+  'number.greater': '{{#label}} 必须大于 {{#limit}}',
+  'number.less': '{{#label}} 必须小于 {{#limit}}',
+  'number.multiple': '{{#label}} 必须是 {{#multiple}} 的倍数',
+  'boolean.base': '{{#label}} 必须是布尔值',
+  'array.base': '{{#label}} 必须是数组',
+  'array.min': '{{#label}} 至少需要 {{#limit}} 项',
+  'array.max': '{{#label}} 最多允许 {{#limit}} 项',
+  'array.unique': '{{#label}} 不能包含重复项',
+  'object.base': '{{#label}} 必须是对象',
+  'object.unknown': '{{#label}} 不是允许的字段',
+  'object.min': '{{#label}} 至少需要 {{#limit}} 个字段',
+  'object.max': '{{#label}} 最多允许 {{#limit}} 个字段',
+  'alternatives.match': '{{#label}} 不符合任何允许的格式',
+  'alternatives.one': '{{#label}} 同时符合多个互斥的格式',
+  'alternatives.all': '{{#label}} 不符合全部约束'
+};
+
+/**
+ * 编译 schema
+ * @param {object} schema - OpenAPI schema
+ * @param {object} options - 编译选项
+ * @param {object} options.document - 用于解析 $ref 的完整文档（含 components）
+ * @returns {object} Joi 验证模式
+ */
+function compileSchema(schema, options = {}) {
+  return _compile(schema, { document: options.document || {}, depth: 0 });
+}
+
+/**
+ * 按 JSON Pointer 解析文档内引用（#/...）
+ * @param {object} document - 完整文档
+ * @param {string} ref - $ref 字符串
+ * @returns {any} 引用的对象，无法解析时返回 undefined
+ */
+function resolvePointer(document, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) {
+    return undefined;
+  }
+
+  let current = document;
+  for (const part of ref.substring(2).split('/')) {
+    // ~1 代表 /，~0 代表 ~
+    const decodedPart = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!current || typeof current !== 'object' || !(decodedPart in current)) {
+      return undefined;
+    }
+    current = current[decodedPart];
+  }
+  return current;
+}
+
+/**
+ * 对比实际数据与 schema，返回差异列表（不抛出异常）
+ * 用于检查响应是否符合清单声明，只关注多余、缺失与类型不符的字段
+ * @param {object} schema - OpenAPI schema
+ * @param {any} value - 实际数据
+ * @param {object} options - 对比选项
+ * @param {object} options.document - 用于解析 $ref 的完整文档（含 components）
+ * @param {string[]} options.ignoreExtra - 根对象上允许出现的未声明字段
+ * @returns {Array} [{ path, issue: missing|extra|type, expected, actual }]
+ */
+function diffSchema(schema, value, options = {}) {
+  const differences = [];
+  _diff(schema, value, '', {
+    document: options.document || {},
+    ignoreExtra: new Set(options.ignoreExtra || []),
+    depth: 0
+  }, differences);
+  return differences;
+}
+
+/**
+ * 编译单个 schema 节点
+ * @private
+ */
+function _compile(schema, context) {
+  if (!schema || typeof schema !== 'object') {
+    return Joi.any();
+  }
+
+  if (schema.$ref) {
+    if (context.depth >= MAX_REF_DEPTH) {
+      // 递归结构超过深度后不再展开
+      return Joi.any();
+    }
+    const resolved = resolvePointer(context.document, schema.$ref);
+    if (resolved === undefined) {
+      throw new Error(`$ref 无法解析: ${schema.$ref}`);
+    }
+    return _compile(resolved, { ...context, depth: context.depth + 1 });
+  }
+
+  let joiSchema;
+
+  if (Array.isArray(schema.allOf)) {
+    joiSchema = Joi.alternatives().match('all').try(...schema.allOf.map(item => _compile(item, context)));
+  } else if (Array.isArray(schema.oneOf)) {
+    joiSchema = Joi.alternatives().match('one').try(...schema.oneOf.map(item => _compile(item, context)));
+  } else if (Array.isArray(schema.anyOf)) {
+    joiSchema = Joi.alternatives().try(...schema.anyOf.map(item => _compile(item, context)));
+  } else if (Array.isArray(schema.enum)) {
+    joiSchema = Joi.any().valid(...schema.enum);
+  } else {
+    joiSchema = _compileType(schema, context);
+  }
+
+  if (schema.nullable) {
+    joiSchema = joiSchema.allow(null);
+  }
+
+  return joiSchema;
+}
+
+/**
+ * 按 type 编译
+ * @private
+ */
+function _compileType(schema, context) {
+  const type = schema.type || (schema.properties ? 'object' : schema.items ? 'array' : null);
+
+  switch (type) {
+    case 'string':
+      return _compileString(schema);
+    case 'integer':
+      return _compileNumber(schema, Joi.number().integer());
+    case 'number':
+      return _compileNumber(schema, Joi.number());
+    case 'boolean':
+      return Joi.boolean();
+    case 'array':
+      return _compileArray(schema, context);
+    case 'object':
+      return _compileObject(schema, context);
+    default:
+      return Joi.any();
+  }
+}
+
+/**
+ * @private
+ */
+function _compileString(schema) {
+  let joiSchema = Joi.string();
+
+  // JSON Schema 允许空字符串，需要非空时使用 minLength: 1
+  if (!(schema.minLength >= 1)) {
+    joiSchema = joiSchema.allow('');
+  }
+  if (typeof schema.minLength === 'number') {
+    joiSchema = joiSchema.min(schema.minLength);
+  }
+  if (typeof schema.maxLength === 'number') {
+    joiSchema = joiSchema.max(schema.maxLength);
+  }
+  if (schema.pattern) {
+    joiSchema = joiSchema.pattern(new RegExp(schema.pattern));
+  }
+
+  switch (schema.format) {
+    case 'uuid':
+      joiSchema = joiSchema.guid();
+      break;
+    case 'email':
+      joiSchema = joiSchema.email({ tlds: { allow: false } });
+      break;
+    case 'uri':
+    case 'url':
+      joiSchema = joiSchema.uri();
+      break;
+    case 'date-time':
+      joiSchema = joiSchema.isoDate();
+      break;
+    case 'date':
+      joiSchema = joiSchema.pattern(/^\d{4}-\d{2}-\d{2}$/, 'date');
+      break;
+    default:
+      // 其他 format 仅用于文档展示
+      break;
+  }
+
+  return joiSchema;
+}
+
+/**
+ * @private
+ */
+function _compileNumber(schema, base) {
+  let joiSchema = base;
+
+  // 兼容 OpenAPI 3.0（布尔值）与 3.1（数值）两种 exclusiveMinimum/exclusiveMaximum 写法
+  if (typeof schema.minimum === 'number') {
+    joiSchema = schema.exclusiveMinimum === true ? joiSchema.greater(schema.minimum) : joiSchema.min(schema.minimum);
+  }
+  if (typeof schema.exclusiveMinimum === 'number') {
+    joiSchema = joiSchema.greater(schema.exclusiveMinimum);
+  }
+  if (typeof schema.maximum === 'number') {
+    joiSchema = schema.exclusiveMaximum === true ? joiSchema.less(schema.maximum) : joiSchema.max(schema.maximum);
+  }
+  if (typeof schema.exclusiveMaximum === 'number') {
+    joiSchema = joiSchema.less(schema.exclusiveMaximum);
+  }
+  if (typeof schema.multipleOf === 'number') {
+    joiSchema = joiSchema.multiple(schema.multipleOf);
+  }
+
+  return joiSchema;
+}
+
+/**
+ * @private
+ */
+function _compileArray(schema, context) {
+  let joiSchema = Joi.array();
+
+  if (schema.items) {
+    joiSchema = joiSchema.items(_compile(schema.items, context));
+  }
+  if (typeof schema.minItems === 'number') {
+    joiSchema = joiSchema.min(schema.minItems);
+  }
+  if (typeof schema.maxItems === 'number') {
+    joiSchema = joiSchema.max(schema.maxItems);
+  }
+  if (schema.uniqueItems) {
+    joiSchema = joiSchema.unique();
+  }
+
+  return joiSchema;
+}
+
+/**
+ * @private
+ */
+function _compileObject(schema, context) {
+  const required = new Set(Array.isArray(schema.required) ? schema.required : []);
+  const keys = {};
+
+  Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+    let propertyJoi = _compile(propertySchema, context);
+    if (required.has(name)) {
+      propertyJoi = propertyJoi.required();
+    }
+    keys[name] = propertyJoi;
+  });
+
+  // required 中列出但 properties 未定义的字段
+  required.forEach(name => {
+    if (!keys[name]) {
+      keys[name] = Joi.any().required();
+    }
+  });
+
+  let joiSchema = Joi.object(keys);
+
+  if (schema.additionalProperties === false) {
+    joiSchema = joiSchema.unknown(false);
+  } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    joiSchema = joiSchema.pattern(/./, _compile(schema.additionalProperties, context));
+  } else {
+    joiSchema = joiSchema.unknown(true);
+  }
+
+  if (typeof schema.minProperties === 'number') {
+    joiSchema = joiSchema.min(schema.minProperties);
+  }
+  if (typeof schema.maxProperties === 'number') {
+    joiSchema = joiSchema.max(schema.maxProperties);
+  }
+
+  return joiSchema;
+}
+
+/**
+ * 对比单个 schema 节点
+ * @private
+ */
+function _diff(schema, value, valuePath, context, differences) {
+  if (!schema || typeof schema !== 'object') {
+    return;
+  }
+
+  if (schema.$ref) {
+    const resolved = context.depth < MAX_REF_DEPTH ? resolvePointer(context.document, schema.$ref) : undefined;
+    if (resolved !== undefined) {
+      _diff(resolved, value, valuePath, { ...context, depth: context.depth + 1 }, differences);
+    }
+    return;
+  }
+
+  if (value === null && schema.nullable) {
+    return;
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    // allOf 的各分支共同描述同一个对象，多余字段按合并后的 properties 判断
+    const branches = schema.allOf.map(item => (item?.$ref ? resolvePointer(context.document, item.$ref) : item) || {});
+    const properties = Object.assign({}, ...branches.map(branch => branch.properties || {}));
+    branches.forEach(branch => {
+      _diff({ ...branch, additionalProperties: true }, value, valuePath, context, differences);
+    });
+    _diffExtra({ properties }, value, valuePath, context, differences);
+    return;
+  }
+
+  const alternatives = schema.oneOf || schema.anyOf;
+  if (Array.isArray(alternatives)) {
+    // 取差异最少的分支作为对比结果
+    const candidates = alternatives.map(item => {
+      const itemDifferences = [];
+      _diff(item, value, valuePath, context, itemDifferences);
+      return itemDifferences;
+    });
+    differences.push(...candidates.reduce((best, current) => (current.length < best.length ? current : best)));
+    return;
+  }
+
+  const type = schema.type || (schema.properties ? 'object' : schema.items ? 'array' : null);
+  const actual = _typeOf(value);
+
+  if (type && !_matchesType(type, value)) {
+    differences.push({ path: valuePath || '(root)', issue: 'type', expected: type, actual });
+    return;
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    differences.push({ path: valuePath || '(root)', issue: 'type', expected: `enum(${schema.enum.join(', ')})`, actual: JSON.stringify(value) });
+    return;
+  }
+
+  if (type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      _diff(schema.items, item, `${valuePath}[${index}]`, context, differences);
+    });
+  }
+
+  if (type === 'object') {
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    required.filter(name => value[name] === undefined).forEach(name => {
+      differences.push({ path: _joinPath(valuePath, name), issue: 'missing', expected: schema.properties?.[name]?.type || 'any' });
+    });
+
+    Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+      if (value[name] !== undefined) {
+        _diff(propertySchema, value[name], _joinPath(valuePath, name), context, differences);
+      }
+    });
+
+    _diffExtra(schema, value, valuePath, context, differences);
+  }
+}
+
+/**
+ * 检查未声明的字段（未定义 properties 的对象视为自由结构，不检查）
+ * @private
+ */
+function _diffExtra(schema, value, valuePath, context, differences) {
+  if (_typeOf(value) !== 'object' || !schema.properties || Object.keys(schema.properties).length === 0) {
+    return;
+  }
+
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    Object.keys(value).filter(name => !(name in schema.properties)).forEach(name => {
+      _diff(schema.additionalProperties, value[name], _joinPath(valuePath, name), context, differences);
+    });
+    return;
+  }
+
+  if (schema.additionalProperties === true) {
+    return;
+  }
+
+  Object.keys(value)
+    .filter(name => !(name in schema.properties))
+    .filter(name => valuePath || !context.ignoreExtra.has(name))
+    .forEach(name => {
+      differences.push({ path: _joinPath(valuePath, name), issue: 'extra', actual: _typeOf(value[name]) });
+    });
+}
+
+/**
+ * @private
+ */
+function _matchesType(type, value) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'string':
+    case 'boolean':
+      return typeof value === type;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return _typeOf(value) === 'object';
+    default:
+      return true;
+  }
+}
+
+/**
+ * @private
+ */
+function _typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * @private
+ */
+function _joinPath(base, name) {
+  return base ? `${base}.${name}` : name;
+}
+
+module.exports = {
+  compileSchema,
+  diffSchema,
+  resolvePointer,
+  SCHEMA_MESSAGES
+};
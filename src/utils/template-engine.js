@@ -0,0 +1,253 @@
+/**
+ * 模板引擎
+ *
+ * 生成器统一通过 renderTemplate 填充模板数据，请求的 templateEngine 参数选择引擎：
+ * - mustache（默认）：与原有行为一致
+ * - handlebars：兼容 Handlebars 语法，内置业务文档常用的格式化 helper，调用方无需预先格式化数据
+ *
+ * Handlebars 内置 helper（locale 默认 zh-CN，可用 locale="en-US" 指定）：
+ *   {{currency amount}}                       ¥1,234,567.89，可选币种 {{currency amount "USD" locale="en-US"}}、decimals=0
+ *   {{number value 2}}                        1,234.50，第二个参数为小数位（可选）
+ *   {{percent rate 1}}                        12.3%
+ *   {{date signDate}}                         2025年1月24日，可指定格式 {{date signDate "YYYY-MM-DD HH:mm"}}
+ *   {{#if (gt amount 10000)}}...{{/if}}       比较 eq ne gt gte lt lte，逻辑 and or not
+ *   {{#each items}}{{inc @index}}{{/each}}    @index @first @last 为 Handlebars 内置，inc 将下标转为从 1 开始的序号
+ *   {{sum items "amount"}} {{avg scores}}     数组求和 / 平均值，可指定元素字段（支持 a.b 路径）
+ *   {{upper code}} {{lower email}}
+ *   {{default remark "无"}}                   值为空（undefined / null / 空字符串）时使用默认值
+ */
+
+const Mustache = require('mustache');
+
+const TEMPLATE_ENGINES = ['mustache', 'handlebars'];
+const DEFAULT_TEMPLATE_ENGINE = 'mustache';
+
+const DEFAULT_LOCALE = 'zh-CN';
+const DEFAULT_CURRENCY = 'CNY';
+const DEFAULT_DATE_FORMAT = 'YYYY年M月D日';
+
+let handlebars = null;
+
+/**
+ * 使用指定引擎渲染模板
+ * @param {string} template - 模板内容
+ * @param {object} data - 模板数据
+ * @param {string} engine - 模板引擎（mustache / handlebars），默认 mustache
+ * @returns {string} 渲染结果
+ */
+function renderTemplate(template, data = {}, engine = DEFAULT_TEMPLATE_ENGINE) {
+  const view = data || {};
+
+  switch (engine || DEFAULT_TEMPLATE_ENGINE) {
+    case 'mustache':
+      return Mustache.render(template, view);
+    case 'handlebars':
+      try {
+        return getHandlebars().compile(template)(view);
+      } catch (error) {
+        throw new Error(`Handlebars 模板渲染失败: ${error.message}`);
+      }
+    default:
+      throw new Error(`不支持的模板引擎: ${engine}，可选值: ${TEMPLATE_ENGINES.join(', ')}`);
+  }
+}
+
+/**
+ * 获取注册了内置 helper 的 Handlebars 实例（按需加载，只使用 Mustache 的部署不加载 handlebars）
+ * @returns {object} Handlebars 实例
+ */
+function getHandlebars() {
+  if (!handlebars) {
+    handlebars = require('handlebars').create();
+    Object.entries(HELPERS).forEach(([name, helper]) => handlebars.registerHelper(name, helper));
+  }
+  return handlebars;
+}
+
+const HELPERS = {
+  currency(value, ...args) {
+    const { params: [currency], hash } = _helperArgs(args);
+    const number = _toNumber(value);
+    if (number === null) {
+      return '';
+    }
+    return new Intl.NumberFormat(hash.locale || DEFAULT_LOCALE, {
+      style: 'currency',
+      currency: hash.currency || currency || DEFAULT_CURRENCY,
+      ..._fractionDigits(hash.decimals)
+    }).format(number);
+  },
+
+  number(value, ...args) {
+    const { params: [decimals], hash } = _helperArgs(args);
+    const number = _toNumber(value);
+    if (number === null) {
+      return '';
+    }
+    return new Intl.NumberFormat(hash.locale || DEFAULT_LOCALE, _fractionDigits(decimals ?? hash.decimals)).format(number);
+  },
+
+  percent(value, ...args) {
+    const { params: [decimals], hash } = _helperArgs(args);
+    const number = _toNumber(value);
+    if (number === null) {
+      return '';
+    }
+    const digits = decimals ?? hash.decimals;
+    return new Intl.NumberFormat(hash.locale || DEFAULT_LOCALE, {
+      style: 'percent',
+      ...(digits !== undefined ? _fractionDigits(digits) : { maximumFractionDigits: 2 })
+    }).format(number);
+  },
+
+  date(value, ...args) {
+    const { params: [format] } = _helperArgs(args);
+    const date = _toDate(value);
+    if (!date) {
+      return value ?? '';
+    }
+    return _formatDate(date, typeof format === 'string' ? format : DEFAULT_DATE_FORMAT);
+  },
+
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+  and: (...args) => _helperArgs(args).params.every(Boolean),
+  or: (...args) => _helperArgs(args).params.some(Boolean),
+  not: value => !value,
+
+  inc(value, ...args) {
+    const { params: [step] } = _helperArgs(args);
+    return (_toNumber(value) || 0) + (_toNumber(step) ?? 1);
+  },
+
+  sum(items, ...args) {
+    const { params: [field] } = _helperArgs(args);
+    return _round(_pluckNumbers(items, field).reduce((total, number) => total + number, 0));
+  },
+
+  avg(items, ...args) {
+    const { params: [field] } = _helperArgs(args);
+    const numbers = _pluckNumbers(items, field);
+    if (numbers.length === 0) {
+      return 0;
+    }
+    return _round(numbers.reduce((total, number) => total + number, 0) / numbers.length);
+  },
+
+  upper: value => (value === undefined || value === null ? '' : String(value).toUpperCase()),
+  lower: value => (value === undefined || value === null ? '' : String(value).toLowerCase()),
+
+  default(value, fallback) {
+    return value === undefined || value === null || value === '' ? fallback : value;
+  }
+};
+
+/**
+ * 拆分 helper 参数：Handlebars 将 options（含 hash 参数）作为最后一个参数传入
+ * @private
+ */
+function _helperArgs(args) {
+  const options = args[args.length - 1];
+  return {
+    params: args.slice(0, -1),
+    hash: options?.hash || {}
+  };
+}
+
+/**
+ * @private
+ */
+function _toNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = typeof value === 'number' ? value : Number(String(value).replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * @private
+ */
+function _fractionDigits(decimals) {
+  const digits = _toNumber(decimals);
+  if (digits === null) {
+    return {};
+  }
+  return { minimumFractionDigits: digits, maximumFractionDigits: digits };
+}
+
+/**
+ * 消除浮点累加误差（如 0.1 + 0.2）
+ * @private
+ */
+function _round(number) {
+  return Math.round(number * 1e10) / 1e10;
+}
+
+/**
+ * @private
+ */
+function _pluckNumbers(items, field) {
+  if (!Array.isArray(items)) {
+    return [];
+  }
+  const path = typeof field === 'string' && field ? field.split('.') : null;
+  return items
+    .map(item => (path ? path.reduce((current, key) => current?.[key], item) : item))
+    .map(_toNumber)
+    .filter(number => number !== null);
+}
+
+/**
+ * 解析日期：Date、时间戳、ISO 字符串；仅有日期的字符串（2025-01-24）按本地日期处理，避免时区导致日期偏移
+ * @private
+ */
+function _toDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (value === 'now' || value === 'today') {
+    return new Date();
+  }
+
+  let date;
+  if (value instanceof Date) {
+    date = value;
+  } else if (typeof value === 'string' && /^\d{4}-\d{1,2}-\d{1,2}$/.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    date = new Date(year, month - 1, day);
+  } else {
+    date = new Date(value);
+  }
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * 按格式输出日期：YYYY 年、M/MM 月、D/DD 日、H/HH 时、mm 分、ss 秒
+ * @private
+ */
+function _formatDate(date, format) {
+  const pad = number => String(number).padStart(2, '0');
+  const tokens = {
+    YYYY: date.getFullYear(),
+    MM: pad(date.getMonth() + 1),
+    M: date.getMonth() + 1,
+    DD: pad(date.getDate()),
+    D: date.getDate(),
+    HH: pad(date.getHours()),
+    H: date.getHours(),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds())
+  };
+  return format.replace(/YYYY|MM|M|DD|D|HH|H|mm|ss/g, token => tokens[token]);
+}
+
+module.exports = {
+  TEMPLATE_ENGINES,
+  DEFAULT_TEMPLATE_ENGINE,
+  renderTemplate
+};
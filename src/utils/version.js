@@ -0,0 +1,96 @@
+/**
+ * 算子版本工具
+ *
+ * 解析与比较算子清单中的语义化版本号（x.y.z[-prerelease]），
+ * 并支持 ?version= 中的常见写法：1.2.0、1.2、1、1.x、v1、latest
+ */
+
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * 解析版本号
+ * @param {string} version - 版本号
+ * @returns {object|null} { major, minor, patch, prerelease }，格式不正确时返回 null
+ */
+function parseVersion(version) {
+  const match = VERSION_PATTERN.exec(String(version || '').trim());
+  if (!match) {
+    return null;
+  }
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] || null
+  };
+}
+
+/**
+ * 比较两个版本号
+ * @param {string} a - 版本号
+ * @param {string} b - 版本号
+ * @returns {number} a > b 返回正数，a < b 返回负数，相等返回 0
+ */
+function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  if (!left || !right) {
+    return String(a).localeCompare(String(b));
+  }
+
+  for (const part of ['major', 'minor', 'patch']) {
+    if (left[part] !== right[part]) {
+      return left[part] - right[part];
+    }
+  }
+
+  // 预发布版本低于正式版本
+  if (left.prerelease === right.prerelease) {
+    return 0;
+  }
+  if (!left.prerelease) {
+    return 1;
+  }
+  if (!right.prerelease) {
+    return -1;
+  }
+  return left.prerelease.localeCompare(right.prerelease, undefined, { numeric: true });
+}
+
+/**
+ * 判断版本号是否满足查询条件
+ * @param {string} version - 算子版本号
+ * @param {string} query - 查询条件，如 1.2.0、1.2、1、1.x、v1
+ * @returns {boolean}
+ */
+function matchesVersion(version, query) {
+  const parsed = parseVersion(version);
+  const parts = String(query || '').trim().replace(/^v/i, '').split('.')
+    .filter(part => part !== '' && part.toLowerCase() !== 'x' && part !== '*');
+
+  if (!parsed || parts.length === 0) {
+    return false;
+  }
+  if (parts.length >= 3) {
+    return compareVersions(version, parts.join('.')) === 0;
+  }
+
+  return parts.every((part, index) => Number(part) === parsed[['major', 'minor'][index]]);
+}
+
+/**
+ * 版本路径段，如 1.4.2 -> v1
+ * @param {string} version - 版本号
+ * @returns {string|null}
+ */
+function versionSegment(version) {
+  const parsed = parseVersion(version);
+  return parsed ? `v${parsed.major}` : null;
+}
+
+module.exports = {
+  parseVersion,
+  compareVersions,
+  matchesVersion,
+  versionSegment
+};
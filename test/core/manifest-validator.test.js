@@ -0,0 +1,176 @@
+/**
+ * 算子清单校验测试
+ * 加载时收集清单的全部问题，而不是遇到第一个就停止
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateManifest, formatReport } = require('../../src/core/manifest-validator');
+
+/**
+ * 最小的合法清单
+ */
+function createManifest(overrides = {}) {
+  return {
+    info: {
+      name: 'demo-operator',
+      title: '示例算子',
+      description: '用于测试的算子',
+      version: '1.0.0',
+      category: 'test',
+      ...overrides.info
+    },
+    routes: './demo.routes.js',
+    openapi: {
+      paths: {
+        '/run': {
+          post: {
+            summary: '执行',
+            operationId: 'run',
+            responses: { 200: { description: '成功' } }
+          }
+        }
+      },
+      ...overrides.openapi
+    }
+  };
+}
+
+function paths(result) {
+  return result.errors.map(error => error.path);
+}
+
+describe('validateManifest', () => {
+  let tempDir;
+
+  before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-test-'));
+    fs.writeFileSync(path.join(tempDir, 'demo.routes.js'), 'module.exports = null;\n');
+  });
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('合法清单通过校验', () => {
+    const result = validateManifest(createManifest(), { filePath: path.join(tempDir, 'demo.operator.js') });
+    assert.deepEqual(result, { valid: true, errors: [] });
+  });
+
+  it('非对象配置直接失败', () => {
+    const result = validateManifest(null);
+    assert.equal(result.valid, false);
+    assert.equal(result.errors[0].message, '算子配置必须是对象');
+  });
+
+  it('收集全部问题而不是只报告第一个', () => {
+    const manifest = createManifest({ info: { title: undefined, version: '1.0' } });
+    delete manifest.routes;
+    const result = validateManifest(manifest);
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(paths(result).sort(), ['info.title', 'info.version', 'routes']);
+  });
+
+  it('检查路由文件是否存在', () => {
+    const manifest = createManifest();
+    manifest.routes = './missing.routes.js';
+    const result = validateManifest(manifest, { filePath: path.join(tempDir, 'demo.operator.js') });
+    assert.deepEqual(result.errors, [{ path: 'routes', message: '路由文件不存在: ./missing.routes.js' }]);
+  });
+
+  it('接受 info.required、deprecated 与 sunset', () => {
+    const manifest = createManifest({ info: { required: true, deprecated: true, sunset: '2026-12-31' } });
+    assert.equal(validateManifest(manifest).valid, true);
+
+    const invalid = createManifest({ info: { required: 'yes', sunset: 'next year' } });
+    assert.deepEqual(paths(validateManifest(invalid)).sort(), ['info.required', 'info.sunset']);
+  });
+
+  it('校验路径与接口定义', () => {
+    const result = validateManifest(createManifest({
+      openapi: {
+        paths: {
+          run: { post: { summary: '执行', responses: { 200: { description: '成功' } } } },
+          '/empty': { summary: '没有方法' },
+          '/typo': { pots: {}, get: { summary: '查询' } }
+        }
+      }
+    }));
+
+    assert.deepEqual(result.errors, [
+      { path: 'openapi.paths.run', message: '路径必须以 / 开头' },
+      { path: 'openapi.paths./empty', message: '至少需要一个 HTTP 方法（get/post/put/delete/patch/options/head）' },
+      { path: 'openapi.paths./typo.pots', message: '未知的路径字段或不支持的 HTTP 方法: pots' },
+      { path: 'openapi.paths./typo.get.responses', message: '接口必须定义 responses' }
+    ]);
+  });
+
+  it('operationId 不能重复', () => {
+    const operation = { summary: '执行', operationId: 'run', responses: { 200: { description: '成功' } } };
+    const result = validateManifest(createManifest({
+      openapi: { paths: { '/a': { post: operation }, '/b': { post: operation } } }
+    }));
+
+    assert.deepEqual(result.errors, [{
+      path: 'openapi.paths./b.post.operationId',
+      message: 'operationId 重复: run（已用于 POST /a）'
+    }]);
+  });
+
+  it('$ref 必须可解析，可以引用平台公共组件', () => {
+    const manifest = createManifest({
+      openapi: {
+        paths: {
+          '/run': {
+            post: {
+              summary: '执行',
+              requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Request' } } } },
+              responses: {
+                200: { $ref: '#/components/responses/Success' },
+                400: { $ref: '#/components/responses/Missing' },
+                500: { $ref: 'common.yaml#/Error' }
+              }
+            }
+          }
+        },
+        components: { schemas: { Request: { type: 'object' } } }
+      }
+    });
+    const sharedComponents = { responses: { Success: { description: '成功' } } };
+    const result = validateManifest(manifest, { sharedComponents });
+
+    assert.deepEqual(result.errors, [
+      {
+        path: 'openapi.paths./run.post.responses.400.$ref',
+        message: '$ref 无法解析: #/components/responses/Missing'
+      },
+      {
+        path: 'openapi.paths./run.post.responses.500.$ref',
+        message: '不支持的 $ref（仅支持文档内引用 #/...）: common.yaml#/Error'
+      }
+    ]);
+  });
+
+  it('security 引用的认证方式必须已定义', () => {
+    const manifest = createManifest();
+    manifest.openapi.paths['/run'].post.security = [{ ApiKeyAuth: [] }, { OAuth: [] }];
+    const sharedComponents = { securitySchemes: { ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'GeniSpace' } } };
+    const result = validateManifest(manifest, { sharedComponents });
+
+    assert.deepEqual(result.errors, [{ path: 'openapi.paths./run.post.security', message: '未定义的认证方式: OAuth' }]);
+  });
+});
+
+describe('formatReport', () => {
+  it('每个问题一行，根路径显示为 (root)', () => {
+    const report = formatReport('demo.operator.js', [
+      { path: 'info.title', message: '算子标题是必需的' },
+      { path: '', message: '算子配置必须是对象' }
+    ]);
+    assert.equal(report, 'demo.operator.js（2 个问题）\n  - info.title: 算子标题是必需的\n  - (root): 算子配置必须是对象');
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * 算子注册中心健康检查测试：必需算子（info.required）为 down 时整体 down，其他异常整体 degraded
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const OperatorRegistry = require('../../src/core/registry');
+
+function createOperator(name, healthCheck, info = {}) {
+  return {
+    config: {
+      info: { name, title: '示例算子', description: '用于测试的算子', version: '1.0.0', category: 'test', ...info },
+      routes: './demo.routes.js',
+      openapi: {
+        paths: {
+          '/run': { post: { summary: '执行', operationId: 'run', responses: { 200: { description: '成功' } } } }
+        }
+      },
+      healthCheck
+    },
+    routes: null,
+    metadata: {}
+  };
+}
+
+describe('OperatorRegistry.runHealthChecks', () => {
+  let registry;
+  let statuses;
+
+  beforeEach(() => {
+    statuses = { core: 'ok', optional: 'ok' };
+    registry = new OperatorRegistry();
+    registry.register(createOperator('core-operator', () => ({ status: statuses.core, reason: '依赖不可用' }), { required: true }));
+    registry.register(createOperator('optional-operator', () => ({ status: statuses.optional })));
+    registry.register(createOperator('plain-operator'));
+  });
+
+  it('全部正常时为 ok，未声明 healthCheck 的算子视为正常', async () => {
+    const health = await registry.runHealthChecks();
+    assert.equal(health.status, 'ok');
+
+    const byId = Object.fromEntries(health.operators.map(op => [op.id, op]));
+    assert.deepEqual(
+      { required: byId['test/core-operator@1.0.0'].required, checked: byId['test/core-operator@1.0.0'].checked },
+      { required: true, checked: true }
+    );
+    assert.deepEqual(
+      { required: byId['test/plain-operator@1.0.0'].required, checked: byId['test/plain-operator@1.0.0'].checked },
+      { required: false, checked: false }
+    );
+  });
+
+  it('非必需算子异常时整体为 degraded', async () => {
+    statuses.optional = 'down';
+    assert.equal((await registry.runHealthChecks()).status, 'degraded');
+
+    statuses.optional = 'degraded';
+    assert.equal((await registry.runHealthChecks()).status, 'degraded');
+  });
+
+  it('必需算子 down 时整体为 down，degraded 时仍为 degraded', async () => {
+    statuses.core = 'down';
+    const health = await registry.runHealthChecks();
+    assert.equal(health.status, 'down');
+    assert.equal(health.operators.find(op => op.id === 'test/core-operator@1.0.0').reason, '依赖不可用');
+
+    statuses.core = 'degraded';
+    assert.equal((await registry.runHealthChecks()).status, 'degraded');
+  });
+
+  it('已停用的算子不影响整体状态', async () => {
+    statuses.core = 'down';
+    registry.disable('test/core-operator@1.0.0', '维护中');
+    assert.equal((await registry.runHealthChecks()).status, 'ok');
+  });
+
+  it('健康检查抛出错误或超时记为 down', async () => {
+    registry.register(createOperator('broken-operator', () => {
+      throw new Error('连接失败');
+    }, { required: true }));
+    registry.register(createOperator('slow-operator', () => new Promise(() => {})));
+
+    const health = await registry.runHealthChecks({ timeout: 20 });
+    const byId = Object.fromEntries(health.operators.map(op => [op.id, op]));
+    assert.equal(health.status, 'down');
+    assert.equal(byId['test/broken-operator@1.0.0'].status, 'down');
+    assert.equal(byId['test/slow-operator@1.0.0'].status, 'down');
+    assert.match(byId['test/slow-operator@1.0.0'].reason, /健康检查超时 \(20ms\)/);
+  });
+});
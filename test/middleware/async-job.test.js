@@ -0,0 +1,142 @@
+/**
+ * 异步任务模式测试（?async=true / callbackUrl）
+ * 算子处理函数在任务队列中执行，客户端立即得到 202 与任务ID
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const express = require('express');
+
+// auth 中间件依赖 genispace SDK，这里只需要 API Key 提取，替换为不加载 SDK 的实现
+require.cache[require.resolve('../../src/middleware/auth')] = {
+  loaded: true,
+  exports: {
+    extractApiKey: req => req.get('genispace') || null
+  }
+};
+
+const JobManager = require('../../src/services/job-manager');
+const WebhookDispatcher = require('../../src/services/webhook-dispatcher');
+const { createAsyncJobMiddleware } = require('../../src/middleware/async-job');
+
+async function waitForFinish(jobManager, jobId) {
+  for (;;) {
+    const job = jobManager.get(jobId);
+    if (['succeeded', 'failed', 'cancelled'].includes(job.status)) {
+      return job;
+    }
+    await once(jobManager, 'finished');
+  }
+}
+
+describe('createAsyncJobMiddleware', () => {
+  let server;
+  let baseUrl;
+  let jobManager;
+  let webhooks;
+  let release = null;
+
+  before(async () => {
+    jobManager = new JobManager({ concurrency: 1, maxQueue: 1 });
+    webhooks = new WebhookDispatcher({ maxAttempts: 1 });
+    webhooks.attach(jobManager);
+
+    // 算子路由：与 RouterBuilder 一样，先挂载异步中间件，再挂载处理函数
+    const handler = express.Router();
+    handler.post('/render', (req, res) => {
+      req.job?.reportProgress(50, '处理中');
+      res.json({ success: true, data: { title: req.body.title } });
+    });
+    handler.post('/invalid', (req, res) => {
+      res.status(400).json({ success: false, error: '参数错误', code: 'VALIDATION_ERROR' });
+    });
+    handler.post('/slow', (req, res) => {
+      release = () => res.json({ success: true });
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/test/demo', createAsyncJobMiddleware(jobManager, handler, {
+      operatorId: 'test/demo@1.0.0',
+      apiPrefix: '/api',
+      webhooks
+    }), handler);
+
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/test/demo`;
+  });
+
+  after(() => {
+    webhooks.stop();
+    jobManager.stop();
+    server.close();
+  });
+
+  function post(pathname, body = {}, headers = {}) {
+    return fetch(`${baseUrl}${pathname}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+  }
+
+  it('未指定 async 时同步执行', async () => {
+    const response = await post('/render', { title: '报告' });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { success: true, data: { title: '报告' } });
+  });
+
+  it('?async=true 立即返回 202，结果通过任务查询', async () => {
+    const response = await post('/render?async=true', { title: '报告' });
+    assert.equal(response.status, 202);
+
+    const { data } = await response.json();
+    assert.equal(response.headers.get('location'), `/api/jobs/${data.jobId}`);
+    assert.equal(data.statusUrl, `/api/jobs/${data.jobId}`);
+    assert.equal(data.cancelUrl, `/api/jobs/${data.jobId}/cancel`);
+
+    const job = await waitForFinish(jobManager, data.jobId);
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.operatorId, 'test/demo@1.0.0');
+    assert.equal(job.result.statusCode, 200);
+    assert.match(job.result.headers['content-type'], /application\/json/);
+    assert.deepEqual(job.result.body, { success: true, data: { title: '报告' } });
+  });
+
+  it('处理函数返回 4xx 时任务失败并保留响应内容', async () => {
+    const response = await post('/invalid?async=true');
+    const { data } = await response.json();
+
+    const job = await waitForFinish(jobManager, data.jobId);
+    assert.equal(job.status, 'failed');
+    assert.deepEqual(job.error, { message: '参数错误', code: 'VALIDATION_ERROR' });
+    assert.equal(job.result.statusCode, 400);
+  });
+
+  it('队列已满时返回 503', async () => {
+    const running = await (await post('/slow?async=true')).json();
+    const queued = await (await post('/render?async=true')).json();
+
+    const response = await post('/render?async=true');
+    assert.equal(response.status, 503);
+    assert.equal((await response.json()).code, 'JOB_QUEUE_FULL');
+
+    release();
+    await waitForFinish(jobManager, running.data.jobId);
+    await waitForFinish(jobManager, queued.data.jobId);
+  });
+
+  it('callbackUrl 隐含异步模式，不允许的回调地址返回 400', async () => {
+    const rejected = await post('/render', {}, { 'X-Callback-Url': 'http://127.0.0.1:9/hook' });
+    assert.equal(rejected.status, 400);
+    const body = await rejected.json();
+    assert.equal(body.code, 'INVALID_PARAMETER');
+    assert.equal(body.details.callbackUrl, 'http://127.0.0.1:9/hook');
+
+    const unsupported = await post('/render?callbackUrl=ftp%3A%2F%2Fexample.com%2Fhook');
+    assert.equal(unsupported.status, 400);
+    assert.equal(jobManager.getStats().total, 4);
+  });
+});
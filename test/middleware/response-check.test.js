@@ -0,0 +1,101 @@
+/**
+ * 响应契约检查中间件测试：warn 模式记录日志，strict 模式返回 500
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createResponseChecker } = require('../../src/middleware/response-check');
+
+const responses = {
+  200: {
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            data: {
+              type: 'object',
+              required: ['url'],
+              properties: { url: { type: 'string' } }
+            }
+          }
+        }
+      }
+    }
+  },
+  400: { $ref: '#/components/responses/BadRequest' }
+};
+
+/**
+ * 经过中间件发送响应，返回 { statusCode, body }
+ */
+function send(checker, body, statusCode = 200) {
+  const sent = {};
+  const res = {
+    statusCode,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      sent.statusCode = this.statusCode;
+      sent.body = payload;
+      return this;
+    }
+  };
+
+  checker({ originalUrl: '/test', requestId: 'req-1' }, res, () => {});
+  res.json(body);
+  return sent;
+}
+
+describe('createResponseChecker', () => {
+  const envelope = { success: true, timestamp: '2025-01-01T00:00:00.000Z', message: '成功' };
+
+  it('未声明成功响应 schema 时不创建中间件', () => {
+    assert.equal(createResponseChecker({ 400: {} }), null);
+    assert.equal(createResponseChecker({ 200: { description: '成功' } }), null);
+  });
+
+  it('符合 schema 的响应原样发送（信封字段不视为多余）', () => {
+    const checker = createResponseChecker(responses, {}, { mode: 'strict' });
+    const body = { ...envelope, data: { url: 'https://example.com/a.pdf' } };
+    assert.deepEqual(send(checker, body), { statusCode: 200, body });
+  });
+
+  it('warn 模式只记录日志，原样发送响应', () => {
+    const checker = createResponseChecker(responses, {}, { mode: 'warn' });
+    const body = { ...envelope, data: { link: 'x' } };
+    assert.deepEqual(send(checker, body), { statusCode: 200, body });
+  });
+
+  it('strict 模式返回 500 与差异报告', () => {
+    const checker = createResponseChecker(responses, {}, { mode: 'strict' });
+    const { statusCode, body } = send(checker, { ...envelope, data: { link: 'x' } });
+
+    assert.equal(statusCode, 500);
+    assert.equal(body.success, false);
+    assert.equal(body.code, 'RESPONSE_SCHEMA_MISMATCH');
+    assert.deepEqual(body.details.differences, [
+      { path: 'data.url', issue: 'missing', expected: 'string' },
+      { path: 'data.link', issue: 'extra', actual: 'string' }
+    ]);
+    assert.deepEqual(body.details.report, [
+      'data.url: 缺少必需字段（期望 string）',
+      'data.link: 未声明的字段（实际 string）'
+    ]);
+  });
+
+  it('错误响应与非 2xx 状态不检查', () => {
+    const checker = createResponseChecker(responses, {}, { mode: 'strict' });
+    const error = { success: false, error: '参数错误', code: 'VALIDATION_ERROR' };
+    assert.deepEqual(send(checker, error, 400), { statusCode: 400, body: error });
+    assert.deepEqual(send(checker, { success: true, other: 1 }, 302), { statusCode: 302, body: { success: true, other: 1 } });
+  });
+
+  it('未声明的 2xx 状态码按 200 的 schema 检查', () => {
+    const checker = createResponseChecker(responses, {}, { mode: 'strict' });
+    assert.equal(send(checker, { ...envelope, data: {} }, 201).statusCode, 500);
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * 请求体校验测试（createRequestBodyValidator）
+ * 按算子 OpenAPI requestBody 校验请求，只校验不修改 req.body
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const express = require('express');
+const { createRequestBodyValidator } = require('../../src/middleware/validation');
+
+const requestBody = {
+  required: true,
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        required: ['title', 'pageSize'],
+        properties: {
+          title: { type: 'string', minLength: 1, maxLength: 10 },
+          pageSize: { type: 'string', enum: ['A4', 'Letter'] },
+          copies: { type: 'integer', minimum: 1 },
+          options: { $ref: '#/components/schemas/Options' }
+        }
+      }
+    }
+  }
+};
+
+const document = {
+  components: {
+    schemas: {
+      Options: {
+        type: 'object',
+        additionalProperties: false,
+        properties: { landscape: { type: 'boolean' } }
+      }
+    }
+  }
+};
+
+/**
+ * 与 Express req.is 行为一致：无请求体时返回 null，不带参数时返回请求类型
+ */
+function createRequest(body, contentType) {
+  return {
+    body,
+    originalUrl: '/test',
+    is(...types) {
+      if (!contentType) {
+        return null;
+      }
+      const list = types.flat();
+      return list.length === 0 ? contentType : (list.find(type => type === contentType) || false);
+    }
+  };
+}
+
+/**
+ * 执行中间件，返回 { nextCalled, statusCode, body }
+ */
+function run(validator, body, { contentType = 'application/json' } = {}) {
+  const req = createRequest(body, contentType);
+  const result = { nextCalled: false, statusCode: null, body: null };
+  const res = {
+    status(code) {
+      result.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      result.body = payload;
+      return this;
+    }
+  };
+  validator(req, res, () => {
+    result.nextCalled = true;
+  });
+  return { ...result, req };
+}
+
+describe('createRequestBodyValidator', () => {
+  const validator = createRequestBodyValidator(requestBody, document);
+
+  it('没有 JSON schema 时不创建中间件', () => {
+    assert.equal(createRequestBodyValidator(undefined), null);
+    assert.equal(createRequestBodyValidator({ content: { 'multipart/form-data': { schema: {} } } }), null);
+  });
+
+  it('合法请求体放行且不修改 req.body', () => {
+    const body = { title: '报告', pageSize: 'A4', copies: 2, options: { landscape: true }, extra: 'kept' };
+    const { nextCalled, req } = run(validator, body);
+    assert.equal(nextCalled, true);
+    assert.deepEqual(req.body, { title: '报告', pageSize: 'A4', copies: 2, options: { landscape: true }, extra: 'kept' });
+  });
+
+  it('一次返回全部字段错误', () => {
+    const { nextCalled, statusCode, body } = run(validator, { title: '', pageSize: 'A3' });
+    assert.equal(nextCalled, false);
+    assert.equal(statusCode, 400);
+    assert.equal(body.success, false);
+    assert.equal(body.code, 'VALIDATION_ERROR');
+
+    const fields = body.details.errors.map(error => error.field).sort();
+    assert.deepEqual(fields, ['pageSize', 'title']);
+  });
+
+  it('缺少必需字段时返回中文错误信息', () => {
+    const { body } = run(validator, { title: '报告' });
+    assert.deepEqual(body.details.errors, [{ field: 'pageSize', message: 'pageSize 是必需的', value: undefined }]);
+  });
+
+  it('不做类型转换', () => {
+    const { nextCalled, body } = run(validator, { title: '报告', pageSize: 'A4', copies: '2' });
+    assert.equal(nextCalled, false);
+    assert.equal(body.details.errors[0].field, 'copies');
+    assert.equal(body.details.errors[0].message, 'copies 必须是数字');
+  });
+
+  it('解析 $ref 并拒绝 additionalProperties: false 以外的字段', () => {
+    const { nextCalled, body } = run(validator, { title: '报告', pageSize: 'A4', options: { landscape: true, scale: 2 } });
+    assert.equal(nextCalled, false);
+    assert.equal(body.details.errors[0].field, 'options.scale');
+  });
+
+  it('required 请求体为空时拒绝', () => {
+    const { statusCode, body } = run(validator, {});
+    assert.equal(statusCode, 400);
+    assert.equal(body.details.errors[0].field, 'body');
+    assert.equal(body.details.errors[0].message, '请求体不能为空');
+  });
+
+  it('清单未声明的请求类型返回 415', () => {
+    const { nextCalled, statusCode, body } = run(validator, { title: '报告', pageSize: 'A4' }, {
+      contentType: 'application/x-www-form-urlencoded'
+    });
+    assert.equal(nextCalled, false);
+    assert.equal(statusCode, 415);
+    assert.equal(body.code, 'UNSUPPORTED_MEDIA_TYPE');
+    assert.deepEqual(body.details, { contentType: 'application/x-www-form-urlencoded', supported: ['application/json'] });
+  });
+
+  it('清单声明的其他类型（如文件上传）交给处理函数解析', () => {
+    const uploadValidator = createRequestBodyValidator({
+      content: {
+        'application/json': requestBody.content['application/json'],
+        'multipart/form-data': { schema: { type: 'object' } }
+      }
+    }, document);
+
+    assert.equal(run(uploadValidator, {}, { contentType: 'multipart/form-data' }).nextCalled, true);
+    assert.equal(run(uploadValidator, { a: '1' }, { contentType: 'application/x-www-form-urlencoded' }).statusCode, 415);
+  });
+
+  it('没有请求体时按空对象校验', () => {
+    const { statusCode, body } = run(validator, {}, { contentType: null });
+    assert.equal(statusCode, 400);
+    assert.equal(body.details.errors[0].message, '请求体不能为空');
+  });
+
+  it('错误详情只回显简短的值', () => {
+    const { body } = run(validator, { title: 'x'.repeat(150), pageSize: 'A4' });
+    const [error] = body.details.errors;
+    assert.equal(error.field, 'title');
+    assert.equal(error.value, `${'x'.repeat(100)}...`);
+  });
+});
+
+describe('createRequestBodyValidator 与全局请求体解析', () => {
+  let server;
+  let url;
+
+  before(async () => {
+    // 与 src/middleware/index.js 一致，全局同时启用 JSON 与表单解析
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+    app.post('/run', createRequestBodyValidator(requestBody, document), (req, res) => {
+      res.json({ success: true, data: req.body });
+    });
+
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    url = `http://127.0.0.1:${server.address().port}/run`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  it('表单请求不能绕过校验', async () => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: `title[a]=1&pageSize=A4&x=${'y'.repeat(500)}`
+    });
+
+    assert.equal(response.status, 415);
+    assert.equal((await response.json()).code, 'UNSUPPORTED_MEDIA_TYPE');
+  });
+
+  it('JSON 请求正常校验', async () => {
+    const invalid = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title: { a: 1 }, pageSize: 'A4' })
+    });
+    assert.equal(invalid.status, 400);
+
+    const valid = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json; charset=utf-8' },
+      body: JSON.stringify({ title: '报告', pageSize: 'A4' })
+    });
+    assert.equal(valid.status, 200);
+  });
+});
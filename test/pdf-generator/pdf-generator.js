@@ -250,7 +250,8 @@ async function testGenerateWhitePaperFromMarkdown() {
       templateData,
       fileName: '企业信息安全管理白皮书-Markdown模板',
       pdfOptions: pdfOptions,
-      cssStyles: cssStyles
+      cssStyles: cssStyles,
+      includeTOC: true
     });
 
     console.log('✅ Markdown 模板生成成功！');
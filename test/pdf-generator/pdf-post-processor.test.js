@@ -0,0 +1,47 @@
+/**
+ * PDF 后处理测试：页码范围解析
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PDFPostProcessor = require('../../operators/document/pdf-generator/PDFPostProcessor');
+
+describe('PDFPostProcessor._pageIndices', () => {
+  const processor = new PDFPostProcessor();
+  const pageIndices = (spec, pageCount = 10) => processor._pageIndices(spec, pageCount, '文件');
+
+  it('未指定范围时选取全部页面', () => {
+    assert.deepEqual(pageIndices(undefined, 3), [0, 1, 2]);
+    assert.deepEqual(pageIndices(null, 3), [0, 1, 2]);
+    assert.deepEqual(pageIndices('  ', 3), [0, 1, 2]);
+  });
+
+  it('单页、范围与列表转换为从 0 开始的下标', () => {
+    assert.deepEqual(pageIndices('4'), [3]);
+    assert.deepEqual(pageIndices('1-3'), [0, 1, 2]);
+    assert.deepEqual(pageIndices('1-2, 5 ,8 - 9'), [0, 1, 4, 7, 8]);
+  });
+
+  it('"n-" 表示到最后一页', () => {
+    assert.deepEqual(pageIndices('8-'), [7, 8, 9]);
+    assert.deepEqual(pageIndices('10-'), [9]);
+  });
+
+  it('保留指定的顺序与重复页', () => {
+    assert.deepEqual(pageIndices('3,1,1'), [2, 0, 0]);
+  });
+
+  it('数字页码按字符串处理', () => {
+    assert.deepEqual(pageIndices(2), [1]);
+  });
+
+  it('无效范围抛出包含文件描述与总页数的错误', () => {
+    assert.throws(() => pageIndices('0'), { message: '文件的页码范围无效: 0（共 10 页）' });
+    assert.throws(() => pageIndices('11'), { message: '文件的页码范围无效: 11（共 10 页）' });
+    assert.throws(() => pageIndices('5-3'), { message: '文件的页码范围无效: 5-3（共 10 页）' });
+    assert.throws(() => pageIndices('1-20'), { message: '文件的页码范围无效: 1-20（共 10 页）' });
+    assert.throws(() => pageIndices('1,,2'), { message: '文件的页码范围无效: （共 10 页）' });
+    assert.throws(() => pageIndices('a-b'), { message: '文件的页码范围无效: a-b（共 10 页）' });
+    assert.throws(() => pageIndices('-3'), { message: '文件的页码范围无效: -3（共 10 页）' });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * 应用服务测试：算子列表中的ID与版本信息
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// 路由构建器加载的 auth 中间件依赖 genispace SDK，这里只需要 API Key 提取
+require.cache[require.resolve('../../src/middleware/auth')] = {
+  loaded: true,
+  exports: {
+    extractApiKey: req => req.get('genispace') || null
+  }
+};
+
+const AppService = require('../../src/services/app-service');
+
+function createOperator(version) {
+  return {
+    config: {
+      info: { name: 'demo-operator', title: '示例算子', description: '用于测试的算子', version, category: 'test' },
+      routes: './demo.routes.js',
+      openapi: {
+        paths: {
+          '/run': { post: { summary: '执行', operationId: 'run', responses: { 200: { description: '成功' } } } }
+        }
+      }
+    },
+    routes: null,
+    metadata: {}
+  };
+}
+
+describe('AppService.getOperators', () => {
+  let appService;
+
+  before(() => {
+    appService = new AppService({ apiPrefix: '/api' });
+    ['1.0.0', '1.1.0', '2.0.0-beta.1', '2.0.0'].forEach(version => appService.registry.register(createOperator(version)));
+  });
+
+  after(() => {
+    appService.webhooks.stop();
+    appService.jobs.stop();
+  });
+
+  it('最新版本沿用不含版本号的ID，其他版本带版本号', () => {
+    const operators = appService.getOperators();
+    const byVersion = Object.fromEntries(operators.map(op => [op.version, op]));
+
+    assert.equal(byVersion['2.0.0'].id, 'test/demo-operator');
+    assert.equal(byVersion['2.0.0'].latest, true);
+    assert.equal(byVersion['1.1.0'].id, 'test/demo-operator@1.1.0');
+    assert.equal(byVersion['2.0.0-beta.1'].id, 'test/demo-operator@2.0.0-beta.1');
+
+    operators.forEach(op => assert.equal(op.versionedId, `test/demo-operator@${op.version}`));
+    assert.equal(new Set(operators.map(op => op.id)).size, operators.length);
+  });
+
+  it('最新版本变化后不含版本号的ID随之转移（优先正式版本）', () => {
+    appService.registry.unregister('test/demo-operator@2.0.0');
+    const operators = appService.getOperators();
+
+    assert.deepEqual(operators.filter(op => op.id === 'test/demo-operator').map(op => op.version), ['1.1.0']);
+    assert.equal(operators.find(op => op.version === '2.0.0-beta.1').id, 'test/demo-operator@2.0.0-beta.1');
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * 浏览器池测试：页面复用与回收、并发排队、取消、崩溃恢复
+ * 使用模拟的 puppeteer，不启动真实浏览器
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+class FakePage extends EventEmitter {
+  constructor(browser) {
+    super();
+    this.browser = browser;
+    this.closed = false;
+  }
+
+  async goto() {}
+
+  async close() {
+    this.closed = true;
+  }
+}
+
+class FakeBrowser extends EventEmitter {
+  constructor() {
+    super();
+    this.connected = true;
+    this.pages = [];
+  }
+
+  async newPage() {
+    const page = new FakePage(this);
+    this.pages.push(page);
+    return page;
+  }
+
+  async version() {
+    return 'HeadlessChrome/120.0.0.0';
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  async close() {
+    this.disconnect();
+  }
+
+  disconnect() {
+    this.connected = false;
+    this.emit('disconnected');
+  }
+}
+
+const launched = [];
+require.cache[require.resolve('puppeteer')] = {
+  loaded: true,
+  exports: {
+    launch: async () => {
+      const browser = new FakeBrowser();
+      launched.push(browser);
+      return browser;
+    }
+  }
+};
+
+const { BrowserPool } = require('../../src/services/browser-pool');
+
+describe('BrowserPool', () => {
+  let pool;
+
+  beforeEach(() => {
+    launched.length = 0;
+  });
+
+  afterEach(async () => {
+    await pool.close();
+  });
+
+  it('页面在请求之间复用，渲染 maxUses 次后回收', async () => {
+    pool = new BrowserPool({ maxUses: 2, idleTimeout: 0 });
+    const used = [];
+    for (let i = 0; i < 3; i++) {
+      used.push(await pool.withPage(async page => page));
+    }
+
+    assert.equal(used[0], used[1]);
+    assert.notEqual(used[1], used[2]);
+    assert.equal(used[0].closed, true);
+    assert.equal(launched.length, 1);
+    assert.deepEqual(
+      { renders: pool.getStats().renders, recycledPages: pool.getStats().recycledPages, idle: pool.getStats().idle },
+      { renders: 3, recycledPages: 1, idle: 1 }
+    );
+  });
+
+  it('操作失败时丢弃页面', async () => {
+    pool = new BrowserPool({ idleTimeout: 0 });
+    let failedPage;
+    await assert.rejects(pool.withPage(async page => {
+      failedPage = page;
+      throw new Error('渲染失败');
+    }), { message: '渲染失败' });
+
+    assert.equal(failedPage.closed, true);
+    assert.notEqual(await pool.withPage(async page => page), failedPage);
+    assert.equal(pool.getStats().busy, 0);
+  });
+
+  it('超过并发上限时排队，归还后按顺序转交', async () => {
+    pool = new BrowserPool({ maxConcurrency: 1, idleTimeout: 0 });
+    const order = [];
+    let releaseFirst;
+    const first = pool.withPage(() => new Promise(resolve => {
+      order.push('first');
+      releaseFirst = resolve;
+    }));
+    await new Promise(resolve => setImmediate(resolve));
+
+    const second = pool.withPage(async () => order.push('second'));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual({ busy: pool.getStats().busy, queued: pool.getStats().queued }, { busy: 1, queued: 1 });
+
+    releaseFirst();
+    await Promise.all([first, second]);
+    assert.deepEqual(order, ['first', 'second']);
+    assert.deepEqual({ busy: pool.getStats().busy, queued: pool.getStats().queued }, { busy: 0, queued: 0 });
+  });
+
+  it('等待超过 acquireTimeout 时失败', async () => {
+    pool = new BrowserPool({ maxConcurrency: 1, acquireTimeout: 20, idleTimeout: 0 });
+    const entry = await pool.acquire();
+
+    await assert.rejects(pool.acquire(), { code: 'BROWSER_POOL_TIMEOUT' });
+    assert.equal(pool.getStats().timeouts, 1);
+    assert.equal(pool.getStats().queued, 0);
+
+    await pool.release(entry);
+    assert.equal(pool.getStats().busy, 0);
+  });
+
+  it('排队中被中止时退出队列，已中止的信号不再排队', async () => {
+    pool = new BrowserPool({ maxConcurrency: 1, idleTimeout: 0 });
+    const entry = await pool.acquire();
+    const controller = new AbortController();
+    const waiting = pool.withPage(async page => page, { signal: controller.signal });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(pool.getStats().queued, 1);
+
+    controller.abort();
+    await assert.rejects(waiting, { name: 'AbortError' });
+    assert.equal(pool.getStats().queued, 0);
+    await assert.rejects(pool.acquire({ signal: controller.signal }), { name: 'AbortError' });
+
+    await pool.release(entry);
+    assert.equal(pool.getStats().busy, 0);
+  });
+
+  it('使用中被中止时关闭并丢弃页面', async () => {
+    pool = new BrowserPool({ idleTimeout: 0 });
+    const controller = new AbortController();
+    let abortedPage;
+    await assert.rejects(pool.withPage(async page => {
+      abortedPage = page;
+      controller.abort();
+      assert.equal(page.closed, true);
+      return 'done';
+    }, { signal: controller.signal }), { name: 'AbortError' });
+
+    assert.notEqual(await pool.withPage(async page => page), abortedPage);
+    assert.equal(pool.getStats().busy, 0);
+  });
+
+  it('浏览器断开后丢弃其页面，下次请求重新启动', async () => {
+    pool = new BrowserPool({ idleTimeout: 0 });
+    const firstPage = await pool.withPage(async page => page);
+    launched[0].disconnect();
+
+    const secondPage = await pool.withPage(async page => page);
+    assert.notEqual(secondPage, firstPage);
+    assert.equal(secondPage.browser, launched[1]);
+    assert.deepEqual({ browsers: pool.getStats().browsers, crashes: pool.getStats().crashes }, { browsers: 1, crashes: 1 });
+  });
+
+  it('页面崩溃后不再复用', async () => {
+    pool = new BrowserPool({ idleTimeout: 0 });
+    const crashed = await pool.withPage(async page => {
+      page.emit('error', new Error('Page crashed!'));
+      return page;
+    });
+
+    assert.equal(crashed.closed, true);
+    assert.notEqual(await pool.withPage(async page => page), crashed);
+  });
+
+  it('获取浏览器版本不占用并发名额', async () => {
+    pool = new BrowserPool({ maxConcurrency: 1, idleTimeout: 0 });
+    const entry = await pool.acquire();
+
+    assert.equal(await pool.getBrowserVersion(), 'HeadlessChrome/120.0.0.0');
+    assert.equal(launched.length, 1);
+
+    await pool.release(entry);
+  });
+
+  it('关闭时拒绝排队中的请求并关闭浏览器', async () => {
+    pool = new BrowserPool({ maxConcurrency: 1, idleTimeout: 0 });
+    await pool.acquire();
+    const waiting = pool.acquire();
+
+    await pool.close();
+    await assert.rejects(waiting, { message: '浏览器池已关闭' });
+    await assert.rejects(pool.acquire(), { message: '浏览器池已关闭' });
+    assert.equal(launched[0].isConnected(), false);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * 异步任务队列测试
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const JobManager = require('../../src/services/job-manager');
+
+/**
+ * 由测试控制结束时机的任务
+ */
+function deferredTask() {
+  const deferred = {};
+  deferred.promise = new Promise((resolve, reject) => {
+    deferred.resolve = resolve;
+    deferred.reject = reject;
+  });
+  deferred.task = context => {
+    deferred.context = context;
+    return deferred.promise;
+  };
+  return deferred;
+}
+
+async function waitForFinish(manager, jobId) {
+  const job = manager.get(jobId);
+  if (['succeeded', 'failed', 'cancelled'].includes(job.status)) {
+    return job;
+  }
+  for (;;) {
+    const [finished] = await once(manager, 'finished');
+    if (finished.id === jobId) {
+      return finished;
+    }
+  }
+}
+
+describe('JobManager', () => {
+  let manager;
+
+  afterEach(() => {
+    manager.stop();
+  });
+
+  it('按并发上限执行，其余任务排队', async () => {
+    manager = new JobManager({ concurrency: 1, maxQueue: 10 });
+    const first = deferredTask();
+    const second = deferredTask();
+
+    const firstJob = manager.submit(first.task, { operatorId: 'test/demo@1.0.0' });
+    const secondJob = manager.submit(second.task);
+
+    assert.equal(manager.get(firstJob.id).status, 'running');
+    assert.equal(manager.get(secondJob.id).status, 'queued');
+    assert.equal(manager.getStats().running, 1);
+    assert.equal(manager.getStats().queued, 1);
+
+    first.resolve({ statusCode: 200, body: { success: true } });
+    const finished = await waitForFinish(manager, firstJob.id);
+    assert.equal(finished.status, 'succeeded');
+    assert.equal(finished.progress, 100);
+    assert.deepEqual(finished.result, { statusCode: 200, body: { success: true } });
+    assert.equal(manager.get(secondJob.id).status, 'running');
+
+    second.resolve(null);
+    await waitForFinish(manager, secondJob.id);
+  });
+
+  it('队列已满时拒绝提交', () => {
+    manager = new JobManager({ concurrency: 1, maxQueue: 1 });
+    manager.submit(deferredTask().task);
+    assert.ok(manager.submit(deferredTask().task));
+    assert.equal(manager.submit(deferredTask().task), null);
+  });
+
+  it('失败时记录错误代码与响应内容', async () => {
+    manager = new JobManager();
+    const job = manager.submit(async () => {
+      const error = new Error('参数错误');
+      error.code = 'VALIDATION_ERROR';
+      error.result = { statusCode: 400, body: { success: false } };
+      throw error;
+    });
+
+    const finished = await waitForFinish(manager, job.id);
+    assert.equal(finished.status, 'failed');
+    assert.deepEqual(finished.error, { message: '参数错误', code: 'VALIDATION_ERROR' });
+    assert.deepEqual(finished.result, { statusCode: 400, body: { success: false } });
+  });
+
+  it('取消排队中的任务不会再执行', async () => {
+    manager = new JobManager({ concurrency: 1 });
+    const running = deferredTask();
+    let started = false;
+    manager.submit(running.task);
+    const queued = manager.submit(async () => {
+      started = true;
+    });
+
+    assert.equal(manager.cancel(queued.id).status, 'cancelled');
+    running.resolve(null);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(started, false);
+    assert.equal(manager.get(queued.id).status, 'cancelled');
+  });
+
+  it('取消运行中的任务时触发 signal 并丢弃结果', async () => {
+    manager = new JobManager();
+    const deferred = deferredTask();
+    const job = manager.submit(deferred.task);
+
+    manager.cancel(job.id);
+    assert.equal(deferred.context.signal.aborted, true);
+
+    deferred.resolve({ statusCode: 200 });
+    await new Promise(resolve => setImmediate(resolve));
+    const cancelled = manager.get(job.id);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.result, null);
+    assert.equal(manager.running, 0);
+  });
+
+  it('上报进度限制在 0-100', async () => {
+    manager = new JobManager();
+    const deferred = deferredTask();
+    const job = manager.submit(deferred.task);
+
+    deferred.context.reportProgress(42.4, '渲染中');
+    assert.equal(manager.get(job.id).progress, 42);
+    assert.equal(manager.get(job.id).progressMessage, '渲染中');
+    deferred.context.reportProgress(150);
+    assert.equal(manager.get(job.id).progress, 100);
+
+    deferred.resolve(null);
+    await waitForFinish(manager, job.id);
+  });
+
+  it('已结束任务超过 maxFinished 时移除最早结束的任务', async () => {
+    manager = new JobManager({ maxFinished: 2 });
+    const running = deferredTask();
+    const runningJob = manager.submit(running.task);
+
+    const finished = [];
+    for (let i = 0; i < 3; i++) {
+      const job = manager.submit(async () => ({ statusCode: 200, body: i }));
+      finished.push(job.id);
+      await waitForFinish(manager, job.id);
+    }
+
+    assert.equal(manager.get(finished[0]), null);
+    assert.equal(manager.get(finished[1]).status, 'succeeded');
+    assert.equal(manager.get(finished[2]).status, 'succeeded');
+    assert.equal(manager.get(runningJob.id).status, 'running', '未结束的任务不计入上限');
+
+    // 最早提交但最后结束的任务保留
+    running.resolve(null);
+    await waitForFinish(manager, runningJob.id);
+    assert.equal(manager.get(finished[1]), null);
+    assert.equal(manager.get(runningJob.id).status, 'succeeded');
+    assert.equal(manager.getStats().total, 2);
+  });
+
+  it('结果超过 maxResultSize 时不保留结果并记为失败', async () => {
+    manager = new JobManager({ maxResultSize: 1024 });
+    const large = manager.submit(async () => ({ statusCode: 200, encoding: 'base64', body: 'x'.repeat(2048) }));
+    const small = manager.submit(async () => ({ statusCode: 200, body: { success: true } }));
+
+    const failed = await waitForFinish(manager, large.id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.result, null);
+    assert.equal(failed.error.code, 'JOB_RESULT_TOO_LARGE');
+    assert.match(failed.error.message, /^任务结果超过大小限制 \(1024 字节\)/);
+    assert.equal((await waitForFinish(manager, small.id)).status, 'succeeded');
+  });
+
+  it('对外信息不含内部字段，携带 API Key 的任务只允许同一调用方访问', async () => {
+    manager = new JobManager();
+    const job = manager.submit(async () => null, { owner: 'hash-a' });
+
+    assert.equal(job.task, undefined);
+    assert.equal(job.controller, undefined);
+    assert.equal(job.owner, undefined);
+    assert.equal(manager.canAccess(job.id, 'hash-a'), true);
+    assert.equal(manager.canAccess(job.id, 'hash-b'), false);
+    assert.equal(manager.canAccess(job.id, null), false);
+
+    const anonymous = manager.submit(async () => null);
+    assert.equal(manager.canAccess(anonymous.id, 'hash-b'), true);
+    assert.equal(manager.canAccess('missing', null), false);
+    await waitForFinish(manager, job.id);
+  });
+});
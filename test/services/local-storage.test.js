@@ -0,0 +1,103 @@
+/**
+ * 本地文件存储测试：文件名处理、下载路由的文件查找与过期清理
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalStorage = require('../../src/services/storage/local-storage');
+
+const UUID = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+
+describe('LocalStorage', () => {
+  let tempDir;
+  let sourceFile;
+  let storage;
+  let originalBaseUrl;
+
+  before(() => {
+    originalBaseUrl = process.env.OPERATORS_BASE_URL;
+    process.env.OPERATORS_BASE_URL = 'https://operators.example.com';
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-storage-test-'));
+    sourceFile = path.join(tempDir, 'source.pdf');
+    fs.writeFileSync(sourceFile, 'pdf content');
+    storage = new LocalStorage({ directory: path.join(tempDir, 'outputs'), retention: 3600 });
+  });
+
+  after(() => {
+    if (originalBaseUrl === undefined) {
+      delete process.env.OPERATORS_BASE_URL;
+    } else {
+      process.env.OPERATORS_BASE_URL = originalBaseUrl;
+    }
+    storage.stop();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('保存文件并返回算子下载路由地址', async () => {
+    const result = await storage.upload(sourceFile, {
+      fileName: 'report.pdf',
+      req: { baseUrl: '/api/document/pdf-generator' }
+    });
+
+    assert.match(result.key, new RegExp(`^report_${UUID}\\.pdf$`));
+    assert.equal(result.url, `https://operators.example.com/api/document/pdf-generator/download/${result.key}`);
+    assert.equal(fs.readFileSync(path.join(storage.directory, result.key), 'utf8'), 'pdf content');
+    assert.match(result.key, /^[a-zA-Z0-9_-]+\.pdf$/, '下载路由接受的文件名');
+  });
+
+  it('文件名只保留下载路由接受的字符', async () => {
+    const { key } = await storage.upload(sourceFile, { fileName: 'Q1 report (final).pdf' });
+    assert.match(key, new RegExp(`^Q1_report__final__${UUID}\\.pdf$`));
+    assert.ok(fs.existsSync(path.join(storage.directory, key)));
+
+    const { key: chineseKey } = await storage.upload(sourceFile, { fileName: '月度 报告(终稿).v2.pdf' });
+    assert.match(chineseKey, new RegExp(`^__________v2_${UUID}\\.pdf$`));
+  });
+
+  it('同名文件生成不同的文件名', async () => {
+    const first = await storage.upload(sourceFile, { fileName: 'report.pdf' });
+    const second = await storage.upload(sourceFile, { fileName: 'report.pdf' });
+    assert.notEqual(first.key, second.key);
+    assert.ok(storage.getFilePath(first.key));
+    assert.ok(storage.getFilePath(second.key));
+  });
+
+  it('下载时只查找存储目录内的文件', async () => {
+    const { key } = await storage.upload(sourceFile, { fileName: 'report.pdf' });
+    assert.equal(storage.getFilePath(key), path.join(storage.directory, key));
+    assert.equal(storage.getFilePath('report.pdf'), null);
+    assert.equal(storage.getFilePath('missing.pdf'), null);
+    assert.equal(storage.getFilePath('../source.pdf'), null);
+    assert.equal(storage.getFilePath('outputs/report.pdf'), null);
+    assert.equal(storage.getFilePath(''), null);
+  });
+
+  it('超过保留时间的文件不再提供下载并被清理', async () => {
+    const { key: expired } = await storage.upload(sourceFile, { fileName: 'expired.pdf' });
+    const { key: recent } = await storage.upload(sourceFile, { fileName: 'recent.pdf' });
+    const twoHoursAgo = new Date(Date.now() - 2 * 3600 * 1000);
+    fs.utimesSync(path.join(storage.directory, expired), twoHoursAgo, twoHoursAgo);
+
+    assert.equal(storage.getFilePath(expired), null);
+    assert.ok(storage.getFilePath(recent));
+
+    assert.equal(await storage.cleanup(), 1);
+    assert.equal(fs.existsSync(path.join(storage.directory, expired)), false);
+    assert.ok(fs.existsSync(path.join(storage.directory, recent)));
+  });
+
+  it('retention 为 0 时不删除文件', async () => {
+    const keep = new LocalStorage({ directory: storage.directory, retention: 0 });
+    const { key } = await keep.upload(sourceFile, { fileName: 'keep.pdf' });
+    const lastYear = new Date(Date.now() - 365 * 24 * 3600 * 1000);
+    fs.utimesSync(path.join(keep.directory, key), lastYear, lastYear);
+
+    assert.ok(keep.getFilePath(key));
+    assert.equal(await keep.cleanup(), 0);
+    assert.equal(keep.cleanupTimer, null);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * 存储驱动选择测试：请求只能选择部署允许的驱动；异步任务取消后不再上传
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../src/config/env');
+const { getAllowedDrivers, resolveStorage, uploadFile } = require('../../src/services/storage');
+
+describe('resolveStorage', () => {
+  const original = { ...config.storage };
+  const authenticated = { genispace: { client: {} } };
+
+  beforeEach(() => {
+    config.storage.driver = 'platform';
+    config.storage.allowedDrivers = [];
+  });
+
+  after(() => {
+    Object.assign(config.storage, original);
+  });
+
+  it('未指定时使用默认驱动', () => {
+    assert.equal(resolveStorage(authenticated).name, 'platform');
+    assert.deepEqual(getAllowedDrivers(), ['platform']);
+  });
+
+  it('默认只允许部署配置的驱动', () => {
+    assert.equal(resolveStorage(authenticated, 'platform').name, 'platform');
+    assert.throws(() => resolveStorage({}, 'local'), { message: '存储驱动未启用: local，当前允许: platform' });
+    assert.throws(() => resolveStorage({}, 's3'), { message: '存储驱动未启用: s3，当前允许: platform' });
+  });
+
+  it('可选择 STORAGE_ALLOWED_DRIVERS 中的驱动', () => {
+    config.storage.allowedDrivers = ['local', 'platform'];
+    assert.deepEqual(getAllowedDrivers(), ['platform', 'local']);
+    assert.equal(resolveStorage({}, 'local').name, 'local');
+    assert.throws(() => resolveStorage({}, 's3'), /存储驱动未启用: s3/);
+  });
+
+  it('无效驱动名称与不可用的驱动', () => {
+    assert.throws(() => resolveStorage({}, 'ftp'), { message: '不支持的存储驱动: ftp，可选值: platform, local, s3' });
+    assert.throws(() => resolveStorage({}), /缺少认证信息/);
+  });
+});
+
+describe('uploadFile', () => {
+  it('异步任务已取消时不再上传，并将信号传给存储驱动', async () => {
+    const uploads = [];
+    const storage = {
+      name: 'fake',
+      upload: async (filePath, options) => {
+        uploads.push(options.signal);
+        return { url: 'https://example.com/a.pdf', key: 'a.pdf' };
+      }
+    };
+    const controller = new AbortController();
+    const req = { job: { signal: controller.signal } };
+
+    assert.deepEqual(await uploadFile('/tmp/a.pdf', { storage, fileName: 'a.pdf', req }), {
+      url: 'https://example.com/a.pdf', key: 'a.pdf', provider: 'fake'
+    });
+    assert.deepEqual(uploads, [controller.signal]);
+
+    controller.abort();
+    await assert.rejects(uploadFile('/tmp/a.pdf', { storage, fileName: 'a.pdf', req }), { name: 'AbortError' });
+    assert.equal(uploads.length, 1);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * 文档模板库测试：目录扫描、版本选择、模板引用解析与 dataSchema 校验
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TemplateRegistry, parseTemplateRef } = require('../../src/services/template-registry');
+
+/**
+ * 写入模板版本目录
+ */
+function writeTemplate(root, id, version, manifest, files = { 'template.md': '# {{title}}' }) {
+  const directory = path.join(root, id, version);
+  fs.mkdirSync(directory, { recursive: true });
+  if (manifest !== undefined) {
+    fs.writeFileSync(path.join(directory, 'template.json'), typeof manifest === 'string' ? manifest : JSON.stringify(manifest));
+  }
+  Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(directory, name), content));
+}
+
+describe('TemplateRegistry', () => {
+  let tempDir;
+  let registry;
+
+  const dataSchema = {
+    type: 'object',
+    required: ['title'],
+    properties: {
+      title: { type: 'string' },
+      amount: { type: 'number' }
+    }
+  };
+
+  before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-registry-test-'));
+
+    writeTemplate(tempDir, 'contract', '1.0.0', { title: '合同 v1.0', tags: ['legal'] });
+    writeTemplate(tempDir, 'contract', '1.2.0', { title: '合同 v1.2', dataSchema });
+    writeTemplate(tempDir, 'contract', '2.0.0-beta.1', { title: '合同 v2 预览' });
+    writeTemplate(tempDir, 'contract', '10.0.0', { title: '合同 v10' });
+    writeTemplate(tempDir, 'invoice', '1.0.0', {
+      format: 'html',
+      engine: 'handlebars',
+      content: 'body.html',
+      styles: 'print.css',
+      sampleData: { title: '发票' }
+    }, { 'body.html': '<h1>{{title}}</h1>', 'print.css': 'h1 { color: red; }' });
+
+    // 无效模板：记录错误后跳过
+    writeTemplate(tempDir, 'broken', 'latest', {});
+    writeTemplate(tempDir, 'broken', '1.0.0', '{ 不是 JSON');
+    writeTemplate(tempDir, 'broken', '1.1.0', undefined);
+    writeTemplate(tempDir, 'broken', '1.2.0', { format: 'docx' });
+    writeTemplate(tempDir, 'broken', '1.3.0', { engine: 'ejs' });
+    writeTemplate(tempDir, 'broken', '1.4.0', { content: '../../contract/1.0.0/template.md' });
+    writeTemplate(tempDir, 'broken', '1.5.0', { styles: 'missing.css' });
+    writeTemplate(tempDir, 'bad id', '1.0.0', {});
+
+    registry = new TemplateRegistry({ directory: tempDir });
+  });
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('加载有效模板并记录无效模板的原因', () => {
+    assert.deepEqual(registry.load(), { loaded: 5, failed: 8 });
+    assert.deepEqual(registry.errors.map(error => error.template).sort(), [
+      'bad id', 'broken@1.0.0', 'broken@1.1.0', 'broken@1.2.0', 'broken@1.3.0', 'broken@1.4.0', 'broken@1.5.0', 'broken@latest'
+    ]);
+
+    const messages = Object.fromEntries(registry.errors.map(error => [error.template, error.message]));
+    assert.equal(messages['broken@latest'], '版本目录名不是有效的版本号: latest');
+    assert.equal(messages['broken@1.1.0'], '缺少 template.json');
+    assert.match(messages['broken@1.0.0'], /^template\.json 解析失败: /);
+    assert.equal(messages['broken@1.2.0'], '不支持的模板格式: docx，可选值: markdown, html');
+    assert.equal(messages['broken@1.3.0'], '不支持的模板引擎: ejs，可选值: mustache, handlebars');
+    assert.equal(messages['broken@1.4.0'], '模板文件必须位于模板目录内: ../../contract/1.0.0/template.md');
+    assert.equal(messages['broken@1.5.0'], '缺少模板文件: missing.css');
+    assert.equal(messages['bad id'], '模板 ID 只能包含字母、数字、下划线和连字符');
+  });
+
+  it('列表按版本从新到旧排列', () => {
+    const contract = registry.list().find(template => template.id === 'contract');
+    assert.deepEqual(contract.versions, ['10.0.0', '2.0.0-beta.1', '1.2.0', '1.0.0']);
+    assert.equal(contract.latestVersion, '10.0.0');
+    assert.equal(contract.title, '合同 v10');
+    assert.equal(contract.content, undefined);
+  });
+
+  it('按版本号或版本查询获取模板', () => {
+    assert.equal(registry.get('contract').version, '10.0.0');
+    assert.equal(registry.get('contract', 'latest').version, '10.0.0');
+    assert.equal(registry.get('contract', '1').version, '1.2.0');
+    assert.equal(registry.get('contract', '1.0').version, '1.0.0');
+    assert.equal(registry.get('contract', '2.0.0-beta.1').version, '2.0.0-beta.1');
+    assert.equal(registry.get('contract', '3'), null);
+    assert.equal(registry.get('missing'), null);
+  });
+
+  it('按模板引用解析', () => {
+    assert.equal(registry.resolve('contract@1.0.0').title, '合同 v1.0');
+    assert.equal(registry.resolve(' contract ').version, '10.0.0');
+    assert.equal(registry.resolve('contract@'), registry.get('contract'));
+  });
+
+  it('读取自定义的内容与样式文件', () => {
+    const invoice = registry.describe(registry.get('invoice'), { includeContent: true });
+    assert.deepEqual(invoice, {
+      id: 'invoice',
+      version: '1.0.0',
+      ref: 'invoice@1.0.0',
+      title: 'invoice',
+      description: '',
+      format: 'html',
+      engine: 'handlebars',
+      tags: [],
+      dataSchema: null,
+      sampleData: { title: '发票' },
+      content: '<h1>{{title}}</h1>',
+      styles: 'h1 { color: red; }'
+    });
+    assert.equal(registry.get('contract', '1.0.0').styles, null);
+  });
+
+  it('按 dataSchema 校验模板数据', () => {
+    const template = registry.get('contract', '1.2.0');
+    assert.deepEqual(registry.validateData(template, { title: '服务合同', amount: 100 }), []);
+
+    const errors = registry.validateData(template, { amount: '100' });
+    assert.deepEqual(errors.map(error => error.field), ['templateData.title', 'templateData.amount']);
+    assert.equal(errors[1].value, '100');
+
+    assert.deepEqual(registry.validateData(registry.get('contract', '1.0.0'), { anything: true }), []);
+  });
+
+  it('重新加载后反映目录变化', () => {
+    writeTemplate(tempDir, 'contract', '10.1.0', { title: '合同 v10.1' });
+    assert.equal(registry.get('contract').version, '10.0.0');
+
+    registry.load();
+    assert.equal(registry.get('contract').version, '10.1.0');
+  });
+
+  it('模板目录不存在时为空', () => {
+    const empty = new TemplateRegistry({ directory: path.join(tempDir, 'missing') });
+    assert.deepEqual(empty.list(), []);
+    assert.equal(empty.loaded, true);
+  });
+});
+
+describe('parseTemplateRef', () => {
+  it('拆分模板 ID 与版本', () => {
+    assert.deepEqual(parseTemplateRef('service-contract@1.0.0'), { id: 'service-contract', version: '1.0.0' });
+    assert.deepEqual(parseTemplateRef('service-contract@1'), { id: 'service-contract', version: '1' });
+    assert.deepEqual(parseTemplateRef('service-contract'), { id: 'service-contract', version: null });
+    assert.deepEqual(parseTemplateRef('@1.0.0'), { id: '@1.0.0', version: null });
+    assert.deepEqual(parseTemplateRef(null), { id: '', version: null });
+  });
+});
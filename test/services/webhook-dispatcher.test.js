@@ -0,0 +1,184 @@
+/**
+ * Webhook 回调测试：签名、重试分类与回调地址检查
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { once } = require('events');
+const JobManager = require('../../src/services/job-manager');
+const WebhookDispatcher = require('../../src/services/webhook-dispatcher');
+
+/**
+ * 等待回调投递结束（delivered / failed）
+ */
+async function waitForDelivery(jobManager, jobId) {
+  for (let i = 0; i < 200; i++) {
+    const callback = jobManager.get(jobId).callback;
+    if (callback && ['delivered', 'failed'].includes(callback.status)) {
+      return callback;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`回调未结束: ${jobId}`);
+}
+
+describe('WebhookDispatcher', () => {
+  let server;
+  let callbackUrl;
+  let requests = [];
+  let responses = [];
+  let jobManager;
+  let webhooks;
+
+  before(async () => {
+    // 按顺序返回 responses 中的状态码，用完后返回 200
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body });
+        res.statusCode = responses.shift() || 200;
+        res.end();
+      });
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    callbackUrl = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  afterEach(() => {
+    webhooks.stop();
+    jobManager.stop();
+    requests = [];
+    responses = [];
+  });
+
+  function setup(options = {}) {
+    jobManager = new JobManager();
+    webhooks = new WebhookDispatcher({ retryDelay: 5, maxAttempts: 3, allowPrivateNetwork: true, ...options });
+    webhooks.attach(jobManager);
+  }
+
+  function submit(task, callback = {}) {
+    const job = jobManager.submit(task, { operatorId: 'test/demo@1.0.0' });
+    webhooks.register(job.id, { url: callbackUrl, ...callback });
+    return job;
+  }
+
+  it('回调内容与同步响应一致，并附带 HMAC 签名', async () => {
+    setup({ secret: 'default-secret' });
+    const job = submit(async () => ({ statusCode: 200, body: { success: true, data: { url: 'https://example.com/a.pdf' } } }));
+
+    const callback = await waitForDelivery(jobManager, job.id);
+    assert.equal(callback.status, 'delivered');
+    assert.equal(callback.attempts, 1);
+
+    const [{ headers, body }] = requests;
+    assert.deepEqual(JSON.parse(body), { success: true, data: { url: 'https://example.com/a.pdf' } });
+    assert.equal(headers['x-job-id'], job.id);
+    assert.equal(headers['x-job-status'], 'succeeded');
+    assert.equal(headers['x-operator-id'], 'test/demo@1.0.0');
+    assert.equal(headers['x-webhook-attempt'], '1');
+
+    const expected = crypto.createHmac('sha256', 'default-secret')
+      .update(`${headers['x-webhook-timestamp']}.${body}`)
+      .digest('hex');
+    assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+  });
+
+  it('请求指定的密钥优先于默认密钥，未配置密钥时不签名', async () => {
+    setup({ secret: 'default-secret' });
+    const signed = submit(async () => null, { secret: 'caller-secret' });
+    await waitForDelivery(jobManager, signed.id);
+
+    const [{ headers, body }] = requests;
+    const expected = crypto.createHmac('sha256', 'caller-secret')
+      .update(`${headers['x-webhook-timestamp']}.${body}`)
+      .digest('hex');
+    assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+
+    webhooks.stop();
+    setup();
+    const unsigned = submit(async () => null);
+    await waitForDelivery(jobManager, unsigned.id);
+    assert.equal(requests[1].headers['x-webhook-signature'], undefined);
+  });
+
+  it('失败任务投递错误响应', async () => {
+    setup();
+    const job = submit(async () => {
+      const error = new Error('模板渲染失败');
+      error.code = 'OPERATOR_EXECUTION_ERROR';
+      throw error;
+    });
+    await waitForDelivery(jobManager, job.id);
+
+    const payload = JSON.parse(requests[0].body);
+    assert.equal(payload.success, false);
+    assert.equal(payload.error, '模板渲染失败');
+    assert.equal(payload.code, 'OPERATOR_EXECUTION_ERROR');
+    assert.equal(requests[0].headers['x-job-status'], 'failed');
+  });
+
+  it('5xx 与 429 按退避重试', async () => {
+    setup();
+    responses = [503, 429];
+    const job = submit(async () => null);
+
+    const callback = await waitForDelivery(jobManager, job.id);
+    assert.equal(callback.status, 'delivered');
+    assert.equal(callback.attempts, 3);
+    assert.deepEqual(requests.map(request => request.headers['x-webhook-attempt']), ['1', '2', '3']);
+    // 同一次投递的重试使用相同的投递ID
+    assert.equal(new Set(requests.map(request => request.headers['x-webhook-id'])).size, 1);
+  });
+
+  it('达到最大投递次数后放弃', async () => {
+    setup({ maxAttempts: 2 });
+    responses = [500, 500, 500];
+    const job = submit(async () => null);
+
+    const callback = await waitForDelivery(jobManager, job.id);
+    assert.equal(callback.status, 'failed');
+    assert.equal(callback.attempts, 2);
+    assert.equal(callback.lastError, 'HTTP 500');
+    assert.equal(requests.length, 2);
+  });
+
+  it('其他 4xx 视为拒收，不再重试', async () => {
+    setup();
+    responses = [410];
+    const job = submit(async () => null);
+
+    const callback = await waitForDelivery(jobManager, job.id);
+    assert.equal(callback.status, 'failed');
+    assert.equal(callback.attempts, 1);
+    assert.equal(requests.length, 1);
+  });
+
+  it('默认拒绝内网回调地址，投递时同样不会发出请求', async () => {
+    setup({ allowPrivateNetwork: false });
+    assert.match(await webhooks.validateUrl(callbackUrl), /不允许访问内网地址/);
+    assert.match(await webhooks.validateUrl('ftp://example.com/hook'), /不允许的协议/);
+    assert.match(await webhooks.validateUrl('not a url'), /无效的地址/);
+
+    const job = submit(async () => null);
+    const callback = await waitForDelivery(jobManager, job.id);
+    assert.equal(callback.status, 'failed');
+    assert.equal(callback.attempts, 1);
+    assert.equal(requests.length, 0);
+  });
+
+  it('allowPrivateNetwork 时允许内网回调地址', async () => {
+    setup();
+    assert.equal(await webhooks.validateUrl(callbackUrl), null);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * 图表渲染测试：图表配置解析、SVG 输出与 HTML 中图表块的替换
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CHART_TYPES, renderCharts, renderChartSVG } = require('../../src/utils/chart-renderer');
+
+const count = (svg, tag) => (svg.match(new RegExp(`<${tag}[\\s>]`, 'g')) || []).length;
+const texts = svg => Array.from(svg.matchAll(/<text[^>]*>([^<]*)<\/text>/g), match => match[1]);
+
+describe('renderChartSVG', () => {
+  it('柱状图：每个系列每个分类一根柱子，默认尺寸 600×320', () => {
+    const { svg, width, height } = renderChartSVG({
+      title: '季度销售',
+      labels: ['Q1', 'Q2', 'Q3'],
+      series: [{ name: '华东', data: [120, 200, 150] }, { name: '华南', data: [80, 90, 100] }]
+    });
+
+    assert.equal(width, 600);
+    assert.equal(height, 320);
+    assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="600" height="320" viewBox="0 0 600 320"/);
+    // 背景 + 6 根柱子 + 2 个图例色块
+    assert.equal(count(svg, 'rect'), 1 + 6 + 2);
+    assert.deepEqual(texts(svg).slice(0, 1), ['季度销售']);
+    assert.deepEqual(texts(svg).slice(1), ['0', '50', '100', '150', '200', 'Q1', 'Q2', 'Q3', '华东', '华南']);
+  });
+
+  it('纵轴刻度取 1/2/5×10^n 的步长', () => {
+    const { svg } = renderChartSVG({ labels: ['a', 'b'], series: [{ data: [0.3, 1.7] }] });
+    const ticks = texts(svg).filter(text => /^[\d.,-]+$/.test(text));
+    assert.deepEqual(ticks, ['0', '0.5', '1', '1.5', '2']);
+  });
+
+  it('单个未命名系列不显示图例', () => {
+    const { svg } = renderChartSVG({ labels: ['a', 'b'], series: [{ data: [1, 2] }] });
+    assert.equal(count(svg, 'rect'), 1 + 2);
+  });
+
+  it('折线图：每个系列一条折线与数据点', () => {
+    const { svg } = renderChartSVG({
+      type: 'line',
+      labels: ['1月', '2月', '3月', '4月'],
+      series: [{ name: '收入', data: [1, 3, 2, 4] }, { name: '支出', data: [2, 2, 2, 2], color: '#000000' }]
+    });
+    assert.equal(count(svg, 'polyline'), 2);
+    assert.equal(count(svg, 'circle'), 8);
+    assert.match(svg, /<polyline [^>]*stroke="#000000"/);
+  });
+
+  it('堆叠柱状图：正负值分别向上、向下堆叠', () => {
+    const { svg } = renderChartSVG({
+      type: 'stacked',
+      labels: ['A'],
+      series: [{ name: '收入', data: [30] }, { name: '退款', data: [-10] }, { name: '其他', data: [20] }]
+    });
+    // 纵轴覆盖正值之和 50 与负值之和 -10
+    assert.deepEqual(texts(svg).slice(0, 5), ['-20', '0', '20', '40', '60']);
+    assert.equal(count(svg, 'rect'), 1 + 3 + 3);
+  });
+
+  it('饼图：按占比绘制扇区并标注百分比', () => {
+    const { svg } = renderChartSVG({ type: 'pie', labels: ['甲', '乙', '丙'], series: [{ data: [50, 30, 20] }] });
+    assert.equal(count(svg, 'path'), 3);
+    ['50%', '30%', '20%', '甲', '乙', '丙'].forEach(label => assert.ok(texts(svg).includes(label), label));
+
+    const single = renderChartSVG({ type: 'pie', labels: ['甲', '乙'], series: [{ data: [10, -5] }] }).svg;
+    assert.equal(count(single, 'path'), 0);
+    assert.match(single, /<circle /);
+    assert.ok(texts(single).includes('100%'));
+
+    assert.throws(() => renderChartSVG({ type: 'pie', labels: ['甲'], series: [{ data: [0] }] }), { message: '饼图数据之和必须大于 0' });
+  });
+
+  it('labels 与 series 数据可引用 templateData 中的路径', () => {
+    const templateData = { sales: { months: ['1月', '2月'], amounts: ['1,200', '800'] } };
+    const { svg } = renderChartSVG({ labels: 'sales.months', series: [{ name: '金额', data: 'sales.amounts' }] }, templateData);
+    // 带千分位的字符串按数字处理，纵轴覆盖 1200
+    assert.deepEqual(texts(svg), ['0', '500', '1,000', '1,500', '1月', '2月', '金额']);
+  });
+
+  it('data 配合 labelField 与 series[].field 按字段取值', () => {
+    const templateData = { orders: [{ month: '1月', amount: 10, cost: { total: 4 } }, { month: '2月', amount: 20 }] };
+    const { svg } = renderChartSVG({
+      data: 'orders',
+      labelField: 'month',
+      series: [{ name: '金额', field: 'amount' }, { name: '成本', field: 'cost.total' }]
+    }, templateData);
+    assert.ok(texts(svg).includes('2月'));
+    assert.equal(count(svg, 'rect'), 1 + 4 + 2);
+  });
+
+  it('未提供 labels 时使用序号，数据长度以标签为准', () => {
+    const { svg } = renderChartSVG({ series: [{ data: [1, 2, 3] }, { data: [1] }] });
+    ['1', '2', '3'].forEach(label => assert.ok(texts(svg).includes(label)));
+    assert.equal(count(svg, 'rect'), 1 + 6 + 2);
+
+    const truncated = renderChartSVG({ labels: ['a'], series: [{ data: [1, 2, 3] }] }).svg;
+    assert.equal(count(truncated, 'rect'), 1 + 1);
+  });
+
+  it('尺寸限制在 100 到 2000 之间', () => {
+    assert.deepEqual(
+      [renderChartSVG({ width: 5000, height: '240', series: [{ data: [1] }] }), renderChartSVG({ width: 50, series: [{ data: [1] }] })]
+        .map(({ width, height }) => [width, height]),
+      [[2000, 240], [600, 320]]
+    );
+  });
+
+  it('转义标题、标签与颜色', () => {
+    const { svg } = renderChartSVG({ title: '<script>', labels: ['a&b'], series: [{ name: '"x"', data: [1], color: '"/><script>' }] });
+    assert.doesNotMatch(svg, /<script>/);
+    assert.ok(texts(svg).includes('&lt;script&gt;'));
+    assert.ok(texts(svg).includes('a&amp;b'));
+    assert.ok(texts(svg).includes('&quot;x&quot;'));
+  });
+
+  it('无效配置抛出说明原因的错误', () => {
+    assert.deepEqual(CHART_TYPES, ['bar', 'line', 'pie', 'stacked']);
+    const cases = [
+      [[], '图表配置必须是对象'],
+      [{ type: 'radar', series: [{ data: [1] }] }, '不支持的图表类型: radar，可选值: bar, line, pie, stacked'],
+      [{ series: [] }, 'series 必须是非空数组'],
+      [{ series: [1] }, 'series[0] 必须是对象'],
+      [{ series: [{ name: 'a' }] }, 'series[0] 缺少 data（或 data 配合 field）'],
+      [{ series: [{ data: 'missing.path' }] }, 'series[0].data 引用的数据不存在: missing.path'],
+      [{ series: [{ data: 'title' }] }, 'series[0].data 必须是数组或指向数组的路径'],
+      [{ data: 'title', series: [{ field: 'x' }] }, 'data 必须是数组或指向数组的路径'],
+      [{ labels: [], series: [{ data: [] }] }, '图表没有数据']
+    ];
+    cases.forEach(([spec, message]) => {
+      assert.throws(() => renderChartSVG(spec, { title: '标题' }), { message });
+    });
+  });
+});
+
+describe('renderCharts', () => {
+  const spec = '{"labels": ["A", "B"], "series": [{"name": "x&y", "data": "values"}]}';
+  const escaped = spec.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+  it('替换 Markdown chart 代码块（还原 HTML 实体）', () => {
+    const html = `<h1>报告</h1><pre><code class="language-chart">${escaped}\n</code></pre><p>结尾</p>`;
+    const result = renderCharts(html, { values: [1, 2] });
+
+    assert.match(result, /^<h1>报告<\/h1><div class="document-chart" data-width="600" data-height="320" [^>]*><svg /);
+    assert.match(result, /<\/svg><\/div><p>结尾<\/p>$/);
+    assert.ok(result.includes('>x&amp;y</text>'));
+  });
+
+  it('替换 <chart> 元素，单独成段时连同 <p> 一并替换', () => {
+    const html = `<p><chart>${spec}</chart></p><div><chart data-id="1">${spec}</chart></div>`;
+    const result = renderCharts(html, { values: [1, 2] });
+
+    assert.equal((result.match(/<div class="document-chart"/g) || []).length, 2);
+    assert.doesNotMatch(result, /<p>|<chart/);
+    assert.match(result, /^<div class="document-chart"/);
+  });
+
+  it('段落内换行（<br>）视为 JSON 中的换行', () => {
+    const html = '<p><chart>{"series":<br>[{"data": [1]}]}</chart></p>';
+    assert.match(renderCharts(html), /<svg /);
+  });
+
+  it('没有图表时原样返回', () => {
+    assert.equal(renderCharts('<p>chart</p>'), '<p>chart</p>');
+    assert.equal(renderCharts(''), '');
+    assert.equal(renderCharts(null), null);
+  });
+
+  it('错误信息包含图表序号', () => {
+    const html = `<chart>${spec}</chart><chart>{不是 JSON}</chart>`;
+    assert.throws(() => renderCharts(html, { values: [1] }), /^Error: 第 2 个图表配置不是有效的 JSON: /);
+    assert.throws(() => renderCharts('<chart>{"series": []}</chart>'), { message: '第 1 个图表渲染失败: series 必须是非空数组' });
+  });
+});
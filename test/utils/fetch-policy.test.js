@@ -0,0 +1,205 @@
+/**
+ * 外部资源访问策略测试：内网地址判断、URL 检查、重定向逐跳检查与本地文件目录限制
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { once } = require('events');
+const {
+  SOURCE_NOT_ALLOWED,
+  isPrivateAddress,
+  isHostAllowed,
+  checkUrl,
+  fetchText,
+  readLocalFile
+} = require('../../src/utils/fetch-policy');
+
+const notAllowed = pattern => error => error.code === SOURCE_NOT_ALLOWED && pattern.test(error.message);
+
+describe('isPrivateAddress', () => {
+  it('IPv4 保留地址', () => {
+    ['0.0.0.0', '10.1.2.3', '100.64.0.1', '127.0.0.1', '169.254.169.254', '172.31.255.255', '192.168.1.1', '198.18.0.1', '224.0.0.1']
+      .forEach(address => assert.equal(isPrivateAddress(address), true, address));
+    ['1.1.1.1', '8.8.8.8', '172.32.0.1', '192.169.0.1']
+      .forEach(address => assert.equal(isPrivateAddress(address), false, address));
+  });
+
+  it('IPv6 保留地址', () => {
+    ['::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'ff02::1', '64:ff9b:1::a00:1']
+      .forEach(address => assert.equal(isPrivateAddress(address), true, address));
+    ['2606:4700:4700::1111', '2001:4860:4860::8888']
+      .forEach(address => assert.equal(isPrivateAddress(address), false, address));
+  });
+
+  it('内嵌 IPv4 的 IPv6 地址按内嵌的 IPv4 判断', () => {
+    [
+      '::ffff:127.0.0.1', '::ffff:7f00:1', // IPv4 映射
+      '::127.0.0.1', '::7f00:1', '::a00:1', // IPv4 兼容
+      '64:ff9b::10.0.0.1', '64:ff9b::a9fe:a9fe', // NAT64
+      '2002:7f00:1::1', '2002:c0a8:101::' // 6to4
+    ].forEach(address => assert.equal(isPrivateAddress(address), true, address));
+
+    ['::ffff:8.8.8.8', '::8.8.8.8', '64:ff9b::808:808', '2002:808:808::1']
+      .forEach(address => assert.equal(isPrivateAddress(address), false, address));
+  });
+
+  it('非 IP 地址返回 false', () => {
+    assert.equal(isPrivateAddress('localhost'), false);
+    assert.equal(isPrivateAddress(''), false);
+  });
+});
+
+describe('isHostAllowed', () => {
+  it('列表为空时允许所有主机', () => {
+    assert.equal(isHostAllowed('example.com', []), true);
+  });
+
+  it('精确匹配与 *.example.com 子域名匹配（不区分大小写）', () => {
+    const allowed = ['cdn.example.org', '*.Example.com'];
+    assert.equal(isHostAllowed('CDN.example.org', allowed), true);
+    assert.equal(isHostAllowed('static.example.com', allowed), true);
+    assert.equal(isHostAllowed('a.b.example.com', allowed), true);
+    assert.equal(isHostAllowed('example.com', allowed), false);
+    assert.equal(isHostAllowed('evilexample.com', allowed), false);
+    assert.equal(isHostAllowed('www.example.org', allowed), false);
+  });
+});
+
+describe('checkUrl', () => {
+  const policy = { allowedHosts: [], allowPrivateNetwork: false };
+
+  it('只允许 http/https', async () => {
+    await assert.rejects(checkUrl('file:///etc/passwd', policy), notAllowed(/不允许的协议: file:/));
+    await assert.rejects(checkUrl('ftp://example.com/a', policy), notAllowed(/不允许的协议: ftp:/));
+    await assert.rejects(checkUrl('not a url', policy), notAllowed(/无效的地址/));
+  });
+
+  it('配置 allowedHosts 时拒绝列表外的主机', async () => {
+    await assert.rejects(
+      checkUrl('https://evil.test/a', { ...policy, allowedHosts: ['*.example.com'] }),
+      notAllowed(/主机不在允许列表中: evil.test/)
+    );
+  });
+
+  it('拒绝内网 IP 与解析到内网地址的主机', async () => {
+    await assert.rejects(checkUrl('http://127.0.0.1:8080/', policy), notAllowed(/不允许访问内网地址/));
+    await assert.rejects(checkUrl('http://169.254.169.254/latest/meta-data', policy), notAllowed(/不允许访问内网地址/));
+    await assert.rejects(checkUrl('http://[::ffff:127.0.0.1]/', policy), notAllowed(/不允许访问内网地址/));
+    await assert.rejects(checkUrl('http://[64:ff9b::a00:1]/', policy), notAllowed(/不允许访问内网地址/));
+    await assert.rejects(checkUrl('http://localhost/', policy), notAllowed(/不允许访问内网地址: localhost/));
+  });
+
+  it('公网地址与 allowPrivateNetwork 时放行', async () => {
+    const parsed = await checkUrl('https://8.8.8.8/path?q=1', policy);
+    assert.equal(parsed.href, 'https://8.8.8.8/path?q=1');
+    assert.ok(await checkUrl('http://127.0.0.1/', { ...policy, allowPrivateNetwork: true }));
+  });
+});
+
+describe('fetchText', () => {
+  let server;
+  let origin;
+  let policy;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const redirects = {
+        '/redirect': '/content',
+        '/redirect-host': `http://localhost:${server.address().port}/content`,
+        '/redirect-file': 'file:///etc/passwd',
+        '/loop': '/loop'
+      };
+      if (redirects[req.url]) {
+        res.writeHead(302, { Location: redirects[req.url] });
+        return res.end();
+      }
+      if (req.url === '/large') {
+        return res.end('x'.repeat(2048));
+      }
+      res.end('模板内容');
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    origin = `http://127.0.0.1:${server.address().port}`;
+    // 只允许 127.0.0.1，localhost 视为另一主机，用于验证重定向目标同样受检查
+    policy = { allowedHosts: ['127.0.0.1'], allowPrivateNetwork: true, maxSize: 1024, timeout: 5000 };
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  it('跟随允许的重定向', async () => {
+    assert.equal(await fetchText(`${origin}/redirect`, policy), '模板内容');
+  });
+
+  it('重定向目标逐跳检查', async () => {
+    await assert.rejects(fetchText(`${origin}/redirect-host`, policy), notAllowed(/主机不在允许列表中: localhost/));
+    await assert.rejects(fetchText(`${origin}/redirect-file`, policy), notAllowed(/不允许的协议: file:/));
+  });
+
+  it('限制重定向次数与响应大小', async () => {
+    await assert.rejects(fetchText(`${origin}/loop`, policy), { message: '重定向次数超过 5 次' });
+    await assert.rejects(fetchText(`${origin}/large`, policy), /maxContentLength/);
+  });
+
+  it('默认策略拒绝内网地址', async () => {
+    await assert.rejects(
+      fetchText(`${origin}/content`, { ...policy, allowedHosts: [], allowPrivateNetwork: false }),
+      notAllowed(/不允许访问内网地址/)
+    );
+  });
+});
+
+describe('readLocalFile', () => {
+  let tempDir;
+  let root;
+  let policy;
+
+  before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-policy-test-'));
+    root = path.join(tempDir, 'templates');
+    fs.mkdirSync(path.join(root, 'invoice'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'invoice', 'template.md'), '# 发票');
+    fs.writeFileSync(path.join(root, 'large.md'), 'x'.repeat(200));
+    fs.writeFileSync(path.join(tempDir, 'secret.txt'), 'secret');
+    fs.symlinkSync(path.join(tempDir, 'secret.txt'), path.join(root, 'link.md'));
+    fs.symlinkSync(path.join(root, 'invoice', 'template.md'), path.join(root, 'alias.md'));
+    policy = { localRoot: root, maxSize: 100 };
+  });
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('读取允许目录内的文件（相对路径基于 localRoot）', () => {
+    assert.equal(readLocalFile('invoice/template.md', policy), '# 发票');
+    assert.equal(readLocalFile(path.join(root, 'invoice', 'template.md'), policy), '# 发票');
+    assert.equal(readLocalFile('alias.md', policy), '# 发票');
+  });
+
+  it('拒绝目录外的文件', () => {
+    assert.equal(readLocalFile('../secret.txt', policy), null);
+    assert.equal(readLocalFile('invoice/../../secret.txt', policy), null);
+    assert.equal(readLocalFile(path.join(tempDir, 'secret.txt'), policy), null);
+    assert.equal(readLocalFile('/etc/passwd', policy), null);
+  });
+
+  it('拒绝指向目录外的符号链接', () => {
+    assert.equal(readLocalFile('link.md', policy), null);
+  });
+
+  it('文件不存在、是目录或未启用本地文件时返回 null', () => {
+    assert.equal(readLocalFile('missing.md', policy), null);
+    assert.equal(readLocalFile('invoice', policy), null);
+    assert.equal(readLocalFile('invoice/template.md', { ...policy, localRoot: null }), null);
+  });
+
+  it('超过大小限制时抛出错误', () => {
+    assert.throws(() => readLocalFile('large.md', policy), { message: '模板文件超过大小限制 (100 字节): large.md' });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Markdown 渲染测试：代码高亮、数学公式、Mermaid、脚注、提示块与任务列表
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MarkdownRenderer } = require('../../src/utils/markdown-renderer');
+
+describe('MarkdownRenderer', () => {
+  const renderer = new MarkdownRenderer();
+  const html = markdown => renderer.render(markdown).html;
+
+  it('代码块按语言高亮，并只在用到时附带高亮样式', () => {
+    const result = renderer.render('```js\nconst a = 1;\n```');
+    assert.equal(result.html, '<pre><code class="hljs language-js"><span class="hljs-keyword">const</span> a = <span class="hljs-number">1</span>;\n</code></pre>\n');
+    assert.match(result.css, /\.hljs-keyword/);
+
+    assert.doesNotMatch(renderer.render('普通段落').css, /\.hljs-keyword/);
+  });
+
+  it('未识别的语言与 chart 代码块按纯文本输出', () => {
+    assert.equal(html('```unknownlang\nx < y\n```'), '<pre><code class="language-unknownlang">x &lt; y\n</code></pre>\n');
+    assert.equal(html('```chart\n{"a":1}\n```'), '<pre><code class="language-chart">{&quot;a&quot;:1}\n</code></pre>\n');
+  });
+
+  it('Mermaid 代码块输出 <pre class="mermaid">', () => {
+    assert.equal(html('```mermaid\ngraph TD; A-->B\n```'), '<pre class="mermaid">graph TD; A--&gt;B</pre>\n');
+  });
+
+  it('行内与独立公式由 KaTeX 渲染，并附带内联字体的样式', () => {
+    const inline = renderer.render('公式 $E = mc^2$ 结束');
+    assert.match(inline.html, /^<p>公式 <span class="katex">.*<\/span> 结束<\/p>\n$/);
+    assert.match(inline.css, /url\(data:font\/woff2;base64,/);
+    assert.doesNotMatch(inline.css, /url\(fonts\//);
+
+    assert.match(html('$$\na^2\n$$'), /^<span class="katex-display">/);
+  });
+
+  it('金额中的 $ 与转义的 \\$ 不识别为公式', () => {
+    assert.equal(html('价格 $5 到 $10'), '<p>价格 $5 到 $10</p>\n');
+    assert.equal(html('转义 \\$5 与 $ x $'), '<p>转义 $5 与 $ x $</p>\n');
+    assert.doesNotMatch(renderer.render('价格 $5 到 $10').css, /@font-face/);
+  });
+
+  it('脚注按引用顺序编号，只输出被引用的脚注', () => {
+    const markdown = '正文[^b]和[^a]再[^b]，未定义[^x]\n\n[^a]: 甲\n[^b]: 乙\n  续行\n[^c]: 未引用';
+    assert.equal(html(markdown), [
+      '<p>正文<sup class="footnote-ref"><a href="#fn-b" id="fnref-b">1</a></sup>',
+      '和<sup class="footnote-ref"><a href="#fn-a" id="fnref-a">2</a></sup>',
+      '再<sup class="footnote-ref"><a href="#fn-b">1</a></sup>，未定义[^x]</p>\n',
+      '<section class="footnotes"><hr><ol>',
+      '<li id="fn-b">乙<br>续行<a href="#fnref-b" class="footnote-backref">↩</a></li>',
+      '<li id="fn-a">甲<a href="#fnref-a" class="footnote-backref">↩</a></li>',
+      '</ol></section>\n'
+    ].join(''));
+  });
+
+  it('脚注 ID 编码为安全的锚点，多次渲染互不影响', () => {
+    assert.match(html('见[^注释]\n\n[^注释]: x'), /href="#fn-_E6_B3_A8_E9_87_8A"/);
+    assert.doesNotMatch(html('无脚注'), /footnotes/);
+  });
+
+  it('提示块：自定义标题、默认标题与嵌套', () => {
+    assert.equal(
+      html(':::warning 小心 <b>\n内容 **粗体**\n:::'),
+      '<div class="admonition admonition-warning"><p class="admonition-title">小心 &lt;b&gt;</p><p>内容 <strong>粗体</strong></p>\n</div>\n'
+    );
+    assert.match(html(':::tip\n提示\n:::'), /<p class="admonition-title">提示<\/p>/);
+    assert.match(html(':::custom\n内容\n:::'), /<div class="admonition admonition-custom"><p class="admonition-title">custom<\/p>/);
+
+    const nested = html('::::note 外层\n:::danger\n内层\n:::\n::::');
+    assert.match(nested, /^<div class="admonition admonition-note"><p class="admonition-title">外层<\/p><div class="admonition admonition-danger"><p class="admonition-title">危险<\/p><p>内层<\/p>\n<\/div>\n<\/div>\n$/);
+  });
+
+  it('任务列表与表格', () => {
+    assert.equal(html('- [ ] 待办\n- [x] 完成'), [
+      '<ul class="contains-task-list">\n',
+      '<li class="task-list-item"><input disabled="" type="checkbox"> 待办</li>\n',
+      '<li class="task-list-item"><input checked="" disabled="" type="checkbox"> 完成</li>\n',
+      '</ul>\n'
+    ].join(''));
+    assert.equal(html('- 普通'), '<ul>\n<li>普通</li>\n</ul>\n');
+    assert.match(html('| a | b |\n|---|---|\n| 1 | 2 |'), /^<div class="table-container"><table>\n[\s\S]*<\/table>\n<\/div>\n$/);
+  });
+
+  it('关闭扩展后按普通 Markdown 输出', () => {
+    const plain = new MarkdownRenderer({ highlight: false, math: false, mermaid: false, footnotes: false, admonitions: false });
+    assert.equal(plain.render('```js\nx\n```').html, '<pre><code class="language-js">x\n</code></pre>\n');
+    assert.equal(plain.render('```mermaid\nA\n```').html, '<pre><code class="language-mermaid">A\n</code></pre>\n');
+    assert.equal(plain.render('$x$').html, '<p>$x$</p>\n');
+    assert.equal(plain.render(':::note\n内容\n:::').html, '<p>:::note<br>内容<br>:::</p>\n');
+  });
+
+  it('use() 注册 marked 扩展', () => {
+    const custom = new MarkdownRenderer().use({
+      extensions: [{
+        name: 'mention',
+        level: 'inline',
+        start: src => src.indexOf('@'),
+        tokenizer(src) {
+          const match = /^@(\w+)/.exec(src);
+          return match ? { type: 'mention', raw: match[0], name: match[1] } : undefined;
+        },
+        renderer: token => `<span class="mention">${token.name}</span>`
+      }]
+    });
+    assert.equal(custom.render('你好 @alice').html, '<p>你好 <span class="mention">alice</span></p>\n');
+  });
+
+  it('无效的代码高亮样式名', () => {
+    assert.throws(() => new MarkdownRenderer({ codeTheme: '../../etc/passwd' }), { message: '无效的代码高亮样式: ../../etc/passwd' });
+    assert.ok(new MarkdownRenderer({ codeTheme: 'base16/github' }));
+  });
+});
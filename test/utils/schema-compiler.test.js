@@ -0,0 +1,126 @@
+/**
+ * schema 对比测试：响应检查使用的 diffSchema
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffSchema } = require('../../src/utils/schema-compiler');
+
+const document = {
+  components: {
+    schemas: {
+      FileInfo: {
+        type: 'object',
+        required: ['url'],
+        properties: {
+          url: { type: 'string' },
+          size: { type: 'integer' }
+        }
+      },
+      Node: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          children: { type: 'array', items: { $ref: '#/components/schemas/Node' } }
+        }
+      }
+    }
+  }
+};
+
+describe('diffSchema', () => {
+  it('符合 schema 时没有差异', () => {
+    const schema = {
+      type: 'object',
+      required: ['file'],
+      properties: {
+        file: { $ref: '#/components/schemas/FileInfo' },
+        pages: { type: 'array', items: { type: 'number' } },
+        format: { type: 'string', enum: ['A4', 'Letter'] },
+        remark: { type: 'string', nullable: true }
+      }
+    };
+    const value = { file: { url: 'https://example.com/a.pdf', size: 10 }, pages: [1, 2.5], format: 'A4', remark: null };
+    assert.deepEqual(diffSchema(schema, value, { document }), []);
+  });
+
+  it('报告缺失、多余与类型不符的字段及其路径', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        data: {
+          type: 'object',
+          properties: {
+            files: { type: 'array', items: { $ref: '#/components/schemas/FileInfo' } },
+            count: { type: 'integer' }
+          }
+        }
+      }
+    };
+    const value = { data: { files: [{ url: 'a' }, { size: 1.5, name: 'b.pdf' }], count: '2' } };
+
+    assert.deepEqual(diffSchema(schema, value, { document }), [
+      { path: 'data.files[1].url', issue: 'missing', expected: 'string' },
+      { path: 'data.files[1].size', issue: 'type', expected: 'integer', actual: 'number' },
+      { path: 'data.files[1].name', issue: 'extra', actual: 'string' },
+      { path: 'data.count', issue: 'type', expected: 'integer', actual: 'string' }
+    ]);
+  });
+
+  it('枚举值不符', () => {
+    const schema = { type: 'string', enum: ['A4', 'Letter'] };
+    assert.deepEqual(diffSchema(schema, 'A3'), [
+      { path: '(root)', issue: 'type', expected: 'enum(A4, Letter)', actual: '"A3"' }
+    ]);
+  });
+
+  it('ignoreExtra 只作用于根对象', () => {
+    const schema = { type: 'object', properties: { data: { type: 'object', properties: { id: { type: 'string' } } } } };
+    const value = { success: true, timestamp: 'now', data: { id: '1', success: true } };
+    assert.deepEqual(diffSchema(schema, value, { ignoreExtra: ['success', 'timestamp'] }), [
+      { path: 'data.success', issue: 'extra', actual: 'boolean' }
+    ]);
+  });
+
+  it('未定义 properties 或允许 additionalProperties 的对象不检查多余字段', () => {
+    assert.deepEqual(diffSchema({ type: 'object' }, { any: 1 }), []);
+    assert.deepEqual(diffSchema({ type: 'object', properties: { a: { type: 'string' } }, additionalProperties: true }, { b: 1 }), []);
+    assert.deepEqual(
+      diffSchema({ type: 'object', properties: { a: { type: 'string' } }, additionalProperties: { type: 'number' } }, { b: 'x' }),
+      [{ path: 'b', issue: 'type', expected: 'number', actual: 'string' }]
+    );
+  });
+
+  it('allOf 合并各分支的字段', () => {
+    const schema = {
+      allOf: [
+        { $ref: '#/components/schemas/FileInfo' },
+        { type: 'object', properties: { pageCount: { type: 'integer' } } }
+      ]
+    };
+    assert.deepEqual(diffSchema(schema, { url: 'a', pageCount: 3 }, { document }), []);
+    assert.deepEqual(diffSchema(schema, { url: 'a', extra: true }, { document }), [
+      { path: 'extra', issue: 'extra', actual: 'boolean' }
+    ]);
+  });
+
+  it('oneOf / anyOf 取差异最少的分支', () => {
+    const schema = {
+      oneOf: [
+        { type: 'object', required: ['url'], properties: { url: { type: 'string' } } },
+        { type: 'object', required: ['content'], properties: { content: { type: 'string' }, encoding: { type: 'string' } } }
+      ]
+    };
+    assert.deepEqual(diffSchema(schema, { content: 'YQ==', encoding: 'base64' }), []);
+    assert.deepEqual(diffSchema(schema, { content: 1 }), [
+      { path: 'content', issue: 'type', expected: 'string', actual: 'integer' }
+    ]);
+  });
+
+  it('递归引用按深度限制展开', () => {
+    const value = { name: 'root', children: [{ name: 'child', children: [{ name: 1 }] }] };
+    assert.deepEqual(diffSchema({ $ref: '#/components/schemas/Node' }, value, { document }), [
+      { path: 'children[0].children[0].name', issue: 'type', expected: 'string', actual: 'integer' }
+    ]);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * 模板引擎测试：Mustache 默认行为与 Handlebars 内置 helper
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate, TEMPLATE_ENGINES, DEFAULT_TEMPLATE_ENGINE } = require('../../src/utils/template-engine');
+
+const render = (template, data) => renderTemplate(template, data, 'handlebars');
+
+describe('renderTemplate', () => {
+  it('默认使用 Mustache', () => {
+    assert.equal(DEFAULT_TEMPLATE_ENGINE, 'mustache');
+    assert.deepEqual(TEMPLATE_ENGINES, ['mustache', 'handlebars']);
+    assert.equal(renderTemplate('{{#items}}{{.}};{{/items}}', { items: ['a', 'b'] }), 'a;b;');
+    assert.equal(renderTemplate('{{name}}', null), '');
+  });
+
+  it('不支持的引擎抛出错误', () => {
+    assert.throws(() => renderTemplate('x', {}, 'ejs'), { message: '不支持的模板引擎: ejs，可选值: mustache, handlebars' });
+  });
+
+  it('Handlebars 语法错误包装为渲染失败', () => {
+    assert.throws(() => render('{{#if a}}未闭合', { a: true }), /^Error: Handlebars 模板渲染失败: /);
+  });
+});
+
+describe('Handlebars helpers', () => {
+  it('currency', () => {
+    assert.equal(render('{{currency amount}}', { amount: 1234567.891 }), '¥1,234,567.89');
+    assert.equal(render('{{currency amount "USD" locale="en-US"}}', { amount: '1,234.5' }), '$1,234.50');
+    assert.equal(render('{{currency amount decimals=0}}', { amount: 99.5 }), '¥100');
+    assert.equal(render('[{{currency amount}}]', { amount: 'n/a' }), '[]');
+  });
+
+  it('number 与 percent', () => {
+    assert.equal(render('{{number value 2}}', { value: 1234.5 }), '1,234.50');
+    assert.equal(render('{{number value}}', { value: 1234.5678 }), '1,234.568');
+    assert.equal(render('{{percent rate 1}}', { rate: 0.1234 }), '12.3%');
+    assert.equal(render('{{percent rate}}', { rate: 0.5 }), '50%');
+  });
+
+  it('date 按本地日期处理仅含日期的字符串', () => {
+    assert.equal(render('{{date signDate}}', { signDate: '2025-01-24' }), '2025年1月24日');
+    assert.equal(render('{{date signDate "YYYY-MM-DD HH:mm"}}', { signDate: new Date(2025, 0, 5, 9, 7) }), '2025-01-05 09:07');
+    assert.equal(render('{{date signDate}}', { signDate: '不是日期' }), '不是日期');
+    assert.equal(render('[{{date signDate}}]', {}), '[]');
+  });
+
+  it('比较与逻辑', () => {
+    const template = '{{#if (and (gt amount 10000) (not paid))}}大额未付{{else}}其他{{/if}}';
+    assert.equal(render(template, { amount: 20000, paid: false }), '大额未付');
+    assert.equal(render(template, { amount: 20000, paid: true }), '其他');
+    assert.equal(render('{{#if (or (eq a 1) (lte b 0))}}是{{/if}}', { a: 2, b: 0 }), '是');
+    assert.equal(render('{{ne a b}} {{gte a b}} {{lt a b}}', { a: 1, b: 1 }), 'false true false');
+  });
+
+  it('inc 将下标转为序号', () => {
+    assert.equal(render('{{#each items}}{{inc @index}}.{{this}} {{/each}}', { items: ['甲', '乙'] }), '1.甲 2.乙 ');
+    assert.equal(render('{{inc value 10}}', { value: 5 }), '15');
+  });
+
+  it('sum 与 avg 支持字段路径并消除浮点误差', () => {
+    const data = {
+      items: [{ price: { amount: 0.1 } }, { price: { amount: 0.2 } }, { price: {} }],
+      scores: [90, '80', null, 'x']
+    };
+    assert.equal(render('{{sum items "price.amount"}}', data), '0.3');
+    assert.equal(render('{{avg scores}}', data), '85');
+    assert.equal(render('{{sum missing}} {{avg missing}}', data), '0 0');
+  });
+
+  it('upper、lower 与 default', () => {
+    assert.equal(render('{{upper code}} {{lower email}}', { code: 'ab-1', email: 'A@B.COM' }), 'AB-1 a@b.com');
+    assert.equal(render('[{{upper missing}}]', {}), '[]');
+    assert.equal(render('{{default remark "无"}}', { remark: '' }), '无');
+    assert.equal(render('{{default remark "无"}}', { remark: 0 }), '0');
+  });
+});
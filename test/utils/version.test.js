@@ -0,0 +1,84 @@
+/**
+ * 算子版本工具测试：解析、比较（含预发布版本）与 ?version= 匹配
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseVersion, compareVersions, matchesVersion, versionSegment } = require('../../src/utils/version');
+
+describe('parseVersion', () => {
+  it('解析正式版、预发布版与构建元数据', () => {
+    assert.deepEqual(parseVersion('1.2.3'), { major: 1, minor: 2, patch: 3, prerelease: null });
+    assert.deepEqual(parseVersion(' v10.0.1-rc.1 '), { major: 10, minor: 0, patch: 1, prerelease: 'rc.1' });
+    assert.deepEqual(parseVersion('2.0.0-beta+build.5'), { major: 2, minor: 0, patch: 0, prerelease: 'beta' });
+    assert.deepEqual(parseVersion('1.0.0+20250101'), { major: 1, minor: 0, patch: 0, prerelease: null });
+  });
+
+  it('格式不正确时返回 null', () => {
+    ['1', '1.2', '1.x', 'latest', '1.2.3.4', '1.2.3-', '', null, undefined]
+      .forEach(version => assert.equal(parseVersion(version), null, String(version)));
+  });
+});
+
+describe('compareVersions', () => {
+  it('按主版本、次版本、修订号数值比较', () => {
+    assert.ok(compareVersions('1.10.0', '1.9.9') > 0);
+    assert.ok(compareVersions('2.0.0', '10.0.0') < 0);
+    assert.equal(compareVersions('v1.2.3', '1.2.3'), 0);
+    assert.equal(compareVersions('1.2.3+a', '1.2.3+b'), 0);
+  });
+
+  it('预发布版本低于正式版本，并按语义化版本的顺序排列', () => {
+    const ordered = [
+      '1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-alpha.beta', '1.0.0-beta',
+      '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0', '1.0.1-alpha', '1.0.1'
+    ];
+    const shuffled = [...ordered].reverse();
+    assert.deepEqual(shuffled.sort(compareVersions), ordered);
+  });
+
+  it('无法解析的版本号按字符串比较', () => {
+    assert.ok(compareVersions('abc', 'abd') < 0);
+    assert.equal(compareVersions('dev', 'dev'), 0);
+  });
+});
+
+describe('matchesVersion', () => {
+  it('完整版本号精确匹配（含预发布标识）', () => {
+    assert.equal(matchesVersion('1.2.0', '1.2.0'), true);
+    assert.equal(matchesVersion('1.2.0', 'v1.2.0'), true);
+    assert.equal(matchesVersion('1.2.1', '1.2.0'), false);
+    assert.equal(matchesVersion('1.2.0-beta', '1.2.0'), false);
+    assert.equal(matchesVersion('1.2.0-beta', '1.2.0-beta'), true);
+  });
+
+  it('主版本与次版本前缀匹配', () => {
+    assert.equal(matchesVersion('1.4.2', '1'), true);
+    assert.equal(matchesVersion('1.4.2', 'v1'), true);
+    assert.equal(matchesVersion('1.4.2', 'V1'), true);
+    assert.equal(matchesVersion('1.4.2', '1.x'), true);
+    assert.equal(matchesVersion('1.4.2', '1.x.x'), true);
+    assert.equal(matchesVersion('1.4.2', '1.4'), true);
+    assert.equal(matchesVersion('1.4.2', '1.4.x'), true);
+    assert.equal(matchesVersion('1.4.2', '1.*'), true);
+    assert.equal(matchesVersion('1.4.2', '1.3'), false);
+    assert.equal(matchesVersion('1.4.2', '2.x'), false);
+    assert.equal(matchesVersion('11.0.0', '1'), false);
+  });
+
+  it('无效查询或版本号不匹配', () => {
+    assert.equal(matchesVersion('1.4.2', ''), false);
+    assert.equal(matchesVersion('1.4.2', 'x'), false);
+    assert.equal(matchesVersion('1.4.2', 'latest'), false);
+    assert.equal(matchesVersion('1.4.2', 'abc'), false);
+    assert.equal(matchesVersion('dev', '1'), false);
+  });
+});
+
+describe('versionSegment', () => {
+  it('返回主版本路径段', () => {
+    assert.equal(versionSegment('1.4.2'), 'v1');
+    assert.equal(versionSegment('2.0.0-rc.1'), 'v2');
+    assert.equal(versionSegment('dev'), null);
+  });
+});